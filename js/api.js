@@ -12,6 +12,7 @@
 const API_URL = '/api';
 
 // Track if server is available (set during initialization)
+// Change it through setServerAvailable() so queued changes get sent
 let isServerAvailable = false;
 
 // ==========================================
@@ -21,6 +22,7 @@ let isServerAvailable = false;
 /**
  * Make an API request
  * This is used by all the other functions below
+ * Sends the session token so the server knows who we are
  */
 async function apiRequest(endpoint, method = 'GET', data = null) {
   const options = {
@@ -30,6 +32,11 @@ async function apiRequest(endpoint, method = 'GET', data = null) {
     }
   };
   
+  const token = loadSessionToken();
+  if (token) {
+    options.headers['Authorization'] = `Bearer ${token}`;
+  }
+  
   if (data) {
     options.body = JSON.stringify(data);
   }
@@ -39,26 +46,123 @@ async function apiRequest(endpoint, method = 'GET', data = null) {
     const result = await response.json();
     
     if (!response.ok) {
-      throw new Error(result.error || 'Something went wrong');
+      const error = new Error(result.error || 'Something went wrong');
+      error.status = response.status;
+      
+      // Our session is gone, so send the user back to the login page
+      if (response.status === 401 && token) {
+        handleSessionExpired();
+      }
+      
+      throw error;
     }
     
     return result;
   } catch (error) {
+    // fetch() itself failing means we couldn't reach the server at all
+    if (!error.status) {
+      setServerAvailable(false);
+    }
+    console.error('API Error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Download a file (not JSON) from the server, logged in as us
+ * Returns the file as a Blob
+ */
+async function apiDownload(endpoint) {
+  const token = loadSessionToken();
+  const headers = token ? { 'Authorization': `Bearer ${token}` } : {};
+  
+  try {
+    const response = await fetch(`${API_URL}${endpoint}`, { headers });
+    
+    if (!response.ok) {
+      const result = await response.json();
+      const error = new Error(result.error || 'Something went wrong');
+      error.status = response.status;
+      
+      if (response.status === 401 && token) {
+        handleSessionExpired();
+      }
+      
+      throw error;
+    }
+    
+    return await response.blob();
+  } catch (error) {
+    if (!error.status) {
+      setServerAvailable(false);
+    }
     console.error('API Error:', error);
     throw error;
   }
 }
 
+/**
+ * Mark the server as reachable or not
+ * Coming back online sends everything waiting in the outbox
+ */
+function setServerAvailable(available) {
+  const cameBack = available && !isServerAvailable;
+  isServerAvailable = available;
+  
+  if (cameBack) {
+    replayOutbox();
+  }
+}
+
+/**
+ * Ask the server if it's up, and remember the answer
+ */
+async function checkServerAvailable() {
+  try {
+    const response = await fetch(`${API_URL}/health`);
+    setServerAvailable(response.ok);
+  } catch (error) {
+    setServerAvailable(false);
+  }
+  return isServerAvailable;
+}
+
+/**
+ * Did the server answer and refuse the request?
+ * (As opposed to not answering at all, where we fall back to local data)
+ */
+function isServerRejection(error) {
+  return Boolean(error.status);
+}
+
 // ==========================================
 // USER API FUNCTIONS
 // ==========================================
 
 /**
- * Login or create a user
+ * Log in with a username and password
+ * Returns { user, token }
+ */
+async function apiLogin(username, password) {
+  const result = await apiRequest('/users/login', 'POST', { username, password });
+  return result;
+}
+
+/**
+ * Create a new account
+ * Returns { user, token }
+ */
+async function apiRegister(username, password) {
+  const result = await apiRequest('/users/register', 'POST', { username, password });
+  return result;
+}
+
+/**
+ * End the current session on the server
  */
-async function apiLogin(username) {
-  const result = await apiRequest('/users/login', 'POST', { username });
-  return result.user;
+async function apiLogout() {
+  const result = await apiRequest('/users/logout', 'POST');
+  return result;
 }
 
 // ==========================================
@@ -66,10 +170,10 @@ async function apiLogin(username) {
 // ==========================================
 
 /**
- * Get all groups for a user
+ * Get all groups the logged-in user is in
  */
-async function apiGetGroups(username) {
-  const result = await apiRequest(`/groups?username=${encodeURIComponent(username)}`);
+async function apiGetGroups() {
+  const result = await apiRequest('/groups');
   return result.groups;
 }
 
@@ -84,24 +188,24 @@ async function apiGetGroup(groupId) {
 /**
  * Create a new group
  */
-async function apiCreateGroup(name, createdBy) {
-  const result = await apiRequest('/groups', 'POST', { name, createdBy });
+async function apiCreateGroup(name) {
+  const result = await apiRequest('/groups', 'POST', { name });
   return result.group;
 }
 
 /**
  * Join a group using a code
  */
-async function apiJoinGroup(code, username) {
-  const result = await apiRequest('/groups/join', 'POST', { code, username });
+async function apiJoinGroup(code) {
+  const result = await apiRequest('/groups/join', 'POST', { code });
   return result.group;
 }
 
 /**
  * Leave a group
  */
-async function apiLeaveGroup(groupId, username) {
-  const result = await apiRequest(`/groups/${groupId}/leave`, 'POST', { username });
+async function apiLeaveGroup(groupId) {
+  const result = await apiRequest(`/groups/${groupId}/leave`, 'POST');
   return result;
 }
 
@@ -120,11 +224,11 @@ async function apiCreateHangout(groupId, hangoutData) {
 /**
  * Respond to a hangout (going, maybe, notGoing)
  */
-async function apiRespondToHangout(groupId, hangoutId, username, response) {
+async function apiRespondToHangout(groupId, hangoutId, response) {
   const result = await apiRequest(
     `/groups/${groupId}/hangouts/${hangoutId}/respond`,
     'POST',
-    { username, response }
+    { response }
   );
   return result;
 }
@@ -132,12 +236,8 @@ async function apiRespondToHangout(groupId, hangoutId, username, response) {
 /**
  * Delete a hangout
  */
-async function apiDeleteHangout(groupId, hangoutId, username) {
-  const result = await apiRequest(
-    `/groups/${groupId}/hangouts/${hangoutId}`,
-    'DELETE',
-    { username }
-  );
+async function apiDeleteHangout(groupId, hangoutId) {
+  const result = await apiRequest(`/groups/${groupId}/hangouts/${hangoutId}`, 'DELETE');
   return result;
 }
 
@@ -156,19 +256,19 @@ async function apiGetMessages(groupId) {
 /**
  * Send a message
  */
-async function apiSendMessage(groupId, text, sender) {
-  const result = await apiRequest(`/groups/${groupId}/messages`, 'POST', { text, sender });
+async function apiSendMessage(groupId, text) {
+  const result = await apiRequest(`/groups/${groupId}/messages`, 'POST', { text });
   return result;
 }
 
 /**
  * Add or remove a reaction to a message
  */
-async function apiReactToMessage(groupId, messageId, username, emoji) {
+async function apiReactToMessage(groupId, messageId, emoji) {
   const result = await apiRequest(
     `/groups/${groupId}/messages/${messageId}/react`,
     'POST',
-    { username, emoji }
+    { emoji }
   );
   return result;
 }
@@ -179,42 +279,155 @@ async function apiReactToMessage(groupId, messageId, username, emoji) {
 
 /**
  * The API object provides a clean way to call server functions.
- * Instead of: apiCreateGroup(name, user)
- * You can use: API.createGroup(name, user)
+ * Instead of: apiCreateGroup(name)
+ * You can use: API.createGroup(name)
+ *
+ * The server works out who "you" are from the session token,
+ * so none of these take a username.
  */
 const API = {
   // User functions
-  login: async function(username) {
-    const result = await apiRequest('/users/login', 'POST', { username });
+  login: apiLogin,
+  register: apiRegister,
+  logout: apiLogout,
+  createCalendarFeed: async function() {
+    const result = await apiRequest('/users/me/calendar-feed', 'POST');
     return result;
   },
   
   // Group functions
   getGroups: apiGetGroups,
   getGroup: apiGetGroup,
-  createGroup: async function(name, createdBy) {
-    const result = await apiRequest('/groups', 'POST', { name, createdBy });
+  createGroup: async function(name) {
+    const result = await apiRequest('/groups', 'POST', { name });
+    return result;
+  },
+  joinGroupByCode: async function(code) {
+    const result = await apiRequest('/groups/join', 'POST', { code });
+    return result;
+  },
+  leaveGroup: async function(groupId) {
+    const result = await apiRequest(`/groups/${groupId}/leave`, 'POST');
+    return result;
+  },
+  
+  setGroupConfirmationRule: async function(groupId, rule) {
+    const result = await apiRequest(`/groups/${groupId}/confirmation-rule`, 'PUT', { rule });
+    return result;
+  },
+  
+  // The trash (see trash.js)
+  getTrash: async function() {
+    const result = await apiRequest('/users/me/trash');
+    return result.groups;
+  },
+  restoreGroup: async function(groupId) {
+    const result = await apiRequest(`/groups/${groupId}/restore`, 'POST');
+    return result;
+  },
+  
+  // Join requests (see join-requests.js)
+  getMyJoinRequests: async function() {
+    const result = await apiRequest('/users/me/join-requests');
+    return result.requests;
+  },
+  setRequireApproval: async function(groupId, required) {
+    const result = await apiRequest(`/groups/${groupId}/join-approval`, 'PUT', { required });
+    return result;
+  },
+  approveJoinRequest: async function(groupId, username) {
+    const result = await apiRequest(`/groups/${groupId}/join-requests/${encodeURIComponent(username)}/approve`, 'POST');
+    return result;
+  },
+  // Deny someone else's request, or take back your own
+  deleteJoinRequest: async function(groupId, username) {
+    const result = await apiRequest(`/groups/${groupId}/join-requests/${encodeURIComponent(username)}`, 'DELETE');
+    return result;
+  },
+  
+  // Group admin functions (see roles.js)
+  // settings: any of { name, description, emoji, color, defaultLocation } (see group-settings.js)
+  updateGroupSettings: async function(groupId, settings) {
+    const result = await apiRequest(`/groups/${groupId}`, 'PATCH', settings);
+    return result;
+  },
+  setGroupArchived: async function(groupId, archived) {
+    const result = await apiRequest(`/groups/${groupId}/archived`, 'PUT', { archived });
+    return result;
+  },
+  regenerateGroupCode: async function(groupId) {
+    const result = await apiRequest(`/groups/${groupId}/code`, 'POST');
+    return result;
+  },
+  setMemberRole: async function(groupId, username, role) {
+    const result = await apiRequest(`/groups/${groupId}/members/${encodeURIComponent(username)}/role`, 'PUT', { role });
+    return result;
+  },
+  transferOwnership: async function(groupId, username) {
+    const result = await apiRequest(`/groups/${groupId}/owner`, 'POST', { username });
     return result;
   },
-  joinGroupByCode: async function(code, username) {
-    const result = await apiRequest('/groups/join', 'POST', { code, username });
+  removeMember: async function(groupId, username) {
+    const result = await apiRequest(`/groups/${groupId}/members/${encodeURIComponent(username)}`, 'DELETE');
     return result;
   },
-  leaveGroup: async function(groupId, username) {
-    const result = await apiRequest(`/groups/${groupId}/leave`, 'POST', { username });
+  liftBan: async function(groupId, username) {
+    const result = await apiRequest(`/groups/${groupId}/bans/${encodeURIComponent(username)}`, 'DELETE');
+    return result;
+  },
+  // inviteData: { label, expiresInHours, maxUses } (null = no limit)
+  createInvite: async function(groupId, inviteData) {
+    const result = await apiRequest(`/groups/${groupId}/invites`, 'POST', inviteData);
+    return result;
+  },
+  revokeInvite: async function(groupId, inviteId) {
+    const result = await apiRequest(`/groups/${groupId}/invites/${inviteId}`, 'DELETE');
     return result;
   },
   
   // Hangout functions
+  // hangoutData may include a clientId (see outbox.js)
   createHangout: async function(groupId, hangoutData) {
     const result = await apiRequest(`/groups/${groupId}/hangouts`, 'POST', hangoutData);
     return result;
   },
-  respondToHangout: async function(groupId, hangoutId, username, response) {
+  // extras can hold "guests" and "note" (left out, they stay as they were)
+  respondToHangout: async function(groupId, hangoutId, response, occurrence, extras) {
     const result = await apiRequest(
       `/groups/${groupId}/hangouts/${hangoutId}/respond`,
       'POST',
-      { username, response }
+      { response, occurrence, ...extras }
+    );
+    return result;
+  },
+  updateHangout: async function(groupId, hangoutId, changes) {
+    const result = await apiRequest(`/groups/${groupId}/hangouts/${hangoutId}`, 'PATCH', changes);
+    return result;
+  },
+  downloadHangoutCalendar: async function(groupId, hangoutId) {
+    return apiDownload(`/groups/${groupId}/hangouts.ics?hangout=${encodeURIComponent(hangoutId)}`);
+  },
+  updateOccurrence: async function(groupId, hangoutId, occurrence, changes) {
+    const result = await apiRequest(
+      `/groups/${groupId}/hangouts/${hangoutId}/occurrences/${occurrence}`,
+      'PATCH',
+      changes
+    );
+    return result;
+  },
+  voteOnTimeOption: async function(groupId, hangoutId, slotId, vote) {
+    const result = await apiRequest(
+      `/groups/${groupId}/hangouts/${hangoutId}/slots/${slotId}/vote`,
+      'POST',
+      { vote }
+    );
+    return result;
+  },
+  lockTimeOption: async function(groupId, hangoutId, slotId) {
+    const result = await apiRequest(
+      `/groups/${groupId}/hangouts/${hangoutId}/lock`,
+      'POST',
+      { slotId }
     );
     return result;
   },
@@ -223,16 +436,130 @@ const API = {
     return result;
   },
   
+  // Expense functions (amounts are in cents, see expenses.js)
+  addExpense: async function(groupId, hangoutId, expense) {
+    const result = await apiRequest(`/groups/${groupId}/hangouts/${hangoutId}/expenses`, 'POST', expense);
+    return result;
+  },
+  deleteExpense: async function(groupId, hangoutId, expenseId) {
+    const result = await apiRequest(`/groups/${groupId}/hangouts/${hangoutId}/expenses/${expenseId}`, 'DELETE');
+    return result;
+  },
+  // transfer is { from, to, currency }, one of the hangout's settle-up payments
+  markPaymentPaid: async function(groupId, hangoutId, transfer) {
+    const result = await apiRequest(`/groups/${groupId}/hangouts/${hangoutId}/payments`, 'POST', transfer);
+    return result;
+  },
+  deletePayment: async function(groupId, hangoutId, paymentId) {
+    const result = await apiRequest(`/groups/${groupId}/hangouts/${hangoutId}/payments/${paymentId}`, 'DELETE');
+    return result;
+  },
+  getBalances: async function(groupId) {
+    const result = await apiRequest(`/groups/${groupId}/balances`);
+    return result;
+  },
+  
+  // Availability functions
+  // block is { date, start, end, status: "free" | "busy" }
+  addAvailabilityBlock: async function(groupId, block) {
+    const result = await apiRequest(`/groups/${groupId}/availability`, 'POST', block);
+    return result;
+  },
+  deleteAvailabilityBlock: async function(groupId, blockId) {
+    const result = await apiRequest(`/groups/${groupId}/availability/${blockId}`, 'DELETE');
+    return result;
+  },
+  getBestTimes: async function(groupId, durationHours) {
+    const result = await apiRequest(`/groups/${groupId}/best-times?duration=${durationHours}`);
+    return result;
+  },
+  
+  // Ride functions
+  // ride is { seats, departFrom, departAt, occurrence }
+  offerRide: async function(groupId, hangoutId, ride) {
+    const result = await apiRequest(`/groups/${groupId}/hangouts/${hangoutId}/rides`, 'POST', ride);
+    return result;
+  },
+  updateRide: async function(groupId, hangoutId, rideId, changes) {
+    const result = await apiRequest(`/groups/${groupId}/hangouts/${hangoutId}/rides/${rideId}`, 'PATCH', changes);
+    return result;
+  },
+  cancelRide: async function(groupId, hangoutId, rideId) {
+    const result = await apiRequest(`/groups/${groupId}/hangouts/${hangoutId}/rides/${rideId}`, 'DELETE');
+    return result;
+  },
+  takeSeat: async function(groupId, hangoutId, rideId) {
+    const result = await apiRequest(`/groups/${groupId}/hangouts/${hangoutId}/rides/${rideId}/seat`, 'POST');
+    return result;
+  },
+  removePassenger: async function(groupId, hangoutId, rideId, username) {
+    const result = await apiRequest(
+      `/groups/${groupId}/hangouts/${hangoutId}/rides/${rideId}/passengers/${encodeURIComponent(username)}`,
+      'DELETE'
+    );
+    return result;
+  },
+  setRideRequest: async function(groupId, hangoutId, active, occurrence) {
+    const result = await apiRequest(`/groups/${groupId}/hangouts/${hangoutId}/ride-request`, 'PUT', { active, occurrence });
+    return result;
+  },
+  
+  // Bring list functions
+  addChecklistItem: async function(groupId, hangoutId, text) {
+    const result = await apiRequest(`/groups/${groupId}/hangouts/${hangoutId}/checklist`, 'POST', { text });
+    return result;
+  },
+  claimChecklistItem: async function(groupId, hangoutId, itemId) {
+    const result = await apiRequest(`/groups/${groupId}/hangouts/${hangoutId}/checklist/${itemId}/claim`, 'POST');
+    return result;
+  },
+  unclaimChecklistItem: async function(groupId, hangoutId, itemId) {
+    const result = await apiRequest(`/groups/${groupId}/hangouts/${hangoutId}/checklist/${itemId}/claim`, 'DELETE');
+    return result;
+  },
+  setChecklistItemDone: async function(groupId, hangoutId, itemId, done) {
+    const result = await apiRequest(`/groups/${groupId}/hangouts/${hangoutId}/checklist/${itemId}`, 'PATCH', { done });
+    return result;
+  },
+  deleteChecklistItem: async function(groupId, hangoutId, itemId) {
+    const result = await apiRequest(`/groups/${groupId}/hangouts/${hangoutId}/checklist/${itemId}`, 'DELETE');
+    return result;
+  },
+  
+  // Comment functions (each hangout has its own thread)
+  getComments: async function(groupId, hangoutId) {
+    const result = await apiRequest(`/groups/${groupId}/hangouts/${hangoutId}/comments`);
+    return result;
+  },
+  postComment: async function(groupId, hangoutId, text, clientId) {
+    const result = await apiRequest(
+      `/groups/${groupId}/hangouts/${hangoutId}/comments`,
+      'POST',
+      { text, clientId }
+    );
+    return result;
+  },
+  // Like addReaction: leave "active" out to toggle
+  reactToComment: async function(groupId, hangoutId, commentId, emoji, active) {
+    const result = await apiRequest(
+      `/groups/${groupId}/hangouts/${hangoutId}/comments/${commentId}/react`,
+      'POST',
+      { emoji, active }
+    );
+    return result;
+  },
+  
   // Message functions
-  sendMessage: async function(groupId, text, sender) {
-    const result = await apiRequest(`/groups/${groupId}/messages`, 'POST', { text, sender });
+  sendMessage: async function(groupId, text, clientId) {
+    const result = await apiRequest(`/groups/${groupId}/messages`, 'POST', { text, clientId });
     return result;
   },
-  addReaction: async function(groupId, messageId, emoji, username) {
+  // Leave "active" out to toggle, or pass true/false to set the reaction
+  addReaction: async function(groupId, messageId, emoji, active) {
     const result = await apiRequest(
       `/groups/${groupId}/messages/${messageId}/react`,
       'POST',
-      { username, emoji }
+      { emoji, active }
     );
     return result;
   }
@@ -29,6 +29,11 @@ function showPage(pageName) {
   document.getElementById('groups-page').classList.add('hidden');
   document.getElementById('hangout-page').classList.add('hidden');
   
+  // Live updates are only needed while a group is open
+  if (pageName !== 'hangout') {
+    disconnectGroupEvents();
+  }
+  
   // Show the requested page
   if (pageName === 'login') {
     document.getElementById('login-page').classList.remove('hidden');
@@ -38,6 +43,8 @@ function showPage(pageName) {
     // Update the display
     updateWelcomeMessage();
     renderGroups();
+    loadMyJoinRequests();
+    loadTrash();
   }
   else if (pageName === 'hangout') {
     document.getElementById('hangout-page').classList.remove('hidden');
@@ -45,6 +52,10 @@ function showPage(pageName) {
     renderHangouts();
     renderMessages();
     scrollChatToBottom();
+    loadBalances();
+    resetAvailability();
+    resetGroupSettings();
+    connectGroupEvents(currentGroup.id);
   }
 }
 
@@ -103,22 +114,23 @@ function applyDarkMode() {
 async function initializeApp() {
   console.log('🐝 HangHive is starting up!');
   
-  // Check if server is available first
-  try {
-    const response = await fetch('/api/groups');
-    if (response.ok) {
-      isServerAvailable = true;
-      console.log('✅ Connected to server!');
-    }
-  } catch (error) {
-    isServerAvailable = false;
-    console.log('⚠️ Server unavailable, using local storage');
-  }
-  
   // Load saved data from localStorage first (fast)
   groups = loadGroups();
   currentUser = loadUser();
   
+  // Check if server is available (this also sends any changes made offline)
+  if (await checkServerAvailable()) {
+    console.log('✅ Connected to server!');
+  } else {
+    console.log('⚠️ Server unavailable, using local storage');
+  }
+  
+  // A saved user without a session token is from before logins had passwords
+  if (currentUser && !loadSessionToken()) {
+    saveUser(null);
+    currentUser = null;
+  }
+  
   // If server is available, also load from server
   if (isServerAvailable && currentUser) {
     try {
@@ -132,10 +144,18 @@ async function initializeApp() {
   // Apply dark mode if saved
   applyDarkMode();
   
+  // Keep checking for the server while offline
+  startOutboxSync();
+  
   // Set up all event listeners
   setupLoginEvents();
   setupGroupsEvents();
   setupHangoutEvents();
+  setupRoleEvents();
+  setupJoinRequestEvents();
+  setupGroupSettingsEvents();
+  setupCalendarEvents();
+  setupAvailabilityEvents();
   setupChatEvents();
   
   // Dark mode toggle buttons (there are multiple)
@@ -0,0 +1,203 @@
+/*
+  ============================================================
+  AVAILABILITY - availability.js
+  ============================================================
+  Everyone marks when they're free or busy over the coming weeks
+  (kept in currentGroup.availability), and "Find a time" asks the
+  server for the slots most people are free for. Picking a slot
+  opens the proposal form with its date and time filled in.
+  
+  The server works out the overlap (server/availability.js), so
+  marking time and finding one both need a connection.
+*/
+
+// The last "Find a time" results for the open group (null = not asked yet)
+let bestTimes = null;
+
+/**
+ * Forget the last group's results and draw this one's blocks
+ */
+function resetAvailability() {
+  bestTimes = null;
+  
+  const dateInput = document.getElementById('availability-date-input');
+  if (dateInput) {
+    dateInput.min = toLocalDateString(new Date());
+    dateInput.value = dateInput.min;
+  }
+  
+  renderAvailability();
+  renderBestTimes();
+}
+
+/**
+ * Mark the block typed into the availability form
+ */
+async function addAvailabilityBlock() {
+  const date = document.getElementById('availability-date-input').value;
+  const start = document.getElementById('availability-start-input').value;
+  let end = document.getElementById('availability-end-input').value;
+  const status = document.getElementById('availability-status-select').value;
+  
+  if (!date || !start || !end) {
+    showToast('Pick a day and a start and end time', 'error');
+    return;
+  }
+  
+  // Ending at 00:00 means "until midnight"
+  if (end === '00:00') end = '24:00';
+  
+  try {
+    const result = await API.addAvailabilityBlock(currentGroup.id, { date, start, end, status });
+    updateAvailability(result.availability);
+    showToast(status === 'free' ? 'Marked as free ✅' : 'Marked as busy', 'success');
+  } catch (error) {
+    showToast(isServerRejection(error) ? error.message : 'You\'re offline - try again once you reconnect', 'error');
+  }
+}
+
+/**
+ * Remove one of your blocks
+ */
+async function deleteAvailabilityBlock(blockId) {
+  try {
+    const result = await API.deleteAvailabilityBlock(currentGroup.id, blockId);
+    updateAvailability(result.availability);
+  } catch (error) {
+    showToast(isServerRejection(error) ? error.message : 'You\'re offline - try again once you reconnect', 'error');
+  }
+}
+
+/**
+ * Put the server's copy of everyone's blocks in place and redraw
+ */
+function updateAvailability(availability) {
+  currentGroup.availability = availability;
+  saveGroups(groups);
+  renderAvailability();
+  refreshBestTimes();
+}
+
+/**
+ * Ask the server for the best times, for the length picked
+ */
+async function findBestTimes() {
+  const groupId = currentGroup.id;
+  const duration = document.getElementById('best-time-duration-select').value;
+  
+  try {
+    const result = await API.getBestTimes(groupId, duration);
+    // Ignore it if another group was opened meanwhile
+    if (!currentGroup || currentGroup.id !== groupId) return;
+    bestTimes = result.slots;
+    renderBestTimes();
+  } catch (error) {
+    showToast(isServerRejection(error) ? error.message : 'You\'re offline - try again once you reconnect', 'error');
+  }
+}
+
+/**
+ * Redo "Find a time" after blocks change, if it's showing
+ */
+function refreshBestTimes() {
+  if (bestTimes !== null) {
+    findBestTimes();
+  }
+}
+
+/**
+ * Show everyone's upcoming blocks in the sidebar, a day at a time
+ */
+function renderAvailability() {
+  const container = document.getElementById('availability-list');
+  if (!container || !currentGroup) return;
+  
+  const today = toLocalDateString(new Date());
+  const availability = currentGroup.availability || {};
+  
+  // date -> [{ username, block }], for people still in the group
+  const days = {};
+  currentGroup.members.forEach(function(username) {
+    (availability[username] || []).forEach(function(block) {
+      if (block.date < today) return;
+      if (!days[block.date]) days[block.date] = [];
+      days[block.date].push({ username: username, block: block });
+    });
+  });
+  
+  const dates = Object.keys(days).sort();
+  if (dates.length === 0) {
+    container.innerHTML = '<p class="no-availability">Nobody has marked any time yet</p>';
+    return;
+  }
+  
+  let html = '';
+  dates.forEach(function(date) {
+    const entries = days[date].sort((a, b) => a.block.start.localeCompare(b.block.start));
+    
+    html += `<h3 class="availability-day">${formatShortDate(date)}</h3><ul class="availability-blocks">`;
+    entries.forEach(function({ username, block }) {
+      const isMine = username === currentUser.username;
+      html += `
+        <li class="${block.status} ${isMine ? 'mine' : ''}">
+          <span>${block.status === 'free' ? '✅' : '⛔'} ${isMine ? 'You' : escapeHtml(username)}</span>
+          <span>${formatTime(block.start)}–${block.end === '24:00' ? 'midnight' : formatTime(block.end)}</span>
+          ${isMine ? `<button class="icon-button" onclick="deleteAvailabilityBlock('${block.id}')" title="Remove">✕</button>` : ''}
+        </li>
+      `;
+    });
+    html += '</ul>';
+  });
+  
+  container.innerHTML = html;
+}
+
+/**
+ * Show the "Find a time" results, best first
+ */
+function renderBestTimes() {
+  const container = document.getElementById('best-times-list');
+  if (!container) return;
+  
+  if (bestTimes === null) {
+    container.innerHTML = '';
+    return;
+  }
+  
+  if (bestTimes.length === 0) {
+    container.innerHTML = '<p class="no-availability">No times where anyone is free yet - mark some free time first</p>';
+    return;
+  }
+  
+  const memberCount = currentGroup.members.length;
+  let html = '<ol class="best-times">';
+  bestTimes.forEach(function(slot) {
+    const details = [`Free: ${slot.free.join(', ')}`];
+    if (slot.busy.length > 0) details.push(`Busy: ${slot.busy.join(', ')}`);
+    if (slot.unknown.length > 0) details.push(`Not marked: ${slot.unknown.join(', ')}`);
+    
+    html += `
+      <li>
+        <div title="${escapeHtml(details.join('\n'))}">
+          <strong>${formatShortDate(slot.date)}, ${formatTime(slot.time)}</strong>
+          <div class="best-time-count">${slot.free.length}/${memberCount} free${slot.busy.length > 0 ? `, ${slot.busy.length} busy` : ''}</div>
+        </div>
+        <button class="outline-button small" onclick="showHangoutFormAt('${slot.date}', '${slot.time}')">Propose</button>
+      </li>
+    `;
+  });
+  html += '</ol>';
+  
+  container.innerHTML = html;
+}
+
+/**
+ * Set up the availability card's buttons
+ */
+function setupAvailabilityEvents() {
+  const addBtn = document.getElementById('add-availability-button');
+  const findBtn = document.getElementById('find-time-button');
+  
+  if (addBtn) addBtn.addEventListener('click', addAvailabilityBlock);
+  if (findBtn) findBtn.addEventListener('click', findBestTimes);
+}
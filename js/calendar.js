@@ -0,0 +1,193 @@
+/*
+  ============================================================
+  CALENDAR VIEW - calendar.js
+  ============================================================
+  The group's hangouts as a month or week grid, as an alternative
+  to the list. Each hangout sits on its date, coloured by status;
+  clicking one jumps to its card in the list, and clicking an
+  empty day starts proposing a hangout on that day.
+  
+  Repeating hangouts show on each of their dates, and time polls
+  on every date that's still an option.
+*/
+
+// "list", "month" or "week"
+let hangoutView = 'list';
+
+// Any day inside the month or week being shown
+let calendarCursor = new Date();
+
+/**
+ * Switch between the list and the calendar grids
+ */
+function setHangoutView(view) {
+  hangoutView = view;
+  
+  document.querySelectorAll('.view-button').forEach(function(btn) {
+    btn.classList.toggle('active', btn.getAttribute('data-view') === view);
+  });
+  
+  // The all/upcoming/past filters only apply to the list
+  const isList = view === 'list';
+  document.getElementById('hangouts-list').classList.toggle('hidden', !isList);
+  document.getElementById('hangout-filters').classList.toggle('hidden', !isList);
+  document.getElementById('hangouts-calendar').classList.toggle('hidden', isList);
+  
+  renderHangouts();
+}
+
+/**
+ * Go a month or week back (-1) or forward (1), or to today (0)
+ */
+function moveCalendar(step) {
+  if (step === 0) {
+    calendarCursor = new Date();
+  } else if (hangoutView === 'month') {
+    // The 1st, so e.g. Jan 31 + 1 month doesn't skip February
+    calendarCursor = new Date(calendarCursor.getFullYear(), calendarCursor.getMonth() + step, 1);
+  } else {
+    calendarCursor = new Date(calendarCursor.getFullYear(), calendarCursor.getMonth(), calendarCursor.getDate() + step * 7);
+  }
+  renderCalendar();
+}
+
+/**
+ * The days to draw: whole weeks (Sunday first) covering the month,
+ * or just the week around the cursor
+ */
+function getCalendarDays() {
+  let first;
+  let count;
+  
+  if (hangoutView === 'month') {
+    const monthStart = new Date(calendarCursor.getFullYear(), calendarCursor.getMonth(), 1);
+    const monthEnd = new Date(calendarCursor.getFullYear(), calendarCursor.getMonth() + 1, 0);
+    first = new Date(monthStart.getFullYear(), monthStart.getMonth(), 1 - monthStart.getDay());
+    count = Math.ceil((monthStart.getDay() + monthEnd.getDate()) / 7) * 7;
+  } else {
+    first = new Date(calendarCursor.getFullYear(), calendarCursor.getMonth(), calendarCursor.getDate() - calendarCursor.getDay());
+    count = 7;
+  }
+  
+  const days = [];
+  for (let i = 0; i < count; i++) {
+    days.push(new Date(first.getFullYear(), first.getMonth(), first.getDate() + i));
+  }
+  return days;
+}
+
+/**
+ * Every hangout by date: { "2024-03-15": [{ hangout, time }] },
+ * each day sorted by time (no time goes first)
+ */
+function getHangoutsByDate() {
+  const byDate = {};
+  const add = function(date, hangout, time) {
+    if (!date) return;
+    if (!byDate[date]) byDate[date] = [];
+    byDate[date].push({ hangout: hangout, time: time || '' });
+  };
+  
+  expandHangouts(currentGroup.hangouts || []).forEach(function(hangout) {
+    if (isOpenTimePoll(hangout)) {
+      (hangout.slots || []).forEach(slot => add(slot.date, hangout, slot.time));
+    } else {
+      add(hangout.date, hangout, hangout.time);
+    }
+  });
+  
+  Object.values(byDate).forEach(entries => entries.sort((a, b) => a.time.localeCompare(b.time)));
+  return byDate;
+}
+
+/**
+ * Jump from the calendar to a hangout's card in the list
+ */
+function openHangoutFromCalendar(cardKey) {
+  // Everything shows under "all", so the card is sure to be there
+  setHangoutFilter('all');
+  setHangoutView('list');
+  
+  const card = document.querySelector(`.hangout-card[data-card-key="${cardKey}"]`);
+  if (!card) return;
+  
+  card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  card.classList.add('highlighted');
+  setTimeout(() => card.classList.remove('highlighted'), 2000);
+}
+
+/**
+ * Draw the month or week grid
+ */
+function renderCalendar() {
+  const container = document.getElementById('hangouts-calendar');
+  if (!container) return;
+  
+  const days = getCalendarDays();
+  const byDate = getHangoutsByDate();
+  const today = toLocalDateString(new Date());
+  
+  let title;
+  if (hangoutView === 'month') {
+    title = calendarCursor.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  } else {
+    const options = { month: 'short', day: 'numeric' };
+    title = `${days[0].toLocaleDateString('en-US', options)} – ${days[6].toLocaleDateString('en-US', options)}, ${days[6].getFullYear()}`;
+  }
+  
+  let cellsHtml = '';
+  days.forEach(function(day) {
+    const date = toLocalDateString(day);
+    const entries = byDate[date] || [];
+    const classes = ['calendar-day'];
+    if (date === today) classes.push('today');
+    if (date < today) classes.push('past');
+    if (hangoutView === 'month' && day.getMonth() !== calendarCursor.getMonth()) classes.push('other-month');
+    
+    let eventsHtml = '';
+    entries.forEach(function({ hangout, time }) {
+      const status = getHangoutStatus(hangout);
+      eventsHtml += `
+        <button class="calendar-event status-${status}" title="${escapeHtml(hangout.title)} (${status})"
+          onclick="openHangoutFromCalendar('${getCardSectionKey('card', hangout)}')">
+          ${status === 'voting' ? '🗳️ ' : ''}${time ? `<span class="calendar-event-time">${formatTime(time)}</span> ` : ''}${escapeHtml(hangout.title)}
+        </button>
+      `;
+    });
+    
+    // Empty days from today on can be clicked to propose something then
+    const canPropose = entries.length === 0 && date >= today;
+    
+    cellsHtml += `
+      <div class="${classes.join(' ')} ${canPropose ? 'can-propose' : ''}"
+        ${canPropose ? `onclick="showHangoutFormAt('${date}')" title="Propose a hangout on this day"` : ''}>
+        <span class="calendar-day-number">${hangoutView === 'week' ? `${WEEKDAY_NAMES[day.getDay()]} ` : ''}${day.getDate()}</span>
+        ${eventsHtml}
+      </div>
+    `;
+  });
+  
+  container.innerHTML = `
+    <div class="calendar-header">
+      <button class="outline-button small" onclick="moveCalendar(-1)" title="Previous">‹</button>
+      <h3 class="calendar-title">${title}</h3>
+      <button class="outline-button small" onclick="moveCalendar(1)" title="Next">›</button>
+      <button class="outline-button small" onclick="moveCalendar(0)">Today</button>
+    </div>
+    <div class="calendar-grid ${hangoutView}">
+      ${hangoutView === 'month' ? WEEKDAY_NAMES.map(name => `<div class="calendar-weekday">${name}</div>`).join('') : ''}
+      ${cellsHtml}
+    </div>
+  `;
+}
+
+/**
+ * Set up the list/month/week buttons
+ */
+function setupCalendarEvents() {
+  document.querySelectorAll('.view-button').forEach(function(btn) {
+    btn.addEventListener('click', function() {
+      setHangoutView(btn.getAttribute('data-view'));
+    });
+  });
+}
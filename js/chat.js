@@ -27,7 +27,7 @@ async function sendMessage() {
   try {
     // Try API first
     if (isServerAvailable) {
-      const result = await API.sendMessage(currentGroup.id, text, currentUser.username);
+      const result = await API.sendMessage(currentGroup.id, text);
       if (result.success) {
         // Update local data with server response
         currentGroup.messages = result.messages;
@@ -43,26 +43,18 @@ async function sendMessage() {
       }
     }
   } catch (error) {
+    if (isServerRejection(error)) {
+      showToast(error.message, 'error');
+      return;
+    }
     console.log('Server unavailable, using local storage');
   }
   
-  // Fallback: Create locally
-  const newMessage = {
-    id: generateId(),
-    text: text,
-    sender: currentUser.username,
-    timestamp: new Date().toISOString(),
-    reactions: {}
-  };
-  
-  // Add to the group's messages
-  if (!currentGroup.messages) {
-    currentGroup.messages = [];
-  }
-  currentGroup.messages.push(newMessage);
-  
-  // Save changes
-  saveGroups(groups);
+  // Fallback: Save it locally and send it when the server is back
+  queueOperation('sendMessage', currentGroup.id, {
+    clientId: generateId(),
+    text: text
+  });
   
   // Refresh the chat display
   renderMessages();
@@ -82,7 +74,7 @@ async function addReaction(messageId, emoji) {
   try {
     // Try API first
     if (isServerAvailable) {
-      const result = await API.addReaction(currentGroup.id, messageId, emoji, currentUser.username);
+      const result = await API.addReaction(currentGroup.id, messageId, emoji);
       if (result.success) {
         // Update local message with server response
         message.reactions = result.message.reactions;
@@ -93,40 +85,23 @@ async function addReaction(messageId, emoji) {
       }
     }
   } catch (error) {
+    if (isServerRejection(error)) {
+      showToast(error.message, 'error');
+      return;
+    }
     console.log('Server unavailable, using local storage');
   }
   
-  // Fallback: Handle locally
-  // Make sure reactions object exists
-  if (!message.reactions) {
-    message.reactions = {};
-  }
-  
-  // Make sure this emoji has an array
-  if (!message.reactions[emoji]) {
-    message.reactions[emoji] = [];
-  }
-  
-  // Check if user already reacted with this emoji
-  const userReacted = message.reactions[emoji].includes(currentUser.username);
-  
-  if (userReacted) {
-    // Remove their reaction
-    message.reactions[emoji] = message.reactions[emoji].filter(function(name) {
-      return name !== currentUser.username;
-    });
-    
-    // Clean up empty arrays
-    if (message.reactions[emoji].length === 0) {
-      delete message.reactions[emoji];
-    }
-  } else {
-    // Add their reaction
-    message.reactions[emoji].push(currentUser.username);
-  }
+  // Fallback: Save it locally and send it when the server is back
+  // Queue whether it should end up on or off, not a toggle
+  const users = (message.reactions && message.reactions[emoji]) || [];
+  const userReacted = users.includes(currentUser.username);
   
-  // Save changes
-  saveGroups(groups);
+  queueOperation('react', currentGroup.id, {
+    messageId: messageId,
+    emoji: emoji,
+    active: !userReacted
+  });
   
   // Hide the emoji picker
   hideEmojiPicker();
@@ -194,6 +169,7 @@ function renderMessages() {
   currentGroup.messages.forEach(function(message) {
     const isOwn = message.sender === currentUser.username;
     const messageClass = isOwn ? 'sent' : 'received';
+    const reactionSync = message.reactionSync || {};
     
     // Build reactions HTML
     let reactionsHtml = '';
@@ -209,7 +185,7 @@ function renderMessages() {
           <span 
             class="reaction-badge ${userReacted ? 'user-reacted' : ''}"
             onclick="addReaction('${message.id}', '${emoji}')"
-            title="${users.join(', ')}">
+            title="${escapeHtml(users.join(', '))}">
             ${emoji} ${count}
           </span>
         `;
@@ -219,12 +195,14 @@ function renderMessages() {
     }
     
     html += `
-      <div class="chat-message ${messageClass}">
+      <div class="chat-message ${messageClass} ${message.syncStatus ? `sync-${message.syncStatus}` : ''}">
         <div class="message-bubble">
-          ${!isOwn ? `<div class="message-sender">${message.sender}</div>` : ''}
-          <div class="message-text">${message.text}</div>
+          ${!isOwn ? `<div class="message-sender">${escapeHtml(message.sender)}</div>` : ''}
+          <div class="message-text">${escapeHtml(message.text)}</div>
           <div class="message-time">${formatTimestamp(message.timestamp)}</div>
           ${reactionsHtml}
+          ${renderSyncStatus(message.syncStatus, message.syncOperationId, message.syncError)}
+          ${renderSyncStatus(reactionSync.status, reactionSync.operationId, reactionSync.error)}
         </div>
         <button 
           class="add-reaction-button" 
@@ -0,0 +1,156 @@
+/*
+  ============================================================
+  BRING LIST - checklist.js
+  ============================================================
+  A checklist on each hangout card for who brings what. Anyone
+  can add an item or claim an open one; whoever claimed it can
+  tick it off or let it go again.
+  
+  The server settles who got an item first, so claiming needs a
+  connection (nothing here is queued offline).
+*/
+
+// Items typed but not added yet, by card section key
+const checklistDrafts = {};
+
+/**
+ * Keep what's been typed so a redraw doesn't lose it
+ */
+function saveChecklistDraft(key, text) {
+  checklistDrafts[key] = text;
+}
+
+/**
+ * Put the server's copy of a hangout's list in place and redraw
+ */
+function updateHangoutChecklist(serverHangout) {
+  const hangout = currentGroup.hangouts.find(h => h.id === serverHangout.id);
+  if (hangout) {
+    hangout.checklist = serverHangout.checklist;
+  }
+  saveGroups(groups);
+  renderHangouts();
+}
+
+/**
+ * Make one checklist API call and show the result
+ * If someone else claimed the item first, show what the server has now.
+ */
+async function runChecklistAction(action) {
+  try {
+    const result = await action();
+    updateHangoutChecklist(result.hangout);
+    return true;
+  } catch (error) {
+    if (!isServerRejection(error)) {
+      showToast('You\'re offline - try again once you reconnect', 'error');
+      return false;
+    }
+    showToast(error.message, 'error');
+    if (error.status === 409) {
+      await refreshCurrentGroup();
+      renderHangouts();
+    }
+    return false;
+  }
+}
+
+/**
+ * Add the item typed into a card's bring list
+ */
+async function addChecklistItem(hangoutId, key) {
+  const text = (checklistDrafts[key] || '').trim();
+  if (text === '') return;
+  
+  // Cleared first so the redraw shows an empty box
+  delete checklistDrafts[key];
+  
+  const added = await runChecklistAction(() => API.addChecklistItem(currentGroup.id, hangoutId, text));
+  if (!added) {
+    checklistDrafts[key] = text;
+  }
+}
+
+/**
+ * Say you'll bring something
+ */
+async function claimChecklistItem(hangoutId, itemId) {
+  await runChecklistAction(() => API.claimChecklistItem(currentGroup.id, hangoutId, itemId));
+}
+
+/**
+ * Let someone else bring it instead
+ */
+async function unclaimChecklistItem(hangoutId, itemId) {
+  await runChecklistAction(() => API.unclaimChecklistItem(currentGroup.id, hangoutId, itemId));
+}
+
+/**
+ * Tick an item off, or back on
+ */
+async function setChecklistItemDone(hangoutId, itemId, done) {
+  await runChecklistAction(() => API.setChecklistItemDone(currentGroup.id, hangoutId, itemId, done));
+}
+
+/**
+ * Take an item off the list
+ */
+async function deleteChecklistItem(hangoutId, itemId) {
+  await runChecklistAction(() => API.deleteChecklistItem(currentGroup.id, hangoutId, itemId));
+}
+
+/**
+ * Build the bring list for a hangout card
+ */
+function renderChecklist(hangout) {
+  // Offline-made hangouts don't exist on the server yet
+  if (hangout.syncStatus) return '';
+  
+  const items = hangout.checklist || [];
+  const key = getCardSectionKey('checklist', hangout);
+  const doneCount = items.filter(item => item.done).length;
+  const me = currentUser.username;
+  
+  let itemsHtml = '';
+  items.forEach(function(item) {
+    const isMine = item.claimedBy === me;
+    const canTick = !item.claimedBy || isMine;
+    
+    let claimHtml;
+    if (isMine) {
+      claimHtml = `
+        <span class="checklist-claimer mine">✋ You</span>
+        <button class="outline-button small" onclick="unclaimChecklistItem('${hangout.id}', '${item.id}')">Let go</button>
+      `;
+    } else if (item.claimedBy) {
+      claimHtml = `<span class="checklist-claimer">✋ ${escapeHtml(item.claimedBy)}</span>`;
+    } else {
+      claimHtml = `<button class="outline-button small" onclick="claimChecklistItem('${hangout.id}', '${item.id}')">I'll bring it</button>`;
+    }
+    
+    itemsHtml += `
+      <li class="checklist-item ${item.done ? 'done' : ''} ${item.claimedBy ? 'claimed' : ''}">
+        <input type="checkbox" ${item.done ? 'checked' : ''} ${canTick ? '' : 'disabled'}
+          onchange="setChecklistItemDone('${hangout.id}', '${item.id}', this.checked)">
+        <span class="checklist-text">${escapeHtml(item.text)}</span>
+        ${claimHtml}
+        ${item.addedBy === me ? `<button class="icon-button" onclick="deleteChecklistItem('${hangout.id}', '${item.id}')" title="Remove item">🗑️</button>` : ''}
+      </li>
+    `;
+  });
+  
+  return `
+    <details class="checklist" ${openCardSections.has(key) ? 'open' : ''}
+      ontoggle="toggleCardSection('${key}', this.open)">
+      <summary>🧺 Bring list (${items.length > 0 ? `${doneCount}/${items.length} done` : 'empty'})</summary>
+      ${items.length > 0 ? `<ul class="checklist-items">${itemsHtml}</ul>` : ''}
+      <div class="checklist-input-row">
+        <input type="text" class="text-input checklist-input" maxlength="80" placeholder="Add something to bring..."
+          value="${escapeHtml(checklistDrafts[key] || '')}"
+          oninput="saveChecklistDraft('${key}', this.value)"
+          onkeypress="if (event.key === 'Enter') addChecklistItem('${hangout.id}', '${key}')">
+        <button class="outline-button small" onclick="addChecklistItem('${hangout.id}', '${key}')">Add</button>
+      </div>
+    </details>
+  `;
+}
@@ -0,0 +1,202 @@
+/*
+  ============================================================
+  HANGOUT COMMENTS - comments.js
+  ============================================================
+  Each hangout card has its own comment thread, so talk about
+  one hangout stays out of the group chat. Repeating hangouts
+  share one thread for the whole series.
+  
+  Threads are collapsed by default; the ones you've opened stay
+  open when the cards are redrawn.
+*/
+
+// Comments typed but not sent yet, by card section key
+const commentDrafts = {};
+
+/**
+ * The card section key for a hangout's thread
+ */
+function getCommentThreadKey(hangoutId, occurrence) {
+  return getCardSectionKey('comments', { id: hangoutId, occurrence: occurrence });
+}
+
+/**
+ * Remember whether a thread is open (and catch up on it when it opens)
+ */
+async function toggleCommentThread(hangoutId, occurrence, isOpen) {
+  toggleCardSection(getCommentThreadKey(hangoutId, occurrence), isOpen);
+  
+  if (!isOpen || !isServerAvailable) return;
+  
+  try {
+    const result = await API.getComments(currentGroup.id, hangoutId);
+    const hangout = currentGroup.hangouts.find(h => h.id === hangoutId);
+    if (hangout && JSON.stringify(result.comments) !== JSON.stringify(hangout.comments || [])) {
+      // Keep anything still waiting to sync
+      hangout.comments = result.comments;
+      currentGroup = applyOutboxToGroup(currentGroup);
+      saveGroups(groups);
+      renderHangouts();
+    }
+  } catch (error) {
+    // The copy we already have will do
+  }
+}
+
+/**
+ * Keep what's been typed so a redraw doesn't lose it
+ */
+function saveCommentDraft(hangoutId, occurrence, text) {
+  commentDrafts[getCommentThreadKey(hangoutId, occurrence)] = text;
+}
+
+/**
+ * Post a comment on a hangout
+ */
+async function postComment(hangoutId, occurrence) {
+  const key = getCommentThreadKey(hangoutId, occurrence);
+  const text = (commentDrafts[key] || '').trim();
+  
+  // Don't send empty comments
+  if (text === '') {
+    return;
+  }
+  
+  // Clear the draft straight away
+  delete commentDrafts[key];
+  
+  const clientId = generateId();
+  
+  try {
+    if (isServerAvailable) {
+      const result = await API.postComment(currentGroup.id, hangoutId, text, clientId);
+      if (result.success) {
+        const hangout = currentGroup.hangouts.find(h => h.id === hangoutId);
+        if (hangout) {
+          hangout.comments = result.comments;
+        }
+        saveGroups(groups);
+        renderHangouts();
+        return;
+      }
+    }
+  } catch (error) {
+    if (isServerRejection(error)) {
+      commentDrafts[key] = text;
+      showToast(error.message, 'error');
+      return;
+    }
+    console.log('Server unavailable, using local storage');
+  }
+  
+  // Fallback: Save it locally and send it when the server is back
+  queueOperation('postComment', currentGroup.id, {
+    hangoutId: hangoutId,
+    clientId: clientId,
+    text: text
+  });
+  
+  renderHangouts();
+}
+
+/**
+ * Add or remove your reaction on a comment
+ */
+async function reactToComment(hangoutId, commentId, emoji) {
+  const hangout = currentGroup.hangouts.find(h => h.id === hangoutId);
+  const comment = hangout && (hangout.comments || []).find(c => c.id === commentId);
+  if (!comment) return;
+  
+  // Say which way it should end up, so a replay can't flip it back
+  const users = (comment.reactions && comment.reactions[emoji]) || [];
+  const active = !users.includes(currentUser.username);
+  
+  try {
+    if (isServerAvailable) {
+      const result = await API.reactToComment(currentGroup.id, hangoutId, commentId, emoji, active);
+      if (result.success) {
+        comment.reactions = result.comment.reactions;
+        saveGroups(groups);
+        renderHangouts();
+        return;
+      }
+    }
+  } catch (error) {
+    if (isServerRejection(error)) {
+      showToast(error.message, 'error');
+      return;
+    }
+    console.log('Server unavailable, using local storage');
+  }
+  
+  // Fallback: Save it locally and send it when the server is back
+  queueOperation('reactToComment', currentGroup.id, {
+    hangoutId: hangoutId,
+    commentId: commentId,
+    emoji: emoji,
+    active: active
+  });
+  
+  renderHangouts();
+}
+
+/**
+ * Build the collapsible comment thread for a hangout card
+ */
+function renderCommentThread(hangout) {
+  // Offline-made hangouts don't exist on the server yet
+  if (hangout.syncStatus) return '';
+  
+  const comments = hangout.comments || [];
+  const key = getCommentThreadKey(hangout.id, hangout.occurrence);
+  const occurrenceArg = hangout.occurrence ? `'${hangout.occurrence}'` : 'null';
+  
+  let commentsHtml = '';
+  comments.forEach(function(comment) {
+    const reactionSync = comment.reactionSync || {};
+    
+    // One button per emoji, with a count once someone has used it
+    let reactionsHtml = '';
+    getReactionEmojis().forEach(function(emoji) {
+      const users = (comment.reactions && comment.reactions[emoji]) || [];
+      const userReacted = users.includes(currentUser.username);
+      
+      reactionsHtml += `
+        <button
+          class="comment-reaction ${users.length > 0 ? 'used' : ''} ${userReacted ? 'user-reacted' : ''}"
+          onclick="reactToComment('${hangout.id}', '${comment.id}', '${emoji}')"
+          title="${escapeHtml(users.join(', '))}">
+          ${emoji}${users.length > 0 ? ` ${users.length}` : ''}
+        </button>
+      `;
+    });
+    
+    commentsHtml += `
+      <li class="comment ${comment.syncStatus ? `sync-${comment.syncStatus}` : ''}">
+        <div class="comment-header">
+          <span class="comment-sender">${escapeHtml(comment.sender)}</span>
+          <span class="comment-time">${formatTimestamp(comment.timestamp)}</span>
+        </div>
+        <div class="comment-text">${escapeHtml(comment.text)}</div>
+        <div class="comment-reactions">${reactionsHtml}</div>
+        ${renderSyncStatus(comment.syncStatus, comment.syncOperationId, comment.syncError)}
+        ${renderSyncStatus(reactionSync.status, reactionSync.operationId, reactionSync.error)}
+      </li>
+    `;
+  });
+  
+  return `
+    <details class="comment-thread" ${openCardSections.has(key) ? 'open' : ''}
+      ontoggle="toggleCommentThread('${hangout.id}', ${occurrenceArg}, this.open)">
+      <summary>💬 Comments (${comments.length})</summary>
+      ${comments.length > 0 ? `<ul class="comment-list">${commentsHtml}</ul>` : '<p class="no-comments">No comments yet - ask about plans here</p>'}
+      <div class="comment-input-row">
+        <input type="text" class="text-input comment-input" placeholder="Add a comment..."
+          value="${escapeHtml(commentDrafts[key] || '')}"
+          oninput="saveCommentDraft('${hangout.id}', ${occurrenceArg}, this.value)"
+          onkeypress="if (event.key === 'Enter') postComment('${hangout.id}', ${occurrenceArg})">
+        <button class="primary-button small" onclick="postComment('${hangout.id}', ${occurrenceArg})">Send</button>
+      </div>
+    </details>
+  `;
+}
@@ -0,0 +1,152 @@
+/*
+  ============================================================
+  CONFIRMATION RULES - confirmation.js
+  ============================================================
+  When does a hangout count as "confirmed"? A hangout can have
+  its own rule, otherwise the group's rule is used, otherwise
+  more than half the group has to be going.
+  
+  The server works out the status (server/confirmation.js); this
+  file only shows and edits the rules.
+  
+  A RULE looks like this (every part is optional):
+  {
+    minGoing: 4,                   - at least this many going
+    requiredAttendees: ["Alice"],  - these people have to be going
+    minPercentGoing: 60,           - this % of everyone who answered is going
+    decideHoursBefore: 24          - after this, not confirmed means cancelled
+  }
+*/
+
+/**
+ * Describe a rule in a few words
+ * e.g. "4+ going, Alice going, decided 24h before"
+ */
+function describeConfirmationRule(rule) {
+  if (!rule) return 'more than half the group is going';
+  
+  const parts = [];
+  if (rule.minGoing) {
+    parts.push(`${rule.minGoing}+ going`);
+  }
+  if (rule.requiredAttendees) {
+    parts.push(`${rule.requiredAttendees.join(' and ')} going`);
+  }
+  if (rule.minPercentGoing) {
+    parts.push(`${rule.minPercentGoing}% of answers are "going"`);
+  }
+  if (parts.length === 0) {
+    // Only a deadline: the usual majority, decided in time
+    parts.push('more than half the group is going');
+  }
+  if (rule.decideHoursBefore !== undefined) {
+    parts.push(`decided ${rule.decideHoursBefore}h before`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Fill a container with the inputs for editing a rule
+ */
+function renderConfirmationFields(container, rule, members) {
+  rule = rule || {};
+  const required = rule.requiredAttendees || [];
+  
+  let memberBoxes = '';
+  members.forEach(function(member) {
+    memberBoxes += `
+      <label><input type="checkbox" class="confirm-required" value="${escapeHtml(member)}" ${required.includes(member) ? 'checked' : ''}> ${escapeHtml(member)}</label>
+    `;
+  });
+  
+  container.innerHTML = `
+    <label class="confirmation-field">
+      At least <input type="number" class="text-input confirm-min-going" min="1" value="${rule.minGoing || ''}"> going
+    </label>
+    <label class="confirmation-field">
+      At least <input type="number" class="text-input confirm-percent" min="1" max="100" value="${rule.minPercentGoing || ''}"> % of answers are "going"
+    </label>
+    <div class="confirmation-field required-attendees">
+      <span>Has to come:</span>
+      ${memberBoxes}
+    </div>
+    <label class="confirmation-field">
+      Decide <input type="number" class="text-input confirm-decide-hours" min="0" value="${rule.decideHoursBefore !== undefined ? rule.decideHoursBefore : ''}"> hours before it starts
+    </label>
+  `;
+}
+
+/**
+ * Read a rule back out of the inputs
+ * Returns the rule, null if everything is empty, or false if it isn't valid
+ */
+function readConfirmationFields(container) {
+  const minGoing = container.querySelector('.confirm-min-going').value.trim();
+  const percent = container.querySelector('.confirm-percent').value.trim();
+  const decideHours = container.querySelector('.confirm-decide-hours').value.trim();
+  const required = Array.from(container.querySelectorAll('.confirm-required:checked')).map(box => box.value);
+  
+  if (!minGoing && !percent && required.length === 0 && !decideHours) {
+    return null;
+  }
+  
+  const rule = {};
+  if (minGoing) rule.minGoing = Number(minGoing);
+  if (percent) rule.minPercentGoing = Number(percent);
+  if (required.length > 0) rule.requiredAttendees = required;
+  if (decideHours) rule.decideHoursBefore = Number(decideHours);
+  
+  const numbers = [rule.minGoing, rule.minPercentGoing, rule.decideHoursBefore].filter(n => n !== undefined);
+  if (numbers.some(n => !Number.isInteger(n) || n < 0)) {
+    return false;
+  }
+  
+  return rule;
+}
+
+/**
+ * Show the group's rule in the sidebar
+ */
+function renderGroupConfirmationRule() {
+  const summary = document.getElementById('group-confirmation-summary');
+  if (summary) {
+    summary.textContent = `A hangout is confirmed when ${describeConfirmationRule(currentGroup.confirmationRule)}.`;
+  }
+}
+
+/**
+ * Open the group rule editor with the current rule in it
+ */
+function showGroupConfirmationFields() {
+  const container = document.getElementById('group-confirmation-fields');
+  if (container) {
+    renderConfirmationFields(container, currentGroup.confirmationRule, currentGroup.members);
+  }
+}
+
+/**
+ * Save the group's rule (or pass null to go back to "more than half")
+ */
+async function saveGroupConfirmationRule(rule) {
+  if (rule === undefined) {
+    rule = readConfirmationFields(document.getElementById('group-confirmation-fields'));
+  }
+  
+  if (rule === false) {
+    showToast('The numbers in the rule have to be whole numbers', 'error');
+    return;
+  }
+  
+  try {
+    const result = await API.setGroupConfirmationRule(currentGroup.id, rule);
+    // Every status may have changed (keeping anything still waiting to sync)
+    currentGroup.confirmationRule = result.group.confirmationRule;
+    currentGroup.hangouts = applyOutboxToGroup(result.group).hangouts;
+    saveGroups(groups);
+    showToast('Confirmation rule saved ✅', 'success');
+    showGroupConfirmationFields();
+    renderHangouts();
+  } catch (error) {
+    showToast(isServerRejection(error) ? error.message : 'You\'re offline - try again once you reconnect', 'error');
+  }
+}
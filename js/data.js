@@ -12,6 +12,8 @@
 const STORAGE_KEY_GROUPS = 'hang-hive-groups';
 const STORAGE_KEY_DARK_MODE = 'hangHive-darkMode';
 const STORAGE_KEY_USER = 'hangHive-user';
+const STORAGE_KEY_TOKEN = 'hangHive-token';
+const STORAGE_KEY_OUTBOX = 'hangHive-outbox';
 
 // ==========================================
 // LOCAL STORAGE FUNCTIONS (for dark mode and user session)
@@ -40,6 +42,25 @@ function saveUser(user) {
   }
 }
 
+/**
+ * Load the session token the server gave us at login
+ * Returns null if there isn't one
+ */
+function loadSessionToken() {
+  return localStorage.getItem(STORAGE_KEY_TOKEN);
+}
+
+/**
+ * Save the session token (or clear it by passing null)
+ */
+function saveSessionToken(token) {
+  if (token) {
+    localStorage.setItem(STORAGE_KEY_TOKEN, token);
+  } else {
+    localStorage.removeItem(STORAGE_KEY_TOKEN);
+  }
+}
+
 /**
  * Check if dark mode is enabled
  */
@@ -54,6 +75,21 @@ function saveDarkMode(enabled) {
   localStorage.setItem(STORAGE_KEY_DARK_MODE, enabled.toString());
 }
 
+/**
+ * Load the queue of changes waiting to be sent to the server
+ */
+function loadOutbox() {
+  const saved = localStorage.getItem(STORAGE_KEY_OUTBOX);
+  return saved ? JSON.parse(saved) : [];
+}
+
+/**
+ * Save the queue of changes waiting to be sent to the server
+ */
+function saveOutbox(operations) {
+  localStorage.setItem(STORAGE_KEY_OUTBOX, JSON.stringify(operations));
+}
+
 // ==========================================
 // GROUPS - Now loaded from server
 // ==========================================
@@ -80,7 +116,8 @@ function saveGroups(groupsData) {
  */
 async function loadGroupsFromServer() {
   try {
-    const serverGroups = await API.getGroups(currentUser.username);
+    // Changes still waiting in the outbox go back on top of the server's copy
+    const serverGroups = applyOutbox(await API.getGroups());
     // Also save locally as backup
     localStorage.setItem(STORAGE_KEY_GROUPS, JSON.stringify(serverGroups));
     // Update the global groups variable
@@ -100,7 +137,7 @@ async function refreshCurrentGroup() {
   if (!currentGroup) return;
   
   try {
-    const group = await API.getGroup(currentGroup.id);
+    const group = applyOutboxToGroup(await API.getGroup(currentGroup.id));
     currentGroup = group;
     
     // Update in the groups array too
@@ -125,7 +162,38 @@ async function refreshCurrentGroup() {
     code: "FRI-789",       - code to share with friends
     members: ["Alice", "Bob"], - list of member names
     createdBy: "Alice",    - who made the group
+    roles: {               - the owner and admins; everyone else is a member (see roles.js)
+      "Alice": "owner",
+      "Bob": "admin"
+    },
+    invites: [{            - extra invite codes (see invites.js)
+      id: "i1", code: "K7PQ-M2XD-9RWT", label: "Office friends", createdBy: "Alice",
+      createdAt: "2024-...", expiresAt: "2024-...", maxUses: 5, revokedAt: null
+    }],
+    joins: [               - who joined with which code (inviteId null = the group code)
+      { username: "Bob", inviteId: "i1", joinedAt: "2024-..." }
+    ],
+    description: "Board games every other Friday", - (see group-settings.js)
+    emoji: "🎲",           - the group's avatar (null = first letter of the name)
+    color: "purple",       - the avatar's background (null = amber)
+    defaultLocation: "Jake's house", - filled in when proposing a hangout
+    archivedAt: null,      - when it was archived (read-only until unarchived)
+    archivedBy: null,      - who archived it
+    requireApproval: false, - do new members have to be let in? (see join-requests.js)
+    joinRequests: [        - people waiting to be let in
+      { username: "Carol", inviteId: null, requestedAt: "2024-..." }
+    ],
+    bans: [                - removed people who can't rejoin yet (see roles.js)
+      { username: "Dave", bannedBy: "Alice", bannedAt: "2024-..." }
+    ],
+    trashedAt: null,       - when the last member left (see trash.js); it has no members then
+    trashedBy: null,       - that last member, the only one who can restore it
+    purgeAt: null,         - when it's deleted for good
     createdAt: "2024-...", - when it was made
+    confirmationRule: null, - default rule for when hangouts are confirmed
+    availability: {        - everyone's free/busy blocks (see availability.js)
+      "Alice": [{ id: "b1", date: "2024-03-15", start: "18:00", end: "22:00", status: "free" }]
+    },
     hangouts: [...],       - list of hangouts (see below)
     messages: [...]        - list of chat messages (see below)
   }
@@ -140,11 +208,58 @@ async function refreshCurrentGroup() {
     description: "Bring snacks!",
     proposedBy: "Alice",
     createdAt: "2024-...",
-    responses: {           - who responded and how
-      "Alice": "going",
-      "Bob": "maybe",
-      "Carol": "notGoing"
-    }
+    capacity: 6,           - most people who can go (null = no limit)
+    confirmation: null,    - own rule for when it's confirmed (null = the group's, see confirmation.js)
+    status: "pending",     - worked out by the server: voting, confirmed, pending or cancelled
+    rsvpDeadline: "2024-03-14T18:00:00.000Z", - after this only the proposer can answer (null = none)
+    rsvpDefault: "notGoing", - what members who didn't answer in time count as (null = nothing)
+    noAnswer: ["Eve"],     - who got rsvpDefault because they missed the deadline
+    responses: {           - who responded and how (older versions saved just the string)
+      "Alice": { response: "going", guests: 1, note: "Coming with Sam" },
+      "Bob": { response: "maybe", guests: 0, note: "" },
+      "Carol": { response: "notGoing", guests: 0, note: "" },
+      "Dave": { response: "waitlisted", guests: 0, note: "" }  - said "going" when it was full
+    },
+    waitlist: ["Dave"],    - first in line gets the next free spot
+    slots: [               - only for time polls (date and time are null until one is locked in)
+      { id: "s1", date: "2024-03-15", time: "19:00", votes: { "Alice": "yes", "Bob": "ifNeedBe" } }
+    ],
+    lockedSlotId: "s1",    - the winning option, once the proposer picks it
+    history: [             - every edit the proposer made, oldest first
+      { id: "r1", changedBy: "Alice", changedAt: "2024-...",
+        changes: { time: { from: "19:00", to: "20:00" } }, responsesReset: false }
+    ],
+    recurrence: {          - only for repeating hangouts (see recurrence.js);
+      frequency: "weekly", -   "date" is then the first one
+      interval: 1,
+      weekdays: [5],
+      until: null,
+      count: null
+    },
+    occurrences: {         - per-date RSVPs, waitlist and one-off changes, keyed by the original date
+      "2024-03-22": { responses: { "Alice": { response: "going", guests: 0, note: "" } }, waitlist: [], changes: { time: "20:00" }, skipped: false, status: "pending" }
+    },
+    expenses: [            - who paid for what (amounts in cents, see expenses.js)
+      { id: "e1", description: "Pizza", amount: 4250, currency: "USD", paidBy: "Alice",
+        split: { type: "equal", among: ["Alice", "Bob"] }, shares: { "Alice": 2125, "Bob": 2125 },
+        occurrence: null, addedBy: "Alice", createdAt: "2024-..." }
+    ],
+    payments: [            - money paid back to settle up the expenses
+      { id: "p1", from: "Bob", to: "Alice", amount: 2125, currency: "USD", recordedBy: "Alice", paidAt: "2024-..." }
+    ],
+    rides: [               - carpools (see rides.js); seats don't count the driver
+      { id: "r1", driver: "Alice", seats: 3, departFrom: "Main St", departAt: "17:30",
+        passengers: ["Bob"], occurrence: null, createdAt: "2024-..." }
+    ],
+    rideRequests: [        - who has asked for a ride
+      { username: "Carol", occurrence: null }
+    ],
+    checklist: [           - the bring list (see checklist.js)
+      { id: "i1", text: "Snacks", addedBy: "Alice", claimedBy: "Bob", done: false, createdAt: "2024-..." }
+    ],
+    comments: [            - the hangout's own thread, oldest first (see comments.js)
+      { id: "c1", text: "Who's bringing popcorn?", sender: "Bob", timestamp: "2024-...", reactions: { "😂": ["Alice"] } }
+    ]
   }
   
   A MESSAGE looks like this:
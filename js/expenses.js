@@ -0,0 +1,408 @@
+/*
+  ============================================================
+  EXPENSES - expenses.js
+  ============================================================
+  Who paid for what at a hangout, split between the people
+  going, and what everyone owes across the whole group.
+  
+  The server does the splitting and the sums (server/expenses.js);
+  amounts travel in cents so nothing gets lost to rounding.
+  Adding expenses needs a connection - they aren't queued offline.
+  
+  Each hangout also lists who still has to pay whom for it; marking
+  those paid settles the hangout up (it can't be deleted until then).
+*/
+
+// The open group's balances and settle-up list, from the server
+let groupBalances = null;
+
+/**
+ * Format cents as money, e.g. 4250, "USD" -> "$42.50"
+ */
+function formatMoney(cents, currency) {
+  return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency }).format(cents / 100);
+}
+
+/**
+ * Read an amount typed as "42.50" into cents
+ * Returns null if it isn't a number
+ */
+function parseMoney(text) {
+  const value = parseFloat(text);
+  return isNaN(value) ? null : Math.round(value * 100);
+}
+
+/**
+ * The currency this group used last, for the new expense form
+ */
+function getLastCurrency() {
+  let last = null;
+  currentGroup.hangouts.forEach(function(hangout) {
+    (hangout.expenses || []).forEach(function(expense) {
+      if (!last || expense.createdAt > last.createdAt) last = expense;
+    });
+  });
+  return last ? last.currency : 'USD';
+}
+
+/**
+ * Show or hide the per-person inputs when the split type changes
+ */
+function changeSplitType(select) {
+  select.closest('.expense-form').dataset.split = select.value;
+}
+
+/**
+ * Read the new expense form on a card
+ * Returns the expense, or null (after saying why) if something's missing
+ */
+function readExpenseForm(form) {
+  const amount = parseMoney(form.querySelector('.expense-amount-input').value);
+  const type = form.querySelector('.expense-split-select').value;
+  
+  if (!amount || amount <= 0) {
+    showToast('Enter how much it cost', 'error');
+    return null;
+  }
+  
+  const rows = Array.from(form.querySelectorAll('.split-row')).filter(row => row.querySelector('.split-include').checked);
+  if (rows.length === 0) {
+    showToast('Pick who to split it between', 'error');
+    return null;
+  }
+  
+  const split = { type: type };
+  if (type === 'equal') {
+    split.among = rows.map(row => row.dataset.username);
+  } else {
+    const values = {};
+    rows.forEach(function(row) {
+      values[row.dataset.username] = type === 'weighted'
+        ? Number(row.querySelector('.split-weight').value)
+        : parseMoney(row.querySelector('.split-amount').value);
+    });
+    split[type === 'weighted' ? 'weights' : 'amounts'] = values;
+  }
+  
+  return {
+    description: form.querySelector('.expense-description-input').value.trim(),
+    amount: amount,
+    currency: form.querySelector('.expense-currency-input').value.trim().toUpperCase(),
+    paidBy: form.querySelector('.expense-paid-by-select').value,
+    split: split
+  };
+}
+
+/**
+ * Add the expense typed into a card's form
+ */
+async function addExpense(button, hangoutId, occurrence) {
+  const expense = readExpenseForm(button.closest('.expense-form'));
+  if (!expense) return;
+  
+  if (occurrence) {
+    expense.occurrence = occurrence;
+  }
+  
+  try {
+    const result = await API.addExpense(currentGroup.id, hangoutId, expense);
+    updateHangoutExpenses(result.hangout);
+    showToast('Expense added 💸', 'success');
+  } catch (error) {
+    showToast(isServerRejection(error) ? error.message : 'You\'re offline - try again once you reconnect', 'error');
+  }
+}
+
+/**
+ * Take an expense back out
+ */
+async function deleteExpense(hangoutId, expenseId) {
+  if (!confirm('Delete this expense? Everyone\'s balances will change.')) {
+    return;
+  }
+  
+  try {
+    const result = await API.deleteExpense(currentGroup.id, hangoutId, expenseId);
+    updateHangoutExpenses(result.hangout);
+    showToast('Expense deleted', 'success');
+  } catch (error) {
+    showToast(isServerRejection(error) ? error.message : 'You\'re offline - try again once you reconnect', 'error');
+  }
+}
+
+/**
+ * Mark one of a hangout's settle-up payments as paid
+ */
+async function markPaymentPaid(hangoutId, from, to, currency) {
+  try {
+    const result = await API.markPaymentPaid(currentGroup.id, hangoutId, { from, to, currency });
+    updateHangoutExpenses(result.hangout);
+    showToast('Marked as paid 🤝', 'success');
+  } catch (error) {
+    showToast(isServerRejection(error) ? error.message : 'You\'re offline - try again once you reconnect', 'error');
+  }
+}
+
+/**
+ * Take back a payment that was marked by mistake
+ */
+async function deletePayment(hangoutId, paymentId) {
+  if (!confirm('Take this payment back? It will be owed again.')) {
+    return;
+  }
+  
+  try {
+    const result = await API.deletePayment(currentGroup.id, hangoutId, paymentId);
+    updateHangoutExpenses(result.hangout);
+    showToast('Payment taken back', 'success');
+  } catch (error) {
+    showToast(isServerRejection(error) ? error.message : 'You\'re offline - try again once you reconnect', 'error');
+  }
+}
+
+/**
+ * Put the server's copy of a hangout's expenses in place and redraw
+ */
+function updateHangoutExpenses(serverHangout) {
+  const hangout = currentGroup.hangouts.find(h => h.id === serverHangout.id);
+  if (hangout) {
+    hangout.expenses = serverHangout.expenses;
+    hangout.payments = serverHangout.payments;
+  }
+  saveGroups(groups);
+  renderHangouts();
+  loadBalances();
+}
+
+/**
+ * Describe how an expense was split, e.g. "split equally between Alice and Bob"
+ */
+function describeSplit(expense) {
+  const names = Object.keys(expense.shares);
+  const labels = { equal: 'split equally', weighted: 'split by weight', exact: 'split by amount' };
+  return `${labels[expense.split.type]} between ${names.join(', ')}`;
+}
+
+/**
+ * Who still has to pay whom to square up one hangout, as
+ * [{ from, to, amount, currency }]
+ * Worked out the same way as hangoutTransfers() in server/expenses.js,
+ * which the "Mark paid" buttons have to match.
+ */
+function getHangoutTransfers(hangout) {
+  const balances = {};
+  function add(currency, name, cents) {
+    const balance = balances[currency] || (balances[currency] = {});
+    balance[name] = (balance[name] || 0) + cents;
+  }
+  
+  (hangout.expenses || []).forEach(function(expense) {
+    add(expense.currency, expense.paidBy, expense.amount);
+    Object.entries(expense.shares).forEach(([name, share]) => add(expense.currency, name, -share));
+  });
+  (hangout.payments || []).forEach(function(payment) {
+    add(payment.currency, payment.from, payment.amount);
+    add(payment.currency, payment.to, -payment.amount);
+  });
+  
+  // The biggest debt goes to the biggest creditor first
+  const transfers = [];
+  Object.entries(balances).forEach(function([currency, balance]) {
+    const creditors = Object.entries(balance).filter(([, cents]) => cents > 0).map(([name, cents]) => ({ name, cents }));
+    const debtors = Object.entries(balance).filter(([, cents]) => cents < 0).map(([name, cents]) => ({ name, cents: -cents }));
+    
+    while (creditors.length > 0 && debtors.length > 0) {
+      creditors.sort((a, b) => b.cents - a.cents);
+      debtors.sort((a, b) => b.cents - a.cents);
+      
+      const amount = Math.min(creditors[0].cents, debtors[0].cents);
+      transfers.push({ from: debtors[0].name, to: creditors[0].name, amount, currency });
+      
+      creditors[0].cents -= amount;
+      debtors[0].cents -= amount;
+      if (creditors[0].cents === 0) creditors.shift();
+      if (debtors[0].cents === 0) debtors.shift();
+    }
+  });
+  return transfers;
+}
+
+/**
+ * Build the settle-up part of a hangout's expenses: what's still owed
+ * for it, with "Mark paid" for the two people in each payment, and
+ * what's been paid back so far
+ */
+function renderHangoutSettleUp(hangout) {
+  const me = currentUser.username;
+  const transfers = getHangoutTransfers(hangout);
+  const payments = hangout.payments || [];
+  if (transfers.length === 0 && payments.length === 0) return '';
+  
+  // Repeating hangouts settle up the whole series at once
+  const heading = hangout.recurrence ? 'Settle up (whole series)' : 'Settle up';
+  
+  let html = `<div class="hangout-settle-up"><div class="expense-meta">${heading}${transfers.length === 0 ? ' - all paid 🤝' : ''}</div><ul class="expense-list">`;
+  transfers.forEach(function(transfer) {
+    const canMark = transfer.from === me || transfer.to === me;
+    html += `
+      <li class="expense-item">
+        <div>${escapeHtml(transfer.from)} → ${escapeHtml(transfer.to)}: <strong>${formatMoney(transfer.amount, transfer.currency)}</strong></div>
+        ${canMark ? `<button class="outline-button small" onclick="markPaymentPaid('${hangout.id}', ${escapeJsArg(transfer.from)}, ${escapeJsArg(transfer.to)}, '${transfer.currency}')">Mark paid</button>` : ''}
+      </li>
+    `;
+  });
+  payments.forEach(function(payment) {
+    const canDelete = payment.from === me || payment.to === me;
+    html += `
+      <li class="expense-item">
+        <div class="expense-meta">✓ ${escapeHtml(payment.from)} paid ${escapeHtml(payment.to)} ${formatMoney(payment.amount, payment.currency)}</div>
+        ${canDelete ? `<button class="icon-button" onclick="deletePayment('${hangout.id}', '${payment.id}')" title="Take payment back">✕</button>` : ''}
+      </li>
+    `;
+  });
+  return html + '</ul></div>';
+}
+
+/**
+ * Build the expenses section for a hangout card
+ */
+function renderExpenseSection(hangout) {
+  // Offline-made hangouts don't exist on the server yet
+  if (hangout.syncStatus) return '';
+  
+  const key = getCardSectionKey('expenses', hangout);
+  const occurrenceArg = hangout.occurrence ? `, '${hangout.occurrence}'` : '';
+  
+  // Repeating hangouts keep one list, tagged with the date
+  const expenses = (hangout.expenses || []).filter(e => (e.occurrence || null) === (hangout.occurrence || null));
+  const going = Object.keys(hangout.responses).filter(name => getRsvp(hangout.responses, name).response === 'going');
+  
+  let itemsHtml = '';
+  expenses.forEach(function(expense) {
+    const canDelete = expense.addedBy === currentUser.username || expense.paidBy === currentUser.username;
+    const shares = Object.entries(expense.shares)
+      .map(([name, cents]) => `${name}: ${formatMoney(cents, expense.currency)}`)
+      .join(', ');
+    
+    itemsHtml += `
+      <li class="expense-item">
+        <div>
+          <strong>${escapeHtml(expense.description)}</strong> · ${formatMoney(expense.amount, expense.currency)}
+          <div class="expense-meta" title="${escapeHtml(shares)}">Paid by ${escapeHtml(expense.paidBy)}, ${escapeHtml(describeSplit(expense))}</div>
+        </div>
+        ${canDelete ? `<button class="icon-button delete-expense" onclick="deleteExpense('${hangout.id}', '${expense.id}')" title="Delete expense">🗑️</button>` : ''}
+      </li>
+    `;
+  });
+  
+  // One row per person going: include them, and their weight or exact amount
+  // (weights start at their party size, so guests are paid for)
+  let splitRowsHtml = '';
+  going.forEach(function(username) {
+    const rsvp = getRsvp(hangout.responses, username);
+    splitRowsHtml += `
+      <label class="split-row" data-username="${escapeHtml(username)}">
+        <input type="checkbox" class="split-include" checked>
+        ${escapeHtml(username)}
+        <input type="number" class="text-input split-weight" min="1" step="1" value="${1 + (rsvp.guests || 0)}" title="Weight">
+        <input type="number" class="text-input split-amount" min="0" step="0.01" placeholder="0.00" title="Amount">
+      </label>
+    `;
+  });
+  
+  let payerOptions = '';
+  currentGroup.members.forEach(function(member) {
+    payerOptions += `<option value="${escapeHtml(member)}" ${member === currentUser.username ? 'selected' : ''}>${escapeHtml(member)}</option>`;
+  });
+  
+  return `
+    <details class="expense-section" ${openCardSections.has(key) ? 'open' : ''}
+      ontoggle="toggleCardSection('${key}', this.open)">
+      <summary>💸 Expenses (${expenses.length})</summary>
+      ${expenses.length > 0 ? `<ul class="expense-list">${itemsHtml}</ul>` : ''}
+      ${renderHangoutSettleUp(hangout)}
+      ${going.length === 0 ? '<p class="no-expenses">Costs are shared between the people going - nobody is yet</p>' : `
+        <div class="expense-form" data-split="equal">
+          <div class="expense-form-row">
+            <input type="text" class="text-input expense-description-input" maxlength="80" placeholder="What for? e.g. Pizza">
+            <input type="number" class="text-input expense-amount-input" min="0" step="0.01" placeholder="0.00">
+            <input type="text" class="text-input expense-currency-input" maxlength="3" value="${getLastCurrency()}">
+          </div>
+          <div class="expense-form-row">
+            <label>Paid by <select class="text-input expense-paid-by-select">${payerOptions}</select></label>
+            <select class="text-input expense-split-select" onchange="changeSplitType(this)">
+              <option value="equal">Split equally</option>
+              <option value="weighted">Split by weight</option>
+              <option value="exact">Exact amounts</option>
+            </select>
+          </div>
+          <div class="split-rows">${splitRowsHtml}</div>
+          <button class="primary-button small" onclick="addExpense(this, '${hangout.id}'${occurrenceArg})">Add expense</button>
+        </div>
+      `}
+    </details>
+  `;
+}
+
+/**
+ * Get the open group's balances from the server and show them
+ */
+async function loadBalances() {
+  if (!currentGroup) return;
+  const groupId = currentGroup.id;
+  
+  try {
+    const result = await API.getBalances(groupId);
+    // Ignore it if another group was opened meanwhile
+    if (!currentGroup || currentGroup.id !== groupId) return;
+    groupBalances = result;
+  } catch (error) {
+    groupBalances = null;
+  }
+  renderBalances();
+}
+
+/**
+ * Show everyone's balance and the settle-up list in the sidebar
+ */
+function renderBalances() {
+  const container = document.getElementById('balances-list');
+  if (!container) return;
+  
+  if (!groupBalances) {
+    container.innerHTML = '<p class="no-expenses">Balances show up once you\'re online</p>';
+    return;
+  }
+  
+  const currencies = Object.keys(groupBalances.balances);
+  if (currencies.length === 0) {
+    container.innerHTML = '<p class="no-expenses">Everyone is square 🤝</p>';
+    return;
+  }
+  
+  let html = '';
+  currencies.forEach(function(currency) {
+    const balance = groupBalances.balances[currency];
+    const names = Object.keys(balance).sort((a, b) => balance[b] - balance[a]);
+    
+    html += `<h3 class="balance-currency">${currency}</h3><ul class="balance-list">`;
+    names.forEach(function(name) {
+      const cents = balance[name];
+      html += `
+        <li class="${cents > 0 ? 'owed' : 'owes'} ${name === currentUser.username ? 'me' : ''}">
+          <span>${escapeHtml(name)}</span>
+          <span>${cents > 0 ? '+' : '-'}${formatMoney(Math.abs(cents), currency)}</span>
+        </li>
+      `;
+    });
+    html += '</ul>';
+  });
+  
+  html += '<h3 class="balance-currency">Settle up</h3><ul class="settle-up-list">';
+  groupBalances.transfers.forEach(function(transfer) {
+    html += `<li>${escapeHtml(transfer.from)} → ${escapeHtml(transfer.to)}: <strong>${formatMoney(transfer.amount, transfer.currency)}</strong></li>`;
+  });
+  html += '</ul>';
+  
+  container.innerHTML = html;
+}
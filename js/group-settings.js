@@ -0,0 +1,171 @@
+/*
+  ============================================================
+  GROUP SETTINGS - group-settings.js
+  ============================================================
+  The owner and admins can change a group's name, description,
+  avatar (an emoji on a colored circle) and the usual place to
+  meet, which fills in the location of new hangouts. They can
+  also archive the group: it keeps everything but turns
+  read-only, and moves to "Archived" on the groups page.
+  
+  The server checks all of this (server/group-settings.js), so
+  it needs a connection.
+*/
+
+// Avatar colors to pick from (the same list as the server)
+const GROUP_COLORS = ['red', 'orange', 'green', 'teal', 'blue', 'purple', 'pink', 'gray'];
+
+// The color picked in the settings form (null = the default amber)
+let pickedGroupColor = null;
+
+/**
+ * A group's avatar: its emoji, or the first letter of its name
+ */
+function renderGroupAvatar(group) {
+  const content = group.emoji || group.name.charAt(0).toUpperCase();
+  return `<span class="group-avatar ${group.color ? `color-${group.color}` : ''}">${escapeHtml(content)}</span>`;
+}
+
+/**
+ * Close the settings form when another group is opened
+ */
+function resetGroupSettings() {
+  const section = document.getElementById('group-settings-section');
+  if (section) section.open = false;
+}
+
+/**
+ * Show the avatar, description and archived banner for the open group
+ */
+function renderGroupHeader() {
+  const avatarEl = document.getElementById('group-avatar-display');
+  if (avatarEl) {
+    avatarEl.className = `group-avatar ${currentGroup.color ? `color-${currentGroup.color}` : ''}`;
+    avatarEl.textContent = currentGroup.emoji || currentGroup.name.charAt(0).toUpperCase();
+  }
+  
+  const descriptionEl = document.getElementById('group-description-display');
+  if (descriptionEl) {
+    descriptionEl.textContent = currentGroup.description || '';
+    descriptionEl.classList.toggle('hidden', !currentGroup.description);
+  }
+  
+  // Archived groups hide everything that would change them
+  const isArchived = Boolean(currentGroup.archivedAt);
+  document.getElementById('hangout-page').classList.toggle('archived', isArchived);
+  const banner = document.getElementById('archived-banner');
+  if (banner) banner.classList.toggle('hidden', !isArchived);
+  const unarchiveBtn = document.getElementById('unarchive-banner-button');
+  if (unarchiveBtn) unarchiveBtn.classList.toggle('hidden', !canInGroup('archiveGroup'));
+}
+
+/**
+ * Show the settings card to the owner and admins
+ */
+function renderGroupSettings() {
+  const card = document.getElementById('group-settings-card');
+  if (!card) return;
+  
+  card.classList.toggle('hidden', !canInGroup('changeGroupSettings') && !canInGroup('archiveGroup'));
+  
+  const archiveBtn = document.getElementById('archive-group-button');
+  if (archiveBtn) {
+    archiveBtn.textContent = currentGroup.archivedAt ? '📤 Unarchive group' : '📦 Archive group';
+    archiveBtn.classList.toggle('hidden', !canInGroup('archiveGroup'));
+  }
+  
+  // An archived group's settings can't change until it's unarchived
+  const form = card.querySelector('.group-settings-form');
+  if (form) form.classList.toggle('hidden', Boolean(currentGroup.archivedAt) || !canInGroup('changeGroupSettings'));
+}
+
+/**
+ * Fill the settings form with the group as it is now
+ * (only when it's opened, so a redraw doesn't wipe what's being typed)
+ */
+function fillGroupSettingsForm() {
+  document.getElementById('group-settings-name-input').value = currentGroup.name;
+  document.getElementById('group-settings-description-input').value = currentGroup.description || '';
+  document.getElementById('group-settings-emoji-input').value = currentGroup.emoji || '';
+  document.getElementById('group-settings-location-input').value = currentGroup.defaultLocation || '';
+  pickedGroupColor = currentGroup.color || null;
+  renderGroupColorOptions();
+}
+
+/**
+ * Draw the color swatches, with the picked one marked
+ */
+function renderGroupColorOptions() {
+  const container = document.getElementById('group-settings-colors');
+  if (!container) return;
+  
+  container.innerHTML = [null, ...GROUP_COLORS].map(color => `
+    <button class="color-option ${color ? `color-${color}` : ''} ${color === pickedGroupColor ? 'selected' : ''}"
+      onclick="pickGroupColor(${color ? `'${color}'` : 'null'})" title="${color || 'amber'}"></button>
+  `).join('');
+}
+
+/**
+ * Pick an avatar color in the settings form
+ */
+function pickGroupColor(color) {
+  pickedGroupColor = color;
+  renderGroupColorOptions();
+}
+
+/**
+ * Save what's in the settings form
+ */
+async function saveGroupSettings() {
+  const name = document.getElementById('group-settings-name-input').value.trim();
+  
+  if (name === '') {
+    showToast('Please enter a group name', 'error');
+    return;
+  }
+  
+  const settings = {
+    name: name,
+    description: document.getElementById('group-settings-description-input').value.trim(),
+    emoji: document.getElementById('group-settings-emoji-input').value.trim() || null,
+    color: pickedGroupColor,
+    defaultLocation: document.getElementById('group-settings-location-input').value.trim()
+  };
+  
+  await runGroupAdminAction(() => API.updateGroupSettings(currentGroup.id, settings), 'Settings saved ⚙️');
+}
+
+/**
+ * Archive the open group, or bring it back if it already is
+ */
+async function toggleArchiveGroup() {
+  const archive = !currentGroup.archivedAt;
+  
+  if (archive && !confirm(`Archive "${currentGroup.name}"? Nothing is deleted, but nobody can change anything in it until it's unarchived.`)) {
+    return;
+  }
+  
+  await runGroupAdminAction(
+    () => API.setGroupArchived(currentGroup.id, archive),
+    archive ? 'Group archived 📦' : 'Group unarchived 📤'
+  );
+}
+
+/**
+ * Set up the settings form and archive buttons
+ */
+function setupGroupSettingsEvents() {
+  const section = document.getElementById('group-settings-section');
+  const saveBtn = document.getElementById('save-group-settings-button');
+  const archiveBtn = document.getElementById('archive-group-button');
+  const unarchiveBtn = document.getElementById('unarchive-banner-button');
+  
+  if (section) {
+    section.addEventListener('toggle', function() {
+      if (section.open) fillGroupSettingsForm();
+    });
+  }
+  if (saveBtn) saveBtn.addEventListener('click', saveGroupSettings);
+  if (archiveBtn) archiveBtn.addEventListener('click', toggleArchiveGroup);
+  if (unarchiveBtn) unarchiveBtn.addEventListener('click', toggleArchiveGroup);
+}
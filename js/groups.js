@@ -22,7 +22,7 @@ async function createGroup() {
   
   try {
     // Create via API
-    const newGroup = await apiCreateGroup(groupName, currentUser.username);
+    const newGroup = await apiCreateGroup(groupName);
     
     // Add to local groups array
     groups.push(newGroup);
@@ -59,16 +59,22 @@ async function joinGroup() {
   
   try {
     // Join via API
-    const group = await apiJoinGroup(code, currentUser.username);
+    const result = await API.joinGroupByCode(code);
+    codeInput.value = '';
+    
+    // Some groups have to let you in first (see join-requests.js)
+    if (result.pending) {
+      myJoinRequests.push(result.request);
+      showToast(`Asked to join "${result.request.groupName}" - an admin needs to let you in`, 'info');
+      renderGroups();
+      return;
+    }
     
     // Add to local groups array
-    groups.push(group);
+    groups.push(result.group);
     
     // Show success
-    showToast(`Joined "${group.name}"!`, 'success');
-    
-    // Clear the input
-    codeInput.value = '';
+    showToast(`Joined "${result.group.name}"!`, 'success');
     
     // Refresh the list
     renderGroups();
@@ -77,6 +83,35 @@ async function joinGroup() {
   }
 }
 
+/**
+ * What leaving this group means, for the confirmation
+ */
+function describeLeaving(group) {
+  const me = currentUser.username;
+  const others = group.members.filter(m => m !== me);
+  
+  // The last one out: the whole group goes to the trash
+  if (others.length === 0) {
+    const hangoutCount = (group.hangouts || []).length;
+    const messageCount = (group.messages || []).length;
+    return `You're the last member of "${group.name}", so leaving deletes the group ` +
+      `with its ${hangoutCount} hangout${hangoutCount === 1 ? '' : 's'} and ${messageCount} chat message${messageCount === 1 ? '' : 's'}.\n\n` +
+      `It stays in "Recently deleted" for ${TRASH_RETENTION_DAYS} days in case you change your mind, then it's gone for good. ` +
+      `Nobody can join it with its codes in the meantime.`;
+  }
+  
+  let text = `Leave "${group.name}"?\n\n` +
+    'Your availability is deleted, and you can only come back with a code. ' +
+    'Your hangouts, RSVPs and messages stay in the group.';
+  
+  // Members are in the order they joined, so the next owner is the longest-standing one
+  if (getMemberRole(group, me) === 'owner') {
+    text += `\n\nYou're the owner, so ${others[0]} (in the group longest) becomes the owner.`;
+  }
+  
+  return text;
+}
+
 /**
  * Leave a group
  */
@@ -85,20 +120,21 @@ async function leaveGroup(groupId) {
   const group = groups.find(g => g.id === groupId);
   if (!group) return;
   
-  // Confirm they want to leave
-  if (!confirm(`Are you sure you want to leave "${group.name}"?`)) {
+  // Confirm they want to leave, saying what it will cost
+  if (!confirm(describeLeaving(group))) {
     return;
   }
   
   try {
     // Leave via API
-    const result = await apiLeaveGroup(groupId, currentUser.username);
+    const result = await apiLeaveGroup(groupId);
     
     // Remove from local array
     groups = groups.filter(g => g.id !== groupId);
     
-    if (result.deleted) {
-      showToast('Group deleted (no members left)', 'info');
+    if (result.trashed) {
+      showToast(`"${group.name}" moved to Recently deleted - you can restore it for ${TRASH_RETENTION_DAYS} days`, 'info');
+      loadTrash();
     } else {
       showToast(`Left "${group.name}"`, 'info');
     }
@@ -107,7 +143,16 @@ async function leaveGroup(groupId) {
     currentGroup = null;
     showPage('groups');
   } catch (error) {
-    showToast(error.message || 'Could not leave group', 'error');
+    if (isServerRejection(error)) {
+      showToast(error.message || 'Could not leave group', 'error');
+      return;
+    }
+    
+    // Offline: leave once the server is back (the group is hidden until then)
+    queueOperation('leaveGroup', groupId, {});
+    showToast(`You'll leave "${group.name}" when you reconnect`, 'info');
+    currentGroup = null;
+    showPage('groups');
   }
 }
 
@@ -116,8 +161,8 @@ async function leaveGroup(groupId) {
  */
 async function openGroup(groupId) {
   try {
-    // Get fresh data from server
-    const group = await apiGetGroup(groupId);
+    // Get fresh data from server (plus anything still waiting to sync)
+    const group = applyOutboxToGroup(await apiGetGroup(groupId));
     
     // Set as current group
     currentGroup = group;
@@ -131,6 +176,13 @@ async function openGroup(groupId) {
     // Go to the hangout page
     showPage('hangout');
   } catch (error) {
+    // Offline: use our saved copy instead
+    const localGroup = groups.find(g => g.id === groupId);
+    if (localGroup && !isServerRejection(error)) {
+      currentGroup = localGroup;
+      showPage('hangout');
+      return;
+    }
     showToast('Could not open group', 'error');
   }
 }
@@ -139,6 +191,11 @@ async function openGroup(groupId) {
  * Display all groups the user is in
  */
 function renderGroups() {
+  // The agenda above the list comes from the same groups
+  renderSchedule();
+  renderMyJoinRequests();
+  renderTrash();
+  
   // Get the container for group cards
   const container = document.getElementById('groups-list');
   const noGroupsMessage = document.getElementById('no-groups-message');
@@ -163,36 +220,57 @@ function renderGroups() {
   // Hide empty state
   if (noGroupsMessage) noGroupsMessage.classList.add('hidden');
   
-  // Build HTML for each group
-  let html = '';
+  // Archived groups go in their own folded-up section at the bottom
+  const activeGroups = myGroups.filter(group => !group.archivedAt);
+  const archivedGroups = myGroups.filter(group => group.archivedAt);
   
-  myGroups.forEach(function(group) {
-    const memberCount = group.members.length;
-    const hangoutCount = group.hangouts ? group.hangouts.length : 0;
-    
+  let html = activeGroups.map(renderGroupCard).join('');
+  
+  if (archivedGroups.length > 0) {
     html += `
-      <div class="group-card" onclick="openGroup('${group.id}')">
-        <div class="group-card-header">
-          <h3 class="group-name">${group.name}</h3>
-          <span class="group-code">${group.code}</span>
-        </div>
-        <div class="group-card-stats">
-          <span>👥 ${memberCount} member${memberCount !== 1 ? 's' : ''}</span>
-          <span>📅 ${hangoutCount} hangout${hangoutCount !== 1 ? 's' : ''}</span>
-        </div>
-        <div class="group-card-actions">
+      <details class="archived-groups" ${searchTerm ? 'open' : ''}>
+        <summary>📦 Archived (${archivedGroups.length})</summary>
+        ${archivedGroups.map(renderGroupCard).join('')}
+      </details>
+    `;
+  }
+  
+  if (container) container.innerHTML = html;
+}
+
+/**
+ * The card for one group on the groups page
+ */
+function renderGroupCard(group) {
+  const memberCount = group.members.length;
+  const hangoutCount = group.hangouts ? group.hangouts.length : 0;
+  const leaveSync = group.leaveSync || {};
+  
+  return `
+    <div class="group-card ${group.archivedAt ? 'archived' : ''}" onclick="openGroup('${group.id}')">
+      <div class="group-card-header">
+        ${renderGroupAvatar(group)}
+        <h3 class="group-name">${escapeHtml(group.name)}</h3>
+        <span class="group-code">${group.code}</span>
+      </div>
+      ${group.description ? `<p class="group-description">${escapeHtml(group.description)}</p>` : ''}
+      <div class="group-card-stats">
+        <span>👥 ${memberCount} member${memberCount !== 1 ? 's' : ''}</span>
+        <span>📅 ${hangoutCount} hangout${hangoutCount !== 1 ? 's' : ''}</span>
+      </div>
+      ${renderSyncStatus(leaveSync.status, leaveSync.operationId, leaveSync.error)}
+      <div class="group-card-actions">
+        ${group.archivedAt ? '' : `
           <button class="secondary-button small" onclick="event.stopPropagation(); copyGroupCode('${group.code}')">
             📋 Copy Code
           </button>
-          <button class="danger-button small" onclick="event.stopPropagation(); leaveGroup('${group.id}')">
-            🚪 Leave
-          </button>
-        </div>
+        `}
+        <button class="danger-button small" onclick="event.stopPropagation(); leaveGroup('${group.id}')">
+          🚪 Leave
+        </button>
       </div>
-    `;
-  });
-  
-  if (container) container.innerHTML = html;
+    </div>
+  `;
 }
 
 /**
@@ -225,6 +303,24 @@ function hideCreateGroupForm() {
   if (input) input.value = '';
 }
 
+/**
+ * Make a calendar feed link (all your hangouts) and copy it
+ * Calendar apps keep it up to date by subscribing to the link
+ */
+async function subscribeToCalendar() {
+  if (!confirm('Get a private link to subscribe to your hangouts from a calendar app?\n\nAnyone with the link can see your hangouts, and any link you made before will stop working.')) {
+    return;
+  }
+  
+  try {
+    const result = await API.createCalendarFeed();
+    copyToClipboard(result.feedUrl);
+    showToast('Calendar link copied - add it in your calendar app as a subscription 📅', 'success');
+  } catch (error) {
+    showToast(isServerRejection(error) ? error.message : 'You\'re offline - try again once you reconnect', 'error');
+  }
+}
+
 /**
  * Set up event listeners for the groups page
  */
@@ -248,6 +344,10 @@ function setupGroupsEvents() {
     searchInput.addEventListener('input', renderGroups);
   }
   
+  // Calendar feed button
+  const calendarFeedBtn = document.getElementById('calendar-feed-button');
+  if (calendarFeedBtn) calendarFeedBtn.addEventListener('click', subscribeToCalendar);
+  
   // Logout button
   const logoutBtn = document.getElementById('logout-button');
   if (logoutBtn) logoutBtn.addEventListener('click', handleLogout);
@@ -8,6 +8,20 @@
 // Track current filter
 let currentFilter = 'all';
 
+// The hangout being edited in the form (null when proposing a new one)
+let editingHangoutId = null;
+
+// When editing just one date of a repeating hangout, which one
+let editingOccurrence = null;
+
+// Which collapsible parts of the cards are open, so redraws keep them
+// open (keys look like "comments:<hangout id>/<date>")
+const openCardSections = new Set();
+
+// Limits on plus-ones (the server checks them too)
+const MAX_GUESTS = 10;
+const MAX_NOTE_LENGTH = 140;
+
 /**
  * Propose a new hangout
  */
@@ -25,16 +39,72 @@ async function proposeHangout() {
     return;
   }
   
+  // Optional limit on how many can come
+  const capacity = getCapacityFromForm();
+  if (capacity === false) {
+    showToast('Max people has to be a whole number of at least 1', 'error');
+    return;
+  }
+  
+  // Optional RSVP deadline (repeating hangouts don't have one)
+  const deadline = getRepeatRuleFromForm() ? { rsvpDeadline: null } : getRsvpDeadlineFromForm();
+  if (!deadline) {
+    showToast('The RSVP deadline has to be in the future', 'error');
+    return;
+  }
+  
+  // Optional rule for when it's confirmed
+  const confirmation = readConfirmationFields(document.getElementById('hangout-confirmation-fields'));
+  if (confirmation === false) {
+    showToast('The numbers in the rule have to be whole numbers', 'error');
+    return;
+  }
+  
+  // Any extra time options make this a poll
+  const extraOptions = getExtraTimeOptions();
+  if (extraOptions.some(option => !option.date || !option.time)) {
+    showToast('Please pick a date and time for every option', 'error');
+    return;
+  }
+  
   // Hangout data to send
   const hangoutData = {
     title: title,
     date: date,
     time: time,
     location: location,
-    description: description,
-    proposedBy: currentUser.username
+    description: description
   };
   
+  if (capacity) {
+    hangoutData.capacity = capacity;
+  }
+  
+  if (confirmation) {
+    hangoutData.confirmation = confirmation;
+  }
+  
+  if (deadline.rsvpDeadline) {
+    hangoutData.rsvpDeadline = deadline.rsvpDeadline;
+    hangoutData.rsvpDefault = deadline.rsvpDefault;
+  }
+  
+  if (extraOptions.length > 0) {
+    hangoutData.slots = [{ date: date, time: time }, ...extraOptions];
+    delete hangoutData.date;
+    delete hangoutData.time;
+  }
+  
+  // Repeating hangouts
+  const recurrence = getRepeatRuleFromForm();
+  if (recurrence && extraOptions.length > 0) {
+    showToast('A time poll can\'t repeat - remove the extra time options first', 'error');
+    return;
+  }
+  if (recurrence) {
+    hangoutData.recurrence = recurrence;
+  }
+  
   try {
     // Try API first
     if (isServerAvailable) {
@@ -55,31 +125,22 @@ async function proposeHangout() {
       }
     }
   } catch (error) {
+    if (isServerRejection(error)) {
+      showToast(error.message, 'error');
+      return;
+    }
     console.log('Server unavailable, using local storage');
   }
   
-  // Fallback: Create locally
-  const newHangout = {
-    id: generateId(),
-    ...hangoutData,
-    createdAt: new Date().toISOString(),
-    responses: {}
-  };
-  
-  // Proposer is automatically "going"
-  newHangout.responses[currentUser.username] = 'going';
-  
-  // Add to the current group
-  if (!currentGroup.hangouts) {
-    currentGroup.hangouts = [];
-  }
-  currentGroup.hangouts.push(newHangout);
-  
-  // Save changes
-  saveGroups(groups);
+  // Fallback: Save it locally and send it when the server is back
+  // (the proposer is automatically "going", see applyOperation)
+  queueOperation('createHangout', currentGroup.id, {
+    clientId: generateId(),
+    hangoutData: hangoutData
+  });
   
   // Show success
-  showToast('Hangout proposed! 🎉', 'success');
+  showToast('Hangout saved offline - it will sync when you reconnect', 'info');
   
   // Clear the form and hide it
   hideHangoutForm();
@@ -90,8 +151,10 @@ async function proposeHangout() {
 
 /**
  * Respond to a hangout (going, maybe, not going)
+ * For a repeating hangout, occurrence is the date being answered for.
+ * extras can hold "guests" and "note"; left out, they stay as they were.
  */
-async function respondToHangout(hangoutId, response) {
+async function respondToHangout(hangoutId, response, occurrence, extras) {
   // Find the hangout
   const hangout = currentGroup.hangouts.find(h => h.id === hangoutId);
   if (!hangout) return;
@@ -99,14 +162,18 @@ async function respondToHangout(hangoutId, response) {
   try {
     // Try API first
     if (isServerAvailable) {
-      const result = await API.respondToHangout(currentGroup.id, hangoutId, currentUser.username, response);
+      const result = await API.respondToHangout(currentGroup.id, hangoutId, response, occurrence, extras);
       if (result.success) {
         // Update local hangout with server response
-        hangout.responses = result.hangout.responses;
-        saveGroups(groups);
+        updateLocalHangout(result.hangout);
         
         // Show message based on response
-        if (response === 'going') {
+        if (extras && result.response !== 'waitlisted') {
+          showToast('RSVP updated ✓', 'success');
+        } else if (result.response === 'waitlisted') {
+          const position = getWaitlistPosition(occurrence ? getOccurrence(result.hangout, occurrence) : result.hangout, currentUser.username);
+          showToast(`It's full - you're #${position} on the waitlist ⏳`, 'info');
+        } else if (response === 'going') {
           showToast('You\'re going! 🎉', 'success');
         } else if (response === 'maybe') {
           showToast('Marked as maybe 🤔', 'info');
@@ -119,17 +186,25 @@ async function respondToHangout(hangoutId, response) {
       }
     }
   } catch (error) {
+    if (isServerRejection(error)) {
+      showToast(error.message, 'error');
+      return;
+    }
     console.log('Server unavailable, using local storage');
   }
   
-  // Fallback: Update locally
-  hangout.responses[currentUser.username] = response;
-  
-  // Save changes
-  saveGroups(groups);
+  // Fallback: Save it locally and send it when the server is back
+  queueOperation('respond', currentGroup.id, {
+    hangoutId: hangoutId,
+    response: response,
+    occurrence: occurrence,
+    ...extras
+  });
   
   // Show message based on response
-  if (response === 'going') {
+  if (extras) {
+    showToast('RSVP updated ✓', 'success');
+  } else if (response === 'going') {
     showToast('You\'re going! 🎉', 'success');
   } else if (response === 'maybe') {
     showToast('Marked as maybe 🤔', 'info');
@@ -141,6 +216,198 @@ async function respondToHangout(hangoutId, response) {
   renderHangouts();
 }
 
+/**
+ * Save the guest count and note typed into a hangout card
+ * (keeps the answer itself as it is)
+ */
+function saveRsvpExtras(button, hangoutId, occurrence) {
+  const hangout = currentGroup.hangouts.find(h => h.id === hangoutId);
+  if (!hangout) return;
+  const shown = occurrence ? getOccurrence(hangout, occurrence) : hangout;
+  const myRsvp = getRsvp(shown.responses, currentUser.username);
+  if (!myRsvp) return;
+  
+  const extras = button.closest('.rsvp-extras');
+  const guests = Number(extras.querySelector('.guest-count-input').value || 0);
+  if (!Number.isInteger(guests) || guests < 0 || guests > MAX_GUESTS) {
+    showToast(`Guests must be a whole number from 0 to ${MAX_GUESTS}`, 'error');
+    return;
+  }
+  
+  // "Waitlisted" isn't something you can pick - you asked to go
+  const response = myRsvp.response === 'waitlisted' ? 'going' : myRsvp.response;
+  respondToHangout(hangoutId, response, occurrence, {
+    guests: guests,
+    note: extras.querySelector('.rsvp-note-input').value.trim()
+  });
+}
+
+/**
+ * Save the changes from the form to the hangout being edited
+ */
+async function saveHangoutEdits() {
+  const hangout = currentGroup.hangouts.find(h => h.id === editingHangoutId);
+  if (!hangout) return;
+  
+  const changes = {
+    title: document.getElementById('hangout-title-input').value.trim(),
+    location: document.getElementById('hangout-location-input').value.trim(),
+    description: document.getElementById('hangout-description-input').value.trim(),
+    resetResponses: document.getElementById('hangout-reset-responses-input').checked
+  };
+  
+  // Capacity and the confirmation rule belong to the whole series, not one date of it
+  if (!editingOccurrence) {
+    changes.capacity = getCapacityFromForm();
+    if (changes.capacity === false) {
+      showToast('Max people has to be a whole number of at least 1', 'error');
+      return;
+    }
+    
+    changes.confirmation = readConfirmationFields(document.getElementById('hangout-confirmation-fields'));
+    if (changes.confirmation === false) {
+      showToast('The numbers in the rule have to be whole numbers', 'error');
+      return;
+    }
+  }
+  
+  // Only one-off hangouts have RSVP deadlines
+  if (!hangout.recurrence) {
+    // A deadline that has already passed can stay as it is
+    const value = document.getElementById('hangout-rsvp-deadline-input').value;
+    const unchanged = hangout.rsvpDeadline && value === toDateTimeInputValue(hangout.rsvpDeadline);
+    const deadline = unchanged
+      ? { rsvpDeadline: hangout.rsvpDeadline, rsvpDefault: document.getElementById('hangout-rsvp-default-select').value || null }
+      : getRsvpDeadlineFromForm();
+    if (!deadline) {
+      showToast('The RSVP deadline has to be in the future', 'error');
+      return;
+    }
+    changes.rsvpDeadline = deadline.rsvpDeadline;
+    changes.rsvpDefault = deadline.rsvpDefault;
+  }
+  
+  // A poll's date comes from the option that gets locked in
+  if (!isOpenTimePoll(hangout)) {
+    changes.date = document.getElementById('hangout-date-input').value;
+    changes.time = document.getElementById('hangout-time-input').value;
+  }
+  
+  if (!changes.title || !changes.location || (!isOpenTimePoll(hangout) && (!changes.date || !changes.time))) {
+    showToast('Please fill in all required fields', 'error');
+    return;
+  }
+  
+  try {
+    let result;
+    if (editingOccurrence) {
+      // Just this date - the rest of the series stays as it is
+      delete changes.resetResponses;
+      result = await API.updateOccurrence(currentGroup.id, hangout.id, editingOccurrence, changes);
+    } else {
+      result = await API.updateHangout(currentGroup.id, hangout.id, changes);
+    }
+    updateLocalHangout(result.hangout);
+    showToast('Hangout updated ✏️', 'success');
+    hideHangoutForm();
+    renderHangouts();
+  } catch (error) {
+    showToast(isServerRejection(error) ? error.message : 'You\'re offline - try saving again once you reconnect', 'error');
+  }
+}
+
+/**
+ * Skip one date of a repeating hangout (or bring it back)
+ */
+async function setOccurrenceSkipped(hangoutId, occurrence, skipped) {
+  if (skipped && !confirm(`Skip ${formatDate(occurrence)}? Everyone will see it's not happening.`)) {
+    return;
+  }
+  
+  try {
+    const result = await API.updateOccurrence(currentGroup.id, hangoutId, occurrence, { skipped: skipped });
+    updateLocalHangout(result.hangout);
+    showToast(skipped ? 'Skipped that date ⏭️' : 'That date is back on 🎉', 'info');
+    renderHangouts();
+  } catch (error) {
+    showToast(isServerRejection(error) ? error.message : 'You\'re offline - try again once you reconnect', 'error');
+  }
+}
+
+/**
+ * Download a hangout as an .ics file to open in a calendar app
+ * (a repeating hangout comes with all its dates)
+ */
+async function addHangoutToCalendar(hangoutId) {
+  const hangout = currentGroup.hangouts.find(h => h.id === hangoutId);
+  if (!hangout) return;
+  
+  try {
+    const file = await API.downloadHangoutCalendar(currentGroup.id, hangoutId);
+    const filename = hangout.title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'hangout';
+    downloadFile(file, `${filename}.ics`);
+  } catch (error) {
+    showToast(isServerRejection(error) ? error.message : 'You\'re offline - try again once you reconnect', 'error');
+  }
+}
+
+/**
+ * The form's submit button: propose a new hangout or save edits
+ */
+function submitHangoutForm() {
+  if (editingHangoutId) {
+    saveHangoutEdits();
+  } else {
+    proposeHangout();
+  }
+}
+
+/**
+ * Swap a hangout in currentGroup for the server's newer copy
+ */
+function updateLocalHangout(updatedHangout) {
+  const index = currentGroup.hangouts.findIndex(h => h.id === updatedHangout.id);
+  if (index !== -1) {
+    currentGroup.hangouts[index] = updatedHangout;
+  }
+  saveGroups(groups);
+}
+
+/**
+ * Vote on one of a time poll's options (yes, ifNeedBe, or no)
+ */
+async function voteOnTimeOption(hangoutId, slotId, vote) {
+  try {
+    const result = await API.voteOnTimeOption(currentGroup.id, hangoutId, slotId, vote);
+    updateLocalHangout(result.hangout);
+    renderHangouts();
+  } catch (error) {
+    showToast(isServerRejection(error) ? error.message : 'You\'re offline - try voting again once you reconnect', 'error');
+  }
+}
+
+/**
+ * Lock in the winning time for a poll (only the proposer can do this)
+ */
+async function lockTimeOption(hangoutId, slotId) {
+  const hangout = currentGroup.hangouts.find(h => h.id === hangoutId);
+  const slot = hangout && hangout.slots.find(s => s.id === slotId);
+  if (!slot) return;
+  
+  if (!confirm(`Lock in ${formatDate(slot.date)} at ${formatTime(slot.time)}? Voting will close.`)) {
+    return;
+  }
+  
+  try {
+    const result = await API.lockTimeOption(currentGroup.id, hangoutId, slotId);
+    updateLocalHangout(result.hangout);
+    showToast('Time locked in! 🔒', 'success');
+    renderHangouts();
+  } catch (error) {
+    showToast(isServerRejection(error) ? error.message : 'You\'re offline - try again once you reconnect', 'error');
+  }
+}
+
 /**
  * Delete a hangout (only the creator can do this)
  */
@@ -149,14 +416,15 @@ async function deleteHangout(hangoutId) {
   const hangout = currentGroup.hangouts.find(h => h.id === hangoutId);
   if (!hangout) return;
   
-  // Check if user is the creator
-  if (hangout.proposedBy !== currentUser.username) {
-    showToast('Only the creator can delete this hangout', 'error');
+  // Check if user is the creator (or an admin, see roles.js)
+  const isCreator = hangout.proposedBy === currentUser.username;
+  if (!isCreator && !canInGroup('deleteAnyHangout')) {
+    showToast('Only the creator or an admin can delete this hangout', 'error');
     return;
   }
   
   // Confirm deletion
-  if (!confirm(`Delete "${hangout.title}"?`)) {
+  if (!confirm(isCreator ? `Delete "${hangout.title}"?` : `Delete "${hangout.title}"? ${hangout.proposedBy} proposed it.`)) {
     return;
   }
   
@@ -179,20 +447,15 @@ async function deleteHangout(hangoutId) {
       }
     }
   } catch (error) {
+    if (isServerRejection(error)) {
+      showToast(error.message, 'error');
+      return;
+    }
     console.log('Server unavailable, using local storage');
   }
   
-  // Fallback: Remove locally
-  currentGroup.hangouts = currentGroup.hangouts.filter(h => h.id !== hangoutId);
-  
-  // Save changes
-  saveGroups(groups);
-  
-  // Show message
-  showToast('Hangout deleted', 'info');
-  
-  // Refresh display
-  renderHangouts();
+  // Deleting can't be queued for later - it would quietly come back
+  showToast('You\'re offline - try deleting again once you reconnect', 'error');
 }
 
 /**
@@ -225,14 +488,24 @@ function renderHangouts() {
   
   if (groupNameEl) groupNameEl.textContent = currentGroup.name;
   if (groupCodeEl) groupCodeEl.textContent = currentGroup.code;
+  renderGroupHeader();
+  renderGroupSettings();
+  renderGroupConfirmationRule();
+  
+  // The calendar shows the same hangouts as a grid instead
+  if (hangoutView !== 'list') {
+    renderCalendar();
+    renderMembers();
+    return;
+  }
   
   // Get filter value
   const filter = currentFilter;
   const now = new Date();
   
-  // Filter hangouts
-  let filteredHangouts = (currentGroup.hangouts || []).filter(function(hangout) {
-    const hangoutDate = new Date(hangout.date);
+  // Filter hangouts (each date of a repeating one counts on its own)
+  let filteredHangouts = expandHangouts(currentGroup.hangouts || []).filter(function(hangout) {
+    const hangoutDate = new Date(getHangoutDate(hangout));
     
     if (filter === 'upcoming' && hangoutDate < now) return false;
     if (filter === 'past' && hangoutDate >= now) return false;
@@ -242,7 +515,7 @@ function renderHangouts() {
   
   // Sort by date (nearest first)
   filteredHangouts.sort(function(a, b) {
-    return new Date(a.date) - new Date(b.date);
+    return new Date(getHangoutDate(a)) - new Date(getHangoutDate(b));
   });
   
   // Get the container
@@ -257,6 +530,7 @@ function renderHangouts() {
       const cards = container.querySelectorAll('.hangout-card');
       cards.forEach(card => card.remove());
     }
+    renderMembers();
     return;
   }
   
@@ -267,59 +541,137 @@ function renderHangouts() {
   let html = '';
   
   filteredHangouts.forEach(function(hangout) {
-    const status = getHangoutStatus(hangout, currentGroup.members.length);
-    const myResponse = hangout.responses[currentUser.username] || 'none';
+    const status = getHangoutStatus(hangout);
+    const confirmationRule = hangout.confirmation || currentGroup.confirmationRule;
+    const myRsvp = getRsvp(hangout.responses, currentUser.username);
+    const myResponse = myRsvp ? myRsvp.response : 'none';
     const isCreator = hangout.proposedBy === currentUser.username;
+    const canDelete = isCreator || canInGroup('deleteAnyHangout');
+    
+    // After the deadline only the proposer can still change their answer
+    const responsesClosed = isResponsesClosed(hangout) && !isCreator;
     
-    // Count responses
-    const responses = Object.values(hangout.responses);
-    const goingCount = responses.filter(r => r === 'going').length;
-    const maybeCount = responses.filter(r => r === 'maybe').length;
-    const notGoingCount = responses.filter(r => r === 'notGoing').length;
+    // Count heads (guests included)
+    const goingCount = countHeads(hangout.responses, 'going');
+    const maybeCount = countHeads(hangout.responses, 'maybe');
+    const notGoingCount = countHeads(hangout.responses, 'notGoing');
+    const waitlistCount = countHeads(hangout.responses, 'waitlisted');
+    
+    // Capped hangouts
+    const spotsLeft = getSpotsLeft(hangout);
+    const waitlistPosition = getWaitlistPosition(hangout, currentUser.username);
+    
+    const responseSync = hangout.responseSync || {};
+    
+    // Repeating hangouts say which date the buttons are for
+    const occurrenceArg = hangout.occurrence ? `, '${hangout.occurrence}'` : '';
     
     html += `
-      <div class="hangout-card">
+      <div class="hangout-card ${hangout.syncStatus ? `sync-${hangout.syncStatus}` : ''}" data-card-key="${getCardSectionKey('card', hangout)}">
         <div class="hangout-header">
-          <h3 class="hangout-title">${hangout.title}</h3>
+          <h3 class="hangout-title">${escapeHtml(hangout.title)}</h3>
           <span class="status-badge ${status}">${status}</span>
         </div>
+        ${renderSyncStatus(hangout.syncStatus, hangout.syncOperationId, hangout.syncError)}
         
         <div class="hangout-details">
-          <p>📅 ${formatDate(hangout.date)} at ${formatTime(hangout.time)}</p>
-          <p>📍 ${hangout.location}</p>
-          ${hangout.description ? `<p>📝 ${hangout.description}</p>` : ''}
-          <p class="proposed-by">Proposed by ${hangout.proposedBy}</p>
+          ${isOpenTimePoll(hangout) ? '' : `<p>📅 ${formatDate(hangout.date)} at ${formatTime(hangout.time)}</p>`}
+          ${hangout.recurrence ? `<p class="recurrence-rule">🔁 ${describeRecurrence(hangout.recurrence)}</p>` : ''}
+          ${confirmationRule ? `<p class="confirmation-rule">✅ Confirmed when ${escapeHtml(describeConfirmationRule(confirmationRule))}</p>` : ''}
+          ${renderRsvpDeadline(hangout)}
+          <p>📍 ${escapeHtml(hangout.location)}</p>
+          ${hangout.description ? `<p>📝 ${escapeHtml(hangout.description)}</p>` : ''}
+          <p class="proposed-by">Proposed by ${escapeHtml(hangout.proposedBy)}</p>
         </div>
         
+        ${isOpenTimePoll(hangout) ? renderTimePoll(hangout, isCreator) : hangout.skipped ? `
+        <p class="skipped-note">⏭️ Not happening this time</p>
+        ` : `
         <div class="response-counts">
-          <span class="count going">✓ ${goingCount} going</span>
+          <span class="count going">✓ ${goingCount}${hangout.capacity ? `/${hangout.capacity}` : ''} going</span>
           <span class="count maybe">? ${maybeCount} maybe</span>
           <span class="count not-going">✕ ${notGoingCount} not going</span>
+          ${waitlistCount > 0 ? `<span class="count waitlisted">⏳ ${waitlistCount} waitlisted</span>` : ''}
         </div>
         
+        ${spotsLeft !== null ? `
+          <p class="spots-left ${spotsLeft === 0 ? 'full' : ''}">
+            ${spotsLeft === 0 ? '🚫 Full - "Going" puts you on the waitlist' : `🎟️ ${spotsLeft} spot${spotsLeft !== 1 ? 's' : ''} left`}
+          </p>
+        ` : ''}
+        
+        ${waitlistPosition ? `<p class="waitlist-position">⏳ You're #${waitlistPosition} on the waitlist - you'll get a spot if someone drops out</p>` : ''}
+        
         <div class="response-buttons">
           <button 
-            class="response-button going ${myResponse === 'going' ? 'selected' : ''}"
-            onclick="respondToHangout('${hangout.id}', 'going')">
-            ✓ Going
+            class="response-button going ${myResponse === 'going' || myResponse === 'waitlisted' ? 'selected' : ''}"
+            ${responsesClosed ? 'disabled' : ''}
+            onclick="respondToHangout('${hangout.id}', 'going'${occurrenceArg})">
+            ${myResponse === 'waitlisted' ? '⏳ Waitlisted' : '✓ Going'}
           </button>
           <button 
             class="response-button maybe ${myResponse === 'maybe' ? 'selected' : ''}"
-            onclick="respondToHangout('${hangout.id}', 'maybe')">
+            ${responsesClosed ? 'disabled' : ''}
+            onclick="respondToHangout('${hangout.id}', 'maybe'${occurrenceArg})">
             ? Maybe
           </button>
           <button 
             class="response-button not-going ${myResponse === 'notGoing' ? 'selected' : ''}"
-            onclick="respondToHangout('${hangout.id}', 'notGoing')">
+            ${responsesClosed ? 'disabled' : ''}
+            onclick="respondToHangout('${hangout.id}', 'notGoing'${occurrenceArg})">
             ✕ Can't Go
           </button>
         </div>
+        ${renderSyncStatus(responseSync.status, responseSync.operationId, responseSync.error)}
         
-        ${isCreator ? `
-          <button class="danger-button small delete-hangout" onclick="deleteHangout('${hangout.id}')">
-            🗑️ Delete
+        ${myRsvp && myResponse !== 'notGoing' && !responsesClosed ? `
+          <div class="rsvp-extras">
+            <label>
+              Bringing
+              <input type="number" class="text-input guest-count-input" min="0" max="${MAX_GUESTS}" value="${myRsvp.guests || 0}">
+              guest(s)
+            </label>
+            <input type="text" class="text-input rsvp-note-input" maxlength="${MAX_NOTE_LENGTH}" placeholder="Note, e.g. coming with my partner" value="${escapeHtml(myRsvp.note || '')}">
+            <button class="outline-button small" onclick="saveRsvpExtras(this, '${hangout.id}'${occurrenceArg})">Save</button>
+          </div>
+        ` : ''}
+        
+        ${renderRsvpList(hangout)}
+        ${renderExpenseSection(hangout)}
+        `}
+        
+        ${renderRides(hangout)}
+        ${renderChecklist(hangout)}
+        ${renderCommentThread(hangout)}
+        
+        ${renderHangoutHistory(hangout)}
+        
+        ${hangout.date && !hangout.skipped && !hangout.syncStatus ? `
+          <button class="outline-button small add-to-calendar" onclick="addHangoutToCalendar('${hangout.id}')">
+            📅 Add to calendar
           </button>
         ` : ''}
+        
+        ${canDelete ? `
+          <div class="hangout-owner-actions">
+            ${isCreator && hangout.occurrence ? `
+              <button class="outline-button small" onclick="showEditHangoutForm('${hangout.id}', '${hangout.occurrence}')">
+                ✏️ Edit this date
+              </button>
+              <button class="outline-button small" onclick="setOccurrenceSkipped('${hangout.id}', '${hangout.occurrence}', ${!hangout.skipped})">
+                ${hangout.skipped ? '↩️ Un-skip' : '⏭️ Skip'}
+              </button>
+            ` : ''}
+            ${isCreator ? `
+              <button class="outline-button small" onclick="showEditHangoutForm('${hangout.id}')">
+                ✏️ ${hangout.occurrence ? 'Edit series' : 'Edit'}
+              </button>
+            ` : ''}
+            <button class="danger-button small delete-hangout" onclick="deleteHangout('${hangout.id}')">
+              🗑️ ${hangout.occurrence ? 'Delete series' : 'Delete'}
+            </button>
+          </div>
+        ` : ''}
       </div>
     `;
   });
@@ -335,6 +687,220 @@ function renderHangouts() {
   renderMembers();
 }
 
+/**
+ * Build the voting section for a hangout that's still a time poll
+ * The option(s) with the best score (yes = 2, if need be = 1) are highlighted
+ */
+function renderTimePoll(hangout, isCreator) {
+  const scores = hangout.slots.map(function(slot) {
+    const tally = tallySlotVotes(slot);
+    return tally.yes * 2 + tally.ifNeedBe;
+  });
+  const bestScore = Math.max(...scores);
+  
+  let html = '<div class="time-poll"><p class="time-poll-title">🗳️ When works for you?</p>';
+  
+  hangout.slots.forEach(function(slot, index) {
+    const tally = tallySlotVotes(slot);
+    const myVote = (slot.votes || {})[currentUser.username];
+    const isLeading = bestScore > 0 && scores[index] === bestScore;
+    
+    html += `
+      <div class="time-option ${isLeading ? 'leading' : ''}">
+        <div class="time-option-header">
+          <span class="time-option-when">📅 ${formatDate(slot.date)} at ${formatTime(slot.time)}</span>
+          <span class="time-option-tally">✓ ${tally.yes} · ~ ${tally.ifNeedBe} · ✕ ${tally.no}</span>
+        </div>
+        <div class="time-option-votes">
+          <button 
+            class="response-button yes ${myVote === 'yes' ? 'selected' : ''}"
+            onclick="voteOnTimeOption('${hangout.id}', '${slot.id}', 'yes')">
+            ✓ Yes
+          </button>
+          <button 
+            class="response-button maybe ${myVote === 'ifNeedBe' ? 'selected' : ''}"
+            onclick="voteOnTimeOption('${hangout.id}', '${slot.id}', 'ifNeedBe')">
+            ~ If need be
+          </button>
+          <button 
+            class="response-button no ${myVote === 'no' ? 'selected' : ''}"
+            onclick="voteOnTimeOption('${hangout.id}', '${slot.id}', 'no')">
+            ✕ No
+          </button>
+        </div>
+        ${isCreator ? `
+          <button class="primary-button small lock-time-option" onclick="lockTimeOption('${hangout.id}', '${slot.id}')">
+            🔒 Lock in this time
+          </button>
+        ` : ''}
+      </div>
+    `;
+  });
+  
+  html += '</div>';
+  return html;
+}
+
+/**
+ * The key for one collapsible part of one card
+ * Repeating hangouts get one per date
+ */
+function getCardSectionKey(section, hangout) {
+  return `${section}:${hangout.id}${hangout.occurrence ? `/${hangout.occurrence}` : ''}`;
+}
+
+/**
+ * Remember whether a collapsible part of a card is open
+ */
+function toggleCardSection(key, isOpen) {
+  if (isOpen) {
+    openCardSections.add(key);
+  } else {
+    openCardSections.delete(key);
+  }
+}
+
+/**
+ * Who answered what, with their guests and notes (collapsed by default)
+ */
+function renderRsvpList(hangout) {
+  const labels = { going: '✓ Going', maybe: '? Maybe', waitlisted: '⏳ Waitlisted', notGoing: '✕ Can\'t go' };
+  const order = ['going', 'maybe', 'waitlisted', 'notGoing'];
+  
+  const names = Object.keys(hangout.responses).sort(function(a, b) {
+    return order.indexOf(getRsvp(hangout.responses, a).response) - order.indexOf(getRsvp(hangout.responses, b).response);
+  });
+  if (names.length === 0) return '';
+  
+  let items = '';
+  names.forEach(function(username) {
+    const rsvp = getRsvp(hangout.responses, username);
+    items += `
+      <li>
+        <span class="rsvp-answer ${rsvp.response}">${labels[rsvp.response]}</span>
+        ${escapeHtml(username)}${rsvp.guests > 0 ? ` <span class="guest-count">+${rsvp.guests}</span>` : ''}
+        ${rsvp.note ? `<span class="rsvp-note">"${escapeHtml(rsvp.note)}"</span>` : ''}
+      </li>
+    `;
+  });
+  
+  return `
+    <details class="rsvp-list">
+      <summary>👥 Who's coming</summary>
+      <ul>${items}</ul>
+    </details>
+  `;
+}
+
+/**
+ * The RSVP deadline line on a hangout card: a countdown, or
+ * "responses closed" once it has passed
+ */
+function renderRsvpDeadline(hangout) {
+  if (!hangout.rsvpDeadline) return '';
+  
+  if (!isResponsesClosed(hangout)) {
+    return `
+      <p class="rsvp-deadline" data-deadline="${hangout.rsvpDeadline}">
+        ⏰ RSVP by ${formatDeadline(hangout.rsvpDeadline)} · <span class="rsvp-countdown">${formatCountdown(hangout.rsvpDeadline)}</span> left
+      </p>
+    `;
+  }
+  
+  const noAnswerCount = (hangout.noAnswer || []).length;
+  const defaultNames = { notGoing: 'can\'t go', maybe: 'maybe' };
+  
+  return `
+    <p class="rsvp-deadline closed">
+      🔒 Responses closed ${formatDeadline(hangout.rsvpDeadline)}
+      ${noAnswerCount > 0 ? ` · ${noAnswerCount} didn't answer (counted as ${defaultNames[hangout.rsvpDefault]})` : ''}
+    </p>
+  `;
+}
+
+/**
+ * Keep the RSVP countdowns ticking
+ * When one runs out, get the group again so the server's
+ * "no answer" defaults show up.
+ */
+async function updateRsvpCountdowns() {
+  const hangoutPage = document.getElementById('hangout-page');
+  if (!currentGroup || !hangoutPage || hangoutPage.classList.contains('hidden')) return;
+  
+  let anyClosed = false;
+  document.querySelectorAll('.rsvp-deadline[data-deadline]').forEach(function(line) {
+    if (Date.now() >= new Date(line.dataset.deadline).getTime()) {
+      anyClosed = true;
+    } else {
+      line.querySelector('.rsvp-countdown').textContent = formatCountdown(line.dataset.deadline);
+    }
+  });
+  
+  if (anyClosed) {
+    await refreshCurrentGroup();
+    renderHangouts();
+  }
+}
+
+/**
+ * Build the "edited" log for a hangout (collapsed by default)
+ */
+function renderHangoutHistory(hangout) {
+  if (!hangout.history || hangout.history.length === 0) return '';
+  
+  const fieldNames = {
+    title: 'title',
+    date: 'date',
+    time: 'time',
+    location: 'location',
+    description: 'description',
+    capacity: 'max people',
+    confirmation: 'when it\'s confirmed',
+    rsvpDeadline: 'RSVP deadline',
+    rsvpDefault: 'what no answer counts as'
+  };
+  const rsvpDefaultNames = { notGoing: '"Can\'t go"', maybe: '"Maybe"' };
+  
+  // Show a changed value the same way the card does
+  function formatValue(field, value) {
+    if (field === 'capacity') return value || 'no limit';
+    if (field === 'confirmation') return value ? `"${escapeHtml(describeConfirmationRule(value))}"` : 'the group\'s rule';
+    if (field === 'rsvpDeadline') return value ? formatDeadline(value) : 'none';
+    if (field === 'rsvpDefault') return rsvpDefaultNames[value] || 'nothing';
+    if (!value) return 'nothing';
+    if (field === 'date') return formatDate(value);
+    if (field === 'time') return formatTime(value);
+    return `"${escapeHtml(value)}"`;
+  }
+  
+  let items = '';
+  
+  // Newest first
+  hangout.history.slice().reverse().forEach(function(revision) {
+    const changes = Object.keys(revision.changes).map(function(field) {
+      const change = revision.changes[field];
+      return `${fieldNames[field]} from ${formatValue(field, change.from)} to ${formatValue(field, change.to)}`;
+    });
+    
+    items += `
+      <li>
+        <strong>${escapeHtml(revision.changedBy)}</strong> changed ${changes.join(', ')}
+        <span class="history-time">${formatTimestamp(revision.changedAt)}</span>
+        ${revision.responsesReset ? '<span class="history-note">RSVPs were reset</span>' : ''}
+      </li>
+    `;
+  });
+  
+  const count = hangout.history.length;
+  
+  return `
+    <details class="hangout-history">
+      <summary>🕓 Edited ${count} time${count !== 1 ? 's' : ''}</summary>
+      <ul>${items}</ul>
+    </details>
+  `;
+}
+
 /**
  * Render the list of group members
  */
@@ -348,24 +914,32 @@ function renderMembers() {
   
   currentGroup.members.forEach(function(member) {
     const isCurrentUser = member === currentUser.username;
-    const isCreator = member === currentGroup.createdBy;
+    const role = getMemberRole(currentGroup, member);
     
     html += `
       <div class="member-item ${isCurrentUser ? 'current-user' : ''}">
-        <span class="member-avatar">${member.charAt(0).toUpperCase()}</span>
-        <span class="member-name">${member}${isCurrentUser ? ' (you)' : ''}</span>
-        ${isCreator ? '<span class="creator-badge">👑</span>' : ''}
+        <span class="member-avatar">${escapeHtml(member.charAt(0).toUpperCase())}</span>
+        <span class="member-name">${escapeHtml(member)}${isCurrentUser ? ' (you)' : ''}</span>
+        ${ROLE_BADGES[role] ? `<span class="creator-badge" title="${role}">${ROLE_BADGES[role]}</span>` : ''}
+        ${renderMemberActions(member)}
       </div>
     `;
   });
   
   if (container) container.innerHTML = html;
+  renderGroupAdminControls();
+  renderJoinRequests();
+  renderBans();
+  renderInvites();
 }
 
 /**
  * Show the form to propose a new hangout
  */
 function showHangoutForm() {
+  // Start fresh in case we were halfway through editing
+  hideHangoutForm();
+  
   const form = document.getElementById('new-hangout-form');
   if (form) form.classList.remove('hidden');
   
@@ -373,6 +947,66 @@ function showHangoutForm() {
   const today = new Date().toISOString().split('T')[0];
   const dateInput = document.getElementById('hangout-date-input');
   if (dateInput) dateInput.value = today;
+  
+  // Start from the group's usual place, if it has one
+  const locationInput = document.getElementById('hangout-location-input');
+  if (locationInput && currentGroup.defaultLocation) locationInput.value = currentGroup.defaultLocation;
+}
+
+/**
+ * Open the proposal form on a chosen date (and time, if there is one)
+ */
+function showHangoutFormAt(date, time) {
+  showHangoutForm();
+  document.getElementById('hangout-date-input').value = date;
+  document.getElementById('hangout-time-input').value = time || '';
+  
+  const titleInput = document.getElementById('hangout-title-input');
+  titleInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  titleInput.focus();
+}
+
+/**
+ * Open the proposal form filled in with a hangout, to edit it
+ * Pass an occurrence to edit just that date of a repeating hangout
+ */
+function showEditHangoutForm(hangoutId, occurrence) {
+  const series = currentGroup.hangouts.find(h => h.id === hangoutId);
+  if (!series) return;
+  const hangout = occurrence ? getOccurrence(series, occurrence) : series;
+  
+  hideHangoutForm();
+  editingHangoutId = hangoutId;
+  editingOccurrence = occurrence || null;
+  
+  document.getElementById('hangout-title-input').value = hangout.title;
+  document.getElementById('hangout-date-input').value = hangout.date || '';
+  document.getElementById('hangout-time-input').value = hangout.time || '';
+  document.getElementById('hangout-location-input').value = hangout.location;
+  document.getElementById('hangout-description-input').value = hangout.description || '';
+  document.getElementById('hangout-capacity-input').value = hangout.capacity || '';
+  document.getElementById('hangout-capacity-input').classList.toggle('hidden', Boolean(occurrence));
+  renderConfirmationFields(document.getElementById('hangout-confirmation-fields'), hangout.confirmation, currentGroup.members);
+  document.getElementById('hangout-confirmation-section').classList.toggle('hidden', Boolean(occurrence));
+  document.getElementById('hangout-rsvp-deadline-input').value = hangout.rsvpDeadline ? toDateTimeInputValue(hangout.rsvpDeadline) : '';
+  document.getElementById('hangout-rsvp-default-select').value = hangout.rsvpDeadline ? hangout.rsvpDefault || '' : 'notGoing';
+  document.getElementById('hangout-rsvp-deadline-row').classList.toggle('hidden', Boolean(hangout.recurrence));
+  
+  // A poll's date comes from the vote, so it can't be typed in here
+  const isPoll = isOpenTimePoll(hangout);
+  document.getElementById('hangout-date-input').disabled = isPoll;
+  document.getElementById('hangout-time-input').disabled = isPoll;
+  
+  // Editing swaps "add a time option" for "reset RSVPs"
+  // (one date of a series keeps its own RSVPs, so no reset there)
+  document.getElementById('add-time-option-button').classList.add('hidden');
+  document.getElementById('hangout-repeat-section').classList.add('hidden');
+  document.getElementById('hangout-reset-responses-row').classList.toggle('hidden', isPoll || Boolean(occurrence));
+  document.getElementById('submit-hangout-button').textContent = '💾 Save Changes';
+  
+  const form = document.getElementById('new-hangout-form');
+  form.classList.remove('hidden');
+  form.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 }
 
 /**
@@ -382,12 +1016,176 @@ function hideHangoutForm() {
   const form = document.getElementById('new-hangout-form');
   if (form) form.classList.add('hidden');
   
+  // Back to "propose" mode
+  editingHangoutId = null;
+  editingOccurrence = null;
+  const submitBtn = document.getElementById('submit-hangout-button');
+  if (submitBtn) submitBtn.textContent = '🎉 Propose Hangout';
+  const addTimeOptionBtn = document.getElementById('add-time-option-button');
+  if (addTimeOptionBtn) addTimeOptionBtn.classList.remove('hidden');
+  const resetRow = document.getElementById('hangout-reset-responses-row');
+  if (resetRow) resetRow.classList.add('hidden');
+  const resetInput = document.getElementById('hangout-reset-responses-input');
+  if (resetInput) resetInput.checked = false;
+  ['hangout-date-input', 'hangout-time-input'].forEach(function(id) {
+    const el = document.getElementById(id);
+    if (el) el.disabled = false;
+  });
+  
+  const capacityInput = document.getElementById('hangout-capacity-input');
+  if (capacityInput) capacityInput.classList.remove('hidden');
+  
+  // No RSVP deadline
+  const deadlineRow = document.getElementById('hangout-rsvp-deadline-row');
+  if (deadlineRow) {
+    deadlineRow.classList.remove('hidden');
+    document.getElementById('hangout-rsvp-default-select').value = 'notGoing';
+  }
+  
+  // Back to the group's confirmation rule
+  const confirmationSection = document.getElementById('hangout-confirmation-section');
+  if (confirmationSection && currentGroup) {
+    confirmationSection.classList.remove('hidden');
+    confirmationSection.open = false;
+    renderConfirmationFields(document.getElementById('hangout-confirmation-fields'), null, currentGroup.members);
+  }
+  
   // Clear the form
-  const inputs = ['hangout-title-input', 'hangout-date-input', 'hangout-time-input', 'hangout-location-input', 'hangout-description-input'];
+  const inputs = ['hangout-title-input', 'hangout-date-input', 'hangout-time-input', 'hangout-location-input', 'hangout-description-input', 'hangout-capacity-input', 'hangout-rsvp-deadline-input'];
   inputs.forEach(function(id) {
     const el = document.getElementById(id);
     if (el) el.value = '';
   });
+  
+  // Remove any extra time options
+  const options = document.getElementById('hangout-time-options');
+  if (options) options.innerHTML = '';
+  
+  // Back to "doesn't repeat"
+  const repeatSection = document.getElementById('hangout-repeat-section');
+  if (repeatSection) repeatSection.classList.remove('hidden');
+  const repeatSelect = document.getElementById('hangout-repeat-select');
+  if (repeatSelect) {
+    repeatSelect.value = '';
+    document.getElementById('hangout-repeat-interval-input').value = '1';
+    document.getElementById('hangout-repeat-end-select').value = 'never';
+    document.getElementById('hangout-repeat-until-input').value = '';
+    document.querySelectorAll('.repeat-weekday').forEach(box => { box.checked = false; });
+    updateRepeatOptions();
+  }
+}
+
+/**
+ * Read "max people" from the form
+ * Returns the number, null when it's empty, or false if it isn't valid
+ */
+function getCapacityFromForm() {
+  const value = document.getElementById('hangout-capacity-input').value.trim();
+  if (!value) return null;
+  
+  const capacity = Number(value);
+  return Number.isInteger(capacity) && capacity >= 1 ? capacity : false;
+}
+
+/**
+ * Read the RSVP deadline from the form
+ * Returns { rsvpDeadline, rsvpDefault } (rsvpDeadline is null when
+ * it's empty), or null if the deadline has already passed
+ */
+function getRsvpDeadlineFromForm() {
+  const value = document.getElementById('hangout-rsvp-deadline-input').value;
+  if (!value) return { rsvpDeadline: null, rsvpDefault: null };
+  
+  // The input has no time zone, so it's read as the user's own time
+  const deadline = new Date(value);
+  if (isNaN(deadline) || deadline.getTime() <= Date.now()) return null;
+  
+  return {
+    rsvpDeadline: deadline.toISOString(),
+    rsvpDefault: document.getElementById('hangout-rsvp-default-select').value || null
+  };
+}
+
+/**
+ * ISO timestamp -> "2024-03-15T19:00" in the user's own time, for a datetime-local input
+ */
+function toDateTimeInputValue(isoString) {
+  const date = new Date(isoString);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Show the repeat settings that fit the chosen frequency and ending
+ */
+function updateRepeatOptions() {
+  const frequency = document.getElementById('hangout-repeat-select').value;
+  const ending = document.getElementById('hangout-repeat-end-select').value;
+  const units = { daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)' };
+  
+  document.getElementById('hangout-repeat-options').classList.toggle('hidden', !frequency);
+  // Repeating hangouts don't have RSVP deadlines
+  document.getElementById('hangout-rsvp-deadline-row').classList.toggle('hidden', Boolean(frequency));
+  document.getElementById('hangout-repeat-unit').textContent = units[frequency] || '';
+  document.getElementById('hangout-repeat-weekdays').classList.toggle('hidden', frequency !== 'weekly');
+  document.getElementById('hangout-repeat-until-input').classList.toggle('hidden', ending !== 'until');
+  document.getElementById('hangout-repeat-count-input').classList.toggle('hidden', ending !== 'count');
+}
+
+/**
+ * Read the repeat settings from the form
+ * Returns null if the hangout doesn't repeat, otherwise e.g.
+ * { frequency: "weekly", interval: 1, weekdays: [1, 4], until: null, count: 10 }
+ */
+function getRepeatRuleFromForm() {
+  const frequency = document.getElementById('hangout-repeat-select').value;
+  if (!frequency) return null;
+  
+  const ending = document.getElementById('hangout-repeat-end-select').value;
+  const rule = {
+    frequency: frequency,
+    interval: parseInt(document.getElementById('hangout-repeat-interval-input').value, 10) || 1,
+    until: ending === 'until' ? document.getElementById('hangout-repeat-until-input').value || null : null,
+    count: ending === 'count' ? parseInt(document.getElementById('hangout-repeat-count-input').value, 10) || null : null
+  };
+  
+  // No days ticked means "the same weekday as the first date"
+  const weekdays = Array.from(document.querySelectorAll('.repeat-weekday:checked')).map(box => Number(box.value));
+  if (frequency === 'weekly' && weekdays.length > 0) {
+    rule.weekdays = weekdays;
+  }
+  
+  return rule;
+}
+
+/**
+ * Add another date/time row to the form (turns the hangout into a poll)
+ */
+function addTimeOptionRow() {
+  const container = document.getElementById('hangout-time-options');
+  if (!container) return;
+  
+  container.insertAdjacentHTML('beforeend', `
+    <div class="input-row time-option-row">
+      <input type="date" class="text-input time-option-date-input">
+      <input type="time" class="text-input time-option-time-input">
+      <button class="icon-button" type="button" title="Remove this option" onclick="this.parentElement.remove()">✕</button>
+    </div>
+  `);
+}
+
+/**
+ * Read the extra time options from the form
+ * Returns: [{ date: "2024-03-15", time: "19:00" }, ...]
+ */
+function getExtraTimeOptions() {
+  const rows = document.querySelectorAll('#hangout-time-options .time-option-row');
+  return Array.from(rows).map(function(row) {
+    return {
+      date: row.querySelector('.time-option-date-input').value,
+      time: row.querySelector('.time-option-time-input').value
+    };
+  });
 }
 
 /**
@@ -423,10 +1221,33 @@ function setupHangoutEvents() {
   const proposeBtn = document.getElementById('propose-hangout-button');
   const cancelBtn = document.getElementById('cancel-hangout-button');
   const submitBtn = document.getElementById('submit-hangout-button');
+  const addTimeOptionBtn = document.getElementById('add-time-option-button');
   
   if (proposeBtn) proposeBtn.addEventListener('click', showHangoutForm);
+  if (addTimeOptionBtn) addTimeOptionBtn.addEventListener('click', addTimeOptionRow);
   if (cancelBtn) cancelBtn.addEventListener('click', hideHangoutForm);
-  if (submitBtn) submitBtn.addEventListener('click', proposeHangout);
+  if (submitBtn) submitBtn.addEventListener('click', submitHangoutForm);
+  
+  // Tick the RSVP countdowns along
+  setInterval(updateRsvpCountdowns, 30 * 1000);
+  
+  // Group confirmation rule
+  const groupConfirmationSection = document.getElementById('group-confirmation-section');
+  const saveRuleBtn = document.getElementById('save-confirmation-rule-button');
+  const resetRuleBtn = document.getElementById('reset-confirmation-rule-button');
+  if (groupConfirmationSection) {
+    groupConfirmationSection.addEventListener('toggle', function() {
+      if (groupConfirmationSection.open) showGroupConfirmationFields();
+    });
+  }
+  if (saveRuleBtn) saveRuleBtn.addEventListener('click', function() { saveGroupConfirmationRule(); });
+  if (resetRuleBtn) resetRuleBtn.addEventListener('click', function() { saveGroupConfirmationRule(null); });
+  
+  // Repeat settings
+  const repeatSelect = document.getElementById('hangout-repeat-select');
+  const repeatEndSelect = document.getElementById('hangout-repeat-end-select');
+  if (repeatSelect) repeatSelect.addEventListener('change', updateRepeatOptions);
+  if (repeatEndSelect) repeatEndSelect.addEventListener('change', updateRepeatOptions);
   
   // Filter buttons
   const filterButtons = document.querySelectorAll('.filter-button');
@@ -10,7 +10,9 @@
  * Example: "k8j2m9"
  */
 function generateId() {
-  return Math.random().toString(36).substring(2, 9);
+  // Some random numbers have only a few digits (0.5 is "0.i"), and the
+  // server wants at least 6 characters for ids made offline
+  return Math.random().toString(36).substring(2, 9).padEnd(7, '0');
 }
 
 /**
@@ -48,6 +50,21 @@ function formatDate(dateString) {
   return date.toLocaleDateString('en-US', options);
 }
 
+/**
+ * "Fri, Mar 15" for "2024-03-15"
+ */
+function formatShortDate(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+/**
+ * "2024-03-15" for a local Date
+ */
+function toLocalDateString(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
 /**
  * Format a time nicely
  * Input: "14:30"
@@ -92,26 +109,165 @@ function formatTimestamp(isoString) {
 }
 
 /**
- * Figure out the status of a hangout based on responses
- * Returns: "confirmed", "pending", or "cancelled"
+ * Format a deadline with its date and time
+ * Input: "2024-03-15T18:00:00.000Z"
+ * Output: "Mar 15, 6:00 PM" (in your own time zone)
  */
-function getHangoutStatus(hangout, memberCount) {
-  const responses = Object.values(hangout.responses);
-  const goingCount = responses.filter(r => r === 'going').length;
-  const notGoingCount = responses.filter(r => r === 'notGoing').length;
+function formatDeadline(isoString) {
+  return new Date(isoString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * How long until a deadline, e.g. "2d 4h", "3h 12m" or "5m"
+ */
+function formatCountdown(isoString) {
+  const minutes = Math.max(0, Math.floor((new Date(isoString) - Date.now()) / 60000));
+  const days = Math.floor(minutes / (24 * 60));
+  const hours = Math.floor(minutes / 60) % 24;
   
-  // If more than half are going, it's confirmed!
-  if (goingCount > memberCount / 2) {
-    return 'confirmed';
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return minutes > 0 ? `${minutes}m` : 'less than a minute';
+}
+
+/**
+ * Is this hangout still a time poll (nobody has locked in a time yet)?
+ */
+function isOpenTimePoll(hangout) {
+  return Boolean(hangout.slots && !hangout.lockedSlotId);
+}
+
+/**
+ * The date to sort and filter a hangout by
+ * Open time polls use their earliest option
+ */
+function getHangoutDate(hangout) {
+  if (hangout.date) {
+    return hangout.date;
+  }
+  const dates = (hangout.slots || []).map(slot => slot.date).sort();
+  return dates[0] || null;
+}
+
+/**
+ * Someone's RSVP as { response, guests, note }, or null if they haven't answered
+ * (copes with the plain strings older versions saved)
+ */
+function getRsvp(responses, username) {
+  const value = responses[username];
+  if (!value) return null;
+  return typeof value === 'string' ? { response: value, guests: 0, note: '' } : value;
+}
+
+/**
+ * Count heads for one answer - someone going with 2 guests counts as 3
+ */
+function countHeads(responses, response) {
+  return Object.keys(responses)
+    .map(username => getRsvp(responses, username))
+    .filter(rsvp => rsvp.response === response)
+    .reduce((total, rsvp) => total + 1 + (rsvp.guests || 0), 0);
+}
+
+/**
+ * Count the votes on one time poll option
+ * Returns: { yes: 2, ifNeedBe: 1, no: 0 }
+ */
+function tallySlotVotes(slot) {
+  const votes = Object.values(slot.votes || {});
+  return {
+    yes: votes.filter(v => v === 'yes').length,
+    ifNeedBe: votes.filter(v => v === 'ifNeedBe').length,
+    no: votes.filter(v => v === 'no').length
+  };
+}
+
+/**
+ * How many spots a hangout has left
+ * Returns null if it has no capacity limit
+ */
+function getSpotsLeft(hangout) {
+  if (!hangout.capacity) return null;
+  const goingCount = countHeads(hangout.responses, 'going');
+  return Math.max(hangout.capacity - goingCount, 0);
+}
+
+/**
+ * Where someone is on a hangout's waitlist (1 = next in line)
+ * Returns null if they aren't on it
+ */
+function getWaitlistPosition(hangout, username) {
+  const index = (hangout.waitlist || []).indexOf(username);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Has the RSVP deadline passed? (only the proposer can still answer)
+ */
+function isResponsesClosed(hangout) {
+  return Boolean(hangout.rsvpDeadline) && Date.now() >= new Date(hangout.rsvpDeadline).getTime();
+}
+
+/**
+ * The status of a hangout
+ * Returns: "voting", "skipped", "confirmed", "pending", or "cancelled"
+ * 
+ * The server works this out from the confirmation rules (see
+ * confirmation.js) so everyone sees the same thing.
+ */
+function getHangoutStatus(hangout) {
+  // One date of a repeating hangout that isn't happening
+  if (hangout.skipped) {
+    return 'skipped';
   }
   
-  // If more than half said no, it's cancelled
-  if (notGoingCount > memberCount / 2) {
-    return 'cancelled';
+  // Can't be confirmed before we know when it is
+  if (isOpenTimePoll(hangout)) {
+    return 'voting';
   }
   
-  // Otherwise, still waiting for responses
-  return 'pending';
+  // Made offline and not synced yet: the server hasn't had its say
+  return hangout.status || 'pending';
+}
+
+/**
+ * Save a Blob as a file in the user's downloads
+ */
+function downloadFile(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Make text safe to put inside HTML (and attribute values)
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Make text safe to pass to a function from an onclick="..." attribute
+ * Gives a quoted JS string, so use it without quotes around it:
+ * onclick="removeMember(${escapeJsArg(username)})"
+ */
+function escapeJsArg(text) {
+  return escapeHtml(JSON.stringify(String(text)));
 }
 
 /**
@@ -155,7 +311,8 @@ function groupMatchesSearch(group, searchTerm) {
   const term = searchTerm.toLowerCase();
   return (
     group.name.toLowerCase().includes(term) ||
-    group.code.toLowerCase().includes(term)
+    group.code.toLowerCase().includes(term) ||
+    (group.description || '').toLowerCase().includes(term)
   );
 }
 
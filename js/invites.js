@@ -0,0 +1,143 @@
+/*
+  ============================================================
+  INVITES - invites.js
+  ============================================================
+  The owner and admins can make extra invite codes besides the
+  group code: with a label, an expiry time and a most-uses count.
+  They can revoke them, and see who joined with each one (see
+  server/invites.js).
+  
+  Invites live on currentGroup.invites, and who came in with
+  which code on currentGroup.joins. Making and revoking them
+  needs a connection.
+*/
+
+/**
+ * Why an invite doesn't work anymore, or null if it still does
+ * (the same checks as the server)
+ */
+function getInviteProblem(group, invite) {
+  if (invite.revokedAt) return 'Revoked';
+  if (invite.expiresAt && new Date(invite.expiresAt) <= new Date()) return 'Expired';
+  if (invite.maxUses && getInviteJoins(group, invite.id).length >= invite.maxUses) return 'Used up';
+  return null;
+}
+
+/**
+ * Who joined with an invite (null = the group code)
+ */
+function getInviteJoins(group, inviteId) {
+  return (group.joins || []).filter(join => join.inviteId === inviteId);
+}
+
+/**
+ * Make an invite from the form in the admin section
+ */
+async function createInvite() {
+  const labelInput = document.getElementById('invite-label-input');
+  const expiry = document.getElementById('invite-expiry-select').value;
+  const maxUsesInput = document.getElementById('invite-max-uses-input');
+  
+  const inviteData = {
+    label: labelInput.value.trim(),
+    expiresInHours: expiry ? parseInt(expiry) : null,
+    maxUses: maxUsesInput.value ? parseInt(maxUsesInput.value) : null
+  };
+  
+  await runGroupAdminAction(() => API.createInvite(currentGroup.id, inviteData), 'Invite made 🎟️');
+  labelInput.value = '';
+  maxUsesInput.value = '';
+}
+
+/**
+ * Stop an invite from working
+ */
+async function revokeInvite(inviteId) {
+  if (!confirm('Revoke this invite? Anyone who hasn\'t used it yet won\'t be able to.')) {
+    return;
+  }
+  await runGroupAdminAction(() => API.revokeInvite(currentGroup.id, inviteId), 'Invite revoked');
+}
+
+/**
+ * Copy an invite code to the clipboard
+ */
+function copyInviteCode(code) {
+  copyToClipboard(code);
+  showToast('Invite copied! Share it with friends', 'success');
+}
+
+/**
+ * "Alice, Bob" - who joined with a code
+ */
+function renderInviteJoins(joins) {
+  if (joins.length === 0) return 'Nobody yet';
+  return joins.map(join => escapeHtml(join.username)).join(', ');
+}
+
+/**
+ * Draw the invites list for the owner and admins
+ */
+function renderInvites() {
+  const section = document.getElementById('group-invites-section');
+  const container = document.getElementById('invites-list');
+  if (!section || !container) return;
+  
+  const canManage = canInGroup('manageInvites');
+  section.classList.toggle('hidden', !canManage);
+  if (!canManage) return;
+  
+  // The group code always works, so it comes first
+  const codeJoins = getInviteJoins(currentGroup, null);
+  let html = `
+    <div class="invite-item">
+      <div class="invite-header">
+        <span class="invite-code" onclick="copyInviteCode('${currentGroup.code}')" title="Click to copy">${currentGroup.code}</span>
+        <span class="invite-label">Group code</span>
+      </div>
+      <div class="invite-meta">Never expires · Joined: ${renderInviteJoins(codeJoins)}</div>
+    </div>
+  `;
+  
+  // Newest first, with the ones that still work on top
+  const invites = (currentGroup.invites || []).slice().reverse()
+    .sort((a, b) => Boolean(getInviteProblem(currentGroup, a)) - Boolean(getInviteProblem(currentGroup, b)));
+  
+  invites.forEach(function(invite) {
+    const problem = getInviteProblem(currentGroup, invite);
+    const joins = getInviteJoins(currentGroup, invite.id);
+    const uses = invite.maxUses ? `${joins.length}/${invite.maxUses} uses` : `${joins.length} ${joins.length === 1 ? 'use' : 'uses'}`;
+    const expiry = invite.expiresAt ? `${problem === 'Expired' ? 'Expired' : 'Expires'} ${formatDeadline(invite.expiresAt)}` : 'Never expires';
+    
+    html += `
+      <div class="invite-item ${problem ? 'inactive' : ''}">
+        <div class="invite-header">
+          <span class="invite-code" ${problem ? '' : `onclick="copyInviteCode('${invite.code}')" title="Click to copy"`}>${invite.code}</span>
+          <span class="invite-label">${escapeHtml(invite.label || 'Invite')}</span>
+          ${problem ? `<span class="invite-status">${problem}</span>` : `
+            <button class="icon-button" onclick="revokeInvite('${invite.id}')" title="Revoke invite">✕</button>
+          `}
+        </div>
+        <div class="invite-meta">${uses} · ${expiry} · by ${escapeHtml(invite.createdBy)}</div>
+        <div class="invite-meta">Joined: ${renderInviteJoins(joins)}</div>
+      </div>
+    `;
+  });
+  
+  container.innerHTML = html;
+}
+
+/**
+ * Set up the new invite form
+ */
+function setupInviteEvents() {
+  const createBtn = document.getElementById('create-invite-button');
+  const labelInput = document.getElementById('invite-label-input');
+  
+  if (createBtn) createBtn.addEventListener('click', createInvite);
+  if (labelInput) {
+    labelInput.addEventListener('keypress', function(e) {
+      if (e.key === 'Enter') createInvite();
+    });
+  }
+}
@@ -0,0 +1,149 @@
+/*
+  ============================================================
+  JOIN REQUESTS - join-requests.js
+  ============================================================
+  Groups can ask the owner or an admin to approve new members.
+  Joining one of those with a code just puts you on its waiting
+  list (currentGroup.joinRequests) until they approve or deny you.
+  
+  On the groups page you see which groups you're waiting on; on
+  the hangout page admins see who's waiting. All of this needs a
+  connection.
+*/
+
+// Groups you've asked to join: [{ groupId, groupName, requestedAt }]
+let myJoinRequests = [];
+
+/**
+ * Fetch the groups you're waiting on
+ * If one of them let you in since last time, load your groups again.
+ */
+async function loadMyJoinRequests() {
+  let requests;
+  try {
+    requests = await API.getMyJoinRequests();
+  } catch (error) {
+    // Offline: keep showing what we had
+    return;
+  }
+  
+  const settled = myJoinRequests.filter(old => !requests.some(r => r.groupId === old.groupId));
+  myJoinRequests = requests;
+  
+  if (settled.length > 0) {
+    await loadGroupsFromServer();
+    settled.forEach(function(request) {
+      if (groups.some(g => g.id === request.groupId)) {
+        showToast(`You're in "${request.groupName}"! 🎉`, 'success');
+      }
+    });
+  }
+  
+  renderGroups();
+}
+
+/**
+ * Stop waiting to join a group
+ */
+async function cancelJoinRequest(groupId) {
+  try {
+    await API.deleteJoinRequest(groupId, currentUser.username);
+    showToast('Request taken back', 'info');
+  } catch (error) {
+    if (!isServerRejection(error)) {
+      showToast('You\'re offline - try again once you reconnect', 'error');
+      return;
+    }
+    // Already approved or denied - the list below catches up
+  }
+  
+  myJoinRequests = myJoinRequests.filter(r => r.groupId !== groupId);
+  renderGroups();
+  loadMyJoinRequests();
+}
+
+/**
+ * Let someone who's waiting into the open group
+ */
+async function approveJoinRequest(username) {
+  await runGroupAdminAction(() => API.approveJoinRequest(currentGroup.id, username), `${username} joined the group 🎉`);
+}
+
+/**
+ * Turn someone down
+ */
+async function denyJoinRequest(username) {
+  if (!confirm(`Turn down ${username}'s request to join?`)) {
+    return;
+  }
+  await runGroupAdminAction(() => API.deleteJoinRequest(currentGroup.id, username), `Turned down ${username}`);
+}
+
+/**
+ * Turn "approve new members" on or off for the open group
+ */
+async function setRequireApproval(required) {
+  await runGroupAdminAction(
+    () => API.setRequireApproval(currentGroup.id, required),
+    required ? 'New members need approval now 🚪' : 'Anyone with a code can join now'
+  );
+  // Puts the checkbox back if it didn't work
+  renderJoinRequests();
+}
+
+/**
+ * Show the groups you're waiting on under the join box
+ */
+function renderMyJoinRequests() {
+  const container = document.getElementById('pending-requests-list');
+  if (!container) return;
+  
+  container.classList.toggle('hidden', myJoinRequests.length === 0);
+  
+  container.innerHTML = myJoinRequests.map(request => `
+    <div class="pending-request">
+      <span>⏳ Waiting for approval: <strong>${escapeHtml(request.groupName)}</strong></span>
+      <button class="outline-button small" onclick="cancelJoinRequest('${request.groupId}')">Cancel</button>
+    </div>
+  `).join('');
+}
+
+/**
+ * Show who's waiting to join the open group (owner and admins)
+ */
+function renderJoinRequests() {
+  const checkbox = document.getElementById('require-approval-checkbox');
+  if (checkbox) checkbox.checked = Boolean(currentGroup.requireApproval);
+  
+  const section = document.getElementById('join-requests-section');
+  const container = document.getElementById('join-requests-list');
+  if (!section || !container) return;
+  
+  const requests = currentGroup.joinRequests || [];
+  const canApprove = canInGroup('approveMembers');
+  section.classList.toggle('hidden', !canApprove || requests.length === 0);
+  if (!canApprove) return;
+  
+  container.innerHTML = requests.map(request => `
+    <div class="member-item join-request">
+      <span class="member-avatar">${escapeHtml(request.username.charAt(0).toUpperCase())}</span>
+      <span class="member-name">${escapeHtml(request.username)}</span>
+      <span class="member-actions">
+        <button class="icon-button" onclick="approveJoinRequest(${escapeJsArg(request.username)})" title="Let in">✓</button>
+        <button class="icon-button" onclick="denyJoinRequest(${escapeJsArg(request.username)})" title="Turn down">✕</button>
+      </span>
+    </div>
+  `).join('');
+}
+
+/**
+ * Set up the approval setting
+ */
+function setupJoinRequestEvents() {
+  const checkbox = document.getElementById('require-approval-checkbox');
+  if (checkbox) {
+    checkbox.addEventListener('change', function() {
+      setRequireApproval(checkbox.checked);
+    });
+  }
+}
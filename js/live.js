@@ -0,0 +1,235 @@
+/*
+  ============================================================
+  LIVE UPDATES - live.js
+  ============================================================
+  Listens to the server's event stream for the open group, so
+  new messages, reactions, hangouts, RSVPs and comments show up
+  without refreshing the page.
+  
+  Uses Server-Sent Events (EventSource), which reconnects by
+  itself if the connection drops.
+*/
+
+// The open connection (only one group is watched at a time)
+let groupEventSource = null;
+
+// Every event type the server sends
+const GROUP_EVENT_TYPES = [
+  'message-created',
+  'reaction-toggled',
+  'hangout-created',
+  'hangout-updated',
+  'hangout-deleted',
+  'response-changed',
+  'expenses-changed',
+  'checklist-changed',
+  'rides-changed',
+  'availability-changed',
+  'comment-created',
+  'comment-reaction-toggled',
+  'member-joined',
+  'member-left',
+  'join-requests-changed',
+  'bans-changed',
+  'group-updated'
+];
+
+/**
+ * Start listening for live updates to a group
+ */
+function connectGroupEvents(groupId) {
+  // Stop listening to whatever group we had open before
+  disconnectGroupEvents();
+  
+  if (!isServerAvailable || typeof EventSource === 'undefined') return;
+  
+  const token = encodeURIComponent(loadSessionToken() || '');
+  const source = new EventSource(`${API_URL}/groups/${groupId}/events?token=${token}`);
+  let hasConnected = false;
+  
+  GROUP_EVENT_TYPES.forEach(function(type) {
+    source.addEventListener(type, function(event) {
+      applyGroupEvent(type, JSON.parse(event.data));
+    });
+  });
+  
+  source.addEventListener('open', async function() {
+    // After a dropped connection, catch up on anything we missed
+    if (hasConnected) {
+      await refreshCurrentGroup();
+      rerenderGroupPage();
+    }
+    hasConnected = true;
+  });
+  
+  source.addEventListener('error', function() {
+    // CLOSED means the server turned us away (e.g. we left the group),
+    // so there's no point in letting it retry
+    if (source.readyState === EventSource.CLOSED && groupEventSource === source) {
+      groupEventSource = null;
+    }
+  });
+  
+  groupEventSource = source;
+}
+
+/**
+ * Stop listening for live updates
+ */
+function disconnectGroupEvents() {
+  if (groupEventSource) {
+    groupEventSource.close();
+    groupEventSource = null;
+  }
+}
+
+/**
+ * Put something into a list, replacing the old copy if it's already there
+ */
+function upsertById(list, item) {
+  const index = list.findIndex(existing => existing.id === item.id);
+  if (index === -1) {
+    list.push(item);
+  } else {
+    list[index] = item;
+  }
+}
+
+/**
+ * Apply one event from the server to currentGroup and redraw
+ */
+function applyGroupEvent(type, data) {
+  // Ignore anything left over from a group we've since closed
+  if (!currentGroup || data.groupId !== currentGroup.id) return;
+  
+  if (!currentGroup.hangouts) currentGroup.hangouts = [];
+  if (!currentGroup.messages) currentGroup.messages = [];
+  
+  // An admin took us out of the group
+  if (type === 'member-left' && data.removedBy && data.username === currentUser.username) {
+    groups = groups.filter(g => g.id !== currentGroup.id);
+    saveGroups(groups);
+    showToast(`${data.removedBy} removed you from "${currentGroup.name}"`, 'info');
+    currentGroup = null;
+    showPage('groups');
+    return;
+  }
+  
+  if (type === 'message-created' || type === 'reaction-toggled') {
+    upsertById(currentGroup.messages, data.message);
+  }
+  else if (type === 'checklist-changed' || type === 'rides-changed') {
+    upsertById(currentGroup.hangouts, data.hangout);
+  }
+  else if (type === 'hangout-created' || type === 'hangout-updated' || type === 'response-changed') {
+    const previous = currentGroup.hangouts.find(h => h.id === data.hangout.id);
+    if (previous) {
+      notifyIfPromoted(previous, data.hangout);
+    }
+    upsertById(currentGroup.hangouts, data.hangout);
+  }
+  else if (type === 'expenses-changed') {
+    upsertById(currentGroup.hangouts, data.hangout);
+    loadBalances();
+  }
+  else if (type === 'availability-changed') {
+    currentGroup.availability = data.availability;
+  }
+  else if (type === 'comment-created' || type === 'comment-reaction-toggled') {
+    const hangout = currentGroup.hangouts.find(h => h.id === data.hangoutId);
+    if (hangout) {
+      if (!hangout.comments) hangout.comments = [];
+      upsertById(hangout.comments, data.comment);
+    }
+  }
+  else if (type === 'hangout-deleted') {
+    currentGroup.hangouts = currentGroup.hangouts.filter(h => h.id !== data.hangoutId);
+  }
+  else if (type === 'member-joined' || type === 'member-left') {
+    if (data.newOwner) {
+      const who = data.newOwner === currentUser.username ? 'You\'re' : `${data.newOwner} is`;
+      showToast(`${data.username} left - ${who} the owner now 👑`, 'info');
+    }
+    currentGroup.members = data.members;
+    if (data.roles) currentGroup.roles = data.roles;
+    if (data.joins) currentGroup.joins = data.joins;
+    if (data.joinRequests) currentGroup.joinRequests = data.joinRequests;
+  }
+  else if (type === 'join-requests-changed') {
+    currentGroup.joinRequests = data.joinRequests;
+  }
+  else if (type === 'bans-changed') {
+    currentGroup.bans = data.bans;
+  }
+  else if (type === 'group-updated') {
+    // Settings changed, so statuses may have too (keep what's waiting to sync)
+    currentGroup = applyOutboxToGroup(data.group);
+  }
+  
+  // Keep the groups array and local backup in step
+  const index = groups.findIndex(g => g.id === currentGroup.id);
+  if (index !== -1) {
+    groups[index] = currentGroup;
+  }
+  saveGroups(groups);
+  
+  if (type === 'message-created' || type === 'reaction-toggled') {
+    rerenderChat(type === 'message-created');
+  } else if (type === 'availability-changed') {
+    renderAvailability();
+    refreshBestTimes();
+  } else {
+    renderHangouts();
+  }
+}
+
+/**
+ * Let the user know if someone dropping out just got them off the waitlist
+ */
+function notifyIfPromoted(previous, hangout) {
+  const username = currentUser.username;
+  
+  // The hangout itself, then each date of a repeating one
+  const pairs = [[previous.responses, hangout.responses]];
+  Object.keys(hangout.occurrences || {}).forEach(function(date) {
+    const before = (previous.occurrences || {})[date];
+    if (before) {
+      pairs.push([before.responses, hangout.occurrences[date].responses]);
+    }
+  });
+  
+  const promoted = pairs.some(function([before, after]) {
+    const was = getRsvp(before, username);
+    const now = getRsvp(after, username);
+    return was && now && was.response === 'waitlisted' && now.response === 'going';
+  });
+  
+  if (promoted) {
+    showToast(`A spot opened up - you're going to ${hangout.title}! 🎉`, 'success');
+  }
+}
+
+/**
+ * Redraw the chat, keeping the scroll position unless a new
+ * message arrived while we were already at the bottom
+ */
+function rerenderChat(isNewMessage) {
+  const container = document.getElementById('chat-messages');
+  const wasAtBottom = container &&
+    container.scrollHeight - container.scrollTop - container.clientHeight < 40;
+  
+  renderMessages();
+  
+  if (isNewMessage && wasAtBottom) {
+    scrollChatToBottom();
+  }
+}
+
+/**
+ * Redraw everything on the group page
+ */
+function rerenderGroupPage() {
+  if (!currentGroup) return;
+  renderHangouts();
+  rerenderChat(true);
+}
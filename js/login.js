@@ -2,17 +2,21 @@
   ============================================================
   LOGIN FUNCTIONS - login.js
   ============================================================
-  Handles user login and logout
+  Handles user login, sign up and logout
 */
 
 /**
- * Handle when someone clicks the login button
- * Gets the username from the input and logs them in
+ * Log in or create an account
+ * Gets the username and password from the inputs and sends them to the server
+ *
+ * @param {string} mode - "login" or "register"
  */
-async function handleLogin() {
-  // Get the username they typed
+async function submitCredentials(mode) {
+  // Get what they typed
   const usernameInput = document.getElementById('username-input');
+  const passwordInput = document.getElementById('password-input');
   const username = usernameInput.value.trim();
+  const password = passwordInput.value;
   
   // Make sure they typed something
   if (username === '') {
@@ -20,54 +24,94 @@ async function handleLogin() {
     return;
   }
   
+  if (password === '') {
+    showToast('Please enter your password', 'error');
+    return;
+  }
+  
   // Show loading state
-  const loginButton = document.getElementById('login-button');
-  const originalText = loginButton.textContent;
-  loginButton.textContent = 'Logging in...';
-  loginButton.disabled = true;
+  const button = document.getElementById(mode === 'register' ? 'register-button' : 'login-button');
+  const originalText = button.textContent;
+  button.textContent = mode === 'register' ? 'Creating account...' : 'Logging in...';
+  button.disabled = true;
   
   try {
-    // Login via API
-    const user = await apiLogin(username);
+    // Login or sign up via API
+    const result = mode === 'register'
+      ? await apiRegister(username, password)
+      : await apiLogin(username, password);
     
-    // Save to localStorage
-    saveUser(user);
+    // Save the session to localStorage
+    saveSessionToken(result.token);
+    saveUser(result.user);
     
     // Update the app state
-    currentUser = user;
+    currentUser = result.user;
     
     // Load groups from server
     groups = await loadGroupsFromServer();
     
     // Show welcome message
-    showToast(`Welcome, ${user.username}!`, 'success');
+    showToast(`Welcome, ${result.user.username}!`, 'success');
     
-    // Clear the input
+    // Clear the inputs
     usernameInput.value = '';
+    passwordInput.value = '';
     
     // Go to the groups page
     showPage('groups');
   } catch (error) {
-    showToast('Could not connect to server. Please try again.', 'error');
+    showToast(error.message || 'Could not connect to server. Please try again.', 'error');
     console.error('Login error:', error);
   } finally {
     // Reset button
-    loginButton.textContent = originalText;
-    loginButton.disabled = false;
+    button.textContent = originalText;
+    button.disabled = false;
   }
 }
 
 /**
- * Handle when someone clicks logout
+ * Handle when someone clicks the login button
  */
-function handleLogout() {
+function handleLogin() {
+  submitCredentials('login');
+}
+
+/**
+ * Handle when someone clicks the create account button
+ */
+function handleRegister() {
+  submitCredentials('register');
+}
+
+/**
+ * Forget everything about the logged-in user
+ */
+function clearSession() {
   // Clear the user from storage
   saveUser(null);
+  saveSessionToken(null);
   
   // Clear the app state
   currentUser = null;
   currentGroup = null;
   groups = [];
+  myJoinRequests = [];
+  trashedGroups = [];
+}
+
+/**
+ * Handle when someone clicks logout
+ */
+async function handleLogout() {
+  // Tell the server to forget this session (ignore errors, we log out locally anyway)
+  try {
+    await apiLogout();
+  } catch (error) {
+    console.log('Could not end session on server');
+  }
+  
+  clearSession();
   
   // Show message
   showToast('Logged out successfully', 'info');
@@ -76,6 +120,17 @@ function handleLogout() {
   showPage('login');
 }
 
+/**
+ * Called by apiRequest when the server says our session is no longer valid
+ */
+function handleSessionExpired() {
+  if (!currentUser) return;
+  
+  clearSession();
+  showToast('Your session has expired. Please log in again', 'error');
+  showPage('login');
+}
+
 /**
  * Set up the login page events
  * Called once when the app starts
@@ -87,13 +142,22 @@ function setupLoginEvents() {
     loginButton.addEventListener('click', handleLogin);
   }
   
-  // Also allow pressing Enter to login
-  const usernameInput = document.getElementById('username-input');
-  if (usernameInput) {
-    usernameInput.addEventListener('keypress', function(event) {
-      if (event.key === 'Enter') {
-        handleLogin();
-      }
-    });
+  // Create account button click
+  const registerButton = document.getElementById('register-button');
+  if (registerButton) {
+    registerButton.addEventListener('click', handleRegister);
   }
+  
+  // Also allow pressing Enter to login
+  const inputs = ['username-input', 'password-input'];
+  inputs.forEach(function(id) {
+    const input = document.getElementById(id);
+    if (input) {
+      input.addEventListener('keypress', function(event) {
+        if (event.key === 'Enter') {
+          handleLogin();
+        }
+      });
+    }
+  });
 }
@@ -0,0 +1,446 @@
+/*
+  ============================================================
+  OFFLINE OUTBOX - outbox.js
+  ============================================================
+  When the server can't be reached, changes are saved in an
+  "outbox" in localStorage and sent later, in the order they
+  were made, as soon as the server is back.
+  
+  An OPERATION in the outbox looks like this:
+  {
+    id: "op123",
+    username: "Alice",      - whose change it is (only sent while they're logged in)
+    type: "createHangout",  - createHangout, respond, sendMessage, react,
+                            postComment, reactToComment, leaveGroup
+    groupId: "abc123",
+    payload: { ... },       - what the API call needs
+    status: "pending",      - "pending" (waiting to send) or "failed"
+    error: null,            - why the server said no, if it failed
+    createdAt: "2024-..."
+  }
+  
+  CONFLICT RULES - what happens when the server has moved on:
+  - New hangouts, messages and comments carry the id we gave them locally,
+    so sending one twice never makes a duplicate.
+  - Your RSVP wins: the queued answer replaces whatever the server had.
+  - Reactions are sent as "on" or "off", not as a toggle, so they
+    end up the way you left them no matter what happened meanwhile.
+  - Leaving a group you're no longer in counts as done.
+  - If the server refuses a change (the hangout was deleted, you were
+    removed from the group...) it's marked failed and shown with
+    Retry / Discard buttons. Everything else comes from the server.
+*/
+
+// How often to look for the server while we're offline
+const OUTBOX_RETRY_MS = 15 * 1000;
+
+// Stops two replays from running over each other
+let isReplayingOutbox = false;
+
+// ==========================================
+// QUEUEING CHANGES
+// ==========================================
+
+/**
+ * Save a change to send later, and show it straight away
+ */
+function queueOperation(type, groupId, payload) {
+  const operation = {
+    id: generateId(),
+    username: currentUser.username,
+    type: type,
+    groupId: groupId,
+    payload: payload,
+    status: 'pending',
+    error: null,
+    createdAt: new Date().toISOString()
+  };
+  
+  const outbox = loadOutbox();
+  outbox.push(operation);
+  saveOutbox(outbox);
+  
+  // Show it locally
+  groups = applyOutbox(groups);
+  if (currentGroup) {
+    currentGroup = groups.find(g => g.id === currentGroup.id) || null;
+  }
+  saveGroups(groups);
+  
+  return operation;
+}
+
+/**
+ * The queued changes that belong to whoever is logged in
+ */
+function loadMyOutbox() {
+  return loadOutbox().filter(op => op.username === currentUser.username);
+}
+
+/**
+ * Apply one queued change to a group object
+ * Marks what it touched with syncStatus so the UI can show it
+ */
+function applyOperation(group, operation) {
+  const username = currentUser.username;
+  const payload = operation.payload;
+  
+  if (!group.hangouts) group.hangouts = [];
+  if (!group.messages) group.messages = [];
+  
+  if (operation.type === 'createHangout') {
+    let hangout = group.hangouts.find(h => h.id === payload.clientId);
+    if (!hangout) {
+      hangout = {
+        id: payload.clientId,
+        ...payload.hangoutData,
+        proposedBy: username,
+        createdAt: operation.createdAt,
+        responses: { [username]: { response: 'going', guests: 0, note: '' } }
+      };
+      // Time poll options only get their real ids from the server
+      if (hangout.slots) {
+        hangout.slots = hangout.slots.map(slot => ({ id: generateId(), ...slot, votes: {} }));
+      }
+      group.hangouts.push(hangout);
+    }
+    hangout.syncStatus = operation.status;
+    hangout.syncOperationId = operation.id;
+    hangout.syncError = operation.error;
+  }
+  else if (operation.type === 'respond') {
+    const hangout = group.hangouts.find(h => h.id === payload.hangoutId);
+    if (!hangout) return;
+    
+    // Repeating hangouts keep RSVPs per date
+    let target = hangout;
+    if (payload.occurrence) {
+      if (!hangout.occurrences) hangout.occurrences = {};
+      if (!hangout.occurrences[payload.occurrence]) {
+        hangout.occurrences[payload.occurrence] = { responses: { ...hangout.responses }, changes: {}, skipped: false };
+      }
+      target = hangout.occurrences[payload.occurrence];
+    }
+    
+    // Guests and note stay as they were unless this change set them
+    const previous = getRsvp(target.responses, username);
+    target.responses[username] = {
+      response: payload.response,
+      guests: payload.response === 'notGoing' ? 0 : payload.guests !== undefined ? payload.guests : previous ? previous.guests : 0,
+      note: payload.note !== undefined ? payload.note : previous ? previous.note : ''
+    };
+    target.responseSync = { status: operation.status, operationId: operation.id, error: operation.error };
+  }
+  else if (operation.type === 'sendMessage') {
+    let message = group.messages.find(m => m.id === payload.clientId);
+    if (!message) {
+      message = {
+        id: payload.clientId,
+        text: payload.text,
+        sender: username,
+        timestamp: operation.createdAt,
+        reactions: {}
+      };
+      group.messages.push(message);
+    }
+    message.syncStatus = operation.status;
+    message.syncOperationId = operation.id;
+    message.syncError = operation.error;
+  }
+  else if (operation.type === 'react') {
+    const message = group.messages.find(m => m.id === payload.messageId);
+    if (!message) return;
+    if (!message.reactions) message.reactions = {};
+    
+    const users = (message.reactions[payload.emoji] || []).filter(name => name !== username);
+    if (payload.active) users.push(username);
+    
+    if (users.length > 0) {
+      message.reactions[payload.emoji] = users;
+    } else {
+      delete message.reactions[payload.emoji];
+    }
+    message.reactionSync = { status: operation.status, operationId: operation.id, error: operation.error };
+  }
+  else if (operation.type === 'postComment') {
+    const hangout = group.hangouts.find(h => h.id === payload.hangoutId);
+    if (!hangout) return;
+    if (!hangout.comments) hangout.comments = [];
+    
+    let comment = hangout.comments.find(c => c.id === payload.clientId);
+    if (!comment) {
+      comment = {
+        id: payload.clientId,
+        text: payload.text,
+        sender: username,
+        timestamp: operation.createdAt,
+        reactions: {}
+      };
+      hangout.comments.push(comment);
+    }
+    comment.syncStatus = operation.status;
+    comment.syncOperationId = operation.id;
+    comment.syncError = operation.error;
+  }
+  else if (operation.type === 'reactToComment') {
+    const hangout = group.hangouts.find(h => h.id === payload.hangoutId);
+    const comment = hangout && (hangout.comments || []).find(c => c.id === payload.commentId);
+    if (!comment) return;
+    if (!comment.reactions) comment.reactions = {};
+    
+    const users = (comment.reactions[payload.emoji] || []).filter(name => name !== username);
+    if (payload.active) users.push(username);
+    
+    if (users.length > 0) {
+      comment.reactions[payload.emoji] = users;
+    } else {
+      delete comment.reactions[payload.emoji];
+    }
+    comment.reactionSync = { status: operation.status, operationId: operation.id, error: operation.error };
+  }
+  else if (operation.type === 'leaveGroup') {
+    // Only failed ones get here - pending leaves hide the group instead
+    group.leaveSync = { status: operation.status, operationId: operation.id, error: operation.error };
+  }
+}
+
+/**
+ * Put every queued change for one group on top of it
+ */
+function applyOutboxToGroup(group) {
+  loadMyOutbox()
+    .filter(op => op.groupId === group.id)
+    .forEach(op => applyOperation(group, op));
+  return group;
+}
+
+/**
+ * Put every queued change on top of a list of groups
+ * Groups we're waiting to leave are left out
+ */
+function applyOutbox(groupsList) {
+  const leaving = loadMyOutbox()
+    .filter(op => op.type === 'leaveGroup' && op.status === 'pending')
+    .map(op => op.groupId);
+  
+  return groupsList
+    .filter(g => !leaving.includes(g.id))
+    .map(applyOutboxToGroup);
+}
+
+// ==========================================
+// SENDING QUEUED CHANGES
+// ==========================================
+
+/**
+ * Make the API call for one queued change
+ */
+async function sendOperation(operation) {
+  const payload = operation.payload;
+  
+  if (operation.type === 'createHangout') {
+    return API.createHangout(operation.groupId, { ...payload.hangoutData, clientId: payload.clientId });
+  }
+  if (operation.type === 'respond') {
+    return API.respondToHangout(operation.groupId, payload.hangoutId, payload.response, payload.occurrence, {
+      guests: payload.guests,
+      note: payload.note
+    });
+  }
+  if (operation.type === 'sendMessage') {
+    return API.sendMessage(operation.groupId, payload.text, payload.clientId);
+  }
+  if (operation.type === 'react') {
+    return API.addReaction(operation.groupId, payload.messageId, payload.emoji, payload.active);
+  }
+  if (operation.type === 'postComment') {
+    return API.postComment(operation.groupId, payload.hangoutId, payload.text, payload.clientId);
+  }
+  if (operation.type === 'reactToComment') {
+    return API.reactToComment(operation.groupId, payload.hangoutId, payload.commentId, payload.emoji, payload.active);
+  }
+  if (operation.type === 'leaveGroup') {
+    try {
+      return await API.leaveGroup(operation.groupId);
+    } catch (error) {
+      // Already gone from the group (or the group is gone): nothing left to do
+      if (error.status === 403 || error.status === 404) {
+        return { success: true };
+      }
+      throw error;
+    }
+  }
+  throw new Error(`Unknown operation type: ${operation.type}`);
+}
+
+/**
+ * Send everything waiting in the outbox, oldest first
+ * Stops as soon as the server can't be reached again
+ */
+async function replayOutbox() {
+  if (isReplayingOutbox || !isServerAvailable || !currentUser) return;
+  
+  isReplayingOutbox = true;
+  let sentCount = 0;
+  let failedCount = 0;
+  
+  try {
+    const pending = loadMyOutbox().filter(op => op.status === 'pending');
+    
+    for (const operation of pending) {
+      try {
+        await sendOperation(operation);
+        removeOperation(operation.id);
+        sentCount++;
+      } catch (error) {
+        if (!isServerRejection(error)) {
+          // Offline again - try the rest next time
+          break;
+        }
+        updateOperation(operation.id, { status: 'failed', error: error.message });
+        failedCount++;
+      }
+    }
+  } finally {
+    isReplayingOutbox = false;
+  }
+  
+  if (sentCount > 0 || failedCount > 0) {
+    await refreshAfterSync();
+  }
+  
+  if (sentCount > 0) {
+    showToast(`Synced ${sentCount} offline change${sentCount !== 1 ? 's' : ''}`, 'success');
+  }
+  if (failedCount > 0) {
+    showToast(`${failedCount} offline change${failedCount !== 1 ? 's' : ''} couldn't be saved`, 'error');
+  }
+}
+
+/**
+ * Change fields on a queued operation
+ */
+function updateOperation(operationId, changes) {
+  const outbox = loadOutbox().map(function(op) {
+    return op.id === operationId ? { ...op, ...changes } : op;
+  });
+  saveOutbox(outbox);
+}
+
+/**
+ * Take an operation out of the queue
+ */
+function removeOperation(operationId) {
+  saveOutbox(loadOutbox().filter(op => op.id !== operationId));
+}
+
+/**
+ * Reload from the server after syncing and redraw whatever page is showing
+ */
+async function refreshAfterSync() {
+  await loadGroupsFromServer();
+  
+  const onGroupPage = !document.getElementById('hangout-page').classList.contains('hidden');
+  
+  if (onGroupPage && currentGroup) {
+    // We might have just left this group
+    if (!groups.find(g => g.id === currentGroup.id)) {
+      currentGroup = null;
+      showPage('groups');
+      return;
+    }
+    await refreshCurrentGroup();
+    renderHangouts();
+    renderMessages();
+  } else if (currentUser) {
+    renderGroups();
+  }
+}
+
+// ==========================================
+// RETRY AND DISCARD (for failed changes)
+// ==========================================
+
+/**
+ * Try sending a failed change again
+ */
+async function retryOperation(operationId) {
+  updateOperation(operationId, { status: 'pending', error: null });
+  
+  if (await checkServerAvailable()) {
+    await replayOutbox();
+  } else {
+    showToast('Still offline - will try again when connected', 'info');
+  }
+}
+
+/**
+ * Give up on a failed change and go back to the server's version
+ */
+async function discardOperation(operationId) {
+  const operation = loadMyOutbox().find(op => op.id === operationId);
+  removeOperation(operationId);
+  
+  if (isServerAvailable) {
+    await refreshAfterSync();
+    return;
+  }
+  
+  // Offline: at least take back the things we added
+  if (operation && currentGroup) {
+    if (operation.type === 'createHangout') {
+      currentGroup.hangouts = currentGroup.hangouts.filter(h => h.id !== operation.payload.clientId);
+    } else if (operation.type === 'sendMessage') {
+      currentGroup.messages = currentGroup.messages.filter(m => m.id !== operation.payload.clientId);
+    } else if (operation.type === 'postComment') {
+      const hangout = currentGroup.hangouts.find(h => h.id === operation.payload.hangoutId);
+      if (hangout && hangout.comments) {
+        hangout.comments = hangout.comments.filter(c => c.id !== operation.payload.clientId);
+      }
+    }
+    saveGroups(groups);
+    renderHangouts();
+    renderMessages();
+  }
+}
+
+/**
+ * Little status label for something that hasn't reached the server yet
+ * Returns '' for things that are already synced
+ */
+function renderSyncStatus(status, operationId, error) {
+  if (status === 'pending') {
+    return '<div class="sync-status pending">⏳ Waiting to sync</div>';
+  }
+  
+  if (status === 'failed') {
+    return `
+      <div class="sync-status failed">
+        ⚠️ Not saved${error ? `: ${escapeHtml(error)}` : ''}
+        <button class="sync-action" onclick="event.stopPropagation(); retryOperation('${operationId}')">Retry</button>
+        <button class="sync-action" onclick="event.stopPropagation(); discardOperation('${operationId}')">Discard</button>
+      </div>
+    `;
+  }
+  
+  return '';
+}
+
+// ==========================================
+// BACKGROUND SYNC
+// ==========================================
+
+/**
+ * Keep looking for the server while we're offline
+ * Called once when the app starts
+ */
+function startOutboxSync() {
+  setInterval(function() {
+    if (!isServerAvailable && currentUser && loadMyOutbox().some(op => op.status === 'pending')) {
+      checkServerAvailable();
+    }
+  }, OUTBOX_RETRY_MS);
+  
+  // The browser tells us when the network comes back
+  window.addEventListener('online', checkServerAvailable);
+}
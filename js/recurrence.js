@@ -0,0 +1,96 @@
+/*
+  ============================================================
+  RECURRING HANGOUTS - recurrence.js
+  ============================================================
+  Turns a repeating hangout into the list of dates it happens on,
+  so each one can be shown (and RSVP'd to) as its own card.
+  
+  The date maths (listOccurrenceDates etc.) lives in
+  shared/recurrence.js, which the server uses too - load that first.
+*/
+
+// Short names for the weekday checkboxes and descriptions (0 = Sunday)
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// How far ahead to show a repeating hangout, in "periods" of its frequency
+// (e.g. a weekly one shows the next 4 weeks' worth)
+const RECURRENCE_PERIODS_AHEAD = 4;
+
+/**
+ * The last date worth showing for a repeating hangout, as "YYYY-MM-DD"
+ */
+function getOccurrenceHorizon(recurrence) {
+  const today = new Date();
+  const periods = RECURRENCE_PERIODS_AHEAD * (recurrence.interval || 1);
+  
+  if (recurrence.frequency === 'monthly') {
+    today.setMonth(today.getMonth() + periods);
+  } else {
+    today.setDate(today.getDate() + periods * (recurrence.frequency === 'weekly' ? 7 : 1));
+  }
+  return today.toISOString().split('T')[0];
+}
+
+/**
+ * One date of a repeating hangout, as a hangout object of its own
+ * with that date's changes and RSVPs
+ */
+function getOccurrence(hangout, date) {
+  const record = (hangout.occurrences || {})[date] || {};
+  const changes = record.changes || {};
+  
+  return {
+    ...hangout,
+    ...changes,
+    occurrence: date,
+    date: changes.date || date,
+    responses: record.responses || { ...hangout.responses },
+    waitlist: record.waitlist || [],
+    responseSync: record.responseSync,
+    status: record.status || hangout.status,
+    skipped: Boolean(record.skipped)
+  };
+}
+
+/**
+ * Swap every repeating hangout in a list for its dates
+ */
+function expandHangouts(hangouts) {
+  const expanded = [];
+  
+  hangouts.forEach(function(hangout) {
+    if (!hangout.recurrence) {
+      expanded.push(hangout);
+      return;
+    }
+    
+    listOccurrenceDates(hangout, getOccurrenceHorizon(hangout.recurrence)).forEach(function(date) {
+      expanded.push(getOccurrence(hangout, date));
+    });
+  });
+  
+  return expanded;
+}
+
+/**
+ * Describe a repeat rule for the hangout card
+ * e.g. "Every 2 weeks on Mon, Thu, 10 times"
+ */
+function describeRecurrence(recurrence) {
+  const interval = recurrence.interval || 1;
+  const units = { daily: 'day', weekly: 'week', monthly: 'month' };
+  const unit = units[recurrence.frequency];
+  
+  let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+  
+  if (recurrence.frequency === 'weekly' && recurrence.weekdays) {
+    text += ` on ${recurrence.weekdays.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+  }
+  if (recurrence.until) {
+    text += ` until ${formatDate(recurrence.until)}`;
+  }
+  if (recurrence.count) {
+    text += `, ${recurrence.count} time${recurrence.count !== 1 ? 's' : ''}`;
+  }
+  return text;
+}
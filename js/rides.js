@@ -0,0 +1,196 @@
+/*
+  ============================================================
+  RIDES - rides.js
+  ============================================================
+  Carpools on each hangout card: drivers offer a car with some
+  seats, others take a seat or say they need a ride, and the card
+  shows who rides with whom and who's going without a ride yet.
+  
+  The server hands out the seats (server/rides.js), so this needs
+  a connection - nothing here is queued offline.
+*/
+
+/**
+ * Make one rides API call and show the result
+ * If the car filled up meanwhile, show what the server has now.
+ */
+async function runRideAction(action) {
+  try {
+    const result = await action();
+    const hangout = currentGroup.hangouts.find(h => h.id === result.hangout.id);
+    if (hangout) {
+      hangout.rides = result.hangout.rides;
+      hangout.rideRequests = result.hangout.rideRequests;
+    }
+    saveGroups(groups);
+    renderHangouts();
+  } catch (error) {
+    if (!isServerRejection(error)) {
+      showToast('You\'re offline - try again once you reconnect', 'error');
+      return;
+    }
+    showToast(error.message, 'error');
+    if (error.status === 409) {
+      await refreshCurrentGroup();
+      renderHangouts();
+    }
+  }
+}
+
+/**
+ * Offer your car, using the form on a card
+ */
+async function offerRide(button, hangoutId, occurrence) {
+  const form = button.closest('.ride-offer-form');
+  const seats = Number(form.querySelector('.ride-seats-input').value);
+  const departFrom = form.querySelector('.ride-from-input').value.trim();
+  const departAt = form.querySelector('.ride-time-input').value;
+  
+  if (!departFrom) {
+    showToast('Say where you\'re leaving from', 'error');
+    return;
+  }
+  
+  await runRideAction(() => API.offerRide(currentGroup.id, hangoutId, {
+    seats: seats,
+    departFrom: departFrom,
+    departAt: departAt || null,
+    occurrence: occurrence
+  }));
+}
+
+/**
+ * Take back your car offer
+ */
+async function cancelRide(hangoutId, rideId) {
+  if (!confirm('Take back your ride offer? Your passengers will need another ride.')) {
+    return;
+  }
+  await runRideAction(() => API.cancelRide(currentGroup.id, hangoutId, rideId));
+}
+
+/**
+ * Change how many seats your car has
+ */
+async function changeRideSeats(hangoutId, rideId, seats) {
+  await runRideAction(() => API.updateRide(currentGroup.id, hangoutId, rideId, { seats: Number(seats) }));
+}
+
+/**
+ * Take a seat in someone's car
+ */
+async function takeSeat(hangoutId, rideId) {
+  await runRideAction(() => API.takeSeat(currentGroup.id, hangoutId, rideId));
+}
+
+/**
+ * Leave a car, or (for the driver) take someone out of it
+ */
+async function removePassenger(hangoutId, rideId, username) {
+  await runRideAction(() => API.removePassenger(currentGroup.id, hangoutId, rideId, username));
+}
+
+/**
+ * Say you need a ride, or that you don't anymore
+ */
+async function setRideRequest(hangoutId, occurrence, active) {
+  await runRideAction(() => API.setRideRequest(currentGroup.id, hangoutId, active, occurrence));
+}
+
+/**
+ * Build the rides section for a hangout card
+ */
+function renderRides(hangout) {
+  // Offline-made hangouts don't exist on the server yet
+  if (hangout.syncStatus || hangout.skipped) return '';
+  
+  const me = currentUser.username;
+  const key = getCardSectionKey('rides', hangout);
+  const occurrence = hangout.occurrence || null;
+  const occurrenceArg = occurrence ? `'${occurrence}'` : 'null';
+  
+  // Repeating hangouts keep one list, tagged with the date
+  const rides = (hangout.rides || []).filter(ride => (ride.occurrence || null) === occurrence);
+  const requests = (hangout.rideRequests || [])
+    .filter(request => (request.occurrence || null) === occurrence)
+    .map(request => request.username);
+  
+  const myRide = rides.find(ride => ride.driver === me || ride.passengers.includes(me));
+  const seatsLeft = rides.reduce((total, ride) => total + ride.seats - ride.passengers.length, 0);
+  
+  // Going (or asking for a ride), but not driving or in a car
+  const inCars = rides.reduce((names, ride) => names.concat(ride.driver, ride.passengers), []);
+  const going = Object.keys(hangout.responses).filter(name => getRsvp(hangout.responses, name).response === 'going');
+  const withoutRide = going.concat(requests.filter(name => !going.includes(name)))
+    .filter(name => !inCars.includes(name));
+  
+  let carsHtml = '';
+  rides.forEach(function(ride) {
+    const isDriver = ride.driver === me;
+    const isFull = ride.passengers.length >= ride.seats;
+    
+    let passengersHtml = '';
+    ride.passengers.forEach(function(name) {
+      const canRemove = isDriver || name === me;
+      passengersHtml += `
+        <li>
+          ${name === me ? 'You' : escapeHtml(name)}
+          ${canRemove ? `<button class="icon-button" onclick="removePassenger('${hangout.id}', '${ride.id}', ${escapeJsArg(name)})" title="${name === me ? 'Leave this car' : `Take ${escapeHtml(name)} out`}">✕</button>` : ''}
+        </li>
+      `;
+    });
+    
+    let seatsControl = `${ride.passengers.length}/${ride.seats} seats taken`;
+    if (isDriver) {
+      seatsControl = `
+        ${ride.passengers.length}/<input type="number" class="text-input ride-seats-edit" min="1" max="8" value="${ride.seats}"
+          onchange="changeRideSeats('${hangout.id}', '${ride.id}', this.value)"> seats taken
+      `;
+    }
+    
+    carsHtml += `
+      <li class="ride ${isFull ? 'full' : ''} ${myRide === ride ? 'mine' : ''}">
+        <div class="ride-header">
+          <strong>🚗 ${isDriver ? 'You' : escapeHtml(ride.driver)}</strong>
+          <span class="ride-seats">${seatsControl}</span>
+        </div>
+        <div class="ride-departure">
+          From ${escapeHtml(ride.departFrom)}${ride.departAt ? ` at ${formatTime(ride.departAt)}` : ''}
+        </div>
+        ${ride.passengers.length > 0 ? `<ul class="ride-passengers">${passengersHtml}</ul>` : ''}
+        ${isDriver ? `
+          <button class="outline-button small" onclick="cancelRide('${hangout.id}', '${ride.id}')">Take back offer</button>
+        ` : !ride.passengers.includes(me) && !isFull && !(myRide && myRide.driver === me) ? `
+          <button class="outline-button small" onclick="takeSeat('${hangout.id}', '${ride.id}')">Take a seat</button>
+        ` : ''}
+      </li>
+    `;
+  });
+  
+  const withoutRideHtml = withoutRide
+    .map(name => `${name === me ? 'You' : escapeHtml(name)}${requests.includes(name) ? ' 🙋' : ''}`)
+    .join(', ');
+  
+  return `
+    <details class="rides" ${openCardSections.has(key) ? 'open' : ''}
+      ontoggle="toggleCardSection('${key}', this.open)">
+      <summary>🚗 Rides (${rides.length} car${rides.length !== 1 ? 's' : ''}${rides.length > 0 ? `, ${seatsLeft} seat${seatsLeft !== 1 ? 's' : ''} free` : ''})</summary>
+      ${rides.length > 0 ? `<ul class="ride-list">${carsHtml}</ul>` : ''}
+      ${withoutRide.length > 0 ? `<p class="no-ride">No ride yet: ${withoutRideHtml}</p>` : ''}
+      ${!myRide ? `
+        <button class="outline-button small" onclick="setRideRequest('${hangout.id}', ${occurrenceArg}, ${!requests.includes(me)})">
+          ${requests.includes(me) ? 'I don\'t need a ride anymore' : '🙋 I need a ride'}
+        </button>
+      ` : ''}
+      ${!myRide || myRide.driver !== me ? `
+        <div class="ride-offer-form">
+          <span>Offer a ride:</span>
+          <input type="number" class="text-input ride-seats-input" min="1" max="8" value="3" title="Free seats">
+          <input type="text" class="text-input ride-from-input" maxlength="80" placeholder="Leaving from">
+          <input type="time" class="text-input ride-time-input" title="Leaving at (optional)">
+          <button class="outline-button small" onclick="offerRide(this, '${hangout.id}', ${occurrenceArg})">Offer</button>
+        </div>
+      ` : ''}
+    </details>
+  `;
+}
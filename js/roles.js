@@ -0,0 +1,193 @@
+/*
+  ============================================================
+  ROLES - roles.js
+  ============================================================
+  Each group has one owner, some admins and plain members (see
+  server/roles.js, which has the real rules). This decides which
+  admin buttons to show, and sends the admin actions: a new code,
+  making admins, removing members (and letting them back) and
+  handing the group over (the group's name and look are in
+  group-settings.js).
+  
+  All of these need a connection - nothing here is queued offline.
+*/
+
+// Which roles may do what (the server checks this too)
+const ROLE_PERMISSIONS = {
+  renameGroup: ['owner', 'admin'],
+  changeGroupSettings: ['owner', 'admin'],
+  archiveGroup: ['owner', 'admin'],
+  regenerateCode: ['owner', 'admin'],
+  manageInvites: ['owner', 'admin'],
+  approveMembers: ['owner', 'admin'],
+  deleteAnyHangout: ['owner', 'admin'],
+  removeMember: ['owner', 'admin'],
+  changeRoles: ['owner'],
+  transferOwnership: ['owner']
+};
+
+const ROLE_BADGES = { owner: '👑', admin: '⭐' };
+
+/**
+ * Someone's role in a group: "owner", "admin" or "member"
+ */
+function getMemberRole(group, username) {
+  return (group.roles || {})[username] || 'member';
+}
+
+/**
+ * May the current user do this in the open group?
+ */
+function canInGroup(permission) {
+  return ROLE_PERMISSIONS[permission].includes(getMemberRole(currentGroup, currentUser.username));
+}
+
+/**
+ * May the current user remove this member? The owner can remove
+ * anyone else, admins only plain members.
+ */
+function canRemoveMember(username) {
+  const myRole = getMemberRole(currentGroup, currentUser.username);
+  const theirRole = getMemberRole(currentGroup, username);
+  if (username === currentUser.username || theirRole === 'owner') return false;
+  return myRole === 'owner' || (canInGroup('removeMember') && theirRole === 'member');
+}
+
+/**
+ * Make one admin API call and show the group it sends back
+ */
+async function runGroupAdminAction(action, successMessage) {
+  try {
+    const result = await action();
+    // Keep anything still waiting to sync
+    currentGroup = applyOutboxToGroup(result.group);
+    const index = groups.findIndex(g => g.id === currentGroup.id);
+    if (index !== -1) {
+      groups[index] = currentGroup;
+    }
+    saveGroups(groups);
+    showToast(successMessage, 'success');
+    renderHangouts();
+  } catch (error) {
+    showToast(isServerRejection(error) ? error.message : 'You\'re offline - try again once you reconnect', 'error');
+  }
+}
+
+/**
+ * Swap the group code for a new one
+ */
+async function regenerateGroupCode() {
+  if (!confirm('Make a new group code? The old one will stop working for anyone you haven\'t let in yet.')) {
+    return;
+  }
+  await runGroupAdminAction(() => API.regenerateGroupCode(currentGroup.id), 'New code made 🔄');
+}
+
+/**
+ * Make someone an admin, or a plain member again
+ */
+async function setMemberRole(username, role) {
+  await runGroupAdminAction(
+    () => API.setMemberRole(currentGroup.id, username, role),
+    role === 'admin' ? `${username} is now an admin ⭐` : `${username} is no longer an admin`
+  );
+}
+
+/**
+ * Hand the group to another member (you stay on as an admin)
+ */
+async function transferOwnership(username) {
+  if (!confirm(`Make ${username} the owner of "${currentGroup.name}"? You'll stay on as an admin.`)) {
+    return;
+  }
+  await runGroupAdminAction(() => API.transferOwnership(currentGroup.id, username), `${username} is now the owner 👑`);
+}
+
+/**
+ * Take someone out of the group
+ */
+async function removeMember(username) {
+  if (!confirm(`Remove ${username} from "${currentGroup.name}"? They won't be able to rejoin until an admin lets them back.`)) {
+    return;
+  }
+  await runGroupAdminAction(() => API.removeMember(currentGroup.id, username), `${username} was removed`);
+}
+
+/**
+ * Let someone who was removed join again (they still need a code)
+ */
+async function liftBan(username) {
+  await runGroupAdminAction(() => API.liftBan(currentGroup.id, username), `${username} can join again`);
+}
+
+/**
+ * Show who was removed and can't rejoin yet (owner and admins)
+ */
+function renderBans() {
+  const section = document.getElementById('bans-section');
+  const container = document.getElementById('bans-list');
+  if (!section || !container) return;
+  
+  const bans = currentGroup.bans || [];
+  const canLift = canInGroup('removeMember');
+  section.classList.toggle('hidden', !canLift || bans.length === 0);
+  if (!canLift) return;
+  
+  container.innerHTML = bans.map(ban => `
+    <div class="member-item join-request" title="Removed by ${escapeHtml(ban.bannedBy)}">
+      <span class="member-avatar">${escapeHtml(ban.username.charAt(0).toUpperCase())}</span>
+      <span class="member-name">${escapeHtml(ban.username)}</span>
+      <span class="member-actions">
+        <button class="icon-button" onclick="liftBan(${escapeJsArg(ban.username)})" title="Let back in">↩️</button>
+      </span>
+    </div>
+  `).join('');
+}
+
+/**
+ * The admin buttons next to a member in the members list
+ */
+function renderMemberActions(username) {
+  const role = getMemberRole(currentGroup, username);
+  let html = '';
+  
+  if (canInGroup('changeRoles') && role !== 'owner') {
+    html += role === 'admin'
+      ? `<button class="icon-button" onclick="setMemberRole(${escapeJsArg(username)}, 'member')" title="Remove admin">⬇️</button>`
+      : `<button class="icon-button" onclick="setMemberRole(${escapeJsArg(username)}, 'admin')" title="Make admin">⬆️</button>`;
+  }
+  if (canInGroup('transferOwnership') && role !== 'owner') {
+    html += `<button class="icon-button" onclick="transferOwnership(${escapeJsArg(username)})" title="Make owner">👑</button>`;
+  }
+  if (canRemoveMember(username)) {
+    html += `<button class="icon-button" onclick="removeMember(${escapeJsArg(username)})" title="Remove from group">✕</button>`;
+  }
+  
+  return html ? `<span class="member-actions">${html}</span>` : '';
+}
+
+/**
+ * Show or hide the group admin section and the settings only admins can change
+ */
+function renderGroupAdminControls() {
+  const adminActions = document.getElementById('group-admin-actions');
+  if (adminActions) {
+    adminActions.classList.toggle('hidden', !canInGroup('regenerateCode') && !canInGroup('changeGroupSettings'));
+  }
+  
+  const ruleEditor = document.getElementById('group-confirmation-editor');
+  if (ruleEditor) {
+    ruleEditor.classList.toggle('hidden', !canInGroup('changeGroupSettings'));
+  }
+}
+
+/**
+ * Set up the group admin buttons
+ */
+function setupRoleEvents() {
+  const regenerateBtn = document.getElementById('regenerate-code-button');
+  
+  if (regenerateBtn) regenerateBtn.addEventListener('click', regenerateGroupCode);
+  
+  setupInviteEvents();
+}
@@ -0,0 +1,195 @@
+/*
+  ============================================================
+  MY SCHEDULE - schedule.js
+  ============================================================
+  An agenda on the groups page with the coming hangouts from
+  every group you're in, soonest first. Hangouts you haven't
+  answered stand out, and you can RSVP right from the list
+  without opening the group.
+  
+  RSVPs made here work offline like the ones on hangout cards:
+  they're queued and sent once the server is back.
+*/
+
+// How far ahead the agenda looks
+const SCHEDULE_DAYS = 30;
+
+/**
+ * When a hangout (or one date of a repeating one) starts
+ * No time means it counts from the start of the day.
+ */
+function getScheduleStart(date, time) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = (time || '00:00').split(':').map(Number);
+  return new Date(year, month - 1, day, hours, minutes);
+}
+
+/**
+ * The coming hangouts from all your groups, soonest first:
+ * [{ group, hangout, start }]
+ * Open time polls count from their earliest option.
+ */
+function getScheduleItems() {
+  const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const horizon = new Date(today.getFullYear(), today.getMonth(), today.getDate() + SCHEDULE_DAYS);
+  const items = [];
+  
+  groups.forEach(function(group) {
+    if (!group.members.includes(currentUser.username) || group.archivedAt) return;
+    
+    expandHangouts(group.hangouts || []).forEach(function(hangout) {
+      if (hangout.skipped) return;
+      
+      let start;
+      if (isOpenTimePoll(hangout)) {
+        const first = (hangout.slots || []).slice().sort((a, b) => (a.date + a.time).localeCompare(b.date + b.time))[0];
+        if (!first) return;
+        start = getScheduleStart(first.date, first.time);
+      } else if (hangout.date) {
+        start = getScheduleStart(hangout.date, hangout.time);
+      } else {
+        return;
+      }
+      
+      // Anything without a time stays on the list for the whole day
+      const stillToCome = hangout.time || isOpenTimePoll(hangout) ? start >= now : start >= today;
+      if (stillToCome && start < horizon) {
+        items.push({ group: group, hangout: hangout, start: start });
+      }
+    });
+  });
+  
+  return items.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * RSVP to a hangout from the agenda
+ */
+async function respondFromSchedule(groupId, hangoutId, response, occurrence) {
+  const group = groups.find(g => g.id === groupId);
+  if (!group) return;
+  
+  const messages = {
+    going: 'You\'re going! 🎉',
+    maybe: 'Marked as maybe 🤔',
+    notGoing: 'Marked as not going'
+  };
+  
+  try {
+    const result = await API.respondToHangout(groupId, hangoutId, response, occurrence || undefined);
+    const index = group.hangouts.findIndex(h => h.id === hangoutId);
+    if (index !== -1) {
+      group.hangouts[index] = result.hangout;
+    }
+    saveGroups(groups);
+    
+    if (result.response === 'waitlisted') {
+      showToast('It\'s full - you\'re on the waitlist ⏳', 'info');
+    } else {
+      showToast(messages[response], response === 'going' ? 'success' : 'info');
+    }
+  } catch (error) {
+    if (isServerRejection(error)) {
+      showToast(error.message, 'error');
+      return;
+    }
+    
+    // Offline: send it when the server is back
+    queueOperation('respond', groupId, {
+      hangoutId: hangoutId,
+      response: response,
+      occurrence: occurrence || undefined
+    });
+    showToast(messages[response], response === 'going' ? 'success' : 'info');
+  }
+  
+  renderSchedule();
+}
+
+/**
+ * Draw the agenda on the groups page
+ */
+function renderSchedule() {
+  const container = document.getElementById('schedule-list');
+  if (!container) return;
+  
+  const items = getScheduleItems();
+  const unanswered = items.filter(item => !isOpenTimePoll(item.hangout) && !getRsvp(item.hangout.responses, currentUser.username));
+  
+  const countEl = document.getElementById('schedule-unanswered-count');
+  if (countEl) {
+    countEl.textContent = unanswered.length > 0 ? `${unanswered.length} to answer` : '';
+    countEl.classList.toggle('hidden', unanswered.length === 0);
+  }
+  
+  if (items.length === 0) {
+    container.innerHTML = `<p class="schedule-empty">Nothing planned in the next ${SCHEDULE_DAYS} days</p>`;
+    return;
+  }
+  
+  let html = '';
+  let lastDay = '';
+  items.forEach(function({ group, hangout, start }) {
+    const isPoll = isOpenTimePoll(hangout);
+    const status = getHangoutStatus(hangout);
+    const myRsvp = getRsvp(hangout.responses, currentUser.username);
+    const myResponse = myRsvp ? myRsvp.response : null;
+    const isClosed = isResponsesClosed(hangout) && hangout.proposedBy !== currentUser.username;
+    const occurrenceArg = hangout.occurrence ? `'${hangout.occurrence}'` : 'null';
+    const responseSync = hangout.responseSync || {};
+    
+    let answerLabel = '❗ Needs your answer';
+    if (isPoll) {
+      answerLabel = 'Time not decided yet';
+    } else if (myResponse === 'waitlisted') {
+      answerLabel = '⏳ Waitlisted';
+    } else if (myResponse) {
+      answerLabel = `You: ${{ going: 'going', maybe: 'maybe', notGoing: 'can\'t go' }[myResponse]}`;
+    }
+    
+    // A heading for each new day
+    const day = toLocalDateString(start);
+    if (day !== lastDay) {
+      html += `<h3 class="schedule-day">${formatShortDate(day)}</h3>`;
+      lastDay = day;
+    }
+    
+    let answerHtml;
+    if (isPoll) {
+      answerHtml = `<button class="outline-button small" onclick="openGroup('${group.id}')">🗳️ Vote on a time</button>`;
+    } else if (isClosed) {
+      answerHtml = `<span class="schedule-closed">RSVPs closed</span>`;
+    } else {
+      answerHtml = `
+        <div class="response-buttons">
+          <button class="response-button going ${myResponse === 'going' || myResponse === 'waitlisted' ? 'selected' : ''}"
+            onclick="respondFromSchedule('${group.id}', '${hangout.id}', 'going', ${occurrenceArg})">✓ Going</button>
+          <button class="response-button maybe ${myResponse === 'maybe' ? 'selected' : ''}"
+            onclick="respondFromSchedule('${group.id}', '${hangout.id}', 'maybe', ${occurrenceArg})">? Maybe</button>
+          <button class="response-button not-going ${myResponse === 'notGoing' ? 'selected' : ''}"
+            onclick="respondFromSchedule('${group.id}', '${hangout.id}', 'notGoing', ${occurrenceArg})">✕ Can't Go</button>
+        </div>
+      `;
+    }
+    
+    html += `
+      <div class="schedule-item ${!isPoll && !myResponse ? 'unanswered' : ''}">
+        <div class="schedule-info" onclick="openGroup('${group.id}')" title="Open ${escapeHtml(group.name)}">
+          <div class="schedule-title">
+            <strong>${hangout.time && !isPoll ? `${formatTime(hangout.time)} · ` : ''}${escapeHtml(hangout.title)}</strong>
+            <span class="status-badge ${status}">${status}</span>
+          </div>
+          <div class="schedule-meta">
+            ${escapeHtml(group.name)}${hangout.location ? ` · 📍 ${escapeHtml(hangout.location)}` : ''}
+            · ${answerLabel}
+          </div>
+        </div>
+        ${renderSyncStatus(responseSync.status, responseSync.operationId, responseSync.error)}
+        <div class="schedule-actions">${answerHtml}</div>
+      </div>
+    `;
+  });
+  
+  container.innerHTML = html;
+}
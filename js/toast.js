@@ -31,7 +31,7 @@ function showToast(message, type = 'success') {
     icon = 'ℹ';
   }
   
-  toast.innerHTML = `<span>${icon}</span> ${message}`;
+  toast.innerHTML = `<span>${icon}</span> ${escapeHtml(message)}`;
   
   // Add it to the container
   container.appendChild(toast);
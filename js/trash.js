@@ -0,0 +1,90 @@
+/*
+  ============================================================
+  TRASH - trash.js
+  ============================================================
+  When the last member leaves a group it isn't deleted straight
+  away: it sits in their "Recently deleted" list on the groups
+  page, with its hangouts and chat, for TRASH_RETENTION_DAYS
+  (server/trash.js). Restoring it brings them back as its owner.
+  
+  Needs a connection, like the trash itself.
+*/
+
+// How long a group stays restorable (the same as the server)
+const TRASH_RETENTION_DAYS = 30;
+
+// Groups you were the last to leave:
+// [{ id, name, emoji, color, trashedAt, purgeAt, hangoutCount, messageCount }]
+let trashedGroups = [];
+
+/**
+ * Fetch the groups in your trash
+ */
+async function loadTrash() {
+  try {
+    trashedGroups = await API.getTrash();
+  } catch (error) {
+    // Offline: keep showing what we had
+    return;
+  }
+  renderTrash();
+}
+
+/**
+ * Bring a group back out of the trash and open it
+ */
+async function restoreGroup(groupId) {
+  let result;
+  try {
+    result = await API.restoreGroup(groupId);
+  } catch (error) {
+    if (isServerRejection(error)) {
+      showToast(error.message || 'Could not restore group', 'error');
+      loadTrash();
+    } else {
+      showToast('You\'re offline - try again once you reconnect', 'error');
+    }
+    return;
+  }
+  
+  trashedGroups = trashedGroups.filter(g => g.id !== groupId);
+  groups.push(result.group);
+  saveGroups(groups);
+  showToast(`"${result.group.name}" is back ♻️`, 'success');
+  renderGroups();
+}
+
+/**
+ * How long until a trashed group is gone, in words
+ */
+function describeTimeLeft(purgeAt) {
+  const days = Math.ceil((new Date(purgeAt) - new Date()) / (24 * 60 * 60 * 1000));
+  if (days <= 1) return 'deleted for good within a day';
+  return `deleted for good in ${days} days`;
+}
+
+/**
+ * Show the "Recently deleted" list under your groups
+ */
+function renderTrash() {
+  const section = document.getElementById('trash-section');
+  const container = document.getElementById('trash-list');
+  if (!section || !container) return;
+  
+  section.classList.toggle('hidden', trashedGroups.length === 0);
+  
+  container.innerHTML = trashedGroups.map(group => `
+    <div class="trashed-group">
+      ${renderGroupAvatar(group)}
+      <div class="trashed-group-info">
+        <strong>${escapeHtml(group.name)}</strong>
+        <span class="trashed-group-details">
+          ${group.hangoutCount} hangout${group.hangoutCount === 1 ? '' : 's'},
+          ${group.messageCount} message${group.messageCount === 1 ? '' : 's'} ·
+          ${describeTimeLeft(group.purgeAt)}
+        </span>
+      </div>
+      <button class="outline-button small" onclick="restoreGroup('${group.id}')">♻️ Restore</button>
+    </div>
+  `).join('');
+}
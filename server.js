@@ -3,83 +3,318 @@
   HANG HIVE BACKEND SERVER - server.js
   ============================================================
   This is the backend that handles all data for the app.
-  It saves data to a JSON file so it persists between restarts.
+  It saves data through the storage engine (server/storage.js)
+  so it persists between restarts.
   
   To run: node server.js
   Then open http://localhost:3000 in your browser
+  
+  It serves the frontend itself, so deploying the app means running
+  this on a host that keeps one Node process going with a disk for
+  data/. Static or serverless hosts (Vercel...) can't: the data lives
+  in this process and live updates need long-lived connections.
 */
 
 const express = require('express');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { createStorage, StorageConflictError } = require('./server/storage');
+const { isOccurrenceDate } = require('./shared/recurrence');
+const { buildCalendar } = require('./server/ical');
+const { createRsvp, validateRsvpExtras, partySize, countHeads, migrateRsvps } = require('./server/rsvp');
+const { validateConfirmationRule, cleanConfirmationRule, getStartTime, refreshStatuses } = require('./server/confirmation');
+const { validateRide, findRideFor, clearRideRequest } = require('./server/rides');
+const { validateExpense, splitExpense, computeBalances, settleUp, hangoutTransfers, hasUnsettledExpenses } = require('./server/expenses');
+const { getRole, can, canRemoveMember, ensureOwner, viewGroupAs } = require('./server/roles');
+const { validateGroupSettings, applyGroupSettings } = require('./server/group-settings');
+const { TRASH_RETENTION_DAYS, isTrashed, isPastRetention, moveToTrash, restoreFromTrash } = require('./server/trash');
+const { MAX_BLOCKS_PER_MEMBER, MAX_DAYS_AHEAD, validateBlock, pruneAvailability, findBestTimes } = require('./server/availability');
+const { generateInviteCode, validateInvite, countInviteUses, getInviteProblem, addMember, isBanned, banMember } = require('./server/invites');
+const { createRateLimiter } = require('./server/rate-limit');
+const { MIN_PASSWORD_LENGTH, setPassword, verifyPassword, isLockedAccount } = require('./server/passwords');
+const { validateRsvpDeadline, validateRsvpDefault, cleanRsvpDeadline, isSameRsvpDeadline, isPastRsvpDeadline, applyRsvpDeadlines } = require('./server/rsvp-deadline');
 
 const app = express();
 const PORT = 3000;
 
 // Where we store all the data
-const DATA_FILE = path.join(__dirname, 'data', 'database.json');
+const DATA_DIR = path.join(__dirname, 'data');
+
+// Folders the browser needs (index.html is served on its own)
+const FRONTEND_FOLDERS = ['css', 'js', 'shared'];
+
+// The single JSON file we used to keep everything in (imported on first start)
+const LEGACY_DATA_FILE = path.join(DATA_DIR, 'database.json');
+
+// How often to ping open event streams so proxies don't close them
+const EVENT_HEARTBEAT_MS = 25 * 1000;
+
+// How often to re-check the statuses of groups someone is watching
+// (a decideHoursBefore deadline can pass without anyone doing anything)
+const STATUS_REFRESH_MS = 60 * 1000;
+
+// Limits on how many times a hangout poll can offer
+const MIN_TIME_OPTIONS = 2;
+const MAX_TIME_OPTIONS = 10;
+
+// Longest a bring-list item can be
+const MAX_CHECKLIST_ITEM_LENGTH = 80;
+
+// Most people a capped hangout can take
+const MAX_CAPACITY = 1000;
+
+// Longest a hangout's title, location and description can be
+const MAX_HANGOUT_TITLE_LENGTH = 100;
+const MAX_HANGOUT_LOCATION_LENGTH = 100;
+const MAX_HANGOUT_DESCRIPTION_LENGTH = 1000;
+
+// Limits on repeating hangouts
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const MAX_RECURRENCE_INTERVAL = 99;
+const MAX_RECURRENCE_COUNT = 365;
+
+// The reactions people can leave on comments (the same set as
+// getReactionEmojis() in js/helpers.js)
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '🎉', '🔥', '👀'];
+
+// The reactions people can leave on chat messages (the emoji picker
+// in index.html offers a few more than comments do)
+const MESSAGE_REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🎉', '🔥', '👏'];
+
+// Wrong group codes allowed before joining is blocked for a while
+// (counted per user and per IP address, so codes can't be guessed)
+const JOIN_ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+const MAX_FAILED_JOINS_PER_USER = 10;
+const MAX_FAILED_JOINS_PER_IP = 30;
+
+// How many proxies (nginx, a load balancer...) sit in front of the
+// server. Behind one, every request seems to come from the proxy, so
+// set TRUST_PROXY=1 and the per-IP limit uses the address it passes on
+// in X-Forwarded-For. Off by default, since without a proxy anyone
+// could fake that header.
+const TRUST_PROXY_HOPS = Number(process.env.TRUST_PROXY) || 0;
+
+// Most invite codes a group can have at once (revoked ones don't count)
+const MAX_INVITES_PER_GROUP = 50;
+
+// Most people who can be waiting to join a group at once
+const MAX_JOIN_REQUESTS = 100;
+
+// Wrong passwords allowed before logging in is blocked for a while
+// (counted per username and per IP address, so passwords can't be guessed)
+const LOGIN_ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+const MAX_FAILED_LOGINS_PER_USER = 10;
+const MAX_FAILED_LOGINS_PER_IP = 50;
+
+// What a new username can look like. Names end up in URLs
+// (/members/:username) and calendar files, so only letters, numbers,
+// spaces and _ . - are allowed, starting with a letter or number.
+const MAX_USERNAME_LENGTH = 30;
+const USERNAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} _.-]*$/u;
+
+// How long a login stays valid (30 days)
+const SESSION_LIFETIME_MS = 30 * 24 * 60 * 60 * 1000;
 
 // ==========================================
 // MIDDLEWARE (runs on every request)
 // ==========================================
 
+// Work out req.ip from behind a proxy, if there is one
+app.set('trust proxy', TRUST_PROXY_HOPS);
+
 // Allow requests from any origin (for development)
 app.use(cors());
 
 // Parse JSON request bodies
 app.use(express.json());
 
-// Serve the frontend files (html, css, js)
-app.use(express.static(__dirname));
+// Serve the frontend files (html, css, js) - only these, never the
+// whole folder, or data/ (passwords and all) would be up for grabs
+app.get(['/', '/index.html'], (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+for (const folder of FRONTEND_FOLDERS) {
+  app.use(`/${folder}`, express.static(path.join(__dirname, folder)));
+}
 
 // ==========================================
-// DATABASE FUNCTIONS
+// DATABASE
 // ==========================================
 
 /**
- * Load all data from the JSON file
+ * Read the old database.json so its data carries over into a new store
  */
-function loadDatabase() {
-  try {
-    // Create data folder if it doesn't exist
-    const dataDir = path.dirname(DATA_FILE);
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
-    
-    // Create file with empty data if it doesn't exist
-    if (!fs.existsSync(DATA_FILE)) {
-      const emptyData = { users: [], groups: [] };
-      fs.writeFileSync(DATA_FILE, JSON.stringify(emptyData, null, 2));
-      return emptyData;
-    }
-    
-    const data = fs.readFileSync(DATA_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Error loading database:', error);
-    return { users: [], groups: [] };
+function importLegacyDatabase() {
+  if (!fs.existsSync(LEGACY_DATA_FILE)) {
+    return {};
   }
+  
+  const data = JSON.parse(fs.readFileSync(LEGACY_DATA_FILE, 'utf8'));
+  console.log(`Imported ${LEGACY_DATA_FILE} into the new storage engine`);
+  
+  return {
+    users: data.users || [],
+    groups: data.groups || [],
+    sessions: data.sessions || []
+  };
 }
 
+const store = createStorage({
+  dir: DATA_DIR,
+  collections: {
+    users: 'id',
+    groups: 'id',
+    sessions: 'tokenHash'
+  },
+  seed: importLegacyDatabase
+});
+
 /**
- * Save all data to the JSON file
+ * Bring groups saved by older versions up to date
+ * Runs on every start, but only writes the groups that change
  */
-function saveDatabase(data) {
-  try {
-    const dataDir = path.dirname(DATA_FILE);
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
+function migrateGroups() {
+  store.transaction(tx => {
+    for (const group of tx.groups.all()) {
+      const rsvpsMigrated = migrateRsvps(group);
+      const ownerAdded = ensureOwner(group);
+      if (rsvpsMigrated || ownerAdded) {
+        tx.groups.put(group);
+        console.log(`Migrated group: ${group.name}`);
+      }
     }
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
-    return true;
-  } catch (error) {
-    console.error('Error saving database:', error);
-    return false;
+  });
+}
+
+/**
+ * Delete groups that have been in the trash too long (see server/trash.js)
+ */
+function purgeTrash() {
+  const now = new Date();
+  store.transaction(tx => {
+    tx.groups.all()
+      .filter(group => isPastRetention(group, now))
+      .forEach(group => {
+        tx.groups.delete(group.id);
+        console.log(`Group deleted for good: ${group.name}`);
+      });
+  });
+}
+
+migrateGroups();
+purgeTrash();
+
+// ==========================================
+// REPOSITORIES
+// ==========================================
+// Route handlers go through these instead of touching the store.
+// Everything they return is a private copy: change it, then save() it.
+
+const Users = {
+  findById(id) {
+    return store.users.get(id);
+  },
+  
+  findByUsername(username) {
+    const wanted = username.trim().toLowerCase();
+    return store.users.find(u => u.username.toLowerCase() === wanted);
+  },
+  
+  findByCalendarFeedTokenHash(tokenHash) {
+    return store.users.find(u => u.calendarFeedTokenHash === tokenHash);
+  },
+  
+  save(user) {
+    store.transaction(tx => tx.users.put(user));
+    return user;
+  }
+};
+
+const Sessions = {
+  findByTokenHash(tokenHash) {
+    return store.sessions.get(tokenHash);
+  },
+  
+  delete(tokenHash) {
+    store.transaction(tx => tx.sessions.delete(tokenHash));
+  }
+};
+
+/**
+ * Bring the parts of a group that depend on the clock up to date:
+ * missed RSVP deadlines (server/rsvp-deadline.js), then hangout
+ * statuses (server/confirmation.js)
+ * Statuses can also change with the members or just with time, so
+ * any hangout whose status changed is sent out to the group.
+ * Returns those hangouts.
+ */
+function refreshGroup(group) {
+  applyRsvpDeadlines(group);
+  const changed = refreshStatuses(group);
+  for (const hangout of changed) {
+    broadcast(group.id, 'hangout-updated', { hangout });
   }
+  return changed;
 }
 
+/**
+ * Refresh a group that was just read
+ * A status that changed is saved straight away, so it's only sent
+ * out once instead of on every read until something else saves.
+ */
+function refreshOnRead(group) {
+  if (refreshGroup(group).length === 0) {
+    return group;
+  }
+  store.transaction(tx => tx.groups.put(group));
+  return store.groups.get(group.id);
+}
+
+// Worked out fresh every time a group is read or saved
+const Groups = {
+  findById(id) {
+    const group = store.groups.get(id);
+    return group && refreshOnRead(group);
+  },
+  
+  // Matches the group's own code or any of its invite codes
+  findByCode(code) {
+    const wanted = code.toUpperCase();
+    const group = store.groups.find(g => !isTrashed(g) &&
+      (g.code.toUpperCase() === wanted || (g.invites || []).some(invite => invite.code === wanted))
+    );
+    return group && refreshOnRead(group);
+  },
+  
+  listForMember(username) {
+    return store.groups.filter(g => g.members.includes(username)).map(refreshOnRead);
+  },
+  
+  // Groups this person was the last to leave, still in the trash
+  listTrashedBy(username) {
+    return store.groups.filter(g => isTrashed(g) && g.trashedBy === username);
+  },
+  
+  // Groups this person has asked to join and is still waiting on
+  listRequestedBy(username) {
+    return store.groups.filter(g => (g.joinRequests || []).some(r => r.username === username));
+  },
+  
+  save(group) {
+    refreshGroup(group);
+    store.transaction(tx => tx.groups.put(group));
+    return group;
+  },
+  
+  delete(id) {
+    store.transaction(tx => tx.groups.delete(id));
+  }
+};
+
+// ==========================================
+// ID AND CODE GENERATORS
+// ==========================================
+
 /**
  * Generate a random ID
  */
@@ -88,289 +323,3148 @@ function generateId() {
 }
 
 /**
- * Generate a group code (ABC-1234 format)
+ * Check an id the browser picked itself
+ * Offline clients create hangouts and messages with their own ids, so
+ * replaying the same request later can't make a duplicate.
+ */
+function isValidClientId(clientId) {
+  return typeof clientId === 'string' && /^[a-z0-9]{6,32}$/.test(clientId);
+}
+
+/**
+ * Generate a group code (ABC-1234 format)
+ */
+function generateGroupCode() {
+  const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+  const numbers = '0123456789';
+  let code = '';
+  for (let i = 0; i < 3; i++) {
+    code += letters.charAt(Math.floor(Math.random() * letters.length));
+  }
+  code += '-';
+  for (let i = 0; i < 4; i++) {
+    code += numbers.charAt(Math.floor(Math.random() * numbers.length));
+  }
+  return code;
+}
+
+// ==========================================
+// AUTHENTICATION
+// ==========================================
+
+/**
+ * Session tokens are only stored hashed, so a leaked
+ * database file can't be used to log in as anyone
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Save the user and start a new session for them, in one go
+ * Returns the token the client should send back on every request
+ */
+function startSession(user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  
+  store.transaction(tx => {
+    tx.users.put(user);
+    
+    // Drop expired sessions while we're here
+    tx.sessions.all()
+      .filter(s => new Date(s.expiresAt).getTime() <= now)
+      .forEach(s => tx.sessions.delete(s.tokenHash));
+    
+    tx.sessions.put({
+      tokenHash: hashToken(token),
+      userId: user.id,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + SESSION_LIFETIME_MS).toISOString()
+    });
+  });
+  
+  return token;
+}
+
+/**
+ * The user fields that are safe to send to the browser
+ */
+function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    createdAt: user.createdAt
+  };
+}
+
+// The only route that may send its token as ?token=... (see getRequestToken)
+const QUERY_TOKEN_PATH = /^\/api\/groups\/[^/]+\/events$/;
+
+/**
+ * Read the session token from the request
+ * Normally "Authorization: Bearer <token>"
+ * 
+ * The browser's EventSource can't set headers, so the live events
+ * stream passes it as ?token=... instead. Nothing else may: tokens
+ * in URLs end up in logs and Referer headers.
+ */
+function getRequestToken(req) {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  const path = req.originalUrl.split('?')[0];
+  if (req.method === 'GET' && QUERY_TOKEN_PATH.test(path) && typeof req.query.token === 'string') {
+    return req.query.token;
+  }
+  return null;
+}
+
+/**
+ * The session with this token hash, or null if it ended or expired
+ */
+function findActiveSession(tokenHash) {
+  const session = Sessions.findByTokenHash(tokenHash);
+  if (!session || new Date(session.expiresAt).getTime() <= Date.now()) {
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Middleware: only let logged-in users through
+ * Sets req.user to the user the token belongs to
+ */
+function requireAuth(req, res, next) {
+  const token = getRequestToken(req);
+  
+  if (!token) {
+    return res.status(401).json({ error: 'Please log in first' });
+  }
+  
+  const tokenHash = hashToken(token);
+  const session = findActiveSession(tokenHash);
+  
+  if (!session) {
+    return res.status(401).json({ error: 'Your session has expired. Please log in again' });
+  }
+  
+  const user = Users.findById(session.userId);
+  
+  if (!user) {
+    return res.status(401).json({ error: 'Your session has expired. Please log in again' });
+  }
+  
+  req.user = publicUser(user);
+  req.sessionTokenHash = tokenHash;
+  next();
+}
+
+// ==========================================
+// AUTHORIZATION
+// ==========================================
+
+/**
+ * Is this user a member of the group?
+ */
+function isMember(user, group) {
+  return group.members.includes(user.username);
+}
+
+/**
+ * Who may do what inside a group
+ * Every action needs membership first; "allow" adds any extra rule
+ * on top, with the error sent back when it says no. Archived groups
+ * are read-only: only actions marked "whenArchived" still work there.
+ */
+const POLICIES = {
+  viewGroup: { whenArchived: true },
+  leaveGroup: { whenArchived: true },
+  changeGroupSettings: {
+    allow: (user, group) => can(group, user.username, 'changeGroupSettings'),
+    error: 'Only the owner and admins can change the group\'s settings',
+    code: 'NOT_GROUP_ADMIN'
+  },
+  renameGroup: {
+    allow: (user, group) => can(group, user.username, 'renameGroup'),
+    error: 'Only the owner and admins can rename the group',
+    code: 'NOT_GROUP_ADMIN'
+  },
+  archiveGroup: {
+    allow: (user, group) => can(group, user.username, 'archiveGroup'),
+    error: 'Only the owner and admins can archive the group',
+    code: 'NOT_GROUP_ADMIN',
+    whenArchived: true
+  },
+  regenerateCode: {
+    allow: (user, group) => can(group, user.username, 'regenerateCode'),
+    error: 'Only the owner and admins can change the group code',
+    code: 'NOT_GROUP_ADMIN'
+  },
+  manageInvites: {
+    allow: (user, group) => can(group, user.username, 'manageInvites'),
+    error: 'Only the owner and admins can manage invites',
+    code: 'NOT_GROUP_ADMIN'
+  },
+  approveMembers: {
+    allow: (user, group) => can(group, user.username, 'approveMembers'),
+    error: 'Only the owner and admins can let people in',
+    code: 'NOT_GROUP_ADMIN'
+  },
+  removeMember: {
+    allow: (user, group, username) => canRemoveMember(group, user.username, username),
+    error: 'You can\'t remove this member',
+    code: 'CANNOT_REMOVE_MEMBER',
+    whenArchived: true
+  },
+  liftBan: {
+    allow: (user, group) => can(group, user.username, 'removeMember'),
+    error: 'Only the owner and admins can let removed people back',
+    code: 'NOT_GROUP_ADMIN',
+    whenArchived: true
+  },
+  changeRoles: {
+    allow: (user, group) => can(group, user.username, 'changeRoles'),
+    error: 'Only the owner can make or unmake admins',
+    code: 'NOT_GROUP_OWNER',
+    whenArchived: true
+  },
+  transferOwnership: {
+    allow: (user, group) => can(group, user.username, 'transferOwnership'),
+    error: 'Only the owner can hand the group over',
+    code: 'NOT_GROUP_OWNER',
+    whenArchived: true
+  },
+  createHangout: {},
+  respondToHangout: {
+    allow: (user, group, hangout) => !isPastRsvpDeadline(hangout) || hangout.proposedBy === user.username,
+    error: 'RSVPs for this hangout are closed',
+    code: 'RESPONSES_CLOSED'
+  },
+  deleteHangout: {
+    allow: (user, group, hangout) => hangout.proposedBy === user.username || can(group, user.username, 'deleteAnyHangout'),
+    error: 'Only the creator or an admin can delete this hangout',
+    code: 'NOT_HANGOUT_CREATOR'
+  },
+  editHangout: {
+    allow: (user, group, hangout) => hangout.proposedBy === user.username,
+    error: 'Only the person who proposed this hangout can edit it',
+    code: 'NOT_HANGOUT_CREATOR'
+  },
+  editOccurrence: {
+    allow: (user, group, hangout) => hangout.proposedBy === user.username,
+    error: 'Only the person who proposed this hangout can change or skip a date',
+    code: 'NOT_HANGOUT_CREATOR'
+  },
+  voteOnTimeOption: {},
+  lockTimeOption: {
+    allow: (user, group, hangout) => hangout.proposedBy === user.username,
+    error: 'Only the person who proposed this hangout can lock in a time',
+    code: 'NOT_HANGOUT_CREATOR'
+  },
+  offerRide: {},
+  editRide: {
+    allow: (user, group, ride) => ride.driver === user.username,
+    error: 'Only the driver can change this ride',
+    code: 'NOT_RIDE_DRIVER'
+  },
+  takeSeat: {},
+  removePassenger: {
+    allow: (user, group, seat) => seat.username === user.username || seat.ride.driver === user.username,
+    error: 'Only the driver can take someone else out of a car',
+    code: 'NOT_RIDE_DRIVER'
+  },
+  requestRide: {},
+  viewExpenses: { whenArchived: true },
+  addExpense: {},
+  deleteExpense: {
+    allow: (user, group, expense) => expense.addedBy === user.username || expense.paidBy === user.username,
+    error: 'Only whoever added or paid for this expense can delete it',
+    code: 'NOT_EXPENSE_OWNER'
+  },
+  // item is the payment (or the transfer about to be marked paid)
+  markPayment: {
+    allow: (user, group, payment) => payment.from === user.username || payment.to === user.username,
+    error: 'Only the person paying or being paid can mark this payment',
+    code: 'NOT_IN_PAYMENT'
+  },
+  addChecklistItem: {},
+  claimChecklistItem: {},
+  updateChecklistItem: {
+    allow: (user, group, item) => !item.claimedBy || item.claimedBy === user.username,
+    error: 'Someone else has claimed this item',
+    code: 'NOT_ITEM_CLAIMER'
+  },
+  deleteChecklistItem: {
+    allow: (user, group, item) => item.addedBy === user.username,
+    error: 'Only whoever added this item can remove it',
+    code: 'NOT_ITEM_OWNER'
+  },
+  viewAvailability: { whenArchived: true },
+  markAvailability: {},
+  viewComments: { whenArchived: true },
+  postComment: {},
+  reactToComment: {},
+  viewMessages: { whenArchived: true },
+  sendMessage: {},
+  reactToMessage: {}
+};
+
+/**
+ * Send a 403 in the same shape every time: { error, code }
+ */
+function forbidden(res, error, code) {
+  return res.status(403).json({ error, code });
+}
+
+/**
+ * Check a policy and send the 403 if the user isn't allowed
+ * Returns true when the route can carry on
+ * 
+ * Usage: if (!authorize(req, res, 'deleteHangout', group, hangout)) return;
+ */
+function authorize(req, res, action, group, item) {
+  const policy = POLICIES[action];
+  
+  if (!isMember(req.user, group)) {
+    forbidden(res, 'You are not a member of this group', 'NOT_A_MEMBER');
+    return false;
+  }
+  
+  if (group.archivedAt && !policy.whenArchived) {
+    forbidden(res, 'This group is archived - unarchive it to make changes', 'GROUP_ARCHIVED');
+    return false;
+  }
+  
+  if (policy.allow && !policy.allow(req.user, group, item)) {
+    forbidden(res, policy.error, policy.code);
+    return false;
+  }
+  
+  return true;
+}
+
+// ==========================================
+// LIVE EVENTS
+// ==========================================
+
+// Open event streams: group id -> Set of { res, username, sessionTokenHash }
+const eventStreams = new Map();
+
+/**
+ * Send an event to everyone watching a group
+ * data can also be a function that gets each watcher's username,
+ * for events that differ per person (returning null skips them).
+ * 
+ * Event types: message-created, reaction-toggled, hangout-created,
+ * hangout-updated, hangout-deleted, response-changed, comment-created,
+ * comment-reaction-toggled, expenses-changed, checklist-changed,
+ * rides-changed, availability-changed, member-joined, member-left,
+ * join-requests-changed, bans-changed, group-updated
+ */
+function broadcast(groupId, type, data) {
+  const streams = eventStreams.get(groupId);
+  if (!streams) return;
+  
+  if (typeof data !== 'function') {
+    const payload = `event: ${type}\ndata: ${JSON.stringify({ groupId, ...data })}\n\n`;
+    streams.forEach(stream => stream.res.write(payload));
+    return;
+  }
+  
+  streams.forEach(stream => {
+    const own = data(stream.username);
+    if (own) {
+      stream.res.write(`event: ${type}\ndata: ${JSON.stringify({ groupId, ...own })}\n\n`);
+    }
+  });
+}
+
+/**
+ * Send out the whole group after it changed, each person getting
+ * only the parts they may see (see viewGroupAs in server/roles.js)
+ */
+function broadcastGroupUpdated(group) {
+  broadcast(group.id, 'group-updated', viewer => ({ group: viewGroupAs(group, viewer) }));
+}
+
+/**
+ * Send one of a group's private parts (invites, joinRequests...) to
+ * just the people allowed to see it
+ */
+function broadcastPrivateField(group, type, field) {
+  broadcast(group.id, type, viewer => {
+    const view = viewGroupAs(group, viewer);
+    return field in view ? { [field]: view[field] } : null;
+  });
+}
+
+/**
+ * Tell the group someone joined (who they came in with and who's
+ * still waiting only goes to the people who manage those)
+ */
+function broadcastMemberJoined(group, username) {
+  broadcast(group.id, 'member-joined', viewer => {
+    const view = viewGroupAs(group, viewer);
+    return { username, members: group.members, joins: view.joins, joinRequests: view.joinRequests };
+  });
+}
+
+/**
+ * Close a user's event streams for a group (e.g. after they leave it)
+ */
+function closeEventStreams(groupId, username) {
+  const streams = eventStreams.get(groupId);
+  if (!streams) return;
+  
+  streams.forEach(stream => {
+    if (stream.username === username) {
+      stream.res.end();
+    }
+  });
+}
+
+/**
+ * Close every event stream opened with a session (after logging out)
+ */
+function closeSessionStreams(tokenHash) {
+  eventStreams.forEach(streams => {
+    streams.forEach(stream => {
+      if (stream.sessionTokenHash === tokenHash) {
+        stream.res.end();
+      }
+    });
+  });
+}
+
+// Reading a group refreshes it, and refreshGroup sends out any
+// status that changed in the meantime
+setInterval(() => {
+  eventStreams.forEach((streams, groupId) => Groups.findById(groupId));
+}, STATUS_REFRESH_MS);
+
+// ==========================================
+// API ROUTES - USERS
+// ==========================================
+
+/**
+ * GET /api/health
+ * Lets the frontend check whether the server is up
+ */
+app.get('/api/health', (req, res) => {
+  res.json({ ok: true });
+});
+
+/**
+ * Are these a username and password we can work with?
+ * (Anything but strings would break trim() and scrypt)
+ */
+function isCredentials(username, password) {
+  return typeof username === 'string' && typeof password === 'string';
+}
+
+/**
+ * POST /api/users/register
+ * Create a new account with a username and password
+ */
+app.post('/api/users/register', (req, res) => {
+  const { username, password } = req.body;
+  
+  if (!isCredentials(username, password)) {
+    return res.status(400).json({ error: 'Send a username and password as text' });
+  }
+  
+  if (username.trim() === '') {
+    return res.status(400).json({ error: 'Username is required' });
+  }
+  
+  if (username.trim().length > MAX_USERNAME_LENGTH) {
+    return res.status(400).json({ error: `Usernames can be at most ${MAX_USERNAME_LENGTH} characters` });
+  }
+  
+  if (!USERNAME_PATTERN.test(username.trim())) {
+    return res.status(400).json({ error: 'Usernames can only have letters, numbers, spaces and _ . - (starting with a letter or number)' });
+  }
+  
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  
+  // Accounts from before passwords existed count too - nobody can claim them
+  if (Users.findByUsername(username)) {
+    return res.status(409).json({ error: 'That username is already taken' });
+  }
+  
+  const user = {
+    id: generateId(),
+    username: username.trim(),
+    createdAt: new Date().toISOString()
+  };
+  setPassword(user, password);
+  
+  const token = startSession(user);
+  
+  console.log(`New user registered: ${user.username}`);
+  res.json({ success: true, user: publicUser(user), token });
+});
+
+// Wrong passwords tried, per username and per IP address
+const failedLoginsByUser = createRateLimiter({ windowMs: LOGIN_ATTEMPT_WINDOW_MS, max: MAX_FAILED_LOGINS_PER_USER });
+const failedLoginsByIp = createRateLimiter({ windowMs: LOGIN_ATTEMPT_WINDOW_MS, max: MAX_FAILED_LOGINS_PER_IP });
+
+/**
+ * POST /api/users/login
+ * Log in with a username and password
+ * Too many wrong passwords and logging in is blocked for a while (429).
+ */
+app.post('/api/users/login', (req, res) => {
+  const { username, password } = req.body;
+  
+  if (!isCredentials(username, password)) {
+    return res.status(400).json({ error: 'Send a username and password as text' });
+  }
+  
+  if (username.trim() === '' || password === '') {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
+  
+  // Usernames aren't case sensitive, so neither is their count
+  const userKey = username.trim().toLowerCase();
+  const retryAfter = Math.max(failedLoginsByUser.retryAfter(userKey), failedLoginsByIp.retryAfter(req.ip));
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      error: `Too many wrong passwords - try again in ${Math.ceil(retryAfter / 60)} min`,
+      code: 'TOO_MANY_ATTEMPTS'
+    });
+  }
+  
+  const user = Users.findByUsername(username);
+  
+  if (!user) {
+    failedLoginsByUser.hit(userKey);
+    failedLoginsByIp.hit(req.ip);
+    return res.status(401).json({ error: 'Incorrect username or password' });
+  }
+  
+  // Account from before passwords existed: locked until a password is set
+  // for it (see server/passwords.js), since we can't tell whose it is
+  if (isLockedAccount(user)) {
+    return res.status(403).json({
+      error: 'This account was made before passwords. Ask whoever runs Hang Hive to set one for you',
+      code: 'ACCOUNT_LOCKED'
+    });
+  }
+  
+  if (!verifyPassword(password, user)) {
+    failedLoginsByUser.hit(userKey);
+    failedLoginsByIp.hit(req.ip);
+    return res.status(401).json({ error: 'Incorrect username or password' });
+  }
+  
+  const token = startSession(user);
+  
+  console.log(`User logged in: ${user.username}`);
+  res.json({ success: true, user: publicUser(user), token });
+});
+
+/**
+ * POST /api/users/logout
+ * End the current session
+ */
+app.post('/api/users/logout', requireAuth, (req, res) => {
+  Sessions.delete(req.sessionTokenHash);
+  closeSessionStreams(req.sessionTokenHash);
+  
+  res.json({ success: true });
+});
+
+/**
+ * GET /api/users/me
+ * Get the logged-in user
+ */
+app.get('/api/users/me', requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+/**
+ * GET /api/users/me/join-requests
+ * Groups you've asked to join that haven't let you in yet:
+ * { requests: [{ groupId, groupName, requestedAt }] }
+ */
+app.get('/api/users/me/join-requests', requireAuth, (req, res) => {
+  const username = req.user.username;
+  const requests = Groups.listRequestedBy(username).map(group => ({
+    groupId: group.id,
+    groupName: group.name,
+    requestedAt: group.joinRequests.find(r => r.username === username).requestedAt
+  }));
+  
+  res.json({ requests });
+});
+
+/**
+ * GET /api/users/me/trash
+ * Groups you were the last to leave that can still be restored:
+ * { groups: [{ id, name, emoji, color, trashedAt, purgeAt, hangoutCount, messageCount }] }
+ */
+app.get('/api/users/me/trash', requireAuth, (req, res) => {
+  purgeTrash();
+  
+  const groups = Groups.listTrashedBy(req.user.username).map(group => ({
+    id: group.id,
+    name: group.name,
+    emoji: group.emoji || null,
+    color: group.color || null,
+    trashedAt: group.trashedAt,
+    purgeAt: group.purgeAt,
+    hangoutCount: (group.hangouts || []).length,
+    messageCount: (group.messages || []).length
+  }));
+  
+  res.json({ groups, retentionDays: TRASH_RETENTION_DAYS });
+});
+
+/**
+ * POST /api/users/me/calendar-feed
+ * Make a private link to a calendar of all your hangouts
+ * Any link made before stops working. Only a hash of the token is
+ * kept, so the link is shown this once.
+ */
+app.post('/api/users/me/calendar-feed', requireAuth, (req, res) => {
+  const user = Users.findById(req.user.id);
+  const feedToken = crypto.randomBytes(24).toString('hex');
+  
+  user.calendarFeedTokenHash = hashToken(feedToken);
+  Users.save(user);
+  
+  console.log(`Calendar feed link made for: ${user.username}`);
+  res.json({
+    success: true,
+    feedUrl: `${req.protocol}://${req.get('host')}/api/calendar/${feedToken}.ics`
+  });
+});
+
+/**
+ * DELETE /api/users/me/calendar-feed
+ * Turn off the calendar feed link
+ */
+app.delete('/api/users/me/calendar-feed', requireAuth, (req, res) => {
+  const user = Users.findById(req.user.id);
+  
+  if (user.calendarFeedTokenHash) {
+    delete user.calendarFeedTokenHash;
+    Users.save(user);
+  }
+  
+  res.json({ success: true });
+});
+
+// ==========================================
+// API ROUTES - GROUPS
+// ==========================================
+
+// Everything under /api/groups needs a logged-in user
+app.use('/api/groups', requireAuth);
+
+/**
+ * GET /api/groups
+ * Get all groups the logged-in user is a member of
+ */
+app.get('/api/groups', (req, res) => {
+  const groups = Groups.listForMember(req.user.username);
+  
+  res.json({ groups: groups.map(group => viewGroupAs(group, req.user.username)) });
+});
+
+/**
+ * GET /api/groups/:id
+ * Get a specific group by ID
+ */
+app.get('/api/groups/:id', (req, res) => {
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'viewGroup', group)) return;
+  
+  res.json({ group: viewGroupAs(group, req.user.username) });
+});
+
+/**
+ * POST /api/groups
+ * Create a new group
+ */
+app.post('/api/groups', (req, res) => {
+  const { name } = req.body;
+  const createdBy = req.user.username;
+  
+  if (!name || name.trim() === '') {
+    return res.status(400).json({ error: 'Group name is required' });
+  }
+  
+  const newGroup = {
+    id: generateId(),
+    name: name.trim(),
+    code: generateGroupCode(),
+    members: [createdBy],
+    roles: { [createdBy]: 'owner' },
+    createdBy: createdBy,
+    createdAt: new Date().toISOString(),
+    hangouts: [],
+    messages: []
+  };
+  
+  Groups.save(newGroup);
+  
+  console.log(`Group created: ${newGroup.name} (${newGroup.code})`);
+  res.json({ success: true, group: newGroup });
+});
+
+// Wrong codes tried, per user and per IP address
+const failedJoinsByUser = createRateLimiter({ windowMs: JOIN_ATTEMPT_WINDOW_MS, max: MAX_FAILED_JOINS_PER_USER });
+const failedJoinsByIp = createRateLimiter({ windowMs: JOIN_ATTEMPT_WINDOW_MS, max: MAX_FAILED_JOINS_PER_IP });
+
+/**
+ * POST /api/groups/join
+ * Join a group using its code or one of its invite codes
+ * Too many wrong codes and joining is blocked for a while (429).
+ * Groups that need approval send back { pending: true, request }
+ * instead, and the owner or an admin lets you in later.
+ */
+app.post('/api/groups/join', (req, res) => {
+  const { code } = req.body;
+  const username = req.user.username;
+  
+  const retryAfter = Math.max(failedJoinsByUser.retryAfter(username), failedJoinsByIp.retryAfter(req.ip));
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      error: `Too many wrong codes - try again in ${Math.ceil(retryAfter / 60)} min`,
+      code: 'TOO_MANY_ATTEMPTS'
+    });
+  }
+  
+  if (!code || typeof code !== 'string') {
+    return res.status(400).json({ error: 'Group code is required' });
+  }
+  
+  const wanted = code.trim().toUpperCase();
+  const group = Groups.findByCode(wanted);
+  
+  if (!group) {
+    failedJoinsByUser.hit(username);
+    failedJoinsByIp.hit(req.ip);
+    return res.status(404).json({ error: 'No group found with that code' });
+  }
+  
+  if (group.members.includes(username)) {
+    return res.status(400).json({ error: 'You are already in this group' });
+  }
+  
+  // This covers asking to join too
+  if (isBanned(group, username)) {
+    return forbidden(res, 'You were removed from this group - ask an admin to let you back in', 'BANNED_FROM_GROUP');
+  }
+  
+  if (group.archivedAt) {
+    return forbidden(res, 'This group is archived, so nobody new can join', 'GROUP_ARCHIVED');
+  }
+  
+  // null = the group's own code, which always works
+  const invite = (group.invites || []).find(i => i.code === wanted) || null;
+  const inviteProblem = invite && getInviteProblem(group, invite);
+  if (inviteProblem) {
+    failedJoinsByUser.hit(username);
+    failedJoinsByIp.hit(req.ip);
+    return res.status(410).json({ error: inviteProblem, code: 'INVITE_UNAVAILABLE' });
+  }
+  
+  if (group.requireApproval) {
+    if (!group.joinRequests) {
+      group.joinRequests = [];
+    }
+    if (group.joinRequests.some(r => r.username === username)) {
+      return res.status(400).json({ error: 'You\'ve already asked to join this group' });
+    }
+    if (group.joinRequests.length >= MAX_JOIN_REQUESTS) {
+      return res.status(400).json({ error: 'Too many people are waiting to join this group - try again later' });
+    }
+    
+    const request = { username, inviteId: invite ? invite.id : null, requestedAt: new Date().toISOString() };
+    group.joinRequests.push(request);
+    Groups.save(group);
+    
+    broadcastPrivateField(group, 'join-requests-changed', 'joinRequests');
+    
+    console.log(`${username} asked to join group: ${group.name}`);
+    return res.json({
+      success: true,
+      pending: true,
+      request: { groupId: group.id, groupName: group.name, requestedAt: request.requestedAt }
+    });
+  }
+  
+  addMember(group, username, invite ? invite.id : null);
+  Groups.save(group);
+  
+  broadcastMemberJoined(group, username);
+  
+  console.log(`${username} joined group: ${group.name}`);
+  res.json({ success: true, group: viewGroupAs(group, req.user.username) });
+});
+
+/**
+ * POST /api/groups/:id/leave
+ * Leave a group
+ * Their RSVPs and seats go with them (see removeFromHangouts).
+ * An owner leaving hands the group to whoever has been in it longest.
+ * The last member leaving puts it in the trash (see server/trash.js):
+ * { trashed: true, purgeAt } says until when it can be restored.
+ */
+app.post('/api/groups/:id/leave', (req, res) => {
+  const username = req.user.username;
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'leaveGroup', group)) return;
+  
+  const wasOwner = getRole(group, username) === 'owner';
+  group.members = group.members.filter(m => m !== username);
+  if (group.availability) {
+    delete group.availability[username];
+  }
+  
+  if (group.members.length === 0) {
+    moveToTrash(group, username);
+    Groups.save(group);
+    console.log(`Group moved to the trash (no members left): ${group.name}`);
+    purgeTrash();
+  } else {
+    const changedHangouts = removeFromHangouts(group, username);
+    ensureOwner(group);
+    Groups.save(group);
+    const newOwner = wasOwner ? group.members.find(m => getRole(group, m) === 'owner') : undefined;
+    broadcast(group.id, 'member-left', { username, members: group.members, roles: group.roles, newOwner });
+    changedHangouts.forEach(hangout => broadcast(group.id, 'hangout-updated', { hangout }));
+    console.log(`${username} left group: ${group.name}${newOwner ? ` (${newOwner} is the owner now)` : ''}`);
+  }
+  
+  closeEventStreams(group.id, username);
+  
+  res.json({ success: true, trashed: isTrashed(group), purgeAt: group.purgeAt });
+});
+
+/**
+ * POST /api/groups/:id/restore
+ * Bring a group back out of the trash (only the last member who left)
+ * They come back as its only member, and its owner.
+ */
+app.post('/api/groups/:id/restore', (req, res) => {
+  const username = req.user.username;
+  const group = Groups.findById(req.params.id);
+  
+  if (!group || !isTrashed(group) || group.trashedBy !== username || isPastRetention(group)) {
+    return res.status(404).json({ error: 'Group not found in your trash' });
+  }
+  
+  restoreFromTrash(group);
+  ensureOwner(group);
+  Groups.save(group);
+  
+  console.log(`${username} restored group: ${group.name}`);
+  res.json({ success: true, group: viewGroupAs(group, req.user.username) });
+});
+
+/**
+ * PATCH /api/groups/:id
+ * Change the group's settings (owner and admins). Send any of
+ * { name, description, emoji, color, defaultLocation } - see
+ * server/group-settings.js.
+ */
+app.patch('/api/groups/:id', (req, res) => {
+  const changes = req.body;
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  // Renaming has its own permission; everything else is a setting
+  const isRename = changes.name !== undefined;
+  const hasOtherChanges = Object.keys(changes).some(field => field !== 'name');
+  if (isRename && !authorize(req, res, 'renameGroup', group)) return;
+  if ((hasOtherChanges || !isRename) && !authorize(req, res, 'changeGroupSettings', group)) return;
+  
+  const settingsError = validateGroupSettings(changes);
+  if (settingsError) {
+    return res.status(400).json({ error: settingsError });
+  }
+  
+  const changed = applyGroupSettings(group, changes);
+  if (changed.length > 0) {
+    Groups.save(group);
+    broadcastGroupUpdated(group);
+    console.log(`${req.user.username} changed settings for: ${group.name} (${changed.join(', ')})`);
+  }
+  
+  res.json({ success: true, group: viewGroupAs(group, req.user.username) });
+});
+
+/**
+ * PUT /api/groups/:id/archived
+ * Archive the group, or bring it back: { archived: true | false }
+ * Archived groups keep everything but can't be changed.
+ */
+app.put('/api/groups/:id/archived', (req, res) => {
+  const { archived } = req.body;
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'archiveGroup', group)) return;
+  
+  if (typeof archived !== 'boolean') {
+    return res.status(400).json({ error: 'archived must be true or false' });
+  }
+  
+  if (archived && !group.archivedAt) {
+    group.archivedAt = new Date().toISOString();
+    group.archivedBy = req.user.username;
+  } else if (!archived) {
+    delete group.archivedAt;
+    delete group.archivedBy;
+  }
+  Groups.save(group);
+  
+  broadcastGroupUpdated(group);
+  
+  console.log(`${req.user.username} ${archived ? 'archived' : 'unarchived'}: ${group.name}`);
+  res.json({ success: true, group: viewGroupAs(group, req.user.username) });
+});
+
+/**
+ * POST /api/groups/:id/code
+ * Make a new group code, so the old one stops working (owner and admins)
+ */
+app.post('/api/groups/:id/code', (req, res) => {
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'regenerateCode', group)) return;
+  
+  // Codes are short, so make sure this one isn't taken
+  let code;
+  do {
+    code = generateGroupCode();
+  } while (Groups.findByCode(code));
+  
+  group.code = code;
+  Groups.save(group);
+  
+  broadcastGroupUpdated(group);
+  
+  console.log(`${req.user.username} changed the code for: ${group.name}`);
+  res.json({ success: true, group: viewGroupAs(group, req.user.username) });
+});
+
+/**
+ * PUT /api/groups/:id/join-approval
+ * Turn "approval required" on or off: { required: true | false }
+ * Anyone already waiting stays on the list until they're approved or denied.
+ */
+app.put('/api/groups/:id/join-approval', (req, res) => {
+  const { required } = req.body;
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'changeGroupSettings', group)) return;
+  
+  if (typeof required !== 'boolean') {
+    return res.status(400).json({ error: 'required must be true or false' });
+  }
+  
+  group.requireApproval = required;
+  Groups.save(group);
+  
+  broadcastGroupUpdated(group);
+  
+  console.log(`${req.user.username} turned join approval ${required ? 'on' : 'off'} for: ${group.name}`);
+  res.json({ success: true, group: viewGroupAs(group, req.user.username) });
+});
+
+/**
+ * POST /api/groups/:id/join-requests/:username/approve
+ * Let someone who's waiting into the group (owner and admins)
+ * Not if the invite they asked with has since expired, been revoked
+ * or been used up (410)
+ */
+app.post('/api/groups/:id/join-requests/:username/approve', (req, res) => {
+  const target = req.params.username;
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'approveMembers', group)) return;
+  
+  const request = (group.joinRequests || []).find(r => r.username === target);
+  if (!request) {
+    return res.status(404).json({ error: 'Join request not found' });
+  }
+  
+  if (isBanned(group, target)) {
+    return forbidden(res, `${target} was removed from this group - lift that first`, 'BANNED_FROM_GROUP');
+  }
+  
+  // The invite they asked with may have run out while they waited.
+  // The request stays so it can still be turned down.
+  const invite = request.inviteId && (group.invites || []).find(i => i.id === request.inviteId);
+  const inviteProblem = invite && getInviteProblem(group, invite);
+  if (inviteProblem) {
+    return res.status(410).json({ error: `${inviteProblem} (${target} asked to join with it)`, code: 'INVITE_UNAVAILABLE' });
+  }
+  
+  group.joinRequests = group.joinRequests.filter(r => r !== request);
+  if (!group.members.includes(target)) {
+    addMember(group, target, request.inviteId);
+  }
+  Groups.save(group);
+  
+  broadcastMemberJoined(group, target);
+  
+  console.log(`${req.user.username} let ${target} into: ${group.name}`);
+  res.json({ success: true, group: viewGroupAs(group, req.user.username) });
+});
+
+/**
+ * DELETE /api/groups/:id/join-requests/:username
+ * Deny someone's request (owner and admins), or take back your own
+ */
+app.delete('/api/groups/:id/join-requests/:username', (req, res) => {
+  const target = req.params.username;
+  const isOwnRequest = target === req.user.username;
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!isOwnRequest && !authorize(req, res, 'approveMembers', group)) return;
+  
+  const request = (group.joinRequests || []).find(r => r.username === target);
+  if (!request) {
+    return res.status(404).json({ error: 'Join request not found' });
+  }
+  
+  group.joinRequests = group.joinRequests.filter(r => r !== request);
+  Groups.save(group);
+  
+  broadcastPrivateField(group, 'join-requests-changed', 'joinRequests');
+  
+  console.log(isOwnRequest
+    ? `${target} stopped waiting to join: ${group.name}`
+    : `${req.user.username} turned down ${target} for: ${group.name}`);
+  // Someone taking back their own request isn't in the group, so they don't get it
+  res.json(isOwnRequest ? { success: true } : { success: true, group: viewGroupAs(group, req.user.username) });
+});
+
+/**
+ * GET /api/groups/:id/invites
+ * The group's invite codes with how they're doing, plus who joined
+ * with the group's own code (owner and admins):
+ * { code: { code, joined }, invites: [{ ...invite, problem, uses, joined }] }
+ * (problem says why an invite no longer works, or is null)
+ */
+app.get('/api/groups/:id/invites', (req, res) => {
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'manageInvites', group)) return;
+  
+  const joinedWith = inviteId => (group.joins || [])
+    .filter(join => join.inviteId === inviteId)
+    .map(({ username, joinedAt }) => ({ username, joinedAt }));
+  
+  const invites = (group.invites || []).map(invite => ({
+    ...invite,
+    problem: getInviteProblem(group, invite),
+    uses: countInviteUses(group, invite),
+    joined: joinedWith(invite.id)
+  }));
+  
+  res.json({ code: { code: group.code, joined: joinedWith(null) }, invites });
+});
+
+/**
+ * POST /api/groups/:id/invites
+ * Make an invite code: { label?, expiresInHours?, maxUses? }
+ * (leave out expiresInHours/maxUses for no limit)
+ */
+app.post('/api/groups/:id/invites', (req, res) => {
+  const { label, expiresInHours, maxUses } = req.body;
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'manageInvites', group)) return;
+  
+  const inviteError = validateInvite({ label, expiresInHours, maxUses });
+  if (inviteError) {
+    return res.status(400).json({ error: inviteError });
+  }
+  
+  if (!group.invites) {
+    group.invites = [];
+  }
+  if (group.invites.filter(invite => !invite.revokedAt).length >= MAX_INVITES_PER_GROUP) {
+    return res.status(400).json({ error: `A group can have at most ${MAX_INVITES_PER_GROUP} invites - revoke some first` });
+  }
+  
+  let code;
+  do {
+    code = generateInviteCode();
+  } while (Groups.findByCode(code));
+  
+  const now = new Date();
+  const invite = {
+    id: generateId(),
+    code: code,
+    label: label ? label.trim() : '',
+    createdBy: req.user.username,
+    createdAt: now.toISOString(),
+    expiresAt: expiresInHours ? new Date(now.getTime() + expiresInHours * 60 * 60 * 1000).toISOString() : null,
+    maxUses: maxUses || null,
+    revokedAt: null
+  };
+  
+  group.invites.push(invite);
+  Groups.save(group);
+  
+  broadcastGroupUpdated(group);
+  
+  console.log(`${req.user.username} made an invite for: ${group.name}`);
+  res.json({ success: true, invite, group: viewGroupAs(group, req.user.username) });
+});
+
+/**
+ * DELETE /api/groups/:id/invites/:inviteId
+ * Revoke an invite so it stops working (kept so you can still see
+ * who joined with it)
+ */
+app.delete('/api/groups/:id/invites/:inviteId', (req, res) => {
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'manageInvites', group)) return;
+  
+  const invite = (group.invites || []).find(i => i.id === req.params.inviteId);
+  if (!invite) {
+    return res.status(404).json({ error: 'Invite not found' });
+  }
+  
+  if (!invite.revokedAt) {
+    invite.revokedAt = new Date().toISOString();
+    Groups.save(group);
+    broadcastGroupUpdated(group);
+    console.log(`${req.user.username} revoked an invite for: ${group.name}`);
+  }
+  
+  res.json({ success: true, group: viewGroupAs(group, req.user.username) });
+});
+
+/**
+ * PUT /api/groups/:id/members/:username/role
+ * Make someone an admin or a plain member again: { role: "admin" | "member" }
+ * (owner only - ownership itself moves with the transfer route)
+ */
+app.put('/api/groups/:id/members/:username/role', (req, res) => {
+  const { role } = req.body;
+  const target = req.params.username;
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'changeRoles', group)) return;
+  
+  if (!group.members.includes(target)) {
+    return res.status(404).json({ error: 'Member not found' });
+  }
+  
+  if (role !== 'admin' && role !== 'member') {
+    return res.status(400).json({ error: 'Role must be "admin" or "member"' });
+  }
+  
+  if (getRole(group, target) === 'owner') {
+    return res.status(400).json({ error: 'Hand the group to someone else first' });
+  }
+  
+  if (role === 'admin') {
+    group.roles[target] = 'admin';
+  } else {
+    delete group.roles[target];
+  }
+  Groups.save(group);
+  
+  broadcastGroupUpdated(group);
+  
+  console.log(`${req.user.username} made ${target} ${role === 'admin' ? 'an admin' : 'a member'} of: ${group.name}`);
+  res.json({ success: true, group: viewGroupAs(group, req.user.username) });
+});
+
+/**
+ * POST /api/groups/:id/owner
+ * Hand the group to another member: { username }
+ * The old owner stays on as an admin.
+ */
+app.post('/api/groups/:id/owner', (req, res) => {
+  const { username: target } = req.body;
+  const username = req.user.username;
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'transferOwnership', group)) return;
+  
+  if (!group.members.includes(target) || target === username) {
+    return res.status(400).json({ error: 'Pick another member of the group' });
+  }
+  
+  group.roles[username] = 'admin';
+  group.roles[target] = 'owner';
+  Groups.save(group);
+  
+  broadcastGroupUpdated(group);
+  
+  console.log(`${username} handed ${group.name} to ${target}`);
+  res.json({ success: true, group: viewGroupAs(group, req.user.username) });
+});
+
+/**
+ * DELETE /api/groups/:id/members/:username
+ * Remove someone from the group (the owner can remove anyone,
+ * admins only plain members). Their RSVPs and seats go with them,
+ * and they can't rejoin until the ban is lifted.
+ */
+app.delete('/api/groups/:id/members/:username', (req, res) => {
+  const target = req.params.username;
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'removeMember', group, target)) return;
+  
+  if (!group.members.includes(target)) {
+    return res.status(404).json({ error: 'Member not found' });
+  }
+  
+  group.members = group.members.filter(m => m !== target);
+  delete group.roles[target];
+  if (group.availability) {
+    delete group.availability[target];
+  }
+  const changedHangouts = removeFromHangouts(group, target);
+  banMember(group, target, req.user.username);
+  Groups.save(group);
+  
+  broadcast(group.id, 'member-left', { username: target, members: group.members, roles: group.roles, removedBy: req.user.username });
+  changedHangouts.forEach(hangout => broadcast(group.id, 'hangout-updated', { hangout }));
+  broadcastPrivateField(group, 'bans-changed', 'bans');
+  closeEventStreams(group.id, target);
+  
+  console.log(`${req.user.username} removed ${target} from: ${group.name}`);
+  res.json({ success: true, group: viewGroupAs(group, req.user.username) });
+});
+
+/**
+ * DELETE /api/groups/:id/bans/:username
+ * Let someone who was removed join again (owner and admins)
+ */
+app.delete('/api/groups/:id/bans/:username', (req, res) => {
+  const target = req.params.username;
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'liftBan', group)) return;
+  
+  if (!isBanned(group, target)) {
+    return res.status(404).json({ error: 'That person isn\'t banned from this group' });
+  }
+  
+  group.bans = group.bans.filter(ban => ban.username !== target);
+  Groups.save(group);
+  
+  broadcastPrivateField(group, 'bans-changed', 'bans');
+  
+  console.log(`${req.user.username} let ${target} back into: ${group.name}`);
+  res.json({ success: true, group: viewGroupAs(group, req.user.username) });
+});
+
+/**
+ * PUT /api/groups/:id/confirmation-rule
+ * Set the group's default rule for when a hangout counts as confirmed
+ * (see server/confirmation.js). Send { rule: null } to go back to
+ * "more than half the group".
+ */
+app.put('/api/groups/:id/confirmation-rule', (req, res) => {
+  const { rule } = req.body;
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'changeGroupSettings', group)) return;
+  
+  const ruleError = validateConfirmationRule(rule, group.members);
+  if (ruleError) {
+    return res.status(400).json({ error: ruleError });
+  }
+  
+  group.confirmationRule = cleanConfirmationRule(rule);
+  Groups.save(group);
+  
+  // Every hangout's status may have changed
+  broadcastGroupUpdated(group);
+  
+  console.log(`${req.user.username} changed the confirmation rule for: ${group.name}`);
+  res.json({ success: true, group: viewGroupAs(group, req.user.username) });
+});
+
+// ==========================================
+// API ROUTES - AVAILABILITY
+// ==========================================
+// Members mark free/busy blocks (group.availability) and the server
+// ranks times by how many people are free then.
+// See server/availability.js for how a slot is counted.
+
+/**
+ * GET /api/groups/:id/availability
+ * Everyone's free/busy blocks, by username
+ */
+app.get('/api/groups/:id/availability', (req, res) => {
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'viewAvailability', group)) return;
+  
+  res.json({ availability: group.availability || {} });
+});
+
+/**
+ * POST /api/groups/:id/availability
+ * Mark a block of your own time: { date, start, end, status: "free" | "busy" }
+ */
+app.post('/api/groups/:id/availability', (req, res) => {
+  const { date, start, end, status } = req.body;
+  const username = req.user.username;
+  
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'markAvailability', group)) return;
+  
+  const error = validateBlock(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  if (!group.availability) {
+    group.availability = {};
+  }
+  pruneAvailability(group);
+  
+  const blocks = group.availability[username] || [];
+  if (blocks.length >= MAX_BLOCKS_PER_MEMBER) {
+    return res.status(400).json({ error: `You can mark at most ${MAX_BLOCKS_PER_MEMBER} blocks - delete some old ones first` });
+  }
+  
+  const newBlock = { id: generateId(), date, start, end, status };
+  group.availability[username] = blocks.concat(newBlock)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.start.localeCompare(b.start));
+  Groups.save(group);
+  
+  broadcast(group.id, 'availability-changed', { availability: group.availability });
+  
+  res.json({ success: true, block: newBlock, availability: group.availability });
+});
+
+/**
+ * DELETE /api/groups/:id/availability/:blockId
+ * Remove one of your own blocks
+ */
+app.delete('/api/groups/:id/availability/:blockId', (req, res) => {
+  const username = req.user.username;
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'markAvailability', group)) return;
+  
+  // Only your own blocks can be found here
+  const blocks = (group.availability || {})[username] || [];
+  if (!blocks.some(b => b.id === req.params.blockId)) {
+    return res.status(404).json({ error: 'Block not found' });
+  }
+  
+  group.availability[username] = blocks.filter(b => b.id !== req.params.blockId);
+  pruneAvailability(group);
+  Groups.save(group);
+  
+  broadcast(group.id, 'availability-changed', { availability: group.availability });
+  
+  res.json({ success: true, availability: group.availability });
+});
+
+/**
+ * GET /api/groups/:id/best-times?days=14&duration=2
+ * The best slots over the next few days, most people free first:
+ * { slots: [{ date, time, endTime, free, busy, unknown }] }
+ */
+app.get('/api/groups/:id/best-times', (req, res) => {
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'viewAvailability', group)) return;
+  
+  const days = req.query.days === undefined ? undefined : Number(req.query.days);
+  const duration = req.query.duration === undefined ? undefined : Number(req.query.duration);
+  
+  if (days !== undefined && (!Number.isInteger(days) || days < 1 || days > MAX_DAYS_AHEAD)) {
+    return res.status(400).json({ error: `Days must be a whole number from 1 to ${MAX_DAYS_AHEAD}` });
+  }
+  if (duration !== undefined && (!Number.isInteger(duration) || duration < 1 || duration > 12)) {
+    return res.status(400).json({ error: 'Duration must be a whole number of hours from 1 to 12' });
+  }
+  
+  res.json({ slots: findBestTimes(group, { days, durationHours: duration }) });
+});
+
+// ==========================================
+// API ROUTES - HANGOUTS
+// ==========================================
+
+/**
+ * Check the time options for a poll hangout
+ * Returns an error message, or null if they're fine
+ */
+function validateTimeOptions(slots) {
+  if (!Array.isArray(slots) || slots.length < MIN_TIME_OPTIONS || slots.length > MAX_TIME_OPTIONS) {
+    return `A time poll needs between ${MIN_TIME_OPTIONS} and ${MAX_TIME_OPTIONS} options`;
+  }
+  if (slots.some(slot => !slot || !slot.date || !slot.time)) {
+    return 'Every time option needs a date and a time';
+  }
+  // Locking in an option copies its date and time onto the hangout
+  for (const slot of slots) {
+    const slotError = validateHangoutDetails({ date: slot.date, time: slot.time });
+    if (slotError) return slotError;
+  }
+  const keys = slots.map(slot => `${slot.date} ${slot.time}`);
+  if (new Set(keys).size !== keys.length) {
+    return 'The same time is listed twice';
+  }
+  return null;
+}
+
+/**
+ * Check a repeat rule for a hangout starting on startDate
+ * Returns an error message, or null if it's fine
+ */
+function validateRecurrence(recurrence, startDate) {
+  if (!recurrence || !RECURRENCE_FREQUENCIES.includes(recurrence.frequency)) {
+    return 'A repeating hangout needs to repeat daily, weekly, or monthly';
+  }
+  const { interval, weekdays, until, count } = recurrence;
+  
+  if (interval !== undefined && (!Number.isInteger(interval) || interval < 1 || interval > MAX_RECURRENCE_INTERVAL)) {
+    return `The repeat interval must be a whole number from 1 to ${MAX_RECURRENCE_INTERVAL}`;
+  }
+  if (weekdays !== undefined && (!Array.isArray(weekdays) || weekdays.length === 0 ||
+      weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+    return 'Pick at least one day of the week';
+  }
+  if (until && count) {
+    return 'A repeating hangout can end on a date or after a number of times, not both';
+  }
+  if (until && (!/^\d{4}-\d{2}-\d{2}$/.test(until) || until < startDate)) {
+    return 'The repeat end date must be on or after the first date';
+  }
+  if (count !== undefined && count !== null && (!Number.isInteger(count) || count < 1 || count > MAX_RECURRENCE_COUNT)) {
+    return `A repeating hangout can happen from 1 to ${MAX_RECURRENCE_COUNT} times`;
+  }
+  return null;
+}
+
+/**
+ * The stored copy of a (valid) repeat rule, with the defaults filled in
+ */
+function cleanRecurrence(recurrence, startDate) {
+  const rule = {
+    frequency: recurrence.frequency,
+    interval: recurrence.interval || 1,
+    until: recurrence.until || null,
+    count: recurrence.count || null
+  };
+  if (rule.frequency === 'weekly') {
+    const startWeekday = new Date(`${startDate}T00:00:00Z`).getUTCDay();
+    rule.weekdays = Array.from(new Set(recurrence.weekdays || [startWeekday])).sort((a, b) => a - b);
+  }
+  return rule;
+}
+
+/**
+ * Check the title, date, time, location and description sent for a
+ * hangout (only the ones that were sent)
+ * Returns an error message, or null if they're fine
+ */
+function validateHangoutDetails(details) {
+  const { title, date, time, location, description } = details;
+  const fields = { title, date, time, location, description };
+  
+  for (const field of Object.keys(fields)) {
+    if (fields[field] !== undefined && typeof fields[field] !== 'string') {
+      return `The ${field} must be text`;
+    }
+  }
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return 'Dates must look like 2024-03-15';
+  }
+  if (time && !/^\d{1,2}:\d{2}$/.test(time)) {
+    return 'Times must look like 19:30';
+  }
+  if (title && title.trim().length > MAX_HANGOUT_TITLE_LENGTH) {
+    return `Titles can be at most ${MAX_HANGOUT_TITLE_LENGTH} characters`;
+  }
+  if (location && location.trim().length > MAX_HANGOUT_LOCATION_LENGTH) {
+    return `Locations can be at most ${MAX_HANGOUT_LOCATION_LENGTH} characters`;
+  }
+  if (description && description.trim().length > MAX_HANGOUT_DESCRIPTION_LENGTH) {
+    return `Descriptions can be at most ${MAX_HANGOUT_DESCRIPTION_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Check a hangout's capacity (null or undefined means no limit)
+ * Returns an error message, or null if it's fine
+ */
+function validateCapacity(capacity) {
+  if (capacity === undefined || capacity === null) return null;
+  if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_CAPACITY) {
+    return `Capacity must be a whole number from 1 to ${MAX_CAPACITY}`;
+  }
+  return null;
+}
+
+/**
+ * Move people off the waitlist while there's room, first come first served
+ * "holder" is whatever has the responses and waitlist: the hangout, or
+ * one date of a repeating hangout. Returns who got a spot.
+ * 
+ * Whoever is first only moves up once their whole party fits, and
+ * nobody skips ahead of them.
+ */
+function fillOpenSpots(holder, capacity) {
+  const promoted = [];
+  
+  while (holder.waitlist && holder.waitlist.length > 0) {
+    const next = holder.waitlist[0];
+    const rsvp = holder.responses[next];
+    if (capacity && countHeads(holder.responses, 'going') + partySize(rsvp) > capacity) break;
+    
+    holder.waitlist.shift();
+    holder.responses[next] = { ...rsvp, response: 'going' };
+    promoted.push(next);
+  }
+  
+  return promoted;
+}
+
+/**
+ * Record someone's RSVP, keeping to the hangout's capacity
+ * "Going" when it's full puts them (and their guests) at the end of
+ * the waitlist, and giving up spots hands them to whoever is first
+ * on the waitlist. Guests and note stay as they were unless given.
+ * 
+ * Returns the response they ended up with, or null if their party
+ * can't fit: bigger than the whole hangout, or more guests than
+ * there's room for when they already have a spot.
+ */
+function setResponse(holder, capacity, username, response, guests, note) {
+  const previous = holder.responses[username];
+  const rsvp = createRsvp(
+    response,
+    guests !== undefined ? guests : previous ? previous.guests : 0,
+    note !== undefined ? note.trim() : previous ? previous.note : ''
+  );
+  
+  // Their own answer replaces one filled in after a deadline
+  if (holder.noAnswer) {
+    holder.noAnswer = holder.noAnswer.filter(name => name !== username);
+  }
+  
+  if (response === 'going') {
+    // Would never get off the waitlist (and would hold up everyone behind them)
+    if (capacity && partySize(rsvp) > capacity) {
+      return null;
+    }
+    
+    // Already in - they keep their spot if the new party size fits
+    if (previous && previous.response === 'going') {
+      const extraHeads = partySize(rsvp) - partySize(previous);
+      if (capacity && extraHeads > 0 && countHeads(holder.responses, 'going') + extraHeads > capacity) {
+        return null;
+      }
+      holder.responses[username] = rsvp;
+      fillOpenSpots(holder, capacity);
+      return 'going';
+    }
+    
+    // Already queued - keep their place (a smaller party might fit now)
+    if (previous && previous.response === 'waitlisted') {
+      holder.responses[username] = { ...rsvp, response: 'waitlisted' };
+      fillOpenSpots(holder, capacity);
+      return holder.responses[username].response;
+    }
+    
+    if (capacity && countHeads(holder.responses, 'going') + partySize(rsvp) > capacity) {
+      holder.responses[username] = { ...rsvp, response: 'waitlisted' };
+      if (!holder.waitlist) holder.waitlist = [];
+      holder.waitlist.push(username);
+      return 'waitlisted';
+    }
+    
+    holder.responses[username] = rsvp;
+    return 'going';
+  }
+  
+  holder.responses[username] = rsvp;
+  if (holder.waitlist) {
+    holder.waitlist = holder.waitlist.filter(name => name !== username);
+  }
+  if (previous && previous.response === 'going') {
+    fillOpenSpots(holder, capacity);
+  }
+  return response;
+}
+
+/**
+ * The RSVPs and one-off changes for one date of a repeating hangout
+ * Made on first use: everyone starts out with the series' responses
+ */
+function getOccurrence(hangout, date) {
+  if (!hangout.occurrences) {
+    hangout.occurrences = {};
+  }
+  if (!hangout.occurrences[date]) {
+    hangout.occurrences[date] = { responses: { ...hangout.responses }, changes: {}, skipped: false };
+  }
+  return hangout.occurrences[date];
+}
+
+/**
+ * Take someone who left the group out of its hangouts: their RSVPs
+ * and waitlist places (on every date), the car they drive, their seat
+ * and any ride request. Spots they held go to the waitlist.
+ * Returns the hangouts that changed.
+ */
+function removeFromHangouts(group, username) {
+  const changed = [];
+  
+  for (const hangout of group.hangouts || []) {
+    let touched = false;
+    
+    for (const holder of [hangout, ...Object.values(hangout.occurrences || {})]) {
+      if (!holder.responses || !holder.responses[username]) continue;
+      
+      delete holder.responses[username];
+      if (holder.waitlist) {
+        holder.waitlist = holder.waitlist.filter(name => name !== username);
+      }
+      if (holder.noAnswer) {
+        holder.noAnswer = holder.noAnswer.filter(name => name !== username);
+      }
+      fillOpenSpots(holder, hangout.capacity);
+      touched = true;
+    }
+    
+    const rides = hangout.rides || [];
+    if (rides.some(ride => ride.driver === username || ride.passengers.includes(username))) {
+      hangout.rides = rides.filter(ride => ride.driver !== username);
+      hangout.rides.forEach(ride => {
+        ride.passengers = ride.passengers.filter(name => name !== username);
+      });
+      touched = true;
+    }
+    
+    if ((hangout.rideRequests || []).some(request => request.username === username)) {
+      hangout.rideRequests = hangout.rideRequests.filter(request => request.username !== username);
+      touched = true;
+    }
+    
+    if (touched) changed.push(hangout);
+  }
+  
+  return changed;
+}
+
+/**
+ * Check the date sent with something that belongs to one date of a
+ * repeating hangout (normal hangouts don't need one)
+ * Returns { status, error }, or null if it's fine
+ *
+ * @param {string} what - for the message, e.g. "the expense"
+ */
+function checkOccurrence(hangout, occurrence, what) {
+  if (!hangout.recurrence) return null;
+  
+  if (!occurrence || !isOccurrenceDate(hangout, occurrence)) {
+    return { status: 400, error: `Pick which date of this repeating hangout ${what} is for` };
+  }
+  const record = (hangout.occurrences || {})[occurrence];
+  if (record && record.skipped) {
+    return { status: 409, error: 'That date has been skipped' };
+  }
+  return null;
+}
+
+/**
+ * The RSVPs for one date of a repeating hangout (or for a normal hangout)
+ * Dates nobody has answered for yet still have the series' RSVPs
+ */
+function getResponsesFor(hangout, occurrence) {
+  const record = hangout.recurrence && (hangout.occurrences || {})[occurrence];
+  return record ? record.responses : hangout.responses;
+}
+
+/**
+ * POST /api/groups/:id/hangouts
+ * Create a new hangout in a group
+ * Send either a date and time, or "slots" (a list of { date, time })
+ * to let the group vote on when. Send "recurrence" (see
+ * shared/recurrence.js) to make it repeat.
+ */
+app.post('/api/groups/:id/hangouts', (req, res) => {
+  const { title, date, time, location, description, slots, recurrence, capacity, confirmation, rsvpDeadline, rsvpDefault, clientId } = req.body;
+  const proposedBy = req.user.username;
+  const isPoll = slots !== undefined;
+  const isRepeating = recurrence !== undefined && recurrence !== null;
+  
+  const detailsError = validateHangoutDetails(req.body);
+  if (detailsError) {
+    return res.status(400).json({ error: detailsError });
+  }
+  
+  if (!title || !location || (!isPoll && (!date || !time))) {
+    return res.status(400).json({ error: 'Title, date, time, and location are required' });
+  }
+  
+  const slotsError = isPoll ? validateTimeOptions(slots) : null;
+  if (slotsError) {
+    return res.status(400).json({ error: slotsError });
+  }
+  
+  if (isPoll && isRepeating) {
+    return res.status(400).json({ error: 'A time poll can\'t repeat - lock in a time first' });
+  }
+  
+  const recurrenceError = isRepeating ? validateRecurrence(recurrence, date) : null;
+  if (recurrenceError) {
+    return res.status(400).json({ error: recurrenceError });
+  }
+  
+  const capacityError = validateCapacity(capacity);
+  if (capacityError) {
+    return res.status(400).json({ error: capacityError });
+  }
+  
+  if (isRepeating && rsvpDeadline) {
+    return res.status(400).json({ error: 'Repeating hangouts can\'t have an RSVP deadline' });
+  }
+  
+  const deadlineError = validateRsvpDeadline(rsvpDeadline, isPoll ? null : getStartTime(date, time)) || validateRsvpDefault(rsvpDefault);
+  if (deadlineError) {
+    return res.status(400).json({ error: deadlineError });
+  }
+  
+  if (clientId !== undefined && !isValidClientId(clientId)) {
+    return res.status(400).json({ error: 'Invalid client id' });
+  }
+  
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'createHangout', group)) return;
+  
+  const confirmationError = validateConfirmationRule(confirmation, group.members);
+  if (confirmationError) {
+    return res.status(400).json({ error: confirmationError });
+  }
+  
+  // Replayed from an offline queue: hand back the one we already made
+  const existing = clientId && group.hangouts.find(h => h.id === clientId);
+  if (existing) {
+    if (existing.proposedBy !== proposedBy) {
+      return res.status(409).json({ error: 'That hangout id is already taken' });
+    }
+    return res.json({ success: true, hangout: existing, hangouts: group.hangouts });
+  }
+  
+  const newHangout = {
+    id: clientId || generateId(),
+    title: title.trim(),
+    date: isPoll ? null : date,
+    time: isPoll ? null : time,
+    location: location.trim(),
+    description: description ? description.trim() : '',
+    proposedBy,
+    createdAt: new Date().toISOString(),
+    capacity: capacity || null,
+    confirmation: cleanConfirmationRule(confirmation),
+    rsvpDeadline: cleanRsvpDeadline(rsvpDeadline),
+    // Unless told otherwise, not answering in time means not going
+    rsvpDefault: rsvpDeadline ? (rsvpDefault === undefined ? 'notGoing' : rsvpDefault) : null,
+    responses: { [proposedBy]: createRsvp('going') }
+  };
+  
+  // A time poll: no date until the proposer locks one in
+  if (isPoll) {
+    newHangout.slots = slots.map(slot => ({
+      id: generateId(),
+      date: slot.date,
+      time: slot.time,
+      votes: {}
+    }));
+  }
+  
+  // A repeating hangout: RSVPs are kept per date in "occurrences"
+  if (isRepeating) {
+    newHangout.recurrence = cleanRecurrence(recurrence, date);
+    newHangout.occurrences = {};
+  }
+  
+  group.hangouts.push(newHangout);
+  Groups.save(group);
+  
+  broadcast(group.id, 'hangout-created', { hangout: newHangout });
+  
+  console.log(`Hangout created in ${group.name}: ${newHangout.title}`);
+  res.json({ success: true, hangout: newHangout, hangouts: group.hangouts });
+});
+
+/**
+ * POST /api/groups/:groupId/hangouts/:hangoutId/respond
+ * Respond to a hangout (going, maybe, notGoing)
+ * Optionally send "guests" (how many people you're bringing) and a
+ * "note"; left out, they stay as they were.
+ * For a repeating hangout, "occurrence" says which date
+ */
+app.post('/api/groups/:groupId/hangouts/:hangoutId/respond', (req, res) => {
+  const { response, guests, note, occurrence } = req.body;
+  const username = req.user.username;
+  
+  if (!['going', 'maybe', 'notGoing'].includes(response)) {
+    return res.status(400).json({ error: 'Invalid response. Must be: going, maybe, or notGoing' });
+  }
+  
+  const extrasError = validateRsvpExtras(guests, note);
+  if (extrasError) {
+    return res.status(400).json({ error: extrasError });
+  }
+  
+  const group = Groups.findById(req.params.groupId);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  const hangout = group.hangouts.find(h => h.id === req.params.hangoutId);
+  
+  if (!hangout) {
+    return res.status(404).json({ error: 'Hangout not found' });
+  }
+  
+  if (!authorize(req, res, 'respondToHangout', group, hangout)) return;
+  
+  // The hangout itself, or one date of a repeating hangout
+  let holder = hangout;
+  
+  if (hangout.recurrence) {
+    if (!occurrence || !isOccurrenceDate(hangout, occurrence)) {
+      return res.status(400).json({ error: 'Pick which date of this repeating hangout you\'re answering for' });
+    }
+    
+    holder = getOccurrence(hangout, occurrence);
+    if (holder.skipped) {
+      return res.status(409).json({ error: 'That date has been skipped' });
+    }
+  }
+  
+  // Can come back as "waitlisted" if the hangout is full
+  const finalResponse = setResponse(holder, hangout.capacity, username, response, guests, note);
+  if (finalResponse === null) {
+    const spotsLeft = hangout.capacity - countHeads(holder.responses, 'going');
+    return res.status(409).json({ error: `Not enough room for that many guests (${spotsLeft} spot${spotsLeft !== 1 ? 's' : ''} left of ${hangout.capacity})` });
+  }
+  
+  Groups.save(group);
+  
+  broadcast(group.id, 'response-changed', { hangout });
+  
+  console.log(`${username} responded "${finalResponse}" to: ${hangout.title}${occurrence ? ` (${occurrence})` : ''}`);
+  res.json({ success: true, hangout, response: finalResponse });
+});
+
+/**
+ * PATCH /api/groups/:groupId/hangouts/:hangoutId
+ * Edit a hangout's title, date, time, location, description, capacity,
+ * confirmation rule or RSVP deadline (and what no answer counts as)
+ * Every change is added to the hangout's history. Send
+ * "resetResponses": true to clear RSVPs when the date or time moves.
+ * More room (or no limit) moves people up from the waitlist; less
+ * room never takes a spot away from anyone who already has one.
+ */
+app.patch('/api/groups/:groupId/hangouts/:hangoutId', (req, res) => {
+  const { resetResponses } = req.body;
+  const username = req.user.username;
+  
+  const group = Groups.findById(req.params.groupId);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  const hangout = group.hangouts.find(h => h.id === req.params.hangoutId);
+  
+  if (!hangout) {
+    return res.status(404).json({ error: 'Hangout not found' });
+  }
+  
+  if (!authorize(req, res, 'editHangout', group, hangout)) return;
+  
+  const detailsError = validateHangoutDetails(req.body);
+  if (detailsError) {
+    return res.status(400).json({ error: detailsError });
+  }
+  
+  const capacityError = validateCapacity(req.body.capacity);
+  if (capacityError) {
+    return res.status(400).json({ error: capacityError });
+  }
+  
+  const confirmationError = validateConfirmationRule(req.body.confirmation, group.members);
+  if (confirmationError) {
+    return res.status(400).json({ error: confirmationError });
+  }
+  
+  const rsvpDefaultError = validateRsvpDefault(req.body.rsvpDefault);
+  if (rsvpDefaultError) {
+    return res.status(400).json({ error: rsvpDefaultError });
+  }
+  
+  // Work out what actually changed
+  const changes = {};
+  for (const field of ['title', 'date', 'time', 'location', 'description', 'capacity', 'rsvpDefault']) {
+    if (req.body[field] === undefined) continue;
+    
+    // Empty to empty (e.g. no limit -> null) isn't a change
+    const value = typeof req.body[field] === 'string' ? req.body[field].trim() : req.body[field];
+    if (value !== hangout[field] && !(!value && !hangout[field])) {
+      changes[field] = { from: hangout[field], to: value };
+    }
+  }
+  
+  // Rules are objects, so compare them by content
+  if (req.body.confirmation !== undefined) {
+    const rule = cleanConfirmationRule(req.body.confirmation);
+    if (JSON.stringify(rule) !== JSON.stringify(hangout.confirmation || null)) {
+      changes.confirmation = { from: hangout.confirmation || null, to: rule };
+    }
+  }
+  
+  // Deadlines are compared as moments in time, and only checked when they move
+  // (so a hangout whose deadline has passed can still be edited)
+  if (req.body.rsvpDeadline !== undefined && !isSameRsvpDeadline(req.body.rsvpDeadline, hangout.rsvpDeadline)) {
+    if (hangout.recurrence && req.body.rsvpDeadline) {
+      return res.status(400).json({ error: 'Repeating hangouts can\'t have an RSVP deadline' });
+    }
+    
+    const startsAt = getStartTime(req.body.date || hangout.date, req.body.time || hangout.time);
+    const deadlineError = validateRsvpDeadline(req.body.rsvpDeadline, startsAt);
+    if (deadlineError) {
+      return res.status(400).json({ error: deadlineError });
+    }
+    changes.rsvpDeadline = { from: hangout.rsvpDeadline || null, to: cleanRsvpDeadline(req.body.rsvpDeadline) };
+  }
+  
+  if ((changes.title && !changes.title.to) || (changes.location && !changes.location.to)) {
+    return res.status(400).json({ error: 'Title and location can\'t be empty' });
+  }
+  
+  if ((changes.date && !changes.date.to) || (changes.time && !changes.time.to)) {
+    return res.status(400).json({ error: 'Date and time can\'t be empty' });
+  }
+  
+  if ((changes.date || changes.time) && hangout.slots && !hangout.lockedSlotId) {
+    return res.status(400).json({ error: 'Lock in a time from the poll before changing the date' });
+  }
+  
+  if (Object.keys(changes).length === 0) {
+    return res.json({ success: true, hangout });
+  }
+  
+  for (const field of Object.keys(changes)) {
+    hangout[field] = changes[field].to;
+  }
+  
+  const revision = {
+    id: generateId(),
+    changedBy: username,
+    changedAt: new Date().toISOString(),
+    changes
+  };
+  
+  // Moving the date means old RSVPs may no longer hold
+  if (resetResponses && (changes.date || changes.time)) {
+    hangout.responses = { [hangout.proposedBy]: createRsvp('going') };
+    delete hangout.waitlist;
+    delete hangout.noAnswer;
+    for (const record of Object.values(hangout.occurrences || {})) {
+      record.responses = { ...hangout.responses };
+      delete record.waitlist;
+    }
+    revision.responsesReset = true;
+  }
+  
+  if (changes.capacity) {
+    fillOpenSpots(hangout, hangout.capacity);
+    for (const record of Object.values(hangout.occurrences || {})) {
+      fillOpenSpots(record, hangout.capacity);
+    }
+  }
+  
+  if (!hangout.history) {
+    hangout.history = [];
+  }
+  hangout.history.push(revision);
+  
+  Groups.save(group);
+  
+  broadcast(group.id, 'hangout-updated', { hangout });
+  
+  console.log(`${username} edited hangout: ${hangout.title} (${Object.keys(changes).join(', ')})`);
+  res.json({ success: true, hangout });
+});
+
+/**
+ * PATCH /api/groups/:groupId/hangouts/:hangoutId/occurrences/:date
+ * Change or skip one date of a repeating hangout, leaving the rest
+ * of the series alone. Send any of title, date, time, location and
+ * description (the same value as the series clears the change), and
+ * "skipped": true/false.
+ */
+app.patch('/api/groups/:groupId/hangouts/:hangoutId/occurrences/:date', (req, res) => {
+  const { skipped } = req.body;
+  const username = req.user.username;
+  
+  const group = Groups.findById(req.params.groupId);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  const hangout = group.hangouts.find(h => h.id === req.params.hangoutId);
+  
+  if (!hangout) {
+    return res.status(404).json({ error: 'Hangout not found' });
+  }
+  
+  if (!authorize(req, res, 'editOccurrence', group, hangout)) return;
+  
+  if (!hangout.recurrence) {
+    return res.status(400).json({ error: 'This hangout doesn\'t repeat' });
+  }
+  
+  if (!isOccurrenceDate(hangout, req.params.date)) {
+    return res.status(404).json({ error: 'This hangout doesn\'t happen on that date' });
+  }
+  
+  const detailsError = validateHangoutDetails(req.body);
+  if (detailsError) {
+    return res.status(400).json({ error: detailsError });
+  }
+  
+  const values = {};
+  for (const field of ['title', 'date', 'time', 'location', 'description']) {
+    if (req.body[field] === undefined) continue;
+    values[field] = typeof req.body[field] === 'string' ? req.body[field].trim() : req.body[field];
+  }
+  
+  if (['title', 'date', 'time', 'location'].some(field => values[field] !== undefined && !values[field])) {
+    return res.status(400).json({ error: 'Title, date, time, and location can\'t be empty' });
+  }
+  
+  const record = getOccurrence(hangout, req.params.date);
+  
+  // Only keep what's different from the series (the date from this occurrence's own date)
+  for (const field of Object.keys(values)) {
+    const seriesValue = field === 'date' ? req.params.date : hangout[field];
+    if (values[field] === seriesValue) {
+      delete record.changes[field];
+    } else {
+      record.changes[field] = values[field];
+    }
+  }
+  
+  if (skipped !== undefined) {
+    record.skipped = Boolean(skipped);
+  }
+  
+  Groups.save(group);
+  
+  broadcast(group.id, 'hangout-updated', { hangout });
+  
+  console.log(`${username} changed the ${req.params.date} date of: ${hangout.title}${record.skipped ? ' (skipped)' : ''}`);
+  res.json({ success: true, hangout });
+});
+
+/**
+ * POST /api/groups/:groupId/hangouts/:hangoutId/slots/:slotId/vote
+ * Vote on one of a time poll's options (yes, ifNeedBe, or no)
+ */
+app.post('/api/groups/:groupId/hangouts/:hangoutId/slots/:slotId/vote', (req, res) => {
+  const { vote } = req.body;
+  const username = req.user.username;
+  
+  if (!['yes', 'ifNeedBe', 'no'].includes(vote)) {
+    return res.status(400).json({ error: 'Invalid vote. Must be: yes, ifNeedBe, or no' });
+  }
+  
+  const group = Groups.findById(req.params.groupId);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  const hangout = group.hangouts.find(h => h.id === req.params.hangoutId);
+  
+  if (!hangout) {
+    return res.status(404).json({ error: 'Hangout not found' });
+  }
+  
+  if (!authorize(req, res, 'voteOnTimeOption', group, hangout)) return;
+  
+  const slot = (hangout.slots || []).find(s => s.id === req.params.slotId);
+  
+  if (!slot) {
+    return res.status(404).json({ error: 'Time option not found' });
+  }
+  
+  if (hangout.lockedSlotId) {
+    return res.status(409).json({ error: 'The time for this hangout has already been decided' });
+  }
+  
+  slot.votes[username] = vote;
+  Groups.save(group);
+  
+  broadcast(group.id, 'hangout-updated', { hangout });
+  
+  console.log(`${username} voted "${vote}" on ${slot.date} ${slot.time} for: ${hangout.title}`);
+  res.json({ success: true, hangout });
+});
+
+/**
+ * POST /api/groups/:groupId/hangouts/:hangoutId/lock
+ * Pick the winning time option, turning the poll into a normal hangout
+ * Votes carry over as RSVPs: yes -> going, ifNeedBe -> maybe, no -> notGoing
+ */
+app.post('/api/groups/:groupId/hangouts/:hangoutId/lock', (req, res) => {
+  const { slotId } = req.body;
+  
+  const group = Groups.findById(req.params.groupId);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  const hangout = group.hangouts.find(h => h.id === req.params.hangoutId);
+  
+  if (!hangout) {
+    return res.status(404).json({ error: 'Hangout not found' });
+  }
+  
+  if (!authorize(req, res, 'lockTimeOption', group, hangout)) return;
+  
+  const slot = (hangout.slots || []).find(s => s.id === slotId);
+  
+  if (!slot) {
+    return res.status(404).json({ error: 'Time option not found' });
+  }
+  
+  if (hangout.lockedSlotId) {
+    return res.status(409).json({ error: 'The time for this hangout has already been decided' });
+  }
+  
+  hangout.date = slot.date;
+  hangout.time = slot.time;
+  hangout.lockedSlotId = slot.id;
+  
+  // In the order people voted, so a full hangout waitlists the latecomers
+  const voteToResponse = { yes: 'going', ifNeedBe: 'maybe', no: 'notGoing' };
+  for (const [voter, vote] of Object.entries(slot.votes)) {
+    if (!hangout.responses[voter]) {
+      setResponse(hangout, hangout.capacity, voter, voteToResponse[vote]);
+    }
+  }
+  
+  Groups.save(group);
+  
+  broadcast(group.id, 'hangout-updated', { hangout });
+  
+  console.log(`Time locked in for ${hangout.title}: ${slot.date} ${slot.time}`);
+  res.json({ success: true, hangout });
+});
+
+/**
+ * DELETE /api/groups/:groupId/hangouts/:hangoutId
+ * Delete a hangout (not while it has unsettled expenses, see
+ * server/expenses.js)
+ */
+app.delete('/api/groups/:groupId/hangouts/:hangoutId', (req, res) => {
+  const group = Groups.findById(req.params.groupId);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  const hangoutIndex = group.hangouts.findIndex(h => h.id === req.params.hangoutId);
+  
+  if (hangoutIndex === -1) {
+    return res.status(404).json({ error: 'Hangout not found' });
+  }
+  
+  const hangout = group.hangouts[hangoutIndex];
+  
+  if (!authorize(req, res, 'deleteHangout', group, hangout)) return;
+  
+  // Its expenses go with it, so they have to be paid back first
+  if (hasUnsettledExpenses(hangout)) {
+    return res.status(409).json({ error: 'Someone still owes money for this hangout\'s expenses - mark it paid once they settle up', code: 'UNSETTLED_EXPENSES' });
+  }
+  
+  group.hangouts.splice(hangoutIndex, 1);
+  Groups.save(group);
+  
+  broadcast(group.id, 'hangout-deleted', { hangoutId: hangout.id });
+  
+  console.log(`Hangout deleted: ${hangout.title}`);
+  res.json({ success: true });
+});
+
+// ==========================================
+// API ROUTES - CALENDAR (.ics files)
+// ==========================================
+
+/**
+ * Send an iCalendar file
+ */
+function sendCalendar(res, filename, contents) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(contents);
+}
+
+/**
+ * GET /api/groups/:id/hangouts.ics
+ * Download a group's hangouts as an .ics file, with your RSVPs
+ * Add ?hangout=<id> to get just one hangout
+ */
+app.get('/api/groups/:id/hangouts.ics', (req, res) => {
+  const group = Groups.findById(req.params.id);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'viewGroup', group)) return;
+  
+  let hangouts = group.hangouts;
+  
+  if (req.query.hangout) {
+    hangouts = hangouts.filter(h => h.id === req.query.hangout);
+    if (hangouts.length === 0) {
+      return res.status(404).json({ error: 'Hangout not found' });
+    }
+  }
+  
+  const entries = hangouts.map(hangout => ({ group, hangout }));
+  const filename = req.query.hangout ? `${hangouts[0].id}.ics` : `${group.id}.ics`;
+  
+  sendCalendar(res, filename, buildCalendar(group.name, entries, req.user.username));
+});
+
+/**
+ * GET /api/calendar/:feedToken.ics
+ * The calendar feed for one user: every hangout in all their groups
+ * Calendar apps can't log in, so the secret link is the login.
+ */
+app.get('/api/calendar/:feedToken.ics', (req, res) => {
+  const user = Users.findByCalendarFeedTokenHash(hashToken(req.params.feedToken));
+  
+  if (!user) {
+    return res.status(404).json({ error: 'This calendar link doesn\'t work anymore' });
+  }
+  
+  const entries = [];
+  for (const group of Groups.listForMember(user.username)) {
+    for (const hangout of group.hangouts) {
+      entries.push({ group, hangout });
+    }
+  }
+  
+  sendCalendar(res, 'hang-hive.ics', buildCalendar(`Hang Hive - ${user.username}`, entries, user.username));
+});
+
+// ==========================================
+// API ROUTES - HANGOUT COMMENTS
+// ==========================================
+// Each hangout has its own thread (hangout.comments), so talk about
+// one hangout doesn't get mixed up with the others in the group chat.
+// Repeating hangouts share one thread for the whole series.
+
+/**
+ * Add or remove someone's reaction on a message or comment
+ * Toggles unless "active" says which way it should end up
+ */
+function setReaction(item, emoji, username, active) {
+  if (!item.reactions) {
+    item.reactions = {};
+  }
+  
+  if (!item.reactions[emoji]) {
+    item.reactions[emoji] = [];
+  }
+  
+  const userIndex = item.reactions[emoji].indexOf(username);
+  const shouldAdd = typeof active === 'boolean' ? active : userIndex === -1;
+  
+  if (shouldAdd && userIndex === -1) {
+    // Add reaction
+    item.reactions[emoji].push(username);
+  } else if (!shouldAdd && userIndex !== -1) {
+    // Remove reaction
+    item.reactions[emoji].splice(userIndex, 1);
+  }
+  
+  if (item.reactions[emoji].length === 0) {
+    delete item.reactions[emoji];
+  }
+}
+
+/**
+ * GET /api/groups/:groupId/hangouts/:hangoutId/comments
+ * Get a hangout's comment thread, oldest first
+ */
+app.get('/api/groups/:groupId/hangouts/:hangoutId/comments', (req, res) => {
+  const group = Groups.findById(req.params.groupId);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'viewComments', group)) return;
+  
+  const hangout = group.hangouts.find(h => h.id === req.params.hangoutId);
+  
+  if (!hangout) {
+    return res.status(404).json({ error: 'Hangout not found' });
+  }
+  
+  res.json({ comments: hangout.comments || [] });
+});
+
+/**
+ * POST /api/groups/:groupId/hangouts/:hangoutId/comments
+ * Add a comment to a hangout's thread
+ */
+app.post('/api/groups/:groupId/hangouts/:hangoutId/comments', (req, res) => {
+  const { text, clientId } = req.body;
+  const sender = req.user.username;
+  
+  if (!text || typeof text !== 'string' || text.trim() === '') {
+    return res.status(400).json({ error: 'Comment text is required' });
+  }
+  
+  if (clientId !== undefined && !isValidClientId(clientId)) {
+    return res.status(400).json({ error: 'Invalid client id' });
+  }
+  
+  const group = Groups.findById(req.params.groupId);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'postComment', group)) return;
+  
+  const hangout = group.hangouts.find(h => h.id === req.params.hangoutId);
+  
+  if (!hangout) {
+    return res.status(404).json({ error: 'Hangout not found' });
+  }
+  
+  if (!hangout.comments) {
+    hangout.comments = [];
+  }
+  
+  // Replayed from an offline queue: hand back the one we already made
+  const existing = clientId && hangout.comments.find(c => c.id === clientId);
+  if (existing) {
+    if (existing.sender !== sender) {
+      return res.status(409).json({ error: 'That comment id is already taken' });
+    }
+    return res.json({ success: true, comment: existing, comments: hangout.comments });
+  }
+  
+  const newComment = {
+    id: clientId || generateId(),
+    text: text.trim(),
+    sender,
+    timestamp: new Date().toISOString(),
+    reactions: {}
+  };
+  
+  hangout.comments.push(newComment);
+  Groups.save(group);
+  
+  broadcast(group.id, 'comment-created', { hangoutId: hangout.id, comment: newComment });
+  
+  res.json({ success: true, comment: newComment, comments: hangout.comments });
+});
+
+/**
+ * POST /api/groups/:groupId/hangouts/:hangoutId/comments/:commentId/react
+ * Add or remove a reaction to a comment (one of REACTION_EMOJIS)
+ * Toggles by default; send "active": true/false to set it instead
+ */
+app.post('/api/groups/:groupId/hangouts/:hangoutId/comments/:commentId/react', (req, res) => {
+  const { emoji, active } = req.body;
+  
+  if (!REACTION_EMOJIS.includes(emoji)) {
+    return res.status(400).json({ error: `Reactions must be one of ${REACTION_EMOJIS.join(' ')}` });
+  }
+  
+  const group = Groups.findById(req.params.groupId);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'reactToComment', group)) return;
+  
+  const hangout = group.hangouts.find(h => h.id === req.params.hangoutId);
+  const comment = hangout && (hangout.comments || []).find(c => c.id === req.params.commentId);
+  
+  if (!comment) {
+    return res.status(404).json({ error: 'Comment not found' });
+  }
+  
+  setReaction(comment, emoji, req.user.username, active);
+  Groups.save(group);
+  
+  broadcast(group.id, 'comment-reaction-toggled', { hangoutId: hangout.id, comment });
+  res.json({ success: true, comment });
+});
+
+// ==========================================
+// API ROUTES - RIDES
+// ==========================================
+// Drivers offer a car (hangout.rides) and others take a seat in it.
+// The seat count is enforced here, so two people can't both get the
+// last seat. See server/rides.js for the rules about one car each.
+
+/**
+ * POST /api/groups/:groupId/hangouts/:hangoutId/rides
+ * Offer a car: { seats, departFrom, departAt }
+ * Repeating hangouts also need the "occurrence" it's for.
+ */
+app.post('/api/groups/:groupId/hangouts/:hangoutId/rides', (req, res) => {
+  const { seats, departFrom, departAt, occurrence } = req.body;
+  const username = req.user.username;
+  
+  if (seats === undefined || departFrom === undefined) {
+    return res.status(400).json({ error: 'Say how many seats you have and where you\'re leaving from' });
+  }
+  
+  const error = validateRide(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const group = Groups.findById(req.params.groupId);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'offerRide', group)) return;
+  
+  const hangout = group.hangouts.find(h => h.id === req.params.hangoutId);
+  
+  if (!hangout) {
+    return res.status(404).json({ error: 'Hangout not found' });
+  }
+  
+  const occurrenceError = checkOccurrence(hangout, occurrence, 'the ride');
+  if (occurrenceError) {
+    return res.status(occurrenceError.status).json({ error: occurrenceError.error });
+  }
+  const date = hangout.recurrence ? occurrence : null;
+  
+  // Already in a car: drivers can only offer one, passengers move to their own
+  const current = findRideFor(hangout, date, username);
+  if (current && current.driver === username) {
+    return res.status(409).json({ error: 'You\'re already offering a ride' });
+  }
+  if (current) {
+    current.passengers = current.passengers.filter(name => name !== username);
+  }
+  
+  const newRide = {
+    id: generateId(),
+    driver: username,
+    seats,
+    departFrom: departFrom.trim(),
+    departAt: departAt || null,
+    passengers: [],
+    occurrence: date,
+    createdAt: new Date().toISOString()
+  };
+  
+  if (!hangout.rides) {
+    hangout.rides = [];
+  }
+  hangout.rides.push(newRide);
+  clearRideRequest(hangout, date, username);
+  Groups.save(group);
+  
+  broadcast(group.id, 'rides-changed', { hangout });
+  res.json({ success: true, ride: newRide, hangout });
+});
+
+/**
+ * PATCH /api/groups/:groupId/hangouts/:hangoutId/rides/:rideId
+ * Change a car's seats, departure point or time (driver only)
+ * There can't be fewer seats than people already in the car.
+ */
+app.patch('/api/groups/:groupId/hangouts/:hangoutId/rides/:rideId', (req, res) => {
+  const { seats, departFrom, departAt } = req.body;
+  
+  const error = validateRide(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const group = Groups.findById(req.params.groupId);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  const hangout = group.hangouts.find(h => h.id === req.params.hangoutId);
+  const ride = hangout && (hangout.rides || []).find(r => r.id === req.params.rideId);
+  
+  if (!ride) {
+    return res.status(404).json({ error: 'Ride not found' });
+  }
+  
+  if (!authorize(req, res, 'editRide', group, ride)) return;
+  
+  if (seats !== undefined && seats < ride.passengers.length) {
+    return res.status(409).json({ error: `${ride.passengers.length} people already have a seat - take someone out first` });
+  }
+  
+  if (seats !== undefined) ride.seats = seats;
+  if (departFrom !== undefined) ride.departFrom = departFrom.trim();
+  if (departAt !== undefined) ride.departAt = departAt || null;
+  Groups.save(group);
+  
+  broadcast(group.id, 'rides-changed', { hangout });
+  res.json({ success: true, ride, hangout });
+});
+
+/**
+ * DELETE /api/groups/:groupId/hangouts/:hangoutId/rides/:rideId
+ * Take a car back (driver only) - its passengers need a new ride
+ */
+app.delete('/api/groups/:groupId/hangouts/:hangoutId/rides/:rideId', (req, res) => {
+  const group = Groups.findById(req.params.groupId);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  const hangout = group.hangouts.find(h => h.id === req.params.hangoutId);
+  const ride = hangout && (hangout.rides || []).find(r => r.id === req.params.rideId);
+  
+  if (!ride) {
+    return res.status(404).json({ error: 'Ride not found' });
+  }
+  
+  if (!authorize(req, res, 'editRide', group, ride)) return;
+  
+  hangout.rides = hangout.rides.filter(r => r.id !== ride.id);
+  Groups.save(group);
+  
+  broadcast(group.id, 'rides-changed', { hangout });
+  res.json({ success: true, hangout });
+});
+
+/**
+ * POST /api/groups/:groupId/hangouts/:hangoutId/rides/:rideId/seat
+ * Take a seat in a car (giving up any other seat that date)
+ * A full car is a 409.
+ */
+app.post('/api/groups/:groupId/hangouts/:hangoutId/rides/:rideId/seat', (req, res) => {
+  const username = req.user.username;
+  const group = Groups.findById(req.params.groupId);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'takeSeat', group)) return;
+  
+  const hangout = group.hangouts.find(h => h.id === req.params.hangoutId);
+  const ride = hangout && (hangout.rides || []).find(r => r.id === req.params.rideId);
+  
+  if (!ride) {
+    return res.status(404).json({ error: 'Ride not found' });
+  }
+  
+  if (ride.passengers.includes(username)) {
+    return res.json({ success: true, ride, hangout });
+  }
+  
+  const current = findRideFor(hangout, ride.occurrence, username);
+  if (current && current.driver === username) {
+    return res.status(409).json({ error: 'You\'re driving - take back your own ride offer first' });
+  }
+  if (ride.passengers.length >= ride.seats) {
+    return res.status(409).json({ error: `${ride.driver}'s car is full`, code: 'RIDE_FULL' });
+  }
+  
+  if (current) {
+    current.passengers = current.passengers.filter(name => name !== username);
+  }
+  ride.passengers.push(username);
+  clearRideRequest(hangout, ride.occurrence, username);
+  Groups.save(group);
+  
+  broadcast(group.id, 'rides-changed', { hangout });
+  res.json({ success: true, ride, hangout });
+});
+
+/**
+ * DELETE /api/groups/:groupId/hangouts/:hangoutId/rides/:rideId/passengers/:username
+ * Leave a car, or (for the driver) take someone out of it
  */
-function generateGroupCode() {
-  const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-  const numbers = '0123456789';
-  let code = '';
-  for (let i = 0; i < 3; i++) {
-    code += letters.charAt(Math.floor(Math.random() * letters.length));
+app.delete('/api/groups/:groupId/hangouts/:hangoutId/rides/:rideId/passengers/:username', (req, res) => {
+  const passenger = req.params.username;
+  const group = Groups.findById(req.params.groupId);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
   }
-  code += '-';
-  for (let i = 0; i < 4; i++) {
-    code += numbers.charAt(Math.floor(Math.random() * numbers.length));
+  
+  const hangout = group.hangouts.find(h => h.id === req.params.hangoutId);
+  const ride = hangout && (hangout.rides || []).find(r => r.id === req.params.rideId);
+  
+  if (!ride) {
+    return res.status(404).json({ error: 'Ride not found' });
   }
-  return code;
-}
-
-// ==========================================
-// API ROUTES - USERS
-// ==========================================
+  
+  if (!authorize(req, res, 'removePassenger', group, { ride, username: passenger })) return;
+  
+  if (!ride.passengers.includes(passenger)) {
+    return res.status(404).json({ error: `${passenger} isn't in this car` });
+  }
+  
+  ride.passengers = ride.passengers.filter(name => name !== passenger);
+  Groups.save(group);
+  
+  broadcast(group.id, 'rides-changed', { hangout });
+  res.json({ success: true, ride, hangout });
+});
 
 /**
- * POST /api/users/login
- * Login or create a user
+ * PUT /api/groups/:groupId/hangouts/:hangoutId/ride-request
+ * Say you need a ride, or that you don't anymore: { active, occurrence }
  */
-app.post('/api/users/login', (req, res) => {
-  const { username } = req.body;
+app.put('/api/groups/:groupId/hangouts/:hangoutId/ride-request', (req, res) => {
+  const { active, occurrence } = req.body;
+  const username = req.user.username;
   
-  if (!username || username.trim() === '') {
-    return res.status(400).json({ error: 'Username is required' });
+  if (typeof active !== 'boolean') {
+    return res.status(400).json({ error: 'active must be true or false' });
   }
   
-  const db = loadDatabase();
+  const group = Groups.findById(req.params.groupId);
   
-  // Check if user exists
-  let user = db.users.find(u => u.username.toLowerCase() === username.toLowerCase());
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
   
-  if (!user) {
-    // Create new user
-    user = {
-      id: generateId(),
-      username: username.trim(),
-      createdAt: new Date().toISOString()
-    };
-    db.users.push(user);
-    saveDatabase(db);
-    console.log(`New user created: ${user.username}`);
-  } else {
-    console.log(`User logged in: ${user.username}`);
+  if (!authorize(req, res, 'requestRide', group)) return;
+  
+  const hangout = group.hangouts.find(h => h.id === req.params.hangoutId);
+  
+  if (!hangout) {
+    return res.status(404).json({ error: 'Hangout not found' });
+  }
+  
+  const occurrenceError = checkOccurrence(hangout, occurrence, 'the ride');
+  if (occurrenceError) {
+    return res.status(occurrenceError.status).json({ error: occurrenceError.error });
+  }
+  const date = hangout.recurrence ? occurrence : null;
+  
+  if (active && findRideFor(hangout, date, username)) {
+    return res.status(409).json({ error: 'You already have a ride' });
+  }
+  
+  clearRideRequest(hangout, date, username);
+  if (active) {
+    hangout.rideRequests.push({ username, occurrence: date });
   }
+  Groups.save(group);
   
-  res.json({ success: true, user });
+  broadcast(group.id, 'rides-changed', { hangout });
+  res.json({ success: true, hangout });
 });
 
 // ==========================================
-// API ROUTES - GROUPS
+// API ROUTES - EXPENSES
 // ==========================================
+// Costs are added to a hangout (hangout.expenses) and shared between
+// the people going; balances add up every hangout in the group.
+// Paying someone back is marked on the hangout too (hangout.payments).
+// See server/expenses.js for amounts, splits and rounding.
 
 /**
- * GET /api/groups
- * Get all groups (optionally filter by user)
+ * POST /api/groups/:groupId/hangouts/:hangoutId/expenses
+ * Add an expense: { description, amount (cents), currency, paidBy, split }
+ * Repeating hangouts also need the "occurrence" it was for.
  */
-app.get('/api/groups', (req, res) => {
-  const { username } = req.query;
-  const db = loadDatabase();
+app.post('/api/groups/:groupId/hangouts/:hangoutId/expenses', (req, res) => {
+  const { description, amount, currency, paidBy, split, occurrence } = req.body;
+  const username = req.user.username;
+  
+  const group = Groups.findById(req.params.groupId);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'addExpense', group)) return;
+  
+  const hangout = group.hangouts.find(h => h.id === req.params.hangoutId);
+  
+  if (!hangout) {
+    return res.status(404).json({ error: 'Hangout not found' });
+  }
+  
+  const occurrenceError = checkOccurrence(hangout, occurrence, 'the expense');
+  if (occurrenceError) {
+    return res.status(occurrenceError.status).json({ error: occurrenceError.error });
+  }
+  
+  // Who's going (to the date it was for, on repeating hangouts)
+  const responses = getResponsesFor(hangout, occurrence);
+  const going = Object.keys(responses).filter(name => responses[name].response === 'going');
+  
+  const error = validateExpense(req.body, group.members, going);
+  if (error) {
+    return res.status(400).json({ error });
+  }
   
-  let groups = db.groups;
+  const newExpense = {
+    id: generateId(),
+    description: (description || '').trim() || 'Expense',
+    amount,
+    currency,
+    paidBy,
+    ...splitExpense(amount, split),
+    occurrence: hangout.recurrence ? occurrence : null,
+    addedBy: username,
+    createdAt: new Date().toISOString()
+  };
   
-  // If username provided, only return groups they're a member of
-  if (username) {
-    groups = groups.filter(g => g.members.includes(username));
+  if (!hangout.expenses) {
+    hangout.expenses = [];
   }
+  hangout.expenses.push(newExpense);
+  Groups.save(group);
   
-  res.json({ groups });
+  broadcast(group.id, 'expenses-changed', { hangout });
+  
+  console.log(`${username} added an expense to ${hangout.title}: ${newExpense.description}`);
+  res.json({ success: true, expense: newExpense, hangout });
 });
 
 /**
- * GET /api/groups/:id
- * Get a specific group by ID
+ * DELETE /api/groups/:groupId/hangouts/:hangoutId/expenses/:expenseId
+ * Take an expense back out (whoever added it or paid can)
  */
-app.get('/api/groups/:id', (req, res) => {
-  const db = loadDatabase();
-  const group = db.groups.find(g => g.id === req.params.id);
+app.delete('/api/groups/:groupId/hangouts/:hangoutId/expenses/:expenseId', (req, res) => {
+  const group = Groups.findById(req.params.groupId);
   
   if (!group) {
     return res.status(404).json({ error: 'Group not found' });
   }
   
-  res.json({ group });
+  const hangout = group.hangouts.find(h => h.id === req.params.hangoutId);
+  const expense = hangout && (hangout.expenses || []).find(e => e.id === req.params.expenseId);
+  
+  if (!expense) {
+    return res.status(404).json({ error: 'Expense not found' });
+  }
+  
+  if (!authorize(req, res, 'deleteExpense', group, expense)) return;
+  
+  hangout.expenses = hangout.expenses.filter(e => e.id !== expense.id);
+  Groups.save(group);
+  
+  broadcast(group.id, 'expenses-changed', { hangout });
+  
+  res.json({ success: true, hangout });
 });
 
 /**
- * POST /api/groups
- * Create a new group
+ * POST /api/groups/:groupId/hangouts/:hangoutId/payments
+ * Mark one of the hangout's settle-up payments as paid: { from, to, currency }
+ * It's recorded for whatever hangoutTransfers says is still owed,
+ * by either of the two people in it.
  */
-app.post('/api/groups', (req, res) => {
-  const { name, createdBy } = req.body;
+app.post('/api/groups/:groupId/hangouts/:hangoutId/payments', (req, res) => {
+  const { from, to, currency } = req.body;
+  const group = Groups.findById(req.params.groupId);
   
-  if (!name || name.trim() === '') {
-    return res.status(400).json({ error: 'Group name is required' });
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  const hangout = group.hangouts.find(h => h.id === req.params.hangoutId);
+  
+  if (!hangout) {
+    return res.status(404).json({ error: 'Hangout not found' });
   }
   
-  if (!createdBy) {
-    return res.status(400).json({ error: 'Creator username is required' });
+  const transfer = hangoutTransfers(hangout).find(t => t.from === from && t.to === to && t.currency === currency);
+  
+  if (!transfer) {
+    return res.status(404).json({ error: 'Nothing is owed like that for this hangout - it may already be paid' });
   }
   
-  const db = loadDatabase();
+  if (!authorize(req, res, 'markPayment', group, transfer)) return;
   
-  const newGroup = {
+  const payment = {
     id: generateId(),
-    name: name.trim(),
-    code: generateGroupCode(),
-    members: [createdBy],
-    createdBy: createdBy,
-    createdAt: new Date().toISOString(),
-    hangouts: [],
-    messages: []
+    ...transfer,
+    recordedBy: req.user.username,
+    paidAt: new Date().toISOString()
   };
   
-  db.groups.push(newGroup);
-  saveDatabase(db);
+  if (!hangout.payments) {
+    hangout.payments = [];
+  }
+  hangout.payments.push(payment);
+  Groups.save(group);
   
-  console.log(`Group created: ${newGroup.name} (${newGroup.code})`);
-  res.json({ success: true, group: newGroup });
+  broadcast(group.id, 'expenses-changed', { hangout });
+  
+  console.log(`${req.user.username} marked ${from} -> ${to} paid for ${hangout.title}`);
+  res.json({ success: true, payment, hangout });
 });
 
 /**
- * POST /api/groups/join
- * Join a group using a code
+ * DELETE /api/groups/:groupId/hangouts/:hangoutId/payments/:paymentId
+ * Take back a payment marked by mistake (either person in it can)
  */
-app.post('/api/groups/join', (req, res) => {
-  const { code, username } = req.body;
-  
-  if (!code) {
-    return res.status(400).json({ error: 'Group code is required' });
-  }
+app.delete('/api/groups/:groupId/hangouts/:hangoutId/payments/:paymentId', (req, res) => {
+  const group = Groups.findById(req.params.groupId);
   
-  if (!username) {
-    return res.status(400).json({ error: 'Username is required' });
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
   }
   
-  const db = loadDatabase();
-  const group = db.groups.find(g => g.code.toUpperCase() === code.toUpperCase());
+  const hangout = group.hangouts.find(h => h.id === req.params.hangoutId);
+  const payment = hangout && (hangout.payments || []).find(p => p.id === req.params.paymentId);
   
-  if (!group) {
-    return res.status(404).json({ error: 'No group found with that code' });
+  if (!payment) {
+    return res.status(404).json({ error: 'Payment not found' });
   }
   
-  if (group.members.includes(username)) {
-    return res.status(400).json({ error: 'You are already in this group' });
-  }
+  if (!authorize(req, res, 'markPayment', group, payment)) return;
   
-  group.members.push(username);
-  saveDatabase(db);
+  hangout.payments = hangout.payments.filter(p => p.id !== payment.id);
+  Groups.save(group);
   
-  console.log(`${username} joined group: ${group.name}`);
-  res.json({ success: true, group });
+  broadcast(group.id, 'expenses-changed', { hangout });
+  
+  res.json({ success: true, hangout });
 });
 
 /**
- * POST /api/groups/:id/leave
- * Leave a group
+ * GET /api/groups/:id/balances
+ * Everyone's balance per currency (in cents, positive = owed money)
+ * and the payments that would settle it all up
  */
-app.post('/api/groups/:id/leave', (req, res) => {
-  const { username } = req.body;
-  const db = loadDatabase();
-  const groupIndex = db.groups.findIndex(g => g.id === req.params.id);
+app.get('/api/groups/:id/balances', (req, res) => {
+  const group = Groups.findById(req.params.id);
   
-  if (groupIndex === -1) {
+  if (!group) {
     return res.status(404).json({ error: 'Group not found' });
   }
   
-  const group = db.groups[groupIndex];
-  group.members = group.members.filter(m => m !== username);
-  
-  // Delete group if no members left
-  if (group.members.length === 0) {
-    db.groups.splice(groupIndex, 1);
-    console.log(`Group deleted (no members): ${group.name}`);
-  } else {
-    console.log(`${username} left group: ${group.name}`);
-  }
+  if (!authorize(req, res, 'viewExpenses', group)) return;
   
-  saveDatabase(db);
-  res.json({ success: true, deleted: group.members.length === 0 });
+  const balances = computeBalances(group);
+  res.json({ balances, transfers: settleUp(balances) });
 });
 
 // ==========================================
-// API ROUTES - HANGOUTS
+// API ROUTES - BRING LIST
 // ==========================================
+// Each hangout has a checklist (hangout.checklist) of things to bring
+// or do. Anyone can add an item or claim an open one; only whoever
+// claimed it can tick it off or let it go. Repeating hangouts share
+// one list for the whole series.
 
 /**
- * POST /api/groups/:id/hangouts
- * Create a new hangout in a group
+ * Find a hangout and one of its checklist items (either may be missing)
  */
-app.post('/api/groups/:id/hangouts', (req, res) => {
-  const { title, date, time, location, description, proposedBy } = req.body;
+function findChecklistItem(group, hangoutId, itemId) {
+  const hangout = group.hangouts.find(h => h.id === hangoutId);
+  const item = hangout && (hangout.checklist || []).find(i => i.id === itemId);
+  return { hangout, item };
+}
+
+/**
+ * POST /api/groups/:groupId/hangouts/:hangoutId/checklist
+ * Add an item: { text }
+ */
+app.post('/api/groups/:groupId/hangouts/:hangoutId/checklist', (req, res) => {
+  const { text } = req.body;
   
-  if (!title || !date || !time || !location) {
-    return res.status(400).json({ error: 'Title, date, time, and location are required' });
+  if (!text || typeof text !== 'string' || text.trim() === '') {
+    return res.status(400).json({ error: 'Say what needs bringing' });
+  }
+  if (text.trim().length > MAX_CHECKLIST_ITEM_LENGTH) {
+    return res.status(400).json({ error: `Items can be at most ${MAX_CHECKLIST_ITEM_LENGTH} characters` });
   }
   
-  const db = loadDatabase();
-  const group = db.groups.find(g => g.id === req.params.id);
+  const group = Groups.findById(req.params.groupId);
   
   if (!group) {
     return res.status(404).json({ error: 'Group not found' });
   }
   
-  const newHangout = {
+  if (!authorize(req, res, 'addChecklistItem', group)) return;
+  
+  const hangout = group.hangouts.find(h => h.id === req.params.hangoutId);
+  
+  if (!hangout) {
+    return res.status(404).json({ error: 'Hangout not found' });
+  }
+  
+  const newItem = {
     id: generateId(),
-    title: title.trim(),
-    date,
-    time,
-    location: location.trim(),
-    description: description ? description.trim() : '',
-    proposedBy,
-    createdAt: new Date().toISOString(),
-    responses: { [proposedBy]: 'going' }
+    text: text.trim(),
+    addedBy: req.user.username,
+    claimedBy: null,
+    done: false,
+    createdAt: new Date().toISOString()
   };
   
-  group.hangouts.push(newHangout);
-  saveDatabase(db);
+  if (!hangout.checklist) {
+    hangout.checklist = [];
+  }
+  hangout.checklist.push(newItem);
+  Groups.save(group);
   
-  console.log(`Hangout created in ${group.name}: ${newHangout.title}`);
-  res.json({ success: true, hangout: newHangout, hangouts: group.hangouts });
+  broadcast(group.id, 'checklist-changed', { hangout });
+  res.json({ success: true, item: newItem, hangout });
 });
 
 /**
- * POST /api/groups/:groupId/hangouts/:hangoutId/respond
- * Respond to a hangout (going, maybe, notGoing)
+ * POST /api/groups/:groupId/hangouts/:hangoutId/checklist/:itemId/claim
+ * Say you'll bring it
+ * If someone else got there first, it's a 409 with the item as it is now
  */
-app.post('/api/groups/:groupId/hangouts/:hangoutId/respond', (req, res) => {
-  const { username, response } = req.body;
+app.post('/api/groups/:groupId/hangouts/:hangoutId/checklist/:itemId/claim', (req, res) => {
+  const username = req.user.username;
+  const group = Groups.findById(req.params.groupId);
   
-  if (!['going', 'maybe', 'notGoing'].includes(response)) {
-    return res.status(400).json({ error: 'Invalid response. Must be: going, maybe, or notGoing' });
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  if (!authorize(req, res, 'claimChecklistItem', group)) return;
+  
+  const { hangout, item } = findChecklistItem(group, req.params.hangoutId, req.params.itemId);
+  
+  if (!item) {
+    return res.status(404).json({ error: 'Item not found' });
+  }
+  
+  if (item.claimedBy && item.claimedBy !== username) {
+    return res.status(409).json({ error: `${item.claimedBy} already claimed this`, code: 'ALREADY_CLAIMED', item });
+  }
+  
+  if (!item.claimedBy) {
+    item.claimedBy = username;
+    Groups.save(group);
+    broadcast(group.id, 'checklist-changed', { hangout });
   }
   
-  const db = loadDatabase();
-  const group = db.groups.find(g => g.id === req.params.groupId);
+  res.json({ success: true, item, hangout });
+});
+
+/**
+ * DELETE /api/groups/:groupId/hangouts/:hangoutId/checklist/:itemId/claim
+ * Let someone else take it (only whoever claimed it)
+ */
+app.delete('/api/groups/:groupId/hangouts/:hangoutId/checklist/:itemId/claim', (req, res) => {
+  const group = Groups.findById(req.params.groupId);
   
   if (!group) {
     return res.status(404).json({ error: 'Group not found' });
   }
   
-  const hangout = group.hangouts.find(h => h.id === req.params.hangoutId);
+  const { hangout, item } = findChecklistItem(group, req.params.hangoutId, req.params.itemId);
   
-  if (!hangout) {
-    return res.status(404).json({ error: 'Hangout not found' });
+  if (!item) {
+    return res.status(404).json({ error: 'Item not found' });
   }
   
-  hangout.responses[username] = response;
-  saveDatabase(db);
+  if (!authorize(req, res, 'updateChecklistItem', group, item)) return;
   
-  console.log(`${username} responded "${response}" to: ${hangout.title}`);
-  res.json({ success: true, hangout });
+  item.claimedBy = null;
+  item.done = false;
+  Groups.save(group);
+  
+  broadcast(group.id, 'checklist-changed', { hangout });
+  res.json({ success: true, item, hangout });
 });
 
 /**
- * DELETE /api/groups/:groupId/hangouts/:hangoutId
- * Delete a hangout
+ * PATCH /api/groups/:groupId/hangouts/:hangoutId/checklist/:itemId
+ * Tick an item off (or back on): { done }
+ * Ticking off an open item claims it for you too.
  */
-app.delete('/api/groups/:groupId/hangouts/:hangoutId', (req, res) => {
-  const db = loadDatabase();
-  const group = db.groups.find(g => g.id === req.params.groupId);
+app.patch('/api/groups/:groupId/hangouts/:hangoutId/checklist/:itemId', (req, res) => {
+  const { done } = req.body;
+  
+  if (typeof done !== 'boolean') {
+    return res.status(400).json({ error: 'done must be true or false' });
+  }
+  
+  const group = Groups.findById(req.params.groupId);
   
   if (!group) {
     return res.status(404).json({ error: 'Group not found' });
   }
   
-  const hangoutIndex = group.hangouts.findIndex(h => h.id === req.params.hangoutId);
+  const { hangout, item } = findChecklistItem(group, req.params.hangoutId, req.params.itemId);
   
-  if (hangoutIndex === -1) {
-    return res.status(404).json({ error: 'Hangout not found' });
+  if (!item) {
+    return res.status(404).json({ error: 'Item not found' });
   }
   
-  const hangout = group.hangouts[hangoutIndex];
+  if (!authorize(req, res, 'updateChecklistItem', group, item)) return;
   
-  group.hangouts.splice(hangoutIndex, 1);
-  saveDatabase(db);
+  item.done = done;
+  if (done && !item.claimedBy) {
+    item.claimedBy = req.user.username;
+  }
+  Groups.save(group);
   
-  console.log(`Hangout deleted: ${hangout.title}`);
-  res.json({ success: true });
+  broadcast(group.id, 'checklist-changed', { hangout });
+  res.json({ success: true, item, hangout });
+});
+
+/**
+ * DELETE /api/groups/:groupId/hangouts/:hangoutId/checklist/:itemId
+ * Remove an item (only whoever added it)
+ */
+app.delete('/api/groups/:groupId/hangouts/:hangoutId/checklist/:itemId', (req, res) => {
+  const group = Groups.findById(req.params.groupId);
+  
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  
+  const { hangout, item } = findChecklistItem(group, req.params.hangoutId, req.params.itemId);
+  
+  if (!item) {
+    return res.status(404).json({ error: 'Item not found' });
+  }
+  
+  if (!authorize(req, res, 'deleteChecklistItem', group, item)) return;
+  
+  hangout.checklist = hangout.checklist.filter(i => i.id !== item.id);
+  Groups.save(group);
+  
+  broadcast(group.id, 'checklist-changed', { hangout });
+  res.json({ success: true, hangout });
 });
 
 // ==========================================
@@ -382,13 +3476,14 @@ app.delete('/api/groups/:groupId/hangouts/:hangoutId', (req, res) => {
  * Get all messages for a group
  */
 app.get('/api/groups/:id/messages', (req, res) => {
-  const db = loadDatabase();
-  const group = db.groups.find(g => g.id === req.params.id);
+  const group = Groups.findById(req.params.id);
   
   if (!group) {
     return res.status(404).json({ error: 'Group not found' });
   }
   
+  if (!authorize(req, res, 'viewMessages', group)) return;
+  
   res.json({ messages: group.messages || [] });
 });
 
@@ -397,25 +3492,40 @@ app.get('/api/groups/:id/messages', (req, res) => {
  * Send a message in a group
  */
 app.post('/api/groups/:id/messages', (req, res) => {
-  const { text, sender } = req.body;
+  const { text, clientId } = req.body;
+  const sender = req.user.username;
   
   if (!text || text.trim() === '') {
     return res.status(400).json({ error: 'Message text is required' });
   }
   
-  const db = loadDatabase();
-  const group = db.groups.find(g => g.id === req.params.id);
+  if (clientId !== undefined && !isValidClientId(clientId)) {
+    return res.status(400).json({ error: 'Invalid client id' });
+  }
+  
+  const group = Groups.findById(req.params.id);
   
   if (!group) {
     return res.status(404).json({ error: 'Group not found' });
   }
   
+  if (!authorize(req, res, 'sendMessage', group)) return;
+  
   if (!group.messages) {
     group.messages = [];
   }
   
+  // Replayed from an offline queue: hand back the one we already made
+  const existing = clientId && group.messages.find(m => m.id === clientId);
+  if (existing) {
+    if (existing.sender !== sender) {
+      return res.status(409).json({ error: 'That message id is already taken' });
+    }
+    return res.json({ success: true, message: existing, messages: group.messages });
+  }
+  
   const newMessage = {
-    id: generateId(),
+    id: clientId || generateId(),
     text: text.trim(),
     sender,
     timestamp: new Date().toISOString(),
@@ -423,7 +3533,9 @@ app.post('/api/groups/:id/messages', (req, res) => {
   };
   
   group.messages.push(newMessage);
-  saveDatabase(db);
+  Groups.save(group);
+  
+  broadcast(group.id, 'message-created', { message: newMessage });
   
   // Return success flag and all messages so frontend can sync
   res.json({ success: true, message: newMessage, messages: group.messages });
@@ -431,47 +3543,106 @@ app.post('/api/groups/:id/messages', (req, res) => {
 
 /**
  * POST /api/groups/:groupId/messages/:messageId/react
- * Add or remove a reaction to a message
+ * Add or remove a reaction to a message (one of MESSAGE_REACTION_EMOJIS)
+ * Toggles by default; send "active": true/false to set it instead
+ * (replaying a queued reaction twice then can't undo it)
  */
 app.post('/api/groups/:groupId/messages/:messageId/react', (req, res) => {
-  const { username, emoji } = req.body;
+  const { emoji, active } = req.body;
+  const username = req.user.username;
+  
+  if (!MESSAGE_REACTION_EMOJIS.includes(emoji)) {
+    return res.status(400).json({ error: `Reactions must be one of ${MESSAGE_REACTION_EMOJIS.join(' ')}` });
+  }
   
-  const db = loadDatabase();
-  const group = db.groups.find(g => g.id === req.params.groupId);
+  const group = Groups.findById(req.params.groupId);
   
   if (!group) {
     return res.status(404).json({ error: 'Group not found' });
   }
   
+  if (!authorize(req, res, 'reactToMessage', group)) return;
+  
   const message = group.messages.find(m => m.id === req.params.messageId);
   
   if (!message) {
     return res.status(404).json({ error: 'Message not found' });
   }
   
-  if (!message.reactions) {
-    message.reactions = {};
-  }
+  setReaction(message, emoji, username, active);
+  Groups.save(group);
+  
+  broadcast(group.id, 'reaction-toggled', { message });
+  res.json({ success: true, message });
+});
+
+// ==========================================
+// API ROUTES - LIVE EVENTS
+// ==========================================
+
+/**
+ * GET /api/groups/:id/events
+ * Server-Sent Events stream of everything that happens in a group
+ * Stays open; the browser's EventSource reconnects on its own if it drops
+ */
+app.get('/api/groups/:id/events', (req, res) => {
+  const group = Groups.findById(req.params.id);
   
-  if (!message.reactions[emoji]) {
-    message.reactions[emoji] = [];
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
   }
   
-  const userIndex = message.reactions[emoji].indexOf(username);
+  if (!authorize(req, res, 'viewGroup', group)) return;
   
-  if (userIndex === -1) {
-    // Add reaction
-    message.reactions[emoji].push(username);
-  } else {
-    // Remove reaction
-    message.reactions[emoji].splice(userIndex, 1);
-    if (message.reactions[emoji].length === 0) {
-      delete message.reactions[emoji];
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write(': connected\n\n');
+  
+  const stream = { res, username: req.user.username, sessionTokenHash: req.sessionTokenHash };
+  if (!eventStreams.has(group.id)) {
+    eventStreams.set(group.id, new Set());
+  }
+  eventStreams.get(group.id).add(stream);
+  
+  // Comment lines keep the connection from timing out; a session
+  // that has expired since the stream opened ends it instead
+  const heartbeat = setInterval(() => {
+    if (!findActiveSession(stream.sessionTokenHash)) {
+      res.end();
+      return;
+    }
+    res.write(': ping\n\n');
+  }, EVENT_HEARTBEAT_MS);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const streams = eventStreams.get(group.id);
+    if (streams) {
+      streams.delete(stream);
+      if (streams.size === 0) eventStreams.delete(group.id);
     }
+  });
+});
+
+// ==========================================
+// ERROR HANDLING
+// ==========================================
+
+/**
+ * Anything a route throws ends up here
+ * Sends JSON like every other error instead of Express's HTML page
+ */
+app.use((error, req, res, next) => {
+  if (error instanceof StorageConflictError) {
+    return res.status(409).json({ error: 'Someone else changed this at the same time. Please try again' });
   }
   
-  saveDatabase(db);
-  res.json({ success: true, message });
+  console.error('Unexpected error:', error);
+  res.status(500).json({ error: 'Something went wrong on the server' });
 });
 
 // ==========================================
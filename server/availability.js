@@ -0,0 +1,188 @@
+/*
+  ============================================================
+  AVAILABILITY - server/availability.js
+  ============================================================
+  Members mark when they're free or busy over the coming weeks,
+  and the best times to meet are worked out from the overlap.
+  
+  group.availability maps a username to their blocks:
+  {
+    "Alice": [
+      { id: "b1", date: "2024-03-15", start: "18:00", end: "22:00", status: "free" }
+    ]
+  }
+  
+  A slot counts someone as free when one of their free blocks
+  covers all of it and none of their busy blocks touch it. People
+  who haven't said anything for that time are "unknown".
+  
+  Dates and times are local, like hangouts, so "now" is the
+  server's clock.
+*/
+
+const AVAILABILITY_STATUSES = ['free', 'busy'];
+
+// Blocks can be marked this far ahead
+const MAX_DAYS_AHEAD = 60;
+
+// Most blocks one person can have in a group
+const MAX_BLOCKS_PER_MEMBER = 200;
+
+// Candidate slots start on the hour between these times
+const FIRST_SLOT_HOUR = 8;
+const LAST_SLOT_END_HOUR = 23;
+
+const DEFAULT_SEARCH_DAYS = 14;
+const DEFAULT_DURATION_HOURS = 2;
+const DEFAULT_SLOT_LIMIT = 10;
+
+/**
+ * "18:30" -> 1110 (minutes since midnight)
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * 1110 -> "18:30"
+ */
+function fromMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * A Date -> "2024-03-15" (local)
+ */
+function toDateString(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Today plus some days, as "2024-03-15"
+ */
+function daysFromToday(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return toDateString(date);
+}
+
+/**
+ * Check a free/busy block
+ * Returns an error message, or null if it's fine
+ */
+function validateBlock({ date, start, end, status }) {
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+    return 'Invalid date';
+  }
+  if (date < daysFromToday(0) || date > daysFromToday(MAX_DAYS_AHEAD)) {
+    return `Pick a date between today and ${MAX_DAYS_AHEAD} days from now`;
+  }
+  // "24:00" is allowed as an end, for "until midnight"
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (typeof start !== 'string' || !timePattern.test(start) ||
+      typeof end !== 'string' || !(timePattern.test(end) || end === '24:00')) {
+    return 'Times must look like 18:00';
+  }
+  if (toMinutes(end) <= toMinutes(start)) {
+    return 'The end has to be after the start';
+  }
+  if (!AVAILABILITY_STATUSES.includes(status)) {
+    return `Status must be one of: ${AVAILABILITY_STATUSES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Drop blocks from days that are over (changes the group)
+ */
+function pruneAvailability(group) {
+  const today = daysFromToday(0);
+  for (const username of Object.keys(group.availability || {})) {
+    group.availability[username] = group.availability[username].filter(block => block.date >= today);
+    if (group.availability[username].length === 0) {
+      delete group.availability[username];
+    }
+  }
+}
+
+/**
+ * Who's free, busy or unknown for one slot
+ */
+function checkSlot(group, date, startMinutes, endMinutes) {
+  const free = [];
+  const busy = [];
+  
+  for (const username of group.members) {
+    const blocks = ((group.availability || {})[username] || []).filter(block => block.date === date);
+    
+    const isBusy = blocks.some(block => block.status === 'busy' &&
+      toMinutes(block.start) < endMinutes && toMinutes(block.end) > startMinutes);
+    const isFree = blocks.some(block => block.status === 'free' &&
+      toMinutes(block.start) <= startMinutes && toMinutes(block.end) >= endMinutes);
+    
+    if (isBusy) {
+      busy.push(username);
+    } else if (isFree) {
+      free.push(username);
+    }
+  }
+  
+  return { free, busy };
+}
+
+/**
+ * Rank the candidate slots over the coming days
+ * Most people free first, then fewest busy, then soonest. Slots
+ * nobody is free for are left out.
+ *
+ * @param {object} group - with members and availability
+ * @param {object} options - { days, durationHours, limit }
+ * @returns {object[]} [{ date, time, endTime, free: [...], busy: [...], unknown: [...] }]
+ */
+function findBestTimes(group, options = {}) {
+  const days = options.days || DEFAULT_SEARCH_DAYS;
+  const duration = (options.durationHours || DEFAULT_DURATION_HOURS) * 60;
+  const limit = options.limit || DEFAULT_SLOT_LIMIT;
+  
+  const now = new Date();
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+  const slots = [];
+  
+  for (let day = 0; day < days; day++) {
+    const date = daysFromToday(day);
+    
+    for (let start = FIRST_SLOT_HOUR * 60; start + duration <= LAST_SLOT_END_HOUR * 60; start += 60) {
+      // Already started
+      if (day === 0 && start <= nowMinutes) continue;
+      
+      const { free, busy } = checkSlot(group, date, start, start + duration);
+      if (free.length === 0) continue;
+      
+      slots.push({
+        date,
+        time: fromMinutes(start),
+        endTime: fromMinutes(start + duration),
+        free,
+        busy,
+        unknown: group.members.filter(name => !free.includes(name) && !busy.includes(name))
+      });
+    }
+  }
+  
+  slots.sort((a, b) =>
+    b.free.length - a.free.length ||
+    a.busy.length - b.busy.length ||
+    a.date.localeCompare(b.date) ||
+    a.time.localeCompare(b.time));
+  
+  return slots.slice(0, limit);
+}
+
+module.exports = {
+  MAX_BLOCKS_PER_MEMBER,
+  MAX_DAYS_AHEAD,
+  validateBlock,
+  pruneAvailability,
+  findBestTimes
+};
@@ -0,0 +1,204 @@
+/*
+  ============================================================
+  CONFIRMATION RULES - server/confirmation.js
+  ============================================================
+  Decides whether a hangout is "confirmed", "pending" or
+  "cancelled". Worked out here on the server so every client
+  shows the same thing.
+  
+  A RULE can be set on a hangout (hangout.confirmation) or as the
+  group's default (group.confirmationRule). Every part is optional
+  but the rule can't be empty:
+  {
+    minGoing: 4,                   - at least this many going
+    requiredAttendees: ["Alice"],  - these people have to be going
+    minPercentGoing: 60,           - this % of everyone who answered is going
+    decideHoursBefore: 24          - this long before it starts, it's settled:
+  }                                  still not confirmed means cancelled
+  
+  With no rule at all the old rule applies: more than half of the
+  group going confirms it, more than half saying no cancels it.
+  A rule with only decideHoursBefore keeps the old rule and adds
+  the deadline to it.
+  
+  Headcounts include guests (see server/rsvp.js), but only members
+  can be required or say no.
+  
+  Hangouts only have a local date and time, so "before it starts"
+  uses the server's clock and time zone.
+*/
+
+const { countHeads } = require('./rsvp');
+
+const MAX_DECIDE_HOURS_BEFORE = 24 * 30;
+
+/**
+ * Check a confirmation rule (null means "use the default")
+ * Returns an error message, or null if it's fine
+ */
+function validateConfirmationRule(rule, members) {
+  if (rule === null || rule === undefined) return null;
+  
+  if (typeof rule !== 'object' || Array.isArray(rule)) {
+    return 'Invalid confirmation rule';
+  }
+  
+  const { minGoing, requiredAttendees, minPercentGoing, decideHoursBefore } = rule;
+  
+  if (minGoing === undefined && requiredAttendees === undefined && minPercentGoing === undefined && decideHoursBefore === undefined) {
+    return 'A confirmation rule needs a headcount, required people, a percentage or a deadline';
+  }
+  if (minGoing !== undefined && (!Number.isInteger(minGoing) || minGoing < 1)) {
+    return 'The minimum headcount must be a whole number of at least 1';
+  }
+  if (requiredAttendees !== undefined) {
+    if (!Array.isArray(requiredAttendees) || requiredAttendees.length === 0) {
+      return 'Pick at least one person who has to come';
+    }
+    const notMembers = requiredAttendees.filter(name => !members.includes(name));
+    if (notMembers.length > 0) {
+      return `Not in this group: ${notMembers.join(', ')}`;
+    }
+  }
+  if (minPercentGoing !== undefined && (!Number.isInteger(minPercentGoing) || minPercentGoing < 1 || minPercentGoing > 100)) {
+    return 'The percentage must be a whole number from 1 to 100';
+  }
+  if (decideHoursBefore !== undefined && (!Number.isInteger(decideHoursBefore) || decideHoursBefore < 0 || decideHoursBefore > MAX_DECIDE_HOURS_BEFORE)) {
+    return `Deciding has to happen between 0 and ${MAX_DECIDE_HOURS_BEFORE} hours before`;
+  }
+  return null;
+}
+
+/**
+ * The stored copy of a (valid) rule, keeping only the known parts
+ */
+function cleanConfirmationRule(rule) {
+  if (!rule) return null;
+  
+  const clean = {};
+  for (const field of ['minGoing', 'requiredAttendees', 'minPercentGoing', 'decideHoursBefore']) {
+    if (rule[field] !== undefined) clean[field] = rule[field];
+  }
+  return clean;
+}
+
+/**
+ * When a hangout starts, as a Date (or null if we can't tell)
+ */
+function getStartTime(date, time) {
+  if (!date) return null;
+  const start = new Date(`${date}T${/^\d{1,2}:\d{2}$/.test(time || '') ? time.padStart(5, '0') : '00:00'}`);
+  return isNaN(start) ? null : start;
+}
+
+/**
+ * Whether a rule says anything about who has to be going
+ * (a deadline on its own doesn't)
+ */
+function hasCondition(rule) {
+  return rule.minGoing !== undefined || rule.requiredAttendees !== undefined || rule.minPercentGoing !== undefined;
+}
+
+/**
+ * Whether it's too late to be confirmed (past decideHoursBefore)
+ */
+function isOutOfTime(rule, startsAt) {
+  return rule.decideHoursBefore !== undefined && Boolean(startsAt) &&
+    Date.now() >= startsAt.getTime() - rule.decideHoursBefore * 60 * 60 * 1000;
+}
+
+/**
+ * Work out one status
+ *
+ * @param {object} group - the hangout's group (for the member count and default rule)
+ * @param {object} hangout - the hangout (for its own rule)
+ * @param {object} responses - the RSVPs to count
+ * @param {Date|null} startsAt - when it starts, for decideHoursBefore (null = not yet decided)
+ */
+function computeStatus(group, hangout, responses, startsAt) {
+  const rule = hangout.confirmation || group.confirmationRule || null;
+  const memberCount = group.members.length;
+  
+  const answers = Object.values(responses);
+  const goingCount = countHeads(responses, 'going');
+  const maybeCount = countHeads(responses, 'maybe');
+  const notGoingCount = answers.filter(rsvp => rsvp.response === 'notGoing').length;
+  
+  // The old rule: a majority of the whole group
+  if (!rule || !hasCondition(rule)) {
+    if (goingCount > memberCount / 2) return 'confirmed';
+    if (notGoingCount > memberCount / 2) return 'cancelled';
+    return rule && isOutOfTime(rule, startsAt) ? 'cancelled' : 'pending';
+  }
+  
+  const required = rule.requiredAttendees || [];
+  
+  const isMet =
+    (rule.minGoing === undefined || goingCount >= rule.minGoing) &&
+    required.every(name => responses[name] && responses[name].response === 'going') &&
+    (rule.minPercentGoing === undefined || (answers.length > 0 && goingCount * 100 / countHeads(responses) >= rule.minPercentGoing));
+  
+  if (isMet) return 'confirmed';
+  
+  // Can't be met anymore: a must-have said no, or not enough people are left to say yes
+  const stillPossible = goingCount + maybeCount + Math.max(memberCount - answers.length, 0);
+  if (required.some(name => responses[name] && responses[name].response === 'notGoing')) return 'cancelled';
+  if (rule.minGoing !== undefined && stillPossible < rule.minGoing) return 'cancelled';
+  
+  if (isOutOfTime(rule, startsAt)) return 'cancelled';
+  
+  return 'pending';
+}
+
+/**
+ * Work out the status of every hangout in a group (changes the group)
+ * Sets hangout.status, and for repeating hangouts each date's
+ * status too. Dates nobody has answered for yet show the series'
+ * status, which never counts as decided.
+ *
+ * Returns the hangouts whose status (or a date's status) was
+ * already set and is now different, so they can be sent out.
+ */
+function refreshStatuses(group) {
+  const changed = [];
+  
+  for (const hangout of group.hangouts || []) {
+    const before = listStatuses(hangout);
+    
+    if (hangout.slots && !hangout.lockedSlotId) {
+      hangout.status = 'voting';
+    }
+    else {
+      const startsAt = hangout.recurrence ? null : getStartTime(hangout.date, hangout.time);
+      hangout.status = computeStatus(group, hangout, hangout.responses, startsAt);
+      
+      for (const [date, record] of Object.entries(hangout.occurrences || {})) {
+        const changes = record.changes || {};
+        record.status = record.skipped
+          ? 'skipped'
+          : computeStatus(group, hangout, record.responses, getStartTime(changes.date || date, changes.time || hangout.time));
+      }
+    }
+    
+    const after = listStatuses(hangout);
+    if (Object.keys(before).some(key => before[key] !== after[key])) {
+      changed.push(hangout);
+    }
+  }
+  return changed;
+}
+
+/**
+ * A hangout's statuses that are set so far: "" -> the hangout's,
+ * a date -> that date's
+ */
+function listStatuses(hangout) {
+  const statuses = {};
+  if (hangout.status) statuses[''] = hangout.status;
+  for (const [date, record] of Object.entries(hangout.occurrences || {})) {
+    if (record.status) statuses[date] = record.status;
+  }
+  return statuses;
+}
+
+module.exports = { validateConfirmationRule, cleanConfirmationRule, getStartTime, refreshStatuses };
@@ -0,0 +1,236 @@
+/*
+  ============================================================
+  EXPENSES - server/expenses.js
+  ============================================================
+  Who paid for what at a hangout, and who owes whom because of
+  it. hangout.expenses is a list of these:
+  {
+    id: "e1",
+    description: "Pizza",
+    amount: 4250,             - in cents, so 42.50
+    currency: "USD",
+    paidBy: "Alice",
+    split: { type: "equal", among: ["Alice", "Bob", "Carol"] },
+    shares: { "Alice": 1417, "Bob": 1417, "Carol": 1416 },
+    occurrence: null,         - which date, for repeating hangouts
+    addedBy: "Alice",
+    createdAt: "2024-..."
+  }
+  
+  A SPLIT is one of:
+  - { type: "equal", among: [...] }
+  - { type: "weighted", weights: { "Alice": 2, "Bob": 1 } }
+  - { type: "exact", amounts: { "Alice": 3000, "Bob": 1250 } }
+  
+  Only people who said "going" can be in a split. The shares are
+  worked out once, when the expense is added, so later RSVP
+  changes don't move anyone's balance. Cents that don't divide
+  evenly go to the first people in the split.
+  
+  Paying someone back is marked on the hangout too, in
+  hangout.payments, and counts towards everyone's balance:
+  { id: "p1", from: "Bob", to: "Alice", amount: 1417, currency: "USD",
+    recordedBy: "Alice", paidAt: "2024-..." }
+  Once a hangout's payments cover its expenses, it's settled up.
+*/
+
+const MAX_AMOUNT = 10000000;
+const MAX_WEIGHT = 100;
+const MAX_DESCRIPTION_LENGTH = 80;
+
+const SPLIT_TYPES = ['equal', 'weighted', 'exact'];
+
+/**
+ * Share out a number of cents by weight
+ * Everyone gets their rounded-down part, then the leftover cents go
+ * to whoever lost the most to rounding (ties: earliest in the list)
+ */
+function divideByWeight(amount, weights) {
+  const names = Object.keys(weights);
+  const totalWeight = names.reduce((total, name) => total + weights[name], 0);
+  
+  const shares = {};
+  let leftover = amount;
+  for (const name of names) {
+    shares[name] = Math.floor(amount * weights[name] / totalWeight);
+    leftover -= shares[name];
+  }
+  
+  const byRemainder = names
+    .map((name, index) => ({ name, index, remainder: amount * weights[name] / totalWeight - shares[name] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+  
+  for (let i = 0; i < leftover; i++) {
+    shares[byRemainder[i].name]++;
+  }
+  return shares;
+}
+
+/**
+ * Check an expense before it's added
+ * Returns an error message, or null if it's fine
+ *
+ * @param {object} expense - what the client sent
+ * @param {string[]} members - everyone in the group (who can pay)
+ * @param {string[]} going - who said "going" (who can be in the split)
+ */
+function validateExpense(expense, members, going) {
+  const { description, amount, currency, paidBy, split } = expense;
+  
+  if (description !== undefined && (typeof description !== 'string' || description.trim().length > MAX_DESCRIPTION_LENGTH)) {
+    return `Descriptions can be at most ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+  if (!Number.isInteger(amount) || amount < 1 || amount > MAX_AMOUNT) {
+    return 'The amount must be a whole number of cents, more than 0';
+  }
+  if (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency)) {
+    return 'The currency must be a 3-letter code like USD or EUR';
+  }
+  if (!members.includes(paidBy)) {
+    return 'Whoever paid has to be in the group';
+  }
+  if (!split || typeof split !== 'object' || !SPLIT_TYPES.includes(split.type)) {
+    return `The split must be one of: ${SPLIT_TYPES.join(', ')}`;
+  }
+  
+  let names;
+  if (split.type === 'equal') {
+    if (!Array.isArray(split.among)) return 'Pick who to split it between';
+    names = split.among;
+  } else {
+    const values = split.type === 'weighted' ? split.weights : split.amounts;
+    if (!values || typeof values !== 'object' || Array.isArray(values)) return 'Pick who to split it between';
+    names = Object.keys(values);
+    
+    if (split.type === 'weighted' && names.some(name => !Number.isInteger(values[name]) || values[name] < 1 || values[name] > MAX_WEIGHT)) {
+      return `Weights must be whole numbers from 1 to ${MAX_WEIGHT}`;
+    }
+    if (split.type === 'exact') {
+      if (names.some(name => !Number.isInteger(values[name]) || values[name] < 0)) {
+        return 'Exact shares must be whole numbers of cents';
+      }
+      const total = names.reduce((sum, name) => sum + values[name], 0);
+      if (total !== amount) {
+        return `The exact shares add up to ${(total / 100).toFixed(2)}, not ${(amount / 100).toFixed(2)}`;
+      }
+    }
+  }
+  
+  if (names.length === 0) {
+    return 'Pick who to split it between';
+  }
+  if (new Set(names).size !== names.length) {
+    return 'Someone is in the split twice';
+  }
+  const notGoing = names.filter(name => !going.includes(name));
+  if (notGoing.length > 0) {
+    return `Only people who are going can share the cost (not ${notGoing.join(', ')})`;
+  }
+  return null;
+}
+
+/**
+ * The stored copy of a (valid) split and what each person owes
+ */
+function splitExpense(amount, split) {
+  if (split.type === 'equal') {
+    const weights = {};
+    split.among.forEach(name => { weights[name] = 1; });
+    return { split: { type: 'equal', among: [...split.among] }, shares: divideByWeight(amount, weights) };
+  }
+  if (split.type === 'weighted') {
+    return { split: { type: 'weighted', weights: { ...split.weights } }, shares: divideByWeight(amount, split.weights) };
+  }
+  return { split: { type: 'exact', amounts: { ...split.amounts } }, shares: { ...split.amounts } };
+}
+
+/**
+ * Everyone's running balance, per currency, over all the group's hangouts
+ * Positive means they're owed money, negative means they owe it
+ * e.g. { USD: { "Alice": 2833, "Bob": -1417, "Carol": -1416 } }
+ */
+function computeBalances(group) {
+  const balances = {};
+  
+  function add(currency, name, cents) {
+    const balance = balances[currency] || (balances[currency] = {});
+    balance[name] = (balance[name] || 0) + cents;
+  }
+  
+  for (const hangout of group.hangouts || []) {
+    for (const expense of hangout.expenses || []) {
+      add(expense.currency, expense.paidBy, expense.amount);
+      for (const [name, share] of Object.entries(expense.shares)) {
+        add(expense.currency, name, -share);
+      }
+    }
+    
+    // Paying back evens out what the expenses left
+    for (const payment of hangout.payments || []) {
+      add(payment.currency, payment.from, payment.amount);
+      add(payment.currency, payment.to, -payment.amount);
+    }
+  }
+  
+  // Leave out people who are square
+  for (const currency of Object.keys(balances)) {
+    for (const name of Object.keys(balances[currency])) {
+      if (balances[currency][name] === 0) delete balances[currency][name];
+    }
+    if (Object.keys(balances[currency]).length === 0) delete balances[currency];
+  }
+  return balances;
+}
+
+/**
+ * A short list of payments that would square everyone up
+ * The biggest debt is always paid to the biggest creditor first,
+ * which keeps the list to at most (people - 1) per currency.
+ * Returns [{ from, to, amount, currency }]
+ */
+function settleUp(balances) {
+  const transfers = [];
+  
+  for (const [currency, balance] of Object.entries(balances)) {
+    const creditors = Object.entries(balance).filter(([, cents]) => cents > 0).map(([name, cents]) => ({ name, cents }));
+    const debtors = Object.entries(balance).filter(([, cents]) => cents < 0).map(([name, cents]) => ({ name, cents: -cents }));
+    
+    while (creditors.length > 0 && debtors.length > 0) {
+      creditors.sort((a, b) => b.cents - a.cents);
+      debtors.sort((a, b) => b.cents - a.cents);
+      
+      const creditor = creditors[0];
+      const debtor = debtors[0];
+      const amount = Math.min(creditor.cents, debtor.cents);
+      
+      transfers.push({ from: debtor.name, to: creditor.name, amount, currency });
+      
+      creditor.cents -= amount;
+      debtor.cents -= amount;
+      if (creditor.cents === 0) creditors.shift();
+      if (debtor.cents === 0) debtors.shift();
+    }
+  }
+  return transfers;
+}
+
+/**
+ * The payments that would square up just this one hangout
+ * (js/expenses.js works these out the same way for its "Mark paid"
+ * buttons)
+ */
+function hangoutTransfers(hangout) {
+  return settleUp(computeBalances({ hangouts: [hangout] }));
+}
+
+/**
+ * Does a hangout have expenses that still leave someone owing money?
+ * An expense someone paid only for themselves doesn't count, and
+ * neither does one that's been paid back. Deleting the hangout would
+ * quietly wipe the rest out of everyone's balances.
+ */
+function hasUnsettledExpenses(hangout) {
+  return hangoutTransfers(hangout).length > 0;
+}
+
+module.exports = { validateExpense, splitExpense, computeBalances, settleUp, hangoutTransfers, hasUnsettledExpenses };
@@ -0,0 +1,93 @@
+/*
+  ============================================================
+  GROUP SETTINGS - server/group-settings.js
+  ============================================================
+  What the owner and admins can change about a group after it's
+  made (PATCH /api/groups/:id):
+  
+    name             - can't be empty
+    description      - a line or two about the group ("" = none)
+    emoji            - shown as the group's avatar (null = its first letter)
+    color            - the avatar's background, one of GROUP_COLORS
+                       (null = the app's amber)
+    defaultLocation  - filled in when someone proposes a hangout
+  
+  js/group-settings.js has a copy of the colors for the picker.
+*/
+
+const GROUP_COLORS = ['red', 'orange', 'green', 'teal', 'blue', 'purple', 'pink', 'gray'];
+
+const SETTINGS_FIELDS = ['name', 'description', 'emoji', 'color', 'defaultLocation'];
+
+const MAX_DESCRIPTION_LENGTH = 280;
+const MAX_LOCATION_LENGTH = 100;
+
+/**
+ * Is this one emoji (or a short run of them, like a flag)?
+ */
+function isEmoji(text) {
+  return text.length <= 16 &&
+    /\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(text) &&
+    !/[\p{L}\s]/u.test(text);
+}
+
+/**
+ * Check the settings being changed
+ * Returns an error message, or null if they're fine
+ */
+function validateGroupSettings(changes) {
+  const fields = Object.keys(changes).filter(field => SETTINGS_FIELDS.includes(field));
+  if (fields.length === 0) {
+    return `Send at least one of: ${SETTINGS_FIELDS.join(', ')}`;
+  }
+  
+  const { name, description, emoji, color, defaultLocation } = changes;
+  
+  if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+    return 'Group name is required';
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.trim().length > MAX_DESCRIPTION_LENGTH)) {
+    return `Descriptions can be at most ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+  if (emoji !== undefined && emoji !== null && (typeof emoji !== 'string' || (emoji.trim() !== '' && !isEmoji(emoji.trim())))) {
+    return 'The avatar has to be a single emoji';
+  }
+  if (color !== undefined && color !== null && !GROUP_COLORS.includes(color)) {
+    return `Color must be one of: ${GROUP_COLORS.join(', ')}`;
+  }
+  if (defaultLocation !== undefined && (typeof defaultLocation !== 'string' || defaultLocation.trim().length > MAX_LOCATION_LENGTH)) {
+    return `The default location can be at most ${MAX_LOCATION_LENGTH} characters`;
+  }
+  
+  return null;
+}
+
+/**
+ * Save checked settings onto the group (changes the group)
+ * Returns the names of the fields that really changed
+ */
+function applyGroupSettings(group, changes) {
+  const changed = [];
+  
+  SETTINGS_FIELDS.forEach(function(field) {
+    if (changes[field] === undefined) return;
+    
+    let value = changes[field];
+    if (typeof value === 'string') {
+      value = value.trim();
+    }
+    // An empty emoji means "back to the first letter"
+    if (field === 'emoji' && value === '') {
+      value = null;
+    }
+    
+    if ((group[field] === undefined ? null : group[field]) !== value) {
+      group[field] = value;
+      changed.push(field);
+    }
+  });
+  
+  return changed;
+}
+
+module.exports = { GROUP_COLORS, validateGroupSettings, applyGroupSettings };
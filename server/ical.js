@@ -0,0 +1,249 @@
+/*
+  ============================================================
+  ICALENDAR EXPORT - server/ical.js
+  ============================================================
+  Turns hangouts into an iCalendar file (RFC 5545) that calendar
+  apps can import or subscribe to.
+  
+  - Each hangout is one VEVENT, with the reader's own RSVP as
+    their ATTENDEE status and in the description.
+  - Hangouts only have a local date and time, so times are
+    written "floating" (no time zone) and shown as-is.
+  - Repeating hangouts become one VEVENT with an RRULE. Skipped
+    dates are EXDATEs, and dates with their own changes or RSVPs
+    get an extra VEVENT with a RECURRENCE-ID.
+  - Open time polls have no date yet, so they're left out.
+*/
+
+const { isOccurrenceDate } = require('../shared/recurrence');
+
+const PRODUCT_ID = '-//Hang Hive//Hangouts//EN';
+
+// Hangouts don't have an end time, so calendars get this long a block
+const EVENT_DURATION = 'PT2H';
+
+// The longest a line may be before it's folded (in bytes, not counting CRLF)
+const MAX_LINE_BYTES = 75;
+
+const RSVP_PARTSTAT = { going: 'ACCEPTED', maybe: 'TENTATIVE', notGoing: 'DECLINED', waitlisted: 'TENTATIVE' };
+const RSVP_LABELS = { going: 'Going', maybe: 'Maybe', notGoing: 'Can\'t go', waitlisted: 'On the waitlist' };
+const ICAL_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines)
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Split a long content line into 75-byte pieces
+ * Every piece after the first starts with a space (which counts too)
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_BYTES) return line;
+  
+  const pieces = [];
+  let piece = '';
+  let pieceBytes = 0;
+  let limit = MAX_LINE_BYTES;
+  
+  // for...of walks whole characters, so emoji are never cut in half
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    if (pieceBytes + charBytes > limit) {
+      pieces.push(piece);
+      piece = '';
+      pieceBytes = 0;
+      limit = MAX_LINE_BYTES - 1;
+    }
+    piece += char;
+    pieceBytes += charBytes;
+  }
+  pieces.push(piece);
+  
+  return pieces.join('\r\n ');
+}
+
+/**
+ * "2024-03-15" + "19:00" -> "20240315T190000"
+ * Returns null if the time isn't "HH:MM" (the hangout is then all-day)
+ */
+function formatLocalDateTime(date, time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!match) return null;
+  return `${date.replace(/-/g, '')}T${match[1].padStart(2, '0')}${match[2]}00`;
+}
+
+/**
+ * A date property (DTSTART, RECURRENCE-ID, EXDATE) for a date and time
+ */
+function dateProperty(name, date, time) {
+  const dateTime = formatLocalDateTime(date, time);
+  return dateTime ? `${name}:${dateTime}` : `${name};VALUE=DATE:${date.replace(/-/g, '')}`;
+}
+
+/**
+ * Now, as a UTC timestamp: "20240315T190000Z"
+ */
+function utcStamp() {
+  return new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * The RRULE line for a repeating hangout
+ */
+function recurrenceRule(hangout) {
+  const rule = hangout.recurrence;
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`, `INTERVAL=${rule.interval || 1}`];
+  
+  if (rule.frequency === 'weekly' && rule.weekdays) {
+    // Our weeks start on Sunday, which matters for "every 2nd week"
+    parts.push('WKST=SU', `BYDAY=${rule.weekdays.map(day => ICAL_WEEKDAYS[day]).join(',')}`);
+  }
+  if (rule.until) {
+    // UNTIL has to be the same kind of value as DTSTART
+    const isAllDay = !formatLocalDateTime(hangout.date, hangout.time);
+    parts.push(`UNTIL=${isAllDay ? rule.until.replace(/-/g, '') : formatLocalDateTime(rule.until, '23:59')}`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+  
+  return `RRULE:${parts.join(';')}`;
+}
+
+/**
+ * The lines for one VEVENT
+ *
+ * @param {object} group - the group the hangout is in
+ * @param {object} hangout - the hangout (or one date of a repeating one)
+ * @param {string} username - whose calendar this is
+ * @param {string[]} extraLines - RRULE/EXDATE or RECURRENCE-ID lines
+ */
+function eventLines(group, hangout, username, extraLines) {
+  const rsvp = hangout.responses[username];
+  const response = rsvp && rsvp.response;
+  
+  // e.g. "Going (+2 guests) - bringing dessert"
+  let rsvpText = RSVP_LABELS[response] || 'No answer yet';
+  if (rsvp && rsvp.guests > 0) {
+    rsvpText += ` (+${rsvp.guests} guest${rsvp.guests !== 1 ? 's' : ''})`;
+  }
+  if (rsvp && rsvp.note) {
+    rsvpText += ` - ${rsvp.note}`;
+  }
+  
+  // The server's status (see confirmation.js) in calendar terms
+  const statuses = { confirmed: 'CONFIRMED', cancelled: 'CANCELLED' };
+  const status = statuses[hangout.status] || 'TENTATIVE';
+  
+  const description = [
+    hangout.description,
+    `Group: ${group.name}`,
+    `Proposed by ${hangout.proposedBy}`,
+    `Your RSVP: ${rsvpText}`
+  ].filter(Boolean).join('\n');
+  
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${hangout.id}@hanghive`,
+    `DTSTAMP:${utcStamp()}`,
+    dateProperty('DTSTART', hangout.date, hangout.time)
+  ];
+  
+  // All-day events already last the whole day
+  if (formatLocalDateTime(hangout.date, hangout.time)) {
+    lines.push(`DURATION:${EVENT_DURATION}`);
+  }
+  
+  lines.push(...extraLines);
+  lines.push(`SUMMARY:${escapeText(hangout.title)}`);
+  if (hangout.location) {
+    lines.push(`LOCATION:${escapeText(hangout.location)}`);
+  }
+  lines.push(`DESCRIPTION:${escapeText(description)}`);
+  lines.push(`STATUS:${status}`);
+  
+  // Each edit bumps the sequence so calendars pick up the change
+  lines.push(`SEQUENCE:${(hangout.history || []).length}`);
+  
+  lines.push(`ATTENDEE;CN="${username.replace(/"/g, '')}";PARTSTAT=${RSVP_PARTSTAT[response] || 'NEEDS-ACTION'}:urn:hanghive:user:${encodeURIComponent(username)}`);
+  
+  // Don't block out time for things you're not going to
+  lines.push(`TRANSP:${response === 'notGoing' ? 'TRANSPARENT' : 'OPAQUE'}`);
+  lines.push('END:VEVENT');
+  
+  return lines;
+}
+
+/**
+ * All the VEVENTs for one hangout
+ */
+function hangoutEvents(group, hangout, username) {
+  // Open time polls don't have a date yet
+  if (!hangout.date) return [];
+  
+  if (!hangout.recurrence) {
+    return eventLines(group, hangout, username, []);
+  }
+  
+  const seriesLines = [recurrenceRule(hangout)];
+  const dateLines = [];
+  
+  // Skip dates that no longer fit the series (e.g. after the start moved)
+  const occurrences = Object.entries(hangout.occurrences || {})
+    .filter(([date]) => isOccurrenceDate(hangout, date))
+    .sort(([a], [b]) => a.localeCompare(b));
+  
+  for (const [date, record] of occurrences) {
+    if (record.skipped) {
+      seriesLines.push(dateProperty('EXDATE', date, hangout.time));
+      continue;
+    }
+    
+    const occurrence = {
+      ...hangout,
+      ...record.changes,
+      date: record.changes.date || date,
+      responses: record.responses,
+      status: record.status
+    };
+    dateLines.push(...eventLines(group, occurrence, username, [dateProperty('RECURRENCE-ID', date, hangout.time)]));
+  }
+  
+  return [...eventLines(group, hangout, username, seriesLines), ...dateLines];
+}
+
+/**
+ * Build a whole .ics file
+ *
+ * @param {string} name - the calendar's name
+ * @param {object[]} entries - [{ group, hangout }]
+ * @param {string} username - whose RSVPs to show
+ * @returns {string} the file contents (CRLF line endings)
+ */
+function buildCalendar(name, entries, username) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  
+  for (const { group, hangout } of entries) {
+    lines.push(...hangoutEvents(group, hangout, username));
+  }
+  
+  lines.push('END:VCALENDAR');
+  
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildCalendar };
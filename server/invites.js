@@ -0,0 +1,130 @@
+/*
+  ============================================================
+  INVITES - server/invites.js
+  ============================================================
+  Besides the group's own code (group.code, which never runs
+  out), admins can make extra invite codes that expire, stop
+  after a number of uses, or get revoked. group.invites:
+  [
+    {
+      id: "i1",
+      code: "K7PQ-M2XD-9RWT",
+      label: "Office friends",
+      createdBy: "Alice",
+      createdAt: "2024-...",
+      expiresAt: "2024-...",   - null = never
+      maxUses: 5,              - null = no limit
+      revokedAt: null
+    }
+  ]
+  
+  group.joins records who came in with which code
+  ([{ username, inviteId, joinedAt }], inviteId null = the group code).
+  Invite codes are longer than group codes so they're much harder
+  to guess.
+  
+  Groups with requireApproval on don't let people straight in:
+  they wait in group.joinRequests ([{ username, inviteId, requestedAt }])
+  until the owner or an admin approves or denies them.
+  
+  Someone who was removed goes in group.bans
+  ([{ username, bannedBy, bannedAt }]) and can't come back with
+  any code until the owner or an admin lifts it.
+*/
+
+const crypto = require('crypto');
+
+// No 0/O or 1/I, so codes can be read out loud
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const MAX_LABEL_LENGTH = 40;
+const MAX_EXPIRY_HOURS = 30 * 24;
+const MAX_USES = 1000;
+
+/**
+ * Make a random invite code like "K7PQ-M2XD-9RWT"
+ */
+function generateInviteCode() {
+  const groups = [];
+  for (let g = 0; g < 3; g++) {
+    let part = '';
+    for (let i = 0; i < 4; i++) {
+      part += INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)];
+    }
+    groups.push(part);
+  }
+  return groups.join('-');
+}
+
+/**
+ * Check the settings for a new invite: { label, expiresInHours, maxUses }
+ * Returns an error message, or null if it's fine
+ */
+function validateInvite({ label, expiresInHours, maxUses }) {
+  if (label !== undefined && label !== null && (typeof label !== 'string' || label.trim().length > MAX_LABEL_LENGTH)) {
+    return `Labels can be at most ${MAX_LABEL_LENGTH} characters`;
+  }
+  if (expiresInHours !== undefined && expiresInHours !== null &&
+      (!Number.isInteger(expiresInHours) || expiresInHours < 1 || expiresInHours > MAX_EXPIRY_HOURS)) {
+    return `Invites can last from 1 hour to ${MAX_EXPIRY_HOURS / 24} days`;
+  }
+  if (maxUses !== undefined && maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_USES)) {
+    return `Uses must be a whole number from 1 to ${MAX_USES}`;
+  }
+  return null;
+}
+
+/**
+ * How many people have joined with an invite
+ */
+function countInviteUses(group, invite) {
+  return (group.joins || []).filter(join => join.inviteId === invite.id).length;
+}
+
+/**
+ * Why an invite can't be used anymore, or null if it still works
+ */
+function getInviteProblem(group, invite) {
+  if (invite.revokedAt) {
+    return 'This invite has been revoked';
+  }
+  if (invite.expiresAt && new Date(invite.expiresAt) <= new Date()) {
+    return 'This invite has expired';
+  }
+  if (invite.maxUses && countInviteUses(group, invite) >= invite.maxUses) {
+    return 'This invite has been used up';
+  }
+  return null;
+}
+
+/**
+ * Let someone into the group and note which code they used (changes the group)
+ */
+function addMember(group, username, inviteId) {
+  group.members.push(username);
+  if (!group.joins) {
+    group.joins = [];
+  }
+  group.joins.push({ username, inviteId, joinedAt: new Date().toISOString() });
+}
+
+/**
+ * Was this person removed from the group (and not let back yet)?
+ */
+function isBanned(group, username) {
+  return (group.bans || []).some(ban => ban.username === username);
+}
+
+/**
+ * Keep someone who was just removed from coming back (changes the group)
+ */
+function banMember(group, username, bannedBy) {
+  if (!group.bans) {
+    group.bans = [];
+  }
+  if (!isBanned(group, username)) {
+    group.bans.push({ username, bannedBy, bannedAt: new Date().toISOString() });
+  }
+}
+
+module.exports = { generateInviteCode, validateInvite, countInviteUses, getInviteProblem, addMember, isBanned, banMember };
@@ -0,0 +1,52 @@
+/*
+  ============================================================
+  PASSWORDS - server/passwords.js
+  ============================================================
+  Passwords are only stored as a scrypt hash with a random salt
+  per user (user.passwordHash and user.passwordSalt).
+  
+  Accounts made before passwords existed have neither. Anyone
+  could have claimed one by typing its name first, so they stay
+  locked until whoever runs the server sets a password for them
+  (server/set-password.js).
+*/
+
+const crypto = require('crypto');
+
+// Shortest password we accept
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Hash a password with scrypt and a random salt
+ * Pass the stored salt in to re-hash for comparison
+ */
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return { salt, hash };
+}
+
+/**
+ * Give a user a new password (changes the user)
+ */
+function setPassword(user, password) {
+  const { salt, hash } = hashPassword(password);
+  user.passwordSalt = salt;
+  user.passwordHash = hash;
+}
+
+/**
+ * Check a password against a user's stored hash
+ */
+function verifyPassword(password, user) {
+  const { hash } = hashPassword(password, user.passwordSalt);
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.passwordHash, 'hex'));
+}
+
+/**
+ * Does this account still need a password set before anyone can log in?
+ */
+function isLockedAccount(user) {
+  return !user.passwordHash;
+}
+
+module.exports = { MIN_PASSWORD_LENGTH, hashPassword, setPassword, verifyPassword, isLockedAccount };
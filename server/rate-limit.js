@@ -0,0 +1,63 @@
+/*
+  ============================================================
+  RATE LIMITING - server/rate-limit.js
+  ============================================================
+  Counts attempts per key (a username, an IP address...) over a
+  time window, so things like guessing group codes can't be done
+  by brute force. Counts live in memory and start over when the
+  server restarts.
+  
+  Usage:
+    const limiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 10 });
+    const wait = limiter.retryAfter(key);   // seconds to wait, or 0
+    limiter.hit(key);                       // count one attempt
+*/
+
+/**
+ * Make a limiter allowing "max" attempts per key in each window
+ */
+function createRateLimiter({ windowMs, max }) {
+  // key -> { count, resetAt }
+  const attempts = new Map();
+  
+  function current(key) {
+    const entry = attempts.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      attempts.delete(key);
+      return null;
+    }
+    return entry;
+  }
+  
+  // Forget windows that are over, so the map doesn't keep growing
+  setInterval(() => {
+    for (const key of attempts.keys()) {
+      current(key);
+    }
+  }, windowMs).unref();
+  
+  return {
+    /**
+     * Seconds until this key may try again (0 = it may now)
+     */
+    retryAfter(key) {
+      const entry = current(key);
+      if (!entry || entry.count < max) return 0;
+      return Math.ceil((entry.resetAt - Date.now()) / 1000);
+    },
+    
+    /**
+     * Count an attempt
+     */
+    hit(key) {
+      const entry = current(key);
+      if (entry) {
+        entry.count++;
+      } else {
+        attempts.set(key, { count: 1, resetAt: Date.now() + windowMs });
+      }
+    }
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,68 @@
+/*
+  ============================================================
+  RIDES - server/rides.js
+  ============================================================
+  Carpools to a hangout. hangout.rides is a list of cars:
+  {
+    id: "r1",
+    driver: "Alice",
+    seats: 3,                  - seats for passengers (not counting the driver)
+    departFrom: "Main St station",
+    departAt: "17:30",         - optional
+    passengers: ["Bob"],
+    occurrence: null,          - which date, for repeating hangouts
+    createdAt: "2024-..."
+  }
+  
+  hangout.rideRequests lists who still needs a ride:
+  [{ username: "Carol", occurrence: null }]
+  
+  Everyone gets at most one car per date: drivers can't take a
+  seat, and taking a seat in one car gives up any other.
+*/
+
+const MAX_SEATS = 8;
+const MAX_DEPART_FROM_LENGTH = 80;
+
+/**
+ * Check the details of a car being offered or changed
+ * Anything left out is fine (so changes can send just one part);
+ * the route makes sure a new car has seats and a departure point.
+ * Returns an error message, or null if it's fine
+ */
+function validateRide({ seats, departFrom, departAt }) {
+  if (seats !== undefined && (!Number.isInteger(seats) || seats < 1 || seats > MAX_SEATS)) {
+    return `Seats must be a whole number from 1 to ${MAX_SEATS}`;
+  }
+  if (departFrom !== undefined && (typeof departFrom !== 'string' || departFrom.trim() === '' || departFrom.trim().length > MAX_DEPART_FROM_LENGTH)) {
+    return `Say where you're leaving from (at most ${MAX_DEPART_FROM_LENGTH} characters)`;
+  }
+  if (departAt !== undefined && departAt !== null && (typeof departAt !== 'string' || !/^\d{1,2}:\d{2}$/.test(departAt))) {
+    return 'The departure time must look like 17:30';
+  }
+  return null;
+}
+
+/**
+ * The cars going to one date (or the one date of a normal hangout)
+ */
+function getRides(hangout, occurrence) {
+  return (hangout.rides || []).filter(ride => (ride.occurrence || null) === (occurrence || null));
+}
+
+/**
+ * The car someone is in on a date, as driver or passenger (or undefined)
+ */
+function findRideFor(hangout, occurrence, username) {
+  return getRides(hangout, occurrence).find(ride => ride.driver === username || ride.passengers.includes(username));
+}
+
+/**
+ * Stop listing someone as needing a ride on a date (changes the hangout)
+ */
+function clearRideRequest(hangout, occurrence, username) {
+  hangout.rideRequests = (hangout.rideRequests || [])
+    .filter(request => !(request.username === username && (request.occurrence || null) === (occurrence || null)));
+}
+
+module.exports = { validateRide, getRides, findRideFor, clearRideRequest };
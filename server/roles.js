@@ -0,0 +1,116 @@
+/*
+  ============================================================
+  ROLES - server/roles.js
+  ============================================================
+  Everyone in a group is an owner, an admin or a plain member.
+  group.roles only lists the owner and admins; anyone in
+  group.members who isn't listed is a member:
+  {
+    "Alice": "owner",
+    "Bob": "admin"
+  }
+  
+  There's always exactly one owner. PERMISSIONS says which roles
+  may do each thing; js/roles.js has a copy for the buttons.
+  
+  Some parts of a group are only for whoever manages them
+  (PRIVATE_GROUP_FIELDS) - everyone else gets the group without
+  them, see viewGroupAs.
+*/
+
+const ROLES = ['owner', 'admin', 'member'];
+
+// Which roles may do what
+const PERMISSIONS = {
+  renameGroup: ['owner', 'admin'],
+  changeGroupSettings: ['owner', 'admin'],
+  archiveGroup: ['owner', 'admin'],
+  regenerateCode: ['owner', 'admin'],
+  manageInvites: ['owner', 'admin'],
+  approveMembers: ['owner', 'admin'],
+  deleteAnyHangout: ['owner', 'admin'],
+  removeMember: ['owner', 'admin'],
+  changeRoles: ['owner'],
+  transferOwnership: ['owner']
+};
+
+// Parts of a group only some people see, and the permission they need
+const PRIVATE_GROUP_FIELDS = {
+  invites: 'manageInvites',
+  joins: 'manageInvites',
+  joinRequests: 'approveMembers',
+  bans: 'removeMember'
+};
+
+/**
+ * Someone's role in a group
+ */
+function getRole(group, username) {
+  return (group.roles || {})[username] || 'member';
+}
+
+/**
+ * May this member do this?
+ */
+function can(group, username, permission) {
+  return PERMISSIONS[permission].includes(getRole(group, username));
+}
+
+/**
+ * Can one member remove another? Nobody can remove the owner or
+ * themselves (they leave instead), and admins can't remove admins.
+ */
+function canRemoveMember(group, username, target) {
+  if (target === username || getRole(group, target) === 'owner') return false;
+  if (getRole(group, username) === 'owner') return true;
+  return can(group, username, 'removeMember') && getRole(group, target) === 'member';
+}
+
+/**
+ * Make sure the group has an owner (changes the group)
+ * Older groups only had createdBy; if that person has gone, or the
+ * owner just left, it passes to whoever has been in the group
+ * longest (members are kept in the order they joined).
+ * Returns true if anything needed changing
+ */
+function ensureOwner(group) {
+  const isOlderGroup = !group.roles;
+  if (isOlderGroup) {
+    group.roles = {};
+  }
+  let changed = isOlderGroup;
+  
+  // Drop anyone who isn't in the group anymore
+  for (const username of Object.keys(group.roles)) {
+    if (!group.members.includes(username)) {
+      delete group.roles[username];
+      changed = true;
+    }
+  }
+  
+  if (group.members.length === 0 || Object.values(group.roles).includes('owner')) {
+    return changed;
+  }
+  
+  let owner = group.members[0];
+  if (isOlderGroup && group.members.includes(group.createdBy)) {
+    owner = group.createdBy;
+  }
+  
+  group.roles[owner] = 'owner';
+  return true;
+}
+
+/**
+ * The group as this person may see it: a copy without the
+ * private parts they don't have the permission for
+ */
+function viewGroupAs(group, username) {
+  const view = { ...group };
+  for (const [field, permission] of Object.entries(PRIVATE_GROUP_FIELDS)) {
+    if (!can(group, username, permission)) delete view[field];
+  }
+  return view;
+}
+
+module.exports = { ROLES, PERMISSIONS, getRole, can, canRemoveMember, ensureOwner, viewGroupAs };
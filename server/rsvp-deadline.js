@@ -0,0 +1,97 @@
+/*
+  ============================================================
+  RSVP DEADLINES - server/rsvp-deadline.js
+  ============================================================
+  A hangout can stop taking answers at a set moment
+  (hangout.rsvpDeadline, an ISO timestamp). After that:
+  
+  - only the proposer can still change their answer (see the
+    respondToHangout policy in server.js)
+  - members who never answered get hangout.rsvpDefault
+    ("notGoing" or "maybe"; null leaves them unanswered)
+  
+  The defaulted names are kept in hangout.noAnswer, so moving the
+  deadline later (or changing the default) takes them back out.
+  Repeating hangouts don't have deadlines.
+*/
+
+const { createRsvp } = require('./rsvp');
+
+const RSVP_DEFAULTS = ['notGoing', 'maybe'];
+
+/**
+ * Check a deadline (null means "no deadline")
+ * Returns an error message, or null if it's fine
+ *
+ * @param {*} deadline - what the client sent
+ * @param {Date|null} startsAt - when the hangout starts, if known
+ */
+function validateRsvpDeadline(deadline, startsAt) {
+  if (deadline === null || deadline === undefined) return null;
+  
+  const time = typeof deadline === 'string' ? Date.parse(deadline) : NaN;
+  if (isNaN(time)) {
+    return 'Invalid RSVP deadline';
+  }
+  if (time <= Date.now()) {
+    return 'The RSVP deadline has already passed';
+  }
+  if (startsAt && time > startsAt.getTime()) {
+    return 'The RSVP deadline has to be before the hangout starts';
+  }
+  return null;
+}
+
+/**
+ * Check what non-responders count as (null means "nothing")
+ */
+function validateRsvpDefault(rsvpDefault) {
+  if (rsvpDefault === null || rsvpDefault === undefined) return null;
+  return RSVP_DEFAULTS.includes(rsvpDefault) ? null : 'No answer can only count as notGoing or maybe';
+}
+
+/**
+ * The stored form of a (valid) deadline: always UTC, so it compares as text too
+ */
+function cleanRsvpDeadline(deadline) {
+  return deadline ? new Date(deadline).toISOString() : null;
+}
+
+/**
+ * Are two deadlines the same moment? (either can be null)
+ */
+function isSameRsvpDeadline(a, b) {
+  if (!a || !b) return !a && !b;
+  return Date.parse(a) === Date.parse(b);
+}
+
+/**
+ * Has this hangout stopped taking answers?
+ */
+function isPastRsvpDeadline(hangout) {
+  return Boolean(hangout.rsvpDeadline) && Date.now() >= Date.parse(hangout.rsvpDeadline);
+}
+
+/**
+ * Fill in the default answer for everyone who missed a deadline (changes the group)
+ * Runs on every read, so it always matches the current deadline and default.
+ */
+function applyRsvpDeadlines(group) {
+  for (const hangout of group.hangouts || []) {
+    // Start from the real answers
+    for (const name of hangout.noAnswer || []) {
+      delete hangout.responses[name];
+    }
+    delete hangout.noAnswer;
+    
+    if (!isPastRsvpDeadline(hangout) || !hangout.rsvpDefault) continue;
+    
+    hangout.noAnswer = group.members.filter(name => !hangout.responses[name]);
+    for (const name of hangout.noAnswer) {
+      hangout.responses[name] = createRsvp(hangout.rsvpDefault);
+    }
+  }
+  return group;
+}
+
+module.exports = { validateRsvpDeadline, validateRsvpDefault, cleanRsvpDeadline, isSameRsvpDeadline, isPastRsvpDeadline, applyRsvpDeadlines };
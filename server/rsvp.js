@@ -0,0 +1,85 @@
+/*
+  ============================================================
+  RSVPS - server/rsvp.js
+  ============================================================
+  What one person said about a hangout. hangout.responses (and
+  each date's responses for repeating hangouts) maps a username
+  to one of these:
+  {
+    response: "going",   - going, maybe, notGoing or waitlisted
+    guests: 1,           - people they're bringing along
+    note: "+ my partner" - optional, shown next to their name
+  }
+  
+  Headcounts include guests: someone going with 2 guests takes
+  3 spots. Older versions stored just the response string, so
+  groups are migrated when the server starts.
+*/
+
+const MAX_GUESTS = 10;
+const MAX_NOTE_LENGTH = 140;
+
+/**
+ * A new RSVP (guests only count when you might actually come)
+ */
+function createRsvp(response, guests = 0, note = '') {
+  return { response, guests: response === 'notGoing' ? 0 : guests, note };
+}
+
+/**
+ * Check the extras sent with a response (either can be left out)
+ * Returns an error message, or null if they're fine
+ */
+function validateRsvpExtras(guests, note) {
+  if (guests !== undefined && (!Number.isInteger(guests) || guests < 0 || guests > MAX_GUESTS)) {
+    return `Guests must be a whole number from 0 to ${MAX_GUESTS}`;
+  }
+  if (note !== undefined && (typeof note !== 'string' || note.trim().length > MAX_NOTE_LENGTH)) {
+    return `Notes can be at most ${MAX_NOTE_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * How many spots an RSVP takes up
+ */
+function partySize(rsvp) {
+  return 1 + (rsvp.guests || 0);
+}
+
+/**
+ * Count heads (guests included) for one answer, or for every answer
+ */
+function countHeads(responses, response) {
+  return Object.values(responses)
+    .filter(rsvp => !response || rsvp.response === response)
+    .reduce((total, rsvp) => total + partySize(rsvp), 0);
+}
+
+/**
+ * Turn old string RSVPs into objects (changes the group)
+ * Returns true if anything needed changing
+ */
+function migrateRsvps(group) {
+  let changed = false;
+  
+  function migrate(responses) {
+    for (const [username, value] of Object.entries(responses || {})) {
+      if (typeof value === 'string') {
+        responses[username] = createRsvp(value);
+        changed = true;
+      }
+    }
+  }
+  
+  for (const hangout of group.hangouts || []) {
+    migrate(hangout.responses);
+    for (const record of Object.values(hangout.occurrences || {})) {
+      migrate(record.responses);
+    }
+  }
+  
+  return changed;
+}
+
+module.exports = { createRsvp, validateRsvpExtras, partySize, countHeads, migrateRsvps };
@@ -0,0 +1,66 @@
+/*
+  ============================================================
+  SET A PASSWORD - server/set-password.js
+  ============================================================
+  Unlocks an account made before passwords existed (or resets a
+  forgotten password) by setting a new one:
+  
+    node server/set-password.js <username>
+  
+  It asks for the password, or reads it from stdin when piped.
+  Stop the server first - it keeps everything in memory and
+  would write over the change.
+*/
+
+const path = require('path');
+const readline = require('readline');
+const { createStorage } = require('./storage');
+const { MIN_PASSWORD_LENGTH, setPassword } = require('./passwords');
+
+// The same folder server.js keeps its data in
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+/**
+ * Read one line from the terminal (or from stdin)
+ */
+function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  const username = process.argv[2];
+  if (!username) {
+    console.error('Usage: node server/set-password.js <username>');
+    process.exit(1);
+  }
+  
+  // Only users are touched, so the other collections can stay unread
+  // (the store won't compact while it doesn't know about them all)
+  const store = createStorage({ dir: DATA_DIR, collections: { users: 'id' } });
+  
+  const wanted = username.trim().toLowerCase();
+  const user = store.users.find(u => u.username.toLowerCase() === wanted);
+  if (!user) {
+    console.error(`No user called "${username}"`);
+    process.exit(1);
+  }
+  
+  const password = await ask(`New password for ${user.username}: `);
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    console.error(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    process.exit(1);
+  }
+  
+  setPassword(user, password);
+  store.transaction(tx => tx.users.put(user));
+  
+  console.log(`Password set for ${user.username} - they can log in with it now`);
+}
+
+main();
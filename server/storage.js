@@ -0,0 +1,336 @@
+/*
+  ============================================================
+  STORAGE ENGINE - server/storage.js
+  ============================================================
+  Keeps all the app data in memory and makes every change
+  durable by appending it to a journal before it's applied.
+  
+  Files inside the data folder:
+  - snapshot.json = every collection as of the last compaction
+  - journal.log   = one line per committed transaction since then
+  
+  On startup the snapshot is loaded and the journal replayed on
+  top of it. When the journal gets long it's folded into a new
+  snapshot. Snapshots are written to a temp file and renamed, so
+  a crash never leaves half a file behind, and a half-written
+  journal line (crash mid-append) is simply dropped on replay.
+  
+  Records are always handed out as copies. Change the copy, then
+  save it back - if someone else saved the same record in the
+  meantime, the save throws a StorageConflictError instead of
+  silently overwriting their change.
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+// Fold the journal into a new snapshot after this many transactions
+const COMPACT_AFTER_TRANSACTIONS = 500;
+
+/**
+ * Thrown when saving a copy of a record that changed since it was read
+ */
+class StorageConflictError extends Error {
+  constructor(collection, key) {
+    super(`${collection} record "${key}" was changed by someone else`);
+    this.name = 'StorageConflictError';
+  }
+}
+
+/**
+ * Deep copy a plain JSON record
+ */
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Write a file so it's either fully there or not there at all
+ */
+function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Open (or create) a store
+ *
+ * @param {object} options
+ * @param {string} options.dir - folder to keep the files in
+ * @param {object} options.collections - collection name -> key field, e.g. { users: 'id' }
+ * @param {function} [options.seed] - returns { collection: [records] } for a brand new store
+ */
+function createStorage({ dir, collections, seed }) {
+  const snapshotFile = path.join(dir, 'snapshot.json');
+  const journalFile = path.join(dir, 'journal.log');
+  
+  // collection name -> Map(key -> { value, rev })
+  const tables = {};
+  for (const name of Object.keys(collections)) {
+    tables[name] = new Map();
+  }
+  
+  // Remembers which revision each handed-out copy was made from
+  const copyRevisions = new WeakMap();
+  
+  // Collections found in the files that this store wasn't opened with
+  const unknownCollections = new Set();
+  
+  let journalFd = null;
+  let transactionsSinceCompaction = 0;
+  let inTransaction = false;
+  
+  // ------------------------------------------
+  // Loading
+  // ------------------------------------------
+  
+  function applyOp(op) {
+    const table = tables[op.collection];
+    if (!table) {
+      unknownCollections.add(op.collection);
+      return;
+    }
+    
+    if (op.type === 'put') {
+      const existing = table.get(op.key);
+      table.set(op.key, { value: op.value, rev: existing ? existing.rev + 1 : 1 });
+    } else if (op.type === 'delete') {
+      table.delete(op.key);
+    }
+  }
+  
+  function loadSnapshot() {
+    if (!fs.existsSync(snapshotFile)) return false;
+    
+    const snapshot = JSON.parse(fs.readFileSync(snapshotFile, 'utf8'));
+    for (const name of Object.keys(snapshot)) {
+      if (!tables[name]) unknownCollections.add(name);
+    }
+    for (const name of Object.keys(tables)) {
+      const keyField = collections[name];
+      for (const record of snapshot[name] || []) {
+        tables[name].set(record[keyField], { value: record, rev: 1 });
+      }
+    }
+    return true;
+  }
+  
+  function replayJournal() {
+    if (!fs.existsSync(journalFile)) return false;
+    
+    const contents = fs.readFileSync(journalFile, 'utf8');
+    let goodLength = 0;
+    
+    for (const line of contents.split('\n')) {
+      if (line === '') {
+        goodLength += 1;
+        continue;
+      }
+      
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A crash cut this transaction off half way, so it never committed
+        console.warn('Dropping incomplete transaction at the end of the journal');
+        break;
+      }
+      
+      entry.ops.forEach(applyOp);
+      transactionsSinceCompaction++;
+      goodLength += Buffer.byteLength(line) + 1;
+    }
+    
+    if (goodLength < Buffer.byteLength(contents)) {
+      fs.truncateSync(journalFile, goodLength);
+    }
+    return true;
+  }
+  
+  // ------------------------------------------
+  // Writing
+  // ------------------------------------------
+  
+  function appendToJournal(ops) {
+    const line = JSON.stringify({ at: new Date().toISOString(), ops }) + '\n';
+    fs.writeSync(journalFd, line);
+    fs.fsyncSync(journalFd);
+  }
+  
+  /**
+   * Write every collection to a fresh snapshot and empty the journal
+   * If we crash between the two steps the journal is replayed over the
+   * new snapshot on startup, which is harmless because every op is a
+   * full put or delete of one record.
+   *
+   * A store opened with only some of the collections (like
+   * set-password.js does) never compacts, since the new snapshot would
+   * leave the others out. Its journal just keeps growing until the
+   * server next compacts it.
+   */
+  function compact() {
+    if (unknownCollections.size > 0) return;
+    
+    const snapshot = {};
+    for (const name of Object.keys(tables)) {
+      snapshot[name] = Array.from(tables[name].values(), entry => entry.value);
+    }
+    
+    writeFileAtomic(snapshotFile, JSON.stringify(snapshot));
+    fs.ftruncateSync(journalFd, 0);
+    transactionsSinceCompaction = 0;
+  }
+  
+  /**
+   * Run a function that reads and changes records, all or nothing
+   * Nothing is written unless the function returns normally; if it
+   * throws, none of its changes are kept.
+   *
+   * Transactions are synchronous on purpose: nothing else can run in
+   * the middle of one, so they're applied strictly one at a time.
+   */
+  function transaction(fn) {
+    if (inTransaction) {
+      throw new Error('Transactions cannot be nested');
+    }
+    
+    // collection/key -> pending op, so the last change to a record wins
+    const pending = new Map();
+    
+    function stagedEntry(name, key) {
+      const op = pending.get(`${name}/${key}`);
+      if (op) {
+        return op.type === 'put' ? { value: op.value } : null;
+      }
+      return tables[name].get(key) || null;
+    }
+    
+    function handOut(name, key) {
+      const entry = stagedEntry(name, key);
+      if (!entry) return null;
+      
+      const record = copy(entry.value);
+      if (entry.rev) copyRevisions.set(record, { name, key, rev: entry.rev });
+      return record;
+    }
+    
+    const tx = {};
+    for (const name of Object.keys(tables)) {
+      const keyField = collections[name];
+      
+      tx[name] = {
+        get: key => handOut(name, key),
+        
+        all: () => {
+          const keys = new Set(tables[name].keys());
+          for (const op of pending.values()) {
+            if (op.collection === name) keys.add(op.key);
+          }
+          return Array.from(keys, key => handOut(name, key)).filter(Boolean);
+        },
+        
+        put: record => {
+          const key = record[keyField];
+          if (key === undefined) {
+            throw new Error(`${name} record is missing its "${keyField}"`);
+          }
+          
+          const readFrom = copyRevisions.get(record);
+          const current = tables[name].get(key);
+          if (readFrom && current && readFrom.rev !== current.rev) {
+            throw new StorageConflictError(name, key);
+          }
+          
+          pending.set(`${name}/${key}`, { collection: name, type: 'put', key, value: copy(record) });
+        },
+        
+        delete: key => {
+          pending.set(`${name}/${key}`, { collection: name, type: 'delete', key });
+        }
+      };
+    }
+    
+    inTransaction = true;
+    let result;
+    try {
+      result = fn(tx);
+    } finally {
+      inTransaction = false;
+    }
+    
+    const ops = Array.from(pending.values());
+    if (ops.length > 0) {
+      appendToJournal(ops);
+      ops.forEach(applyOp);
+      
+      transactionsSinceCompaction++;
+      if (transactionsSinceCompaction >= COMPACT_AFTER_TRANSACTIONS) {
+        compact();
+      }
+    }
+    
+    return result;
+  }
+  
+  // ------------------------------------------
+  // Start up
+  // ------------------------------------------
+  
+  fs.mkdirSync(dir, { recursive: true });
+  
+  const hadSnapshot = loadSnapshot();
+  const hadJournal = replayJournal();
+  
+  journalFd = fs.openSync(journalFile, 'a');
+  
+  if (!hadSnapshot && !hadJournal && seed) {
+    const records = seed();
+    transaction(tx => {
+      for (const name of Object.keys(records)) {
+        records[name].forEach(record => tx[name].put(record));
+      }
+    });
+    compact();
+  }
+  
+  // Read-only access outside a transaction (still copies)
+  const store = { transaction, compact };
+  for (const name of Object.keys(tables)) {
+    store[name] = {
+      get: key => {
+        const entry = tables[name].get(key);
+        if (!entry) return null;
+        const record = copy(entry.value);
+        copyRevisions.set(record, { name, key, rev: entry.rev });
+        return record;
+      },
+      all: () => Array.from(tables[name].keys(), key => store[name].get(key)),
+      
+      // The predicate sees the stored record itself, so it must not change it
+      find: predicate => {
+        for (const [key, entry] of tables[name]) {
+          if (predicate(entry.value)) return store[name].get(key);
+        }
+        return null;
+      },
+      filter: predicate => {
+        const matches = [];
+        for (const [key, entry] of tables[name]) {
+          if (predicate(entry.value)) matches.push(store[name].get(key));
+        }
+        return matches;
+      }
+    };
+  }
+  
+  return store;
+}
+
+module.exports = { createStorage, StorageConflictError };
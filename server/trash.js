@@ -0,0 +1,55 @@
+/*
+  ============================================================
+  TRASH - server/trash.js
+  ============================================================
+  When the last member leaves a group it isn't deleted straight
+  away: it goes to the trash with everything in it, and the
+  person who left can bring it back for TRASH_RETENTION_DAYS.
+  After that it's deleted for good.
+  
+  A group in the trash has no members, plus:
+    trashedAt: "2024-...",  - when the last member left
+    trashedBy: "Alice",     - the last member (the only one who can restore it)
+    purgeAt: "2024-..."     - when it's deleted for good
+*/
+
+const TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Is this group in the trash?
+ */
+function isTrashed(group) {
+  return Boolean(group.trashedAt);
+}
+
+/**
+ * Has this group been in the trash long enough to delete?
+ */
+function isPastRetention(group, now = new Date()) {
+  return isTrashed(group) && new Date(group.purgeAt) <= now;
+}
+
+/**
+ * Put an empty group in the trash (changes the group)
+ */
+function moveToTrash(group, username) {
+  const now = new Date();
+  group.trashedAt = now.toISOString();
+  group.trashedBy = username;
+  group.purgeAt = new Date(now.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  // Nobody's left to let them in
+  group.joinRequests = [];
+}
+
+/**
+ * Take a group out of the trash with its last member back in it
+ * (changes the group)
+ */
+function restoreFromTrash(group) {
+  group.members = [group.trashedBy];
+  delete group.trashedAt;
+  delete group.trashedBy;
+  delete group.purgeAt;
+}
+
+module.exports = { TRASH_RETENTION_DAYS, isTrashed, isPastRetention, moveToTrash, restoreFromTrash };
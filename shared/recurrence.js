@@ -0,0 +1,177 @@
+/*
+  ============================================================
+  RECURRING HANGOUTS - shared/recurrence.js
+  ============================================================
+  Works out which dates a repeating hangout falls on. The server
+  (require) and the browser (a plain <script>, next to
+  js/recurrence.js) both use this file, so they always agree.
+  
+  A RULE looks like this (stored as hangout.recurrence):
+  {
+    frequency: "weekly",   - daily, weekly, or monthly
+    interval: 2,           - every 2nd week
+    weekdays: [1, 4],      - weekly only: 0 = Sunday ... 6 = Saturday
+    until: "2024-06-30",   - last possible date (or null)
+    count: 10              - stop after this many (or null)
+  }
+  
+  The hangout's own date is always the first occurrence. Monthly
+  hangouts on e.g. the 31st skip months that are too short.
+  
+  Dates are "YYYY-MM-DD" strings and the maths is done in UTC so
+  daylight saving never moves anything by a day.
+*/
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * "2024-03-15" -> Date at midnight UTC
+ */
+function parseDay(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Date -> "2024-03-15"
+ */
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+/**
+ * Every date a repeating hangout happens on, up to and including throughDate
+ * Skipped occurrences are still listed (they count towards "count")
+ */
+function listOccurrenceDates(hangout, throughDate) {
+  const rule = hangout.recurrence;
+  const start = parseDay(hangout.date);
+  const interval = rule.interval || 1;
+  const limit = rule.count || Infinity;
+  
+  let last = parseDay(throughDate);
+  if (rule.until && parseDay(rule.until) < last) {
+    last = parseDay(rule.until);
+  }
+  
+  const dates = [];
+  
+  if (rule.frequency === 'daily') {
+    for (let day = start; day <= last && dates.length < limit; day = addDays(day, interval)) {
+      dates.push(formatDay(day));
+    }
+  }
+  else if (rule.frequency === 'weekly') {
+    // Weeks are counted from the Sunday before the first occurrence
+    const firstSunday = addDays(start, -start.getUTCDay());
+    const weekdays = rule.weekdays || [start.getUTCDay()];
+    
+    for (let day = start; day <= last && dates.length < limit; day = addDays(day, 1)) {
+      const week = Math.floor((day - firstSunday) / WEEK_MS);
+      const isStart = day.getTime() === start.getTime();
+      if (isStart || (week % interval === 0 && weekdays.includes(day.getUTCDay()))) {
+        dates.push(formatDay(day));
+      }
+    }
+  }
+  else if (rule.frequency === 'monthly') {
+    const dayOfMonth = start.getUTCDate();
+    
+    for (let step = 0; dates.length < limit; step += interval) {
+      const day = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + step, dayOfMonth));
+      if (day > last) break;
+      // Date.UTC rolls e.g. Feb 31 over into March - that month has no occurrence
+      if (day.getUTCDate() === dayOfMonth) {
+        dates.push(formatDay(day));
+      }
+    }
+  }
+  
+  return dates;
+}
+
+/**
+ * How many occurrences come before this day, if it's one of them
+ * (-1 if it isn't). Worked out directly rather than by listing the
+ * dates, so a date far in the future costs no more than tomorrow.
+ * Ignores "until" and "count".
+ */
+function occurrenceIndex(rule, start, day) {
+  const interval = rule.interval || 1;
+  
+  if (day.getTime() === start.getTime()) return 0;
+  
+  if (rule.frequency === 'daily') {
+    const days = Math.round((day - start) / DAY_MS);
+    return days % interval === 0 ? days / interval : -1;
+  }
+  
+  if (rule.frequency === 'weekly') {
+    const weekdays = Array.from(new Set(rule.weekdays || [start.getUTCDay()]));
+    const startWeekday = start.getUTCDay();
+    const weekday = day.getUTCDay();
+    const week = Math.floor((day - addDays(start, -startWeekday)) / WEEK_MS);
+    
+    if (week % interval !== 0 || !weekdays.includes(weekday)) return -1;
+    
+    // The start, then the rest of its week, the whole weeks in
+    // between, and the days before this one in its own week
+    if (week === 0) {
+      return 1 + weekdays.filter(d => d > startWeekday && d < weekday).length;
+    }
+    return 1 +
+      weekdays.filter(d => d > startWeekday).length +
+      Math.floor((week - 1) / interval) * weekdays.length +
+      weekdays.filter(d => d < weekday).length;
+  }
+  
+  if (rule.frequency === 'monthly') {
+    const dayOfMonth = start.getUTCDate();
+    const months = (day.getUTCFullYear() - start.getUTCFullYear()) * 12 + day.getUTCMonth() - start.getUTCMonth();
+    
+    if (day.getUTCDate() !== dayOfMonth || months % interval !== 0) return -1;
+    
+    // Every month has the 1st to the 28th; later days skip short months
+    if (dayOfMonth <= 28) return months / interval;
+    
+    let index = 0;
+    for (let step = 0; step < months; step += interval) {
+      const candidate = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + step, dayOfMonth));
+      if (candidate.getUTCDate() === dayOfMonth) index++;
+      // Past the count it's no occurrence anyway, however far we'd go
+      if (rule.count && index >= rule.count) break;
+    }
+    return index;
+  }
+  
+  return -1;
+}
+
+/**
+ * Does a repeating hangout happen on this date?
+ */
+function isOccurrenceDate(hangout, dateString) {
+  if (typeof dateString !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateString)) return false;
+  
+  const rule = hangout.recurrence;
+  const start = parseDay(hangout.date);
+  const day = parseDay(dateString);
+  
+  // Rolled-over dates like 2024-02-31 aren't real dates
+  if (isNaN(day) || formatDay(day) !== dateString) return false;
+  if (day < start) return false;
+  if (rule.until && day > parseDay(rule.until)) return false;
+  
+  const index = occurrenceIndex(rule, start, day);
+  return index !== -1 && (!rule.count || index < rule.count);
+}
+
+// The server loads this with require(); in the browser these are globals
+if (typeof module !== 'undefined') {
+  module.exports = { parseDay, formatDay, listOccurrenceDates, isOccurrenceDate };
+}
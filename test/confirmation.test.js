@@ -0,0 +1,82 @@
+/*
+  Tests for server/confirmation.js - run with: npm test
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateConfirmationRule, refreshStatuses } = require('../server/confirmation');
+
+const going = { response: 'going', guests: 0, note: '' };
+const notGoing = { response: 'notGoing', guests: 0, note: '' };
+
+// "YYYY-MM-DD" and "HH:MM" in the server's time zone, hours from now
+function localDateTime(hoursFromNow) {
+  const when = new Date(Date.now() + hoursFromNow * 60 * 60 * 1000);
+  const pad = n => String(n).padStart(2, '0');
+  return {
+    date: `${when.getFullYear()}-${pad(when.getMonth() + 1)}-${pad(when.getDate())}`,
+    time: `${pad(when.getHours())}:${pad(when.getMinutes())}`
+  };
+}
+
+function groupWith(hangout, members = ['Alice', 'Bob', 'Carol', 'Dave']) {
+  return { members, hangouts: [{ id: 'h1', responses: {}, ...hangout }] };
+}
+
+test('rules need at least one part, and a deadline on its own is enough', () => {
+  const members = ['Alice', 'Bob'];
+  
+  assert.equal(validateConfirmationRule(null, members), null);
+  assert.equal(validateConfirmationRule({ decideHoursBefore: 24 }, members), null);
+  assert.equal(validateConfirmationRule({ minGoing: 2, requiredAttendees: ['Alice'] }, members), null);
+  
+  assert.match(validateConfirmationRule({}, members), /needs a headcount/);
+  assert.match(validateConfirmationRule({ requiredAttendees: ['Mallory'] }, members), /Not in this group: Mallory/);
+  assert.match(validateConfirmationRule({ decideHoursBefore: -1 }, members), /between 0 and/);
+});
+
+test('with no rule, more than half the group decides', () => {
+  const group = groupWith({ ...localDateTime(48), responses: { Alice: going, Bob: going } });
+  refreshStatuses(group);
+  assert.equal(group.hangouts[0].status, 'pending');
+  
+  group.hangouts[0].responses.Carol = going;
+  refreshStatuses(group);
+  assert.equal(group.hangouts[0].status, 'confirmed');
+});
+
+test('a deadline-only rule keeps the majority rule and cancels once time is up', () => {
+  const rule = { decideHoursBefore: 24 };
+  
+  const inTime = groupWith({ ...localDateTime(48), confirmation: rule, responses: { Alice: going } });
+  refreshStatuses(inTime);
+  assert.equal(inTime.hangouts[0].status, 'pending');
+  
+  const tooLate = groupWith({ ...localDateTime(12), confirmation: rule, responses: { Alice: going } });
+  refreshStatuses(tooLate);
+  assert.equal(tooLate.hangouts[0].status, 'cancelled');
+  
+  const decided = groupWith({ ...localDateTime(12), confirmation: rule, responses: { Alice: going, Bob: going, Carol: going } });
+  refreshStatuses(decided);
+  assert.equal(decided.hangouts[0].status, 'confirmed');
+});
+
+test('a required person saying no cancels the hangout', () => {
+  const group = groupWith({ ...localDateTime(48), confirmation: { requiredAttendees: ['Bob'] }, responses: { Alice: going, Bob: notGoing } });
+  refreshStatuses(group);
+  
+  assert.equal(group.hangouts[0].status, 'cancelled');
+});
+
+test('refreshStatuses returns the hangouts whose status changed', () => {
+  const group = groupWith({ ...localDateTime(48), responses: { Alice: going, Bob: going } });
+  
+  // Working out a status for the first time isn't a change
+  assert.deepEqual(refreshStatuses(group), []);
+  assert.deepEqual(refreshStatuses(group), []);
+  
+  // Someone leaving turns two out of four into two out of three
+  group.members = ['Alice', 'Bob', 'Carol'];
+  assert.deepEqual(refreshStatuses(group).map(hangout => hangout.id), ['h1']);
+  assert.equal(group.hangouts[0].status, 'confirmed');
+});
@@ -0,0 +1,116 @@
+/*
+  Tests for server/expenses.js - run with: npm test
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateExpense, splitExpense, computeBalances, settleUp, hangoutTransfers, hasUnsettledExpenses } = require('../server/expenses');
+
+const members = ['Alice', 'Bob', 'Carol', 'Dave'];
+const going = ['Alice', 'Bob', 'Carol'];
+
+function expense(fields) {
+  return { description: 'Pizza', amount: 3000, currency: 'USD', paidBy: 'Alice', split: { type: 'equal', among: going }, ...fields };
+}
+
+test('equal splits give the leftover cents to the first people', () => {
+  const { shares } = splitExpense(1000, { type: 'equal', among: ['Alice', 'Bob', 'Carol'] });
+  
+  assert.deepEqual(shares, { Alice: 334, Bob: 333, Carol: 333 });
+});
+
+test('weighted splits round down, then give leftovers to whoever lost the most', () => {
+  // 1000 * 2/7 = 285.71, 1000 * 4/7 = 571.43, 1000 * 1/7 = 142.86
+  const { shares } = splitExpense(1000, { type: 'weighted', weights: { Alice: 2, Bob: 4, Carol: 1 } });
+  
+  assert.deepEqual(shares, { Alice: 286, Bob: 571, Carol: 143 });
+});
+
+test('shares always add up to the amount', () => {
+  for (let amount = 1; amount <= 500; amount += 7) {
+    const equal = splitExpense(amount, { type: 'equal', among: going }).shares;
+    const weighted = splitExpense(amount, { type: 'weighted', weights: { Alice: 3, Bob: 5, Carol: 7 } }).shares;
+    
+    assert.equal(Object.values(equal).reduce((a, b) => a + b, 0), amount);
+    assert.equal(Object.values(weighted).reduce((a, b) => a + b, 0), amount);
+  }
+});
+
+test('exact splits keep the amounts as they are', () => {
+  const result = splitExpense(3000, { type: 'exact', amounts: { Alice: 1000, Bob: 2000 } });
+  
+  assert.deepEqual(result.shares, { Alice: 1000, Bob: 2000 });
+  assert.deepEqual(result.split, { type: 'exact', amounts: { Alice: 1000, Bob: 2000 } });
+});
+
+test('valid expenses pass', () => {
+  assert.equal(validateExpense(expense({}), members, going), null);
+  assert.equal(validateExpense(expense({ split: { type: 'exact', amounts: { Alice: 1000, Bob: 2000 } } }), members, going), null);
+});
+
+test('bad amounts, currencies and payers are turned down', () => {
+  assert.match(validateExpense(expense({ amount: 12.5 }), members, going), /whole number of cents/);
+  assert.match(validateExpense(expense({ amount: 0 }), members, going), /whole number of cents/);
+  assert.match(validateExpense(expense({ currency: 'usd' }), members, going), /3-letter code/);
+  assert.match(validateExpense(expense({ paidBy: 'Mallory' }), members, going), /in the group/);
+});
+
+test('splits have to be between people who are going, once each', () => {
+  assert.match(validateExpense(expense({ split: { type: 'equal', among: ['Alice', 'Dave'] } }), members, going), /not Dave/);
+  assert.match(validateExpense(expense({ split: { type: 'equal', among: ['Bob', 'Bob'] } }), members, going), /twice/);
+  assert.match(validateExpense(expense({ split: { type: 'equal', among: [] } }), members, going), /Pick who/);
+  assert.match(validateExpense(expense({ split: { type: 'weighted', weights: { Alice: 0 } } }), members, going), /Weights/);
+  assert.match(validateExpense(expense({ split: { type: 'exact', amounts: { Alice: 1000, Bob: 1000 } } }), members, going), /add up to 20.00, not 30.00/);
+});
+
+test('balances add up every hangout, per currency, leaving out people who are square', () => {
+  const group = {
+    hangouts: [
+      { expenses: [{ amount: 3000, currency: 'USD', paidBy: 'Alice', shares: { Alice: 1000, Bob: 1000, Carol: 1000 } }] },
+      { expenses: [
+        { amount: 1000, currency: 'USD', paidBy: 'Bob', shares: { Alice: 1000 } },
+        { amount: 500, currency: 'EUR', paidBy: 'Carol', shares: { Carol: 250, Bob: 250 } }
+      ] }
+    ]
+  };
+  
+  assert.deepEqual(computeBalances(group), {
+    USD: { Alice: 1000, Carol: -1000 },
+    EUR: { Carol: 250, Bob: -250 }
+  });
+});
+
+test('settling up pays the biggest debts to the biggest creditors', () => {
+  const transfers = settleUp({ USD: { Alice: 2500, Bob: -1500, Carol: -700, Dave: -300 }, EUR: { Bob: 100, Alice: -100 } });
+  
+  assert.deepEqual(transfers, [
+    { from: 'Bob', to: 'Alice', amount: 1500, currency: 'USD' },
+    { from: 'Carol', to: 'Alice', amount: 700, currency: 'USD' },
+    { from: 'Dave', to: 'Alice', amount: 300, currency: 'USD' },
+    { from: 'Alice', to: 'Bob', amount: 100, currency: 'EUR' }
+  ]);
+  assert.deepEqual(settleUp({}), []);
+});
+
+test('only expenses that leave someone owing count as unsettled', () => {
+  assert.equal(hasUnsettledExpenses({}), false);
+  assert.equal(hasUnsettledExpenses({ expenses: [{ amount: 500, currency: 'USD', paidBy: 'Alice', shares: { Alice: 500 } }] }), false);
+  assert.equal(hasUnsettledExpenses({ expenses: [{ amount: 500, currency: 'USD', paidBy: 'Alice', shares: { Bob: 500 } }] }), true);
+});
+
+test('payments count towards balances and settle a hangout up', () => {
+  const hangout = { expenses: [{ amount: 3000, currency: 'USD', paidBy: 'Alice', shares: { Alice: 1000, Bob: 1000, Carol: 1000 } }] };
+  
+  assert.deepEqual(hangoutTransfers(hangout), [
+    { from: 'Bob', to: 'Alice', amount: 1000, currency: 'USD' },
+    { from: 'Carol', to: 'Alice', amount: 1000, currency: 'USD' }
+  ]);
+  
+  hangout.payments = [{ from: 'Bob', to: 'Alice', amount: 1000, currency: 'USD' }];
+  assert.deepEqual(computeBalances({ hangouts: [hangout] }), { USD: { Alice: 1000, Carol: -1000 } });
+  assert.equal(hasUnsettledExpenses(hangout), true);
+  
+  hangout.payments.push({ from: 'Carol', to: 'Alice', amount: 1000, currency: 'USD' });
+  assert.deepEqual(hangoutTransfers(hangout), []);
+  assert.equal(hasUnsettledExpenses(hangout), false);
+});
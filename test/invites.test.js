@@ -0,0 +1,61 @@
+/*
+  Tests for server/invites.js - run with: npm test
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateInviteCode, validateInvite, countInviteUses, getInviteProblem, addMember, isBanned, banMember } = require('../server/invites');
+
+test('invite codes are three groups of four easy-to-read characters', () => {
+  for (let i = 0; i < 50; i++) {
+    assert.match(generateInviteCode(), /^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+  }
+});
+
+test('invite settings are checked', () => {
+  assert.equal(validateInvite({}), null);
+  assert.equal(validateInvite({ label: 'Office friends', expiresInHours: 24, maxUses: 5 }), null);
+  assert.equal(validateInvite({ label: null, expiresInHours: null, maxUses: null }), null);
+  
+  assert.match(validateInvite({ label: 'x'.repeat(41) }), /at most 40/);
+  assert.match(validateInvite({ label: 5 }), /at most 40/);
+  assert.match(validateInvite({ expiresInHours: 0 }), /1 hour to 30 days/);
+  assert.match(validateInvite({ expiresInHours: 1.5 }), /1 hour to 30 days/);
+  assert.match(validateInvite({ maxUses: 0 }), /from 1 to 1000/);
+  assert.match(validateInvite({ maxUses: 1001 }), /from 1 to 1000/);
+});
+
+test('adding a member notes which code they came in with', () => {
+  const group = { members: ['Alice'] };
+  
+  addMember(group, 'Bob', 'i1');
+  addMember(group, 'Carol', null);
+  
+  assert.deepEqual(group.members, ['Alice', 'Bob', 'Carol']);
+  assert.deepEqual(group.joins.map(join => [join.username, join.inviteId]), [['Bob', 'i1'], ['Carol', null]]);
+  assert.equal(countInviteUses(group, { id: 'i1' }), 1);
+});
+
+test('invites stop working once revoked, expired or used up', () => {
+  const group = { members: ['Alice'], joins: [{ username: 'Bob', inviteId: 'used' }] };
+  const inAnHour = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const anHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  
+  assert.equal(getInviteProblem(group, { id: 'fine', expiresAt: inAnHour, maxUses: 2 }), null);
+  assert.equal(getInviteProblem(group, { id: 'used', maxUses: 2 }), null);
+  assert.match(getInviteProblem(group, { id: 'used', maxUses: 1 }), /used up/);
+  assert.match(getInviteProblem(group, { id: 'old', expiresAt: anHourAgo }), /expired/);
+  assert.match(getInviteProblem(group, { id: 'gone', revokedAt: anHourAgo }), /revoked/);
+});
+
+test('removed people are only banned once', () => {
+  const group = { members: ['Alice'] };
+  
+  assert.equal(isBanned(group, 'Bob'), false);
+  
+  banMember(group, 'Bob', 'Alice');
+  banMember(group, 'Bob', 'Alice');
+  assert.equal(isBanned(group, 'Bob'), true);
+  assert.deepEqual(group.bans.map(ban => [ban.username, ban.bannedBy]), [['Bob', 'Alice']]);
+  assert.equal(isBanned(group, 'Carol'), false);
+});
@@ -0,0 +1,54 @@
+/*
+  Tests for server/rate-limit.js - run with: npm test
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../server/rate-limit');
+
+// Stops the clock at a time the test can move forward
+function freezeTime(t) {
+  const clock = { now: 1700000000000 };
+  t.mock.method(Date, 'now', () => clock.now);
+  return clock;
+}
+
+test('keys may keep trying until they reach the limit', (t) => {
+  freezeTime(t);
+  const limiter = createRateLimiter({ windowMs: 60 * 1000, max: 3 });
+  
+  limiter.hit('alice');
+  limiter.hit('alice');
+  assert.equal(limiter.retryAfter('alice'), 0);
+  
+  limiter.hit('alice');
+  assert.equal(limiter.retryAfter('alice'), 60);
+});
+
+test('each key is counted on its own', (t) => {
+  freezeTime(t);
+  const limiter = createRateLimiter({ windowMs: 60 * 1000, max: 1 });
+  
+  limiter.hit('alice');
+  assert.equal(limiter.retryAfter('alice'), 60);
+  assert.equal(limiter.retryAfter('bob'), 0);
+});
+
+test('the wait counts down and the window starts over once it is done', (t) => {
+  const clock = freezeTime(t);
+  const limiter = createRateLimiter({ windowMs: 60 * 1000, max: 2 });
+  
+  limiter.hit('alice');
+  limiter.hit('alice');
+  
+  clock.now += 45 * 1000;
+  assert.equal(limiter.retryAfter('alice'), 15);
+  
+  // Attempts while blocked don't push the end of the window back
+  limiter.hit('alice');
+  clock.now += 15 * 1000;
+  assert.equal(limiter.retryAfter('alice'), 0);
+  
+  limiter.hit('alice');
+  assert.equal(limiter.retryAfter('alice'), 0);
+});
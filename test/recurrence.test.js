@@ -0,0 +1,88 @@
+/*
+  Tests for shared/recurrence.js - run with: npm test
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listOccurrenceDates, isOccurrenceDate } = require('../shared/recurrence');
+
+function repeating(date, recurrence) {
+  return { date, recurrence };
+}
+
+test('daily hangouts happen every interval days from the first date', () => {
+  const hangout = repeating('2024-03-30', { frequency: 'daily', interval: 2 });
+  
+  assert.deepEqual(listOccurrenceDates(hangout, '2024-04-05'), ['2024-03-30', '2024-04-01', '2024-04-03', '2024-04-05']);
+  assert.equal(isOccurrenceDate(hangout, '2024-04-03'), true);
+  assert.equal(isOccurrenceDate(hangout, '2024-04-04'), false);
+  assert.equal(isOccurrenceDate(hangout, '2024-03-28'), false);
+});
+
+test('weekly hangouts use the picked weekdays, counting weeks from the Sunday before', () => {
+  // A Wednesday, every 2nd week on Mondays and Fridays
+  const hangout = repeating('2024-03-06', { frequency: 'weekly', interval: 2, weekdays: [1, 5] });
+  
+  assert.deepEqual(listOccurrenceDates(hangout, '2024-03-25'), ['2024-03-06', '2024-03-08', '2024-03-18', '2024-03-22']);
+  assert.equal(isOccurrenceDate(hangout, '2024-03-06'), true);
+  assert.equal(isOccurrenceDate(hangout, '2024-03-11'), false);
+  assert.equal(isOccurrenceDate(hangout, '2024-03-18'), true);
+});
+
+test('monthly hangouts on the 31st skip months that are too short', () => {
+  const hangout = repeating('2024-01-31', { frequency: 'monthly' });
+  
+  assert.deepEqual(listOccurrenceDates(hangout, '2024-06-30'), ['2024-01-31', '2024-03-31', '2024-05-31']);
+  assert.equal(isOccurrenceDate(hangout, '2024-02-29'), false);
+  assert.equal(isOccurrenceDate(hangout, '2024-03-31'), true);
+});
+
+test('until and count end the series', () => {
+  const until = repeating('2024-03-01', { frequency: 'daily', until: '2024-03-03' });
+  assert.deepEqual(listOccurrenceDates(until, '2024-03-10'), ['2024-03-01', '2024-03-02', '2024-03-03']);
+  assert.equal(isOccurrenceDate(until, '2024-03-04'), false);
+  
+  const count = repeating('2024-01-31', { frequency: 'monthly', count: 3 });
+  assert.deepEqual(listOccurrenceDates(count, '2025-01-31'), ['2024-01-31', '2024-03-31', '2024-05-31']);
+  assert.equal(isOccurrenceDate(count, '2024-05-31'), true);
+  assert.equal(isOccurrenceDate(count, '2024-07-31'), false);
+});
+
+test('dates that are not real days are never occurrences', () => {
+  const hangout = repeating('2024-01-01', { frequency: 'daily' });
+  
+  assert.equal(isOccurrenceDate(hangout, '2024-02-31'), false);
+  assert.equal(isOccurrenceDate(hangout, '2024-1-5'), false);
+  assert.equal(isOccurrenceDate(hangout, 20240105), false);
+});
+
+test('isOccurrenceDate agrees with the listed dates', () => {
+  const rules = [
+    { frequency: 'daily', interval: 3, count: 20 },
+    { frequency: 'weekly', interval: 3, weekdays: [0, 2, 6] },
+    { frequency: 'weekly', weekdays: [4], until: '2024-09-01' },
+    { frequency: 'monthly', interval: 2 },
+    { frequency: 'monthly', count: 7 }
+  ];
+  
+  for (const recurrence of rules) {
+    for (const date of ['2024-01-29', '2024-01-30', '2024-01-31', '2024-02-04']) {
+      const hangout = repeating(date, recurrence);
+      const listed = new Set(listOccurrenceDates(hangout, '2025-12-31'));
+      
+      for (let day = new Date('2024-01-25'); day <= new Date('2025-12-31'); day.setUTCDate(day.getUTCDate() + 1)) {
+        const dateString = day.toISOString().slice(0, 10);
+        assert.equal(isOccurrenceDate(hangout, dateString), listed.has(dateString), `${JSON.stringify(recurrence)} from ${date} on ${dateString}`);
+      }
+    }
+  }
+});
+
+test('dates far in the future are worked out without listing every date', () => {
+  const started = Date.now();
+  
+  assert.equal(isOccurrenceDate(repeating('2024-01-01', { frequency: 'daily' }), '9999-12-30'), true);
+  assert.equal(isOccurrenceDate(repeating('2024-01-04', { frequency: 'weekly' }), '9999-12-30'), true);
+  assert.equal(isOccurrenceDate(repeating('2024-01-01', { frequency: 'monthly' }), '9999-12-01'), true);
+  assert.ok(Date.now() - started < 500);
+});
@@ -0,0 +1,80 @@
+/*
+  Tests for server/roles.js - run with: npm test
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getRole, can, canRemoveMember, ensureOwner, viewGroupAs } = require('../server/roles');
+
+test('older groups without roles go to whoever made them', () => {
+  const group = { members: ['Bob', 'Alice'], createdBy: 'Alice' };
+  
+  assert.equal(ensureOwner(group), true);
+  assert.deepEqual(group.roles, { Alice: 'owner' });
+});
+
+test('older groups whose maker has left go to whoever has been in longest', () => {
+  const group = { members: ['Bob', 'Carol'], createdBy: 'Alice' };
+  
+  assert.equal(ensureOwner(group), true);
+  assert.deepEqual(group.roles, { Bob: 'owner' });
+});
+
+test('when the owner leaves, roles of people who left are dropped and the longest member takes over', () => {
+  const group = { members: ['Carol', 'Bob'], roles: { Alice: 'owner', Bob: 'admin' } };
+  
+  assert.equal(ensureOwner(group), true);
+  assert.deepEqual(group.roles, { Bob: 'admin', Carol: 'owner' });
+});
+
+test('groups that already have an owner are left alone', () => {
+  const group = { members: ['Alice', 'Bob'], roles: { Alice: 'owner', Bob: 'admin' } };
+  
+  assert.equal(ensureOwner(group), false);
+  assert.deepEqual(group.roles, { Alice: 'owner', Bob: 'admin' });
+});
+
+test('empty groups get no owner', () => {
+  const group = { members: [], roles: { Alice: 'owner' } };
+  
+  assert.equal(ensureOwner(group), true);
+  assert.deepEqual(group.roles, {});
+});
+
+test('anyone not listed in roles is a plain member', () => {
+  const group = { members: ['Alice', 'Bob', 'Carol'], roles: { Alice: 'owner', Bob: 'admin' } };
+  
+  assert.equal(getRole(group, 'Carol'), 'member');
+  assert.equal(can(group, 'Bob', 'removeMember'), true);
+  assert.equal(can(group, 'Bob', 'changeRoles'), false);
+  assert.equal(can(group, 'Carol', 'manageInvites'), false);
+});
+
+test('admins can only remove plain members, and nobody can remove the owner or themselves', () => {
+  const group = { members: ['Alice', 'Bob', 'Dan', 'Carol'], roles: { Alice: 'owner', Bob: 'admin', Dan: 'admin' } };
+  
+  assert.equal(canRemoveMember(group, 'Alice', 'Bob'), true);
+  assert.equal(canRemoveMember(group, 'Bob', 'Carol'), true);
+  assert.equal(canRemoveMember(group, 'Bob', 'Dan'), false);
+  assert.equal(canRemoveMember(group, 'Bob', 'Alice'), false);
+  assert.equal(canRemoveMember(group, 'Alice', 'Alice'), false);
+  assert.equal(canRemoveMember(group, 'Carol', 'Bob'), false);
+});
+
+test('invites, joins, join requests and bans are only shown to those who manage them', () => {
+  const group = {
+    members: ['Alice', 'Carol'],
+    roles: { Alice: 'owner' },
+    invites: [{ id: 'i1' }],
+    joins: [{ username: 'Carol', inviteId: 'i1' }],
+    joinRequests: [{ username: 'Dave' }],
+    bans: [{ username: 'Eve' }]
+  };
+  
+  const forMember = viewGroupAs(group, 'Carol');
+  assert.deepEqual(Object.keys(forMember), ['members', 'roles']);
+  
+  const forOwner = viewGroupAs(group, 'Alice');
+  assert.deepEqual(forOwner, group);
+  assert.notEqual(forOwner, group);
+});
@@ -0,0 +1,143 @@
+/*
+  Tests for server/storage.js - run with: npm test
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, StorageConflictError } = require('../server/storage');
+
+const collections = { users: 'id', groups: 'id' };
+
+// A fresh data folder that's removed once the test is done
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hanghive-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function readJournal(dir) {
+  return fs.readFileSync(path.join(dir, 'journal.log'), 'utf8');
+}
+
+test('committed changes are replayed from the journal on reopening', (t) => {
+  const dir = tempDir(t);
+  const store = createStorage({ dir, collections });
+  
+  store.transaction(tx => {
+    tx.users.put({ id: 'u1', username: 'Alice' });
+    tx.groups.put({ id: 'g1', name: 'Crew' });
+  });
+  store.transaction(tx => tx.users.put({ id: 'u2', username: 'Bob' }));
+  store.transaction(tx => tx.users.delete('u2'));
+  
+  const reopened = createStorage({ dir, collections });
+  assert.deepEqual(reopened.users.all(), [{ id: 'u1', username: 'Alice' }]);
+  assert.deepEqual(reopened.groups.get('g1'), { id: 'g1', name: 'Crew' });
+});
+
+test('a transaction that throws keeps none of its changes', (t) => {
+  const dir = tempDir(t);
+  const store = createStorage({ dir, collections });
+  
+  assert.throws(() => store.transaction(tx => {
+    tx.users.put({ id: 'u1', username: 'Alice' });
+    throw new Error('changed my mind');
+  }), /changed my mind/);
+  
+  assert.equal(store.users.get('u1'), null);
+  assert.equal(readJournal(dir), '');
+});
+
+test('a half-written last line is dropped and cut off the journal', (t) => {
+  const dir = tempDir(t);
+  const store = createStorage({ dir, collections });
+  store.transaction(tx => tx.users.put({ id: 'u1', username: 'Alice' }));
+  const goodJournal = readJournal(dir);
+  
+  // As if the server crashed in the middle of writing the next one
+  fs.appendFileSync(path.join(dir, 'journal.log'), '{"at":"2024-01-01","ops":[{"collection":"us');
+  t.mock.method(console, 'warn', () => {});
+  
+  const reopened = createStorage({ dir, collections });
+  assert.deepEqual(reopened.users.all(), [{ id: 'u1', username: 'Alice' }]);
+  assert.equal(readJournal(dir), goodJournal);
+  
+  // New transactions carry on from the good part
+  reopened.transaction(tx => tx.users.put({ id: 'u2', username: 'Bob' }));
+  assert.equal(createStorage({ dir, collections }).users.all().length, 2);
+});
+
+test('compacting folds the journal into the snapshot', (t) => {
+  const dir = tempDir(t);
+  const store = createStorage({ dir, collections });
+  store.transaction(tx => tx.users.put({ id: 'u1', username: 'Alice' }));
+  store.transaction(tx => tx.groups.put({ id: 'g1', name: 'Crew' }));
+  
+  store.compact();
+  
+  assert.equal(readJournal(dir), '');
+  const snapshot = JSON.parse(fs.readFileSync(path.join(dir, 'snapshot.json'), 'utf8'));
+  assert.deepEqual(snapshot, { users: [{ id: 'u1', username: 'Alice' }], groups: [{ id: 'g1', name: 'Crew' }] });
+  
+  // Later changes go on top of the snapshot
+  store.transaction(tx => tx.users.put({ id: 'u1', username: 'Alicia' }));
+  assert.equal(createStorage({ dir, collections }).users.get('u1').username, 'Alicia');
+});
+
+test('only brand new stores are seeded', (t) => {
+  const dir = tempDir(t);
+  const seed = () => ({ users: [{ id: 'u1', username: 'Alice' }] });
+  
+  createStorage({ dir, collections, seed }).transaction(tx => tx.users.delete('u1'));
+  
+  assert.deepEqual(createStorage({ dir, collections, seed }).users.all(), []);
+});
+
+test('saving a copy that someone else changed since it was read throws', (t) => {
+  const dir = tempDir(t);
+  const store = createStorage({ dir, collections });
+  store.transaction(tx => tx.groups.put({ id: 'g1', name: 'Crew', members: ['Alice'] }));
+  
+  const mine = store.groups.get('g1');
+  const theirs = store.groups.get('g1');
+  theirs.members.push('Bob');
+  store.transaction(tx => tx.groups.put(theirs));
+  
+  mine.name = 'Renamed';
+  assert.throws(() => store.transaction(tx => tx.groups.put(mine)), StorageConflictError);
+  assert.deepEqual(store.groups.get('g1'), { id: 'g1', name: 'Crew', members: ['Alice', 'Bob'] });
+});
+
+test('handed-out records are copies', (t) => {
+  const dir = tempDir(t);
+  const store = createStorage({ dir, collections });
+  store.transaction(tx => tx.users.put({ id: 'u1', username: 'Alice' }));
+  
+  store.users.get('u1').username = 'Mallory';
+  
+  assert.equal(store.users.get('u1').username, 'Alice');
+});
+
+test('a store opened with only some collections keeps the others', (t) => {
+  const dir = tempDir(t);
+  const store = createStorage({ dir, collections: { ...collections, sessions: 'tokenHash' } });
+  store.transaction(tx => {
+    tx.users.put({ id: 'u1', username: 'Alice' });
+    tx.groups.put({ id: 'g1', name: 'Crew' });
+  });
+  store.compact();
+  store.transaction(tx => tx.sessions.put({ tokenHash: 't1', userId: 'u1' }));
+  
+  // Like server/set-password.js, which only needs users
+  const usersOnly = createStorage({ dir, collections: { users: 'id' } });
+  usersOnly.transaction(tx => tx.users.put({ id: 'u1', username: 'Alice', passwordHash: 'new' }));
+  usersOnly.compact();
+  
+  const reopened = createStorage({ dir, collections: { ...collections, sessions: 'tokenHash' } });
+  assert.equal(reopened.users.get('u1').passwordHash, 'new');
+  assert.deepEqual(reopened.groups.all(), [{ id: 'g1', name: 'Crew' }]);
+  assert.deepEqual(reopened.sessions.all(), [{ tokenHash: 't1', userId: 'u1' }]);
+});
@@ -1,11 +0,0 @@
-import { defineConfig } from 'vite'
-
-export default defineConfig({
-  root: '.',
-  build: {
-    outDir: 'dist',
-  },
-  server: {
-    port: 3000,
-  },
-})